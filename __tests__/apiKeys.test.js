@@ -0,0 +1,80 @@
+const { app, request, MASTER, auth, setupStorage, createKey } = require('./helpers');
+
+beforeAll(setupStorage);
+
+describe('POST /api/keys', () => {
+  test('creates a key and shows its token once', async () => {
+    const { key, token } = await createKey({ name: 'gallery', scopes: ['upload:photos'] });
+
+    expect(token).toMatch(/^wvk_/);
+    expect(key).toMatchObject({ name: 'gallery', scopes: ['upload:photos'], venues: null });
+    expect(key.hash).toBeUndefined();
+    expect(token.startsWith(key.prefix)).toBe(true);
+  });
+
+  test('rejects unknown scopes', async () => {
+    const res = await request(app)
+      .post('/api/keys')
+      .set(MASTER)
+      .send({ name: 'bad', user: 'tester', scopes: ['upload:everything'] })
+      .expect(400);
+
+    expect(res.body.error).toBe('Invalid scopes');
+    expect(res.body.allowedScopes).toContain('upload:photos');
+  });
+
+  test('requires a name, a user and scopes', async () => {
+    await request(app).post('/api/keys').set(MASTER).send({ scopes: ['venues:read'] }).expect(400);
+    await request(app).post('/api/keys').set(MASTER).send({ name: 'k', user: 'tester', scopes: [] }).expect(400);
+  });
+
+  test('requires the keys:manage scope', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'] });
+
+    await request(app)
+      .post('/api/keys')
+      .set(headers)
+      .send({ name: 'k', user: 'tester', scopes: ['venues:read'] })
+      .expect(403);
+  });
+});
+
+describe('GET /api/keys', () => {
+  test('lists keys without their hashes', async () => {
+    const { key } = await createKey({ name: 'listed', scopes: ['venues:read'] });
+
+    const res = await request(app).get('/api/keys').set(MASTER).expect(200);
+
+    const listed = res.body.keys.find(candidate => candidate.id === key.id);
+    expect(listed.name).toBe('listed');
+    expect(res.body.keys.every(candidate => candidate.hash === undefined)).toBe(true);
+  });
+});
+
+describe('POST /api/keys/:id/rotate', () => {
+  test('replaces the token', async () => {
+    const { key, token } = await createKey({ scopes: ['venues:read'] });
+
+    const res = await request(app).post(`/api/keys/${key.id}/rotate`).set(MASTER).expect(200);
+
+    expect(res.body.token).not.toBe(token);
+    await request(app).get('/api/upload/status').set(auth(token)).expect(403);
+    await request(app).get('/api/upload/status').set(auth(res.body.token)).expect(200);
+  });
+});
+
+describe('DELETE /api/keys/:id', () => {
+  test('revokes the key', async () => {
+    const { key, headers } = await createKey({ scopes: ['venues:read'] });
+
+    const res = await request(app).delete(`/api/keys/${key.id}`).set(MASTER).expect(200);
+
+    expect(res.body.key.revokedAt).toEqual(expect.any(String));
+    await request(app).get('/api/upload/status').set(headers).expect(403);
+    await request(app).post(`/api/keys/${key.id}/rotate`).set(MASTER).expect(404);
+  });
+
+  test('responds 404 for unknown keys', async () => {
+    await request(app).delete('/api/keys/missing').set(MASTER).expect(404);
+  });
+});
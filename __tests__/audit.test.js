@@ -0,0 +1,165 @@
+const { app, request, MASTER, auth, setupStorage, createKey, uploadFiles } = require('./helpers');
+const { collection } = require('../src/db');
+
+let uploader;
+
+beforeAll(async () => {
+  await setupStorage();
+  uploader = await createKey({ name: 'planner key', user: 'planner', scopes: ['upload:menus'] });
+});
+
+/**
+ * Upload a menu for a venue
+ * @param {Object} headers - Authorization headers
+ * @param {string} venueName - Venue name
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadMenu(headers, venueName) {
+  const [upload] = await uploadFiles('menus', {
+    venueName,
+    headers,
+    files: [{ content: `Menu of ${venueName}`, filename: 'menu.txt', contentType: 'text/plain' }]
+  });
+
+  return upload;
+}
+
+/**
+ * List audit events
+ * @param {Object} query - Filters
+ * @returns {Promise<Object[]>} Events, newest first
+ */
+async function listEvents(query) {
+  const res = await request(app).get('/api/audit').query(query).set(MASTER).expect(200);
+  return res.body.events;
+}
+
+describe('GET /api/audit', () => {
+  test('records uploads and deletes with the credential that made them', async () => {
+    const upload = await uploadMenu(uploader.headers, 'Heather Hall');
+    await request(app)
+      .delete(`/api/venues/heather-hall/files/menus/${upload.fileName}`)
+      .set(MASTER)
+      .expect(200);
+
+    const events = await listEvents({ venue: 'heather-hall' });
+
+    const uploaded = events.find(event => event.action === 'upload');
+    const deleted = events.find(event => event.action === 'delete');
+    expect(events).toHaveLength(2);
+    expect(uploaded).toMatchObject({
+      result: 'success',
+      actor: 'planner',
+      actorType: 'api_key',
+      credentialId: uploader.key.id,
+      credentialName: 'planner key',
+      venue: 'heather-hall',
+      path: upload.filePath
+    });
+    expect(uploaded.ip).toBeTruthy();
+    expect(deleted).toMatchObject({ result: 'success', actor: 'admin', path: upload.filePath });
+  });
+
+  test('records failed authentication and denied scopes', async () => {
+    await request(app).get('/api/venues').expect(401);
+    await request(app).get('/api/venues').set(auth('wrong-token')).expect(403);
+    await request(app).get('/api/venues').set(uploader.headers).expect(403);
+
+    const events = await listEvents({ action: 'auth' });
+
+    // Events of the same millisecond have no fixed order
+    expect(events.map(event => `${event.action} ${event.result}`).sort()).toEqual([
+      'auth.scope_denied denied',
+      'auth.token_invalid denied',
+      'auth.token_missing denied'
+    ]);
+    expect(events.find(event => event.action === 'auth.scope_denied').credentialId).toBe(uploader.key.id);
+  });
+
+  test('filters by actor and date', async () => {
+    await uploadMenu(uploader.headers, 'Bramble Hall');
+    const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+    const byActor = await listEvents({ actor: 'planner', action: 'upload', venue: 'bramble-hall' });
+    expect(byActor).toHaveLength(1);
+
+    expect(await listEvents({ actor: 'admin', venue: 'bramble-hall' })).toEqual([]);
+    expect(await listEvents({ venue: 'bramble-hall', from: future })).toEqual([]);
+  });
+
+  test('only shows venue-restricted readers the events of their venues', async () => {
+    await uploadMenu(uploader.headers, 'Gorse Hall');
+    await uploadMenu(uploader.headers, 'Broom Hall');
+    const reader = await createKey({ scopes: ['audit:read'], venues: ['gorse-hall'] });
+
+    const res = await request(app).get('/api/audit').set(reader.headers).expect(200);
+
+    expect(res.body.events.length).toBeGreaterThan(0);
+    expect(res.body.events.every(event => event.venue === 'gorse-hall')).toBe(true);
+  });
+
+  test('pages through events in the database', async () => {
+    for (const venueName of ['Clover Hall', 'Yarrow Hall', 'Clover Hall']) {
+      await uploadMenu(uploader.headers, venueName);
+    }
+    const reader = await createKey({ scopes: ['audit:read'], venues: ['clover-hall', 'yarrow-hall'] });
+    const find = jest.spyOn(collection('audit_log'), 'find');
+
+    const ids = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get('/api/audit')
+        .query({ limit: 1, ...(cursor && { cursor }) })
+        .set(reader.headers)
+        .expect(200);
+
+      expect(res.body).toMatchObject({ count: 1, total: 3 });
+      ids.push(res.body.events[0].id);
+      cursor = res.body.nextCursor;
+    } while (cursor);
+    find.mockRestore();
+
+    const all = await request(app).get('/api/audit').set(reader.headers).expect(200);
+    expect(ids).toEqual(all.body.events.map(event => event.id));
+    expect(ids).toHaveLength(3);
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  test('rejects unknown actions and dates', async () => {
+    await request(app).get('/api/audit?action=rename').set(MASTER).expect(400);
+    await request(app).get('/api/audit?from=yesterday').set(MASTER).expect(400);
+  });
+
+  test('requires the audit:read scope', async () => {
+    await request(app).get('/api/audit').set(uploader.headers).expect(403);
+  });
+});
+
+describe('GET /api/audit/export', () => {
+  test('exports matching events as CSV', async () => {
+    const upload = await uploadMenu(uploader.headers, 'Thistle Hall');
+
+    const res = await request(app).get('/api/audit/export?venue=thistle-hall').set(MASTER).expect(200);
+
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    const [header, row, end] = res.text.split('\r\n');
+    expect(header).toBe('timestamp,action,result,actor,actorType,credentialId,credentialName,ip,endpoint,venue,bucket,path,details');
+    expect(row).toContain(`,upload,success,planner,api_key,${uploader.key.id},planner key,`);
+    expect(row).toContain(upload.filePath);
+    expect(end).toBe('');
+  });
+
+  test('exports matching events as JSON', async () => {
+    await uploadMenu(uploader.headers, 'Nettle Hall');
+
+    const res = await request(app).get('/api/audit/export?venue=nettle-hall&format=json').set(MASTER).expect(200);
+
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="audit-.*\.json"$/);
+    expect(JSON.parse(res.text).map(event => event.action)).toEqual(['upload']);
+  });
+
+  test('rejects unknown formats', async () => {
+    await request(app).get('/api/audit/export?format=xml').set(MASTER).expect(400);
+  });
+});
@@ -0,0 +1,47 @@
+const { app, request, MASTER, auth, setupStorage, createKey } = require('./helpers');
+
+beforeAll(setupStorage);
+
+describe('authenticateToken', () => {
+  test('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/upload/status').expect(401);
+
+    expect(res.body.error).toBe('Access token required');
+  });
+
+  test('rejects unknown tokens', async () => {
+    const res = await request(app).get('/api/upload/status').set(auth('not-a-token')).expect(403);
+
+    expect(res.body.error).toBe('Invalid access token');
+  });
+
+  test('accepts the master token', async () => {
+    const res = await request(app).get('/api/upload/status').set(MASTER).expect(200);
+
+    expect(res.body.storageDriver).toBe('local');
+  });
+
+  test('accepts a token in the query string', async () => {
+    await request(app).get(`/api/upload/status?token=${process.env.ACCESS_TOKEN}`).expect(200);
+  });
+
+  test('accepts API keys', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'] });
+
+    await request(app).get('/api/upload/status').set(headers).expect(200);
+  });
+});
+
+describe('requireScope', () => {
+  test('rejects keys without the scope', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'] });
+
+    const res = await request(app)
+      .post('/api/upload/photos')
+      .set(headers)
+      .field('venueName', 'Rose Hall')
+      .expect(403);
+
+    expect(res.body.error).toBe('Insufficient scope');
+  });
+});
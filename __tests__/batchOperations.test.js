@@ -0,0 +1,153 @@
+const { app, request, MASTER, setupStorage, createKey, uploadFiles } = require('./helpers');
+const { storage } = require('../src/storage');
+
+beforeAll(setupStorage);
+
+/**
+ * Upload a menu for a venue and wait for its text extraction
+ * @param {string} venueName - Venue name
+ * @param {string} filename - Original file name
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadMenu(venueName, filename) {
+  const [upload] = await uploadFiles('menus', {
+    venueName,
+    files: [{ content: `Menu of ${venueName}`, filename, contentType: 'text/plain' }]
+  });
+
+  return upload;
+}
+
+/**
+ * Send a batch request
+ * @param {Object} headers - Authorization headers
+ * @param {Object} body - { operations, dryRun }
+ * @returns {Object} supertest request
+ */
+function batch(headers, body) {
+  return request(app).post('/api/files/batch').set(headers).send(body);
+}
+
+/**
+ * List the menus of a venue
+ * @param {string} venue - Venue slug
+ * @returns {Promise<Object[]>} Menus
+ */
+async function listMenus(venue) {
+  const res = await request(app).get(`/api/venues/${venue}/files`).set(MASTER).expect(200);
+  return res.body.files.menus;
+}
+
+describe('POST /api/files/batch', () => {
+  test('moves, copies and deletes files in one request', async () => {
+    const first = await uploadMenu('Birch Hall', 'dinner.txt');
+    const second = await uploadMenu('Birch Hall', 'lunch.txt');
+    const third = await uploadMenu('Birch Hall', 'brunch.txt');
+
+    const res = await batch(MASTER, {
+      operations: [
+        { action: 'move', fileId: first.id, to: { category: 'evening' } },
+        { action: 'copy', bucket: 'menus', path: second.filePath },
+        { action: 'delete', fileId: third.id }
+      ]
+    }).expect(200);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.results.map(result => result.status)).toEqual(['succeeded', 'succeeded', 'succeeded']);
+    expect(res.body.results[0].to.path).toBe(`birch-hall/evening/${first.fileName}`);
+    expect(res.body.results[1].copyId).toBeDefined();
+    expect(res.body.results[2].trashId).toBeDefined();
+
+    const menus = await listMenus('birch-hall');
+    expect(menus.map(menu => menu.originalName).sort()).toEqual(['dinner.txt', 'lunch.txt', 'lunch.txt']);
+
+    const trash = await request(app).get('/api/venues/birch-hall/trash').set(MASTER).expect(200);
+    expect(trash.body.trash.map(entry => entry.originalName)).toEqual(['brunch.txt']);
+  });
+
+  test('streams copies from storage', async () => {
+    const menu = await uploadMenu('Spruce Hall', 'dinner.txt');
+    const download = jest.spyOn(storage, 'download');
+
+    const res = await batch(MASTER, {
+      operations: [{ action: 'copy', fileId: menu.id }]
+    }).expect(200);
+    download.mockRestore();
+
+    expect(download).not.toHaveBeenCalled();
+
+    const menus = await listMenus('spruce-hall');
+    const copy = menus.find(entry => entry.id === res.body.results[0].copyId);
+    expect(copy.checksum).toBe(menu.checksum);
+
+    const downloaded = await request(app).get(`/api/files/menus/${copy.path}/download`).set(MASTER).expect(200);
+    expect(downloaded.text).toBe('Menu of Spruce Hall');
+  });
+
+  test('changes nothing on a dry run', async () => {
+    const menu = await uploadMenu('Cedar Hall', 'dinner.txt');
+
+    const res = await batch(MASTER, {
+      dryRun: true,
+      operations: [{ action: 'delete', fileId: menu.id }]
+    }).expect(200);
+
+    expect(res.body.dryRun).toBe(true);
+    expect(res.body.results[0]).toMatchObject({ status: 'planned', from: { path: menu.filePath } });
+    expect(await listMenus('cedar-hall')).toHaveLength(1);
+  });
+
+  test('changes nothing when an operation is invalid', async () => {
+    const menu = await uploadMenu('Hazel Hall', 'dinner.txt');
+
+    const res = await batch(MASTER, {
+      operations: [
+        { action: 'delete', fileId: menu.id },
+        { action: 'delete', fileId: 'missing' }
+      ]
+    }).expect(400);
+
+    expect(res.body.results.map(result => result.status)).toEqual(['valid', 'invalid']);
+    expect(res.body.results[1].error).toBe('File not found');
+    expect(await listMenus('hazel-hall')).toHaveLength(1);
+  });
+
+  test('rejects operations on the same file', async () => {
+    const menu = await uploadMenu('Rowan Hall', 'dinner.txt');
+
+    const res = await batch(MASTER, {
+      operations: [
+        { action: 'copy', fileId: menu.id },
+        { action: 'delete', fileId: menu.id }
+      ]
+    }).expect(400);
+
+    expect(res.body.results[1].error).toBe('The file is already part of another operation in this batch');
+  });
+
+  test('rejects moves to another bucket', async () => {
+    const menu = await uploadMenu('Alder Hall', 'dinner.txt');
+
+    const res = await batch(MASTER, {
+      operations: [{ action: 'move', fileId: menu.id, to: { bucket: 'pricing' } }]
+    }).expect(400);
+
+    expect(res.body.results[0].error).toMatch(/only be moved within a bucket/);
+  });
+
+  test('requires the scope of each action', async () => {
+    const menu = await uploadMenu('Larch Hall', 'dinner.txt');
+    const { headers } = await createKey({ scopes: ['files:manage'] });
+
+    const res = await batch(headers, {
+      operations: [{ action: 'delete', fileId: menu.id }]
+    }).expect(400);
+
+    expect(res.body.results[0].error).toBe('This action requires the "files:delete" scope');
+  });
+
+  test('requires a list of operations', async () => {
+    const res = await batch(MASTER, { operations: [] }).expect(400);
+    expect(res.body.error).toBe('Invalid batch');
+  });
+});
@@ -0,0 +1,162 @@
+const { app, request, MASTER, setupStorage, uploadRequest, uploadFiles } = require('./helpers');
+const { collection } = require('../src/db');
+const { addVersion, getDocument } = require('../src/services/documents');
+
+beforeAll(setupStorage);
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Upload a menu for a venue, as a new document or the next version of one
+ * @param {string} venueName - Venue name
+ * @param {string} content - File contents
+ * @param {string} documentId - Document to add a version to, or undefined for a new document
+ * @param {Object} fields - Other form fields, e.g. { duplicates }
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadMenu(venueName, content, documentId, fields = {}) {
+  const [upload] = await uploadFiles('menus', {
+    venueName,
+    fields: { ...(documentId && { documentId }), ...fields },
+    files: [menuFile(content)]
+  });
+
+  return upload;
+}
+
+/**
+ * Describe a menu file for uploadFiles
+ * @param {string} content - File contents
+ * @returns {Object} { content, filename, contentType }
+ */
+function menuFile(content) {
+  return { content, filename: 'Seasonal Menu.txt', contentType: 'text/plain' };
+}
+
+describe('menu versions', () => {
+  test('are kept as the history of one document', async () => {
+    const first = await uploadMenu('Maple Hall', 'Spring menu');
+    const second = await uploadMenu('Maple Hall', 'Summer menu', first.documentId);
+
+    expect(first.version).toBe(1);
+    expect(second).toMatchObject({ documentId: first.documentId, version: 2 });
+
+    const res = await request(app)
+      .get(`/api/venues/maple-hall/documents/${first.documentId}/versions`)
+      .set(MASTER)
+      .expect(200);
+
+    expect(res.body.currentVersion).toBe(2);
+    expect(res.body.versions.map(version => [version.version, version.current])).toEqual([[2, true], [1, false]]);
+
+    const documents = await request(app).get('/api/venues/maple-hall/documents').set(MASTER).expect(200);
+    expect(documents.body.count).toBe(1);
+    expect(documents.body.documents[0]).toMatchObject({ id: first.documentId, bucket: 'menus', versionCount: 2 });
+    expect(documents.body.documents[0].current.path).toBe(second.filePath);
+  });
+
+  test('uploaded at the same time get distinct numbers', async () => {
+    const first = await uploadMenu('Hornbeam Hall', 'Spring menu');
+
+    const uploads = await Promise.all(['Summer menu', 'Autumn menu', 'Winter menu']
+      .map(content => uploadMenu('Hornbeam Hall', content, first.documentId)));
+
+    expect(uploads.map(upload => upload.version).sort()).toEqual([2, 3, 4]);
+
+    const document = await getDocument(first.documentId);
+    expect(document).toMatchObject({ latestVersion: 4, currentVersion: 4 });
+
+    const versions = await Promise.all([5, 6, 7].map(() => addVersion(document, 'tester')));
+    expect(versions.sort()).toEqual([5, 6, 7]);
+  });
+
+  test('do not use up a number when the file cannot be catalogued', async () => {
+    const first = await uploadMenu('Beech Hall', 'Spring menu');
+    jest.spyOn(collection('files'), 'insert').mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const res = await uploadRequest('menus', {
+      venueName: 'Beech Hall',
+      fields: { documentId: first.documentId },
+      files: [menuFile('Summer menu')]
+    }).expect(200);
+    expect(res.body.uploads[0]).toMatchObject({ success: false, error: 'File metadata could not be saved' });
+
+    const second = await uploadMenu('Beech Hall', 'Summer menu', first.documentId);
+    expect(second.version).toBe(2);
+  });
+
+  test('that match an earlier version are not replaced', async () => {
+    const first = await uploadMenu('Poplar Hall', 'Spring menu');
+    await uploadMenu('Poplar Hall', 'Summer menu', first.documentId);
+
+    const third = await uploadMenu('Poplar Hall', 'Spring menu', first.documentId, { duplicates: 'replace' });
+
+    expect(third).toMatchObject({ version: 3, duplicateOf: { id: first.id } });
+    expect(third.replaced).toBeUndefined();
+
+    const versions = await request(app)
+      .get(`/api/venues/poplar-hall/documents/${first.documentId}/versions`)
+      .set(MASTER)
+      .expect(200);
+    expect(versions.body.versions.map(version => version.version)).toEqual([3, 2, 1]);
+  });
+
+  test('can be rolled back to an earlier version', async () => {
+    const first = await uploadMenu('Linden Hall', 'Spring menu');
+    await uploadMenu('Linden Hall', 'Summer menu', first.documentId);
+
+    const res = await request(app)
+      .post(`/api/venues/linden-hall/documents/${first.documentId}/rollback`)
+      .set(MASTER)
+      .send({ version: 1 })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ previousVersion: 2, current: { path: first.filePath, version: 1 } });
+
+    const versions = await request(app)
+      .get(`/api/venues/linden-hall/documents/${first.documentId}/versions`)
+      .set(MASTER)
+      .expect(200);
+
+    expect(versions.body.currentVersion).toBe(1);
+    expect(versions.body.count).toBe(2);
+
+    const download = await request(app).get(`/api/files/menus/${first.filePath}/download`).set(MASTER).expect(200);
+    expect(download.text).toBe('Spring menu');
+  });
+
+  test('cannot be rolled back to versions that do not exist', async () => {
+    const first = await uploadMenu('Juniper Hall', 'Spring menu');
+
+    await request(app)
+      .post(`/api/venues/juniper-hall/documents/${first.documentId}/rollback`)
+      .set(MASTER)
+      .send({ version: 3 })
+      .expect(404);
+
+    await request(app)
+      .post(`/api/venues/juniper-hall/documents/${first.documentId}/rollback`)
+      .set(MASTER)
+      .send({ version: 'latest' })
+      .expect(400);
+  });
+
+  test('are only added to documents of the venue', async () => {
+    const first = await uploadMenu('Spruce Hall', 'Spring menu');
+
+    const res = await uploadRequest('menus', {
+      venueName: 'Walnut Hall',
+      fields: { documentId: first.documentId },
+      files: [menuFile('Summer menu')]
+    }).expect(404);
+
+    expect(res.body.error).toBe('Document not found');
+
+    await request(app)
+      .get(`/api/venues/walnut-hall/documents/${first.documentId}/versions`)
+      .set(MASTER)
+      .expect(404);
+  });
+});
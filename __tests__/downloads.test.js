@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { app, request, MASTER, setupStorage, createPng, uploadFiles } = require('./helpers');
+const { storage } = require('../src/storage');
+
+let menu;
+
+beforeAll(async () => {
+  await setupStorage();
+
+  [menu] = await uploadFiles('menus', {
+    venueName: 'Rose Hall',
+    files: [{ content: 'Three course dinner', filename: 'Summer Menu.txt', contentType: 'text/plain' }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Collect a binary response body
+ * @param {Object} response - Response stream
+ * @param {Function} callback - (error, body)
+ */
+function collectBody(response, callback) {
+  const chunks = [];
+  response.on('data', chunk => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('GET /api/files/:bucket/<path>/download', () => {
+  test('streams the file from storage as an attachment', async () => {
+    const download = jest.spyOn(storage, 'download');
+
+    const res = await request(app)
+      .get(`/api/files/menus/${menu.filePath}/download`)
+      .set(MASTER)
+      .buffer(true)
+      .parse(collectBody)
+      .expect(200);
+
+    expect(res.body.toString()).toBe('Three course dinner');
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Summer Menu.txt"');
+    expect(download).not.toHaveBeenCalled();
+  });
+
+  test('answers with an error when the file is missing from storage', async () => {
+    jest.spyOn(storage, 'downloadStream').mockResolvedValue({ data: null, error: new Error('Object not found') });
+
+    const res = await request(app).get(`/api/files/menus/${menu.filePath}/download`).set(MASTER).expect(500);
+
+    expect(res.body).toMatchObject({ success: false, error: 'Download failed' });
+  });
+});
+
+describe('GET /api/venues/:venueName/export', () => {
+  test('streams the files into the archive', async () => {
+    const download = jest.spyOn(storage, 'download');
+
+    const res = await request(app)
+      .get('/api/venues/rose-hall/export')
+      .set(MASTER)
+      .buffer(true)
+      .parse(collectBody)
+      .expect(200);
+
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.body.subarray(0, 2).toString()).toBe('PK');
+    expect(res.body.includes('menus/general/Summer Menu.txt')).toBe(true);
+    expect(res.body.includes('manifest.json')).toBe(true);
+    expect(download).not.toHaveBeenCalled();
+  });
+
+  test('leaves out files missing from storage', async () => {
+    const stored = path.join(process.env.LOCAL_STORAGE_PATH, 'menus', menu.filePath);
+    const moved = `${stored}.moved`;
+    fs.renameSync(stored, moved);
+
+    try {
+      const res = await request(app)
+        .get('/api/venues/rose-hall/export')
+        .set(MASTER)
+        .buffer(true)
+        .parse(collectBody)
+        .expect(200);
+
+      expect(res.body.includes('Summer Menu.txt')).toBe(false);
+      expect(res.body.includes('manifest.json')).toBe(true);
+    } finally {
+      fs.renameSync(moved, stored);
+    }
+  });
+
+  test('names files by bucket, category and original name, and describes them in a manifest', async () => {
+    const uploads = [['Dinner', '#1abc9c'], ['Dinner', '#8e44ad'], ['Garden', '#f39c12']];
+    for (const [category, color] of uploads) {
+      await uploadFiles('photos', {
+        venueName: 'Iris Hall',
+        fields: { category },
+        files: [{ content: await createPng({ color }), filename: 'Hall.png', contentType: 'image/png' }]
+      });
+    }
+
+    const res = await request(app)
+      .get('/api/venues/iris-hall/export?bucket=photos&category=dinner')
+      .set(MASTER)
+      .buffer(true)
+      .parse(collectBody)
+      .expect(200);
+
+    const zip = await JSZip.loadAsync(res.body);
+    expect(Object.keys(zip.files).sort()).toEqual(['manifest.json', 'photos/dinner/Hall (2).png', 'photos/dinner/Hall.png']);
+
+    const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+    expect(manifest).toMatchObject({ slug: 'iris-hall', fileCount: 2, filters: { bucket: 'photos', category: 'dinner' } });
+    expect(manifest.files.map(file => file.originalName)).toEqual(['Hall.png', 'Hall.png']);
+    expect(manifest.files[0]).toMatchObject({ bucket: 'photos', category: 'dinner', mimeType: 'image/png' });
+
+    const photo = await zip.file(manifest.files[0].path).async('nodebuffer');
+    expect(photo.length).toBe(manifest.files[0].size);
+  });
+
+  test('responds 404 when no file matches the filters', async () => {
+    const res = await request(app).get('/api/venues/rose-hall/export?bucket=photos').set(MASTER).expect(404);
+    expect(res.body.error).toBe('No files to export');
+  });
+});
@@ -0,0 +1,110 @@
+const { app, request, MASTER, setupStorage, uploadRequest, uploadFiles } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Upload menus for a venue
+ * @param {string} venueName - Venue name
+ * @param {string[]} contents - Contents of each file
+ * @param {string} duplicates - Duplicate strategy, or undefined for the default
+ * @returns {Promise<Object[]>} Upload results
+ */
+function uploadMenus(venueName, contents, duplicates) {
+  return uploadFiles('menus', {
+    venueName,
+    fields: duplicates ? { duplicates } : {},
+    files: contents.map((content, index) => ({ content, filename: `menu-${index + 1}.txt`, contentType: 'text/plain' }))
+  });
+}
+
+/**
+ * List the menus of a venue
+ * @param {string} venue - Venue slug
+ * @returns {Promise<Object[]>} Menus
+ */
+async function listMenus(venue) {
+  const res = await request(app).get(`/api/venues/${venue}/files`).set(MASTER).expect(200);
+  return res.body.files.menus;
+}
+
+describe('duplicate uploads', () => {
+  test('are stored next to the existing copy by default', async () => {
+    const [original] = await uploadMenus('Poppy Hall', ['Three courses']);
+    const [copy] = await uploadMenus('Poppy Hall', ['Three courses']);
+
+    expect(copy.checksum).toBe(original.checksum);
+    expect(copy.duplicateOf).toMatchObject({ id: original.id, filePath: original.filePath });
+    expect(await listMenus('poppy-hall')).toHaveLength(2);
+  });
+
+  test('are not stored with the skip strategy', async () => {
+    const [original] = await uploadMenus('Daisy Hall', ['Three courses']);
+    const [copy] = await uploadMenus('Daisy Hall', ['Three courses'], 'skip');
+
+    expect(copy).toMatchObject({ success: true, skipped: true, duplicateOf: { id: original.id } });
+    expect(await listMenus('daisy-hall')).toHaveLength(1);
+  });
+
+  test('move the existing copy to the trash with the replace strategy', async () => {
+    const [original] = await uploadMenus('Tulip Hall', ['Three courses']);
+    const [copy] = await uploadMenus('Tulip Hall', ['Three courses'], 'replace');
+
+    expect(copy.replaced).toMatchObject({ id: original.id, fileName: original.fileName });
+
+    const menus = await listMenus('tulip-hall');
+    expect(menus.map(menu => menu.path)).toEqual([copy.filePath]);
+
+    const trash = await request(app).get('/api/venues/tulip-hall/trash').set(MASTER).expect(200);
+    expect(trash.body.trash.map(entry => entry.id)).toEqual([copy.replaced.trashId]);
+  });
+
+  test('within one request are detected too', async () => {
+    const uploads = await uploadMenus('Lilac Hall', ['Three courses', 'Three courses'], 'skip');
+
+    expect(uploads.filter(result => result.skipped)).toHaveLength(1);
+    expect(await listMenus('lilac-hall')).toHaveLength(1);
+  });
+
+  test('are only looked for within the same venue', async () => {
+    await uploadMenus('Aster Hall', ['Three courses']);
+    const [upload] = await uploadMenus('Peony Hall', ['Three courses'], 'skip');
+
+    expect(upload.skipped).toBeUndefined();
+    expect(upload.duplicateOf).toBeUndefined();
+  });
+
+  test('reject unknown strategies', async () => {
+    const res = await uploadRequest('menus', {
+      venueName: 'Aster Hall',
+      fields: { duplicates: 'overwrite' },
+      files: [{ content: 'Three courses', filename: 'menu.txt', contentType: 'text/plain' }]
+    }).expect(400);
+
+    expect(res.body.error).toBe('Invalid duplicate strategy');
+  });
+});
+
+describe('GET /api/venues/:venueName/duplicates', () => {
+  test('groups the files of a venue with the same content', async () => {
+    const [original, , copy] = await uploadMenus('Orchid Hall', ['Three courses', 'Buffet', 'Three courses']);
+
+    const res = await request(app).get('/api/venues/orchid-hall/duplicates').set(MASTER).expect(200);
+
+    expect(res.body.count).toBe(1);
+    expect(res.body.duplicates[0]).toMatchObject({
+      bucket: 'menus',
+      checksum: original.checksum,
+      count: 2,
+      wastedBytes: copy.size
+    });
+    expect(res.body.duplicates[0].files.map(file => file.path)).toEqual([original.filePath, copy.filePath]);
+  });
+
+  test('filters by bucket', async () => {
+    await uploadMenus('Orchid Hall', ['Three courses']);
+
+    const res = await request(app).get('/api/venues/orchid-hall/duplicates?bucket=photos').set(MASTER).expect(200);
+
+    expect(res.body).toMatchObject({ count: 0, duplicates: [], wastedBytes: 0 });
+  });
+});
@@ -0,0 +1,50 @@
+const { setupStorage, createPng, waitForJobs, uploadRequest } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Upload a single photo
+ * @param {Buffer} content - File contents
+ * @param {string} filename - Uploaded filename
+ * @param {string} contentType - Declared MIME type
+ * @returns {Object} supertest request
+ */
+function uploadPhoto(content, filename, contentType) {
+  return uploadRequest('photos', { venueName: 'Rose Hall', files: [{ content, filename, contentType }] });
+}
+
+describe('file type verification', () => {
+  test('accepts files whose content matches their type and extension', async () => {
+    const res = await uploadPhoto(await createPng(), 'garden.png', 'image/png').expect(200);
+
+    expect(res.body.uploads[0].success).toBe(true);
+    await waitForJobs(res.body.uploads[0].jobs);
+  });
+
+  test('rejects content that is not of the declared type', async () => {
+    const res = await uploadPhoto(Buffer.from('<script>alert(1)</script>'), 'garden.png', 'image/png')
+      .expect(400);
+
+    expect(res.body.error).toBe('File type verification failed');
+    expect(res.body.failures).toHaveLength(1);
+    expect(res.body.failures[0].reason).toMatch(/does not match the file content \(text\/plain\)/);
+  });
+
+  test('rejects a declared type that differs from the content', async () => {
+    const res = await uploadPhoto(await createPng(), 'garden.png', 'image/jpeg').expect(400);
+
+    expect(res.body.failures[0].reason).toMatch(/Declared type image\/jpeg does not match/);
+  });
+
+  test('rejects an extension that differs from the content', async () => {
+    const res = await uploadPhoto(await createPng(), 'garden.jpg', 'image/png').expect(400);
+
+    expect(res.body.failures[0].reason).toMatch(/Extension ".jpg" does not match/);
+  });
+
+  test('rejects genuine files of a type the route does not accept', async () => {
+    const pdf = Buffer.from('%PDF-1.4\n1 0 obj\n<<>>\nendobj\ntrailer\n<<>>\n%%EOF\n');
+
+    await uploadPhoto(pdf, 'menu.pdf', 'application/pdf').expect(400);
+  });
+});
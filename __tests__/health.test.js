@@ -0,0 +1,26 @@
+const { app, request } = require('./helpers');
+
+describe('GET /health', () => {
+  test('responds without authentication', async () => {
+    const res = await request(app).get('/health').expect(200);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.timestamp).toEqual(expect.any(String));
+  });
+});
+
+describe('GET /api', () => {
+  test('describes the endpoints', async () => {
+    const res = await request(app).get('/api').expect(200);
+
+    expect(res.body.endpoints.upload.photos).toBe('POST /api/upload/photos');
+  });
+});
+
+describe('unknown routes', () => {
+  test('respond with a JSON 404', async () => {
+    const res = await request(app).get('/api/nope').expect(404);
+
+    expect(res.body).toMatchObject({ success: false, error: 'Not found' });
+  });
+});
@@ -0,0 +1,121 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../server');
+const { validateBuckets } = require('../src/storage');
+
+// Authorization header of the master ACCESS_TOKEN
+const MASTER = { Authorization: `Bearer ${process.env.ACCESS_TOKEN}` };
+
+/**
+ * Build the Authorization header for a token
+ * @param {string} token - Access token
+ * @returns {Object} Headers
+ */
+function auth(token) {
+  return { Authorization: `Bearer ${token}` };
+}
+
+/**
+ * Create the storage buckets, as the server does on start
+ */
+async function setupStorage() {
+  if (!await validateBuckets()) {
+    throw new Error('Bucket validation failed');
+  }
+}
+
+/**
+ * Create an API key with the master token
+ * @param {Object} fields - { scopes, venues, name, user }
+ * @returns {Promise<Object>} { key, token, headers }
+ */
+async function createKey(fields) {
+  const res = await request(app)
+    .post('/api/keys')
+    .set(MASTER)
+    .send({ name: 'test key', user: 'tester', ...fields })
+    .expect(201);
+
+  return { key: res.body.key, token: res.body.token, headers: auth(res.body.token) };
+}
+
+/**
+ * Encode a solid colour PNG
+ * @param {Object} options - { width, height, color }
+ * @returns {Promise<Buffer>} PNG
+ */
+function createPng({ width = 64, height = 48, color = '#c0392b' } = {}) {
+  return sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+}
+
+/**
+ * Wait until background jobs have finished
+ * @param {Object[]} jobs - Jobs from an upload result ({ id })
+ * @returns {Promise<Object[]>} Finished jobs
+ */
+async function waitForJobs(jobs) {
+  const finished = [];
+
+  for (const { id } of jobs) {
+    for (let attempt = 0; ; attempt++) {
+      const res = await request(app).get(`/api/jobs/${id}`).set(MASTER).expect(200);
+
+      if (res.body.job.status === 'succeeded' || res.body.job.status === 'failed') {
+        finished.push(res.body.job);
+        break;
+      }
+      if (attempt > 100) {
+        throw new Error(`Job ${id} did not finish`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  }
+
+  return finished;
+}
+
+/**
+ * Build an upload request for a venue, to send with an expected status
+ * @param {string} bucket - Bucket of the upload route, e.g. menus or photos
+ * @param {Object} options - { venueName, files: [{ content, filename, contentType }],
+ *                           fields: other form fields, headers: defaults to MASTER }
+ * @returns {Object} supertest request
+ */
+function uploadRequest(bucket, { venueName, files, fields = {}, headers = MASTER }) {
+  const upload = request(app).post(`/api/upload/${bucket}`).set(headers).field('venueName', venueName);
+
+  for (const [name, value] of Object.entries(fields)) {
+    upload.field(name, value);
+  }
+  for (const { content, filename, contentType } of files) {
+    upload.attach('files', Buffer.from(content), { filename, contentType });
+  }
+
+  return upload;
+}
+
+/**
+ * Upload files for a venue and wait for their background jobs
+ * @param {string} bucket - Bucket of the upload route, e.g. menus or photos
+ * @param {Object} options - As for uploadRequest
+ * @returns {Promise<Object[]>} Upload results
+ */
+async function uploadFiles(bucket, options) {
+  const res = await uploadRequest(bucket, options).expect(200);
+
+  await waitForJobs(res.body.uploads.flatMap(upload => upload.jobs || []));
+  return res.body.uploads;
+}
+
+module.exports = {
+  app,
+  request,
+  MASTER,
+  auth,
+  setupStorage,
+  createKey,
+  createPng,
+  waitForJobs,
+  uploadRequest,
+  uploadFiles
+};
@@ -0,0 +1,61 @@
+/**
+ * Load a fresh copy of the image config with the given environment
+ * @param {Object} env - Environment variables to set
+ * @returns {Object} Config module
+ */
+function loadConfig(env) {
+  Object.assign(process.env, env);
+
+  let config;
+  jest.isolateModules(() => {
+    config = require('../src/config/images');
+  });
+  return config;
+}
+
+afterEach(() => {
+  delete process.env.PHOTO_SIMILARITY_THRESHOLD;
+  delete process.env.IMAGE_VARIANTS;
+});
+
+describe('IMAGE_VARIANTS', () => {
+  test('defaults to the built-in variants', () => {
+    expect(Object.keys(loadConfig({}).IMAGE_VARIANTS)).toEqual(['thumbnail', 'medium', 'large', 'webp']);
+  });
+
+  test('reads configured variants', () => {
+    const variants = { small: { width: 200, format: 'webp', quality: 70 } };
+
+    expect(loadConfig({ IMAGE_VARIANTS: JSON.stringify(variants) }).IMAGE_VARIANTS).toEqual(variants);
+  });
+
+  test('rejects a value that is not JSON', () => {
+    expect(() => loadConfig({ IMAGE_VARIANTS: '{small:' })).toThrow(/^IMAGE_VARIANTS is not valid JSON/);
+  });
+
+  test.each([
+    ['[]', 'must be a JSON object'],
+    ['{"small": 200}', 'variant "small" must be an object'],
+    ['{"small": {"format": "webp"}}', 'needs a width or a height'],
+    ['{"small": {"width": "200"}}', 'width of variant "small"'],
+    ['{"small": {"width": 200, "format": "gif"}}', 'format of variant "small"'],
+    ['{"small": {"width": 200, "quality": 0}}', 'quality of variant "small"'],
+    ['{"../small": {"width": 200}}', 'variant name "../small"']
+  ])('rejects variants of the wrong shape: %s', (value, message) => {
+    expect(() => loadConfig({ IMAGE_VARIANTS: value })).toThrow(message);
+  });
+});
+
+describe('SIMILARITY_THRESHOLD', () => {
+  test('defaults to 10 differing bits', () => {
+    expect(loadConfig({}).SIMILARITY_THRESHOLD).toBe(10);
+  });
+
+  test('honours a configured threshold of 0', () => {
+    expect(loadConfig({ PHOTO_SIMILARITY_THRESHOLD: '0' }).SIMILARITY_THRESHOLD).toBe(0);
+  });
+
+  test('falls back to the default for a value that is not a number', () => {
+    expect(loadConfig({ PHOTO_SIMILARITY_THRESHOLD: 'many' }).SIMILARITY_THRESHOLD).toBe(10);
+  });
+});
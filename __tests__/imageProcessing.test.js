@@ -0,0 +1,126 @@
+const sharp = require('sharp');
+const { app, request, MASTER, setupStorage, uploadFiles } = require('./helpers');
+
+beforeAll(setupStorage);
+
+// Seconds of the photo's GPS latitude (12.34) as it is stored in the EXIF block
+const LATITUDE_SECONDS = Buffer.from([0xD2, 0x04, 0, 0, 0x64, 0, 0, 0]);
+
+/**
+ * Encode a landscape JPEG that is rotated by its EXIF orientation and carries GPS coordinates
+ * @returns {Promise<Buffer>} JPEG
+ */
+function createCameraJpeg() {
+  return sharp({ create: { width: 80, height: 40, channels: 3, background: '#2e86c1' } })
+    .jpeg({ quality: 70 })
+    .withExif({
+      IFD0: { Copyright: 'Rose Hall' },
+      IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 1234/100' }
+    })
+    .withMetadata({ orientation: 6 })
+    .toBuffer();
+}
+
+/**
+ * Download a file served by the local storage driver
+ * @param {string} url - File URL
+ * @returns {Promise<Buffer>} File contents
+ */
+async function download(url) {
+  const res = await request(app)
+    .get(new URL(url).pathname)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => callback(null, Buffer.concat(chunks)));
+    })
+    .expect(200);
+
+  return res.body;
+}
+
+/**
+ * Upload a photo
+ * @param {Buffer} photo - Image data
+ * @param {string} filename - Uploaded filename
+ * @returns {Promise<Object>} { upload, original, variants }
+ */
+async function uploadPhoto(photo, filename) {
+  const [upload] = await uploadFiles('photos', {
+    venueName: 'Rose Hall',
+    files: [{ content: photo, filename, contentType: 'image/jpeg' }]
+  });
+
+  expect(upload.success).toBe(true);
+
+  // Variants are generated during the upload, so no background job is left
+  expect(upload.jobs).toEqual([]);
+
+  return { upload, original: await download(upload.url), variants: upload.variants };
+}
+
+describe('photo originals', () => {
+  test('are stored without re-encoding, with only their GPS data removed', async () => {
+    const photo = await createCameraJpeg();
+    expect(photo.includes(LATITUDE_SECONDS)).toBe(true);
+
+    const { original } = await uploadPhoto(photo, 'terrace.jpg');
+
+    expect(original).toHaveLength(photo.length);
+    expect(original.includes(LATITUDE_SECONDS)).toBe(false);
+
+    // Only bytes of the GPS directory changed; the image data and orientation are untouched
+    const changed = photo.reduce((count, byte, index) => count + (byte !== original[index] ? 1 : 0), 0);
+    expect(changed).toBeGreaterThan(0);
+    expect(changed).toBeLessThan(64);
+
+    const metadata = await sharp(original).metadata();
+    expect(metadata).toMatchObject({ width: 80, height: 40, orientation: 6 });
+  });
+
+  test('are kept byte for byte when they have no GPS data', async () => {
+    const photo = await sharp({ create: { width: 60, height: 30, channels: 3, background: '#27ae60' } })
+      .jpeg({ quality: 60 })
+      .toBuffer();
+
+    const { original } = await uploadPhoto(photo, 'lawn.jpg');
+
+    expect(original.equals(photo)).toBe(true);
+  });
+});
+
+describe('photo variants', () => {
+  test('are listed with their URLs in the upload response', async () => {
+    const { variants } = await uploadPhoto(await createCameraJpeg(), 'garden.jpg');
+
+    expect(Object.keys(variants).sort()).toEqual(['large', 'medium', 'thumbnail', 'webp']);
+    expect(variants.webp).toMatchObject({ mimeType: 'image/webp', filePath: expect.stringMatching(/@webp\.webp$/) });
+
+    const thumbnail = await sharp(await download(variants.thumbnail.url)).metadata();
+    expect(thumbnail).toMatchObject({ format: 'jpeg', width: variants.thumbnail.width, height: variants.thumbnail.height });
+  });
+
+  test('are rotated upright and carry no metadata', async () => {
+    const { variants } = await uploadPhoto(await createCameraJpeg(), 'hall.jpg');
+
+    expect(variants.medium).toMatchObject({ width: 40, height: 80 });
+
+    const metadata = await sharp(await download(variants.medium.url)).metadata();
+    expect(metadata.orientation).toBeUndefined();
+    expect(metadata.exif).toBeUndefined();
+  });
+
+  test('are downloaded by name, and only variants of the file are served', async () => {
+    const { upload } = await uploadPhoto(await createCameraJpeg(), 'porch.jpg');
+    const downloadUrl = `/api/files/photos/${upload.filePath}/download`;
+
+    const res = await request(app).get(`${downloadUrl}?variant=thumbnail`).set(MASTER).expect(200);
+    expect(res.headers['content-type']).toBe('image/jpeg');
+
+    for (const variant of ['constructor', '__proto__', 'toString']) {
+      const missing = await request(app).get(`${downloadUrl}?variant=${variant}`).set(MASTER).expect(404);
+      expect(missing.body.variants.sort()).toEqual(['large', 'medium', 'thumbnail', 'webp']);
+    }
+  });
+});
@@ -0,0 +1,121 @@
+// Short enough for a lease to be renewed while a test waits
+process.env.JOB_LEASE_SECONDS = '1';
+
+const { collection } = require('../src/db');
+const { registerJobHandler, enqueueJob, getJob, runDueJobs, resumeJobs } = require('../src/services/jobs');
+
+const jobs = collection('jobs');
+
+const handler = jest.fn(async payload => ({ echoed: payload.value }));
+registerJobHandler('test-echo', handler);
+
+beforeEach(() => {
+  handler.mockClear();
+});
+
+/**
+ * Wait until a job has finished
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} Finished job
+ */
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await getJob(id);
+    if (job.status === 'succeeded' || job.status === 'failed') {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error(`Job ${id} did not finish`);
+}
+
+/**
+ * Store a queued job directly, as an earlier run of the server would have left it
+ * @param {Object} fields - Fields to override
+ * @returns {Promise<Object>} Job
+ */
+function storeJob(fields) {
+  const now = new Date().toISOString();
+
+  return jobs.insert({
+    id: `job-${Math.random().toString(36).slice(2)}`,
+    type: 'test-echo',
+    status: 'queued',
+    venue: null,
+    bucket: null,
+    fileId: null,
+    payload: { value: 1 },
+    result: null,
+    error: null,
+    attempts: 0,
+    maxAttempts: 3,
+    runAt: now,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    ...fields
+  });
+}
+
+describe('background jobs', () => {
+  test('are claimed once, however many runs look for them at the same time', async () => {
+    const job = await enqueueJob('test-echo', { value: 42 });
+
+    await Promise.all([runDueJobs(), runDueJobs(), runDueJobs()]);
+    const finished = await waitForJob(job.id);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(finished).toMatchObject({ status: 'succeeded', attempts: 1, result: { echoed: 42 } });
+  });
+
+  test('are not started while another process holds them', async () => {
+    const job = await storeJob({ status: 'running', attempts: 1, lockedUntil: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    await runDueJobs();
+    expect(await resumeJobs()).toBe(0);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(await getJob(job.id)).toMatchObject({ status: 'running', attempts: 1 });
+  });
+
+  test('are queued again once the lease of the process running them has run out', async () => {
+    const expired = await storeJob({ status: 'running', attempts: 1, lockedUntil: new Date(Date.now() - 1000).toISOString() });
+    const unleased = await storeJob({ status: 'running', attempts: 1 });
+
+    expect(await resumeJobs()).toBe(2);
+
+    expect(await waitForJob(expired.id)).toMatchObject({ status: 'succeeded', attempts: 2, lockedUntil: null });
+    expect(await waitForJob(unleased.id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+  });
+
+  test('keep their lease while they run', async () => {
+    let finish;
+    registerJobHandler('test-wait', () => new Promise(resolve => {
+      finish = resolve;
+    }));
+    const job = await enqueueJob('test-wait', {});
+
+    await runDueJobs();
+    const { lockedUntil } = await getJob(job.id);
+    await new Promise(resolve => setTimeout(resolve, 1200));
+
+    expect(await resumeJobs()).toBe(0);
+    const running = await getJob(job.id);
+    expect(running.status).toBe('running');
+    expect(running.lockedUntil > lockedUntil).toBe(true);
+
+    finish();
+    expect(await waitForJob(job.id)).toMatchObject({ status: 'succeeded', attempts: 1, lockedUntil: null });
+  });
+
+  test('scheduled for a retry before a restart are started once due', async () => {
+    const due = await storeJob({ attempts: 1, runAt: new Date(Date.now() - 1000).toISOString() });
+    const later = await storeJob({ attempts: 1, runAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+
+    await runDueJobs();
+
+    expect(await waitForJob(due.id)).toMatchObject({ status: 'succeeded', attempts: 2 });
+    expect(await getJob(later.id)).toMatchObject({ status: 'queued', attempts: 1 });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const { collection } = require('../src/db/localDriver');
+
+describe('local database driver', () => {
+  const things = collection('things');
+
+  beforeAll(async () => {
+    await things.insert({ id: 'a', name: 'Rose Hall', count: 1, active: true, archivedAt: null });
+    await things.insert({ id: 'b', name: 'Elm Court', count: '1', active: false });
+    await things.insert({ id: 'c', name: 'Rose Hall', count: 2, active: true, archivedAt: '2026-01-01' });
+  });
+
+  test('rejects duplicate ids', async () => {
+    await expect(things.insert({ id: 'a' })).rejects.toThrow('Duplicate id "a" in things');
+  });
+
+  test('finds records by strict equality', async () => {
+    const ids = async filter => (await things.find(filter)).map(record => record.id);
+
+    expect(await ids({})).toEqual(['a', 'b', 'c']);
+    expect(await ids({ name: 'Rose Hall' })).toEqual(['a', 'c']);
+    expect(await ids({ count: 1 })).toEqual(['a']);
+    expect(await ids({ count: '1' })).toEqual(['b']);
+    expect(await ids({ active: false })).toEqual(['b']);
+    expect(await ids({ archivedAt: null })).toEqual(['a']);
+    expect(await ids({ name: 'Rose Hall', count: 2 })).toEqual(['c']);
+  });
+
+  test('merges updates into the stored record', async () => {
+    expect(await things.update('b', { count: 5 })).toEqual({ id: 'b', name: 'Elm Court', count: 5, active: false });
+    expect(await things.get('b')).toMatchObject({ count: 5 });
+    expect(await things.update('missing', { count: 5 })).toBeNull();
+  });
+
+  test('applies conditional updates only while the record matches', async () => {
+    expect(await things.updateIf('c', { count: 2 }, { count: 3 })).toMatchObject({ count: 3 });
+    expect(await things.updateIf('c', { count: 2 }, { count: 4 })).toBeNull();
+    expect(await things.get('c')).toMatchObject({ count: 3 });
+  });
+
+  test('removes records', async () => {
+    await things.insert({ id: 'd' });
+
+    expect(await things.remove('d')).toBe(true);
+    expect(await things.remove('d')).toBe(false);
+    expect(await things.get('d')).toBeNull();
+  });
+
+  test('searches the text field with a full-text index kept in step with writes', async () => {
+    const notes = collection('notes', { textField: 'text' });
+    const ids = async (terms, filter) => (await notes.search(terms, filter)).map(record => record.id);
+
+    await notes.insert({ id: 'n1', kind: 'menu', text: 'Champagne toast and three-course dinner' });
+    await notes.insert({ id: 'n2', kind: 'pricing', text: 'Dinner from £45' });
+
+    expect(await ids(['dinner'])).toEqual(['n1', 'n2']);
+    expect(await ids(['dinner'], { kind: 'pricing' })).toEqual(['n2']);
+    expect(await ids(['three course', 'champagne'])).toEqual(['n1']);
+    expect(await ids(['say "cheese"'])).toEqual([]);
+
+    await notes.update('n1', { text: 'Buffet lunch' });
+    await notes.remove('n2');
+    expect(await ids(['dinner'])).toEqual([]);
+    expect(await ids(['lunch'])).toEqual(['n1']);
+  });
+
+  test('indexes records written before the collection was searchable', async () => {
+    await collection('plain').insert({ id: 'p1', text: 'Garden ceremony' });
+
+    // A collection is cached per name, so reopen the table through a fresh module
+    let searchable;
+    jest.isolateModules(() => {
+      searchable = require('../src/db/localDriver').collection('plain', { textField: 'text' });
+    });
+
+    expect((await searchable.search(['garden'])).map(record => record.id)).toEqual(['p1']);
+  });
+
+  test('imports collections stored as JSON files', async () => {
+    const file = path.join(process.env.DATA_DIR, 'legacy.json');
+    fs.writeFileSync(file, JSON.stringify([{ id: 'old', name: 'Kept' }]));
+
+    expect(await collection('legacy').get('old')).toEqual({ id: 'old', name: 'Kept' });
+    expect(fs.existsSync(file)).toBe(false);
+    expect(fs.existsSync(`${file}.imported`)).toBe(true);
+  });
+});
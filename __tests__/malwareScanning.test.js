@@ -0,0 +1,51 @@
+// Flag the EICAR test file as infected
+process.env.SCANNER_DRIVER = 'test';
+
+const fs = require('fs');
+const path = require('path');
+const { app, request, MASTER, setupStorage, uploadFiles } = require('./helpers');
+
+beforeAll(setupStorage);
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Upload a single menu
+ * @param {string} content - File contents
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadMenu(content) {
+  const [upload] = await uploadFiles('menus', {
+    venueName: 'Rose Hall',
+    files: [{ content, filename: 'menu.txt', contentType: 'text/plain' }]
+  });
+
+  return upload;
+}
+
+describe('malware scanning', () => {
+  test('stores clean files with their verdict', async () => {
+    const upload = await uploadMenu('Three course dinner');
+
+    expect(upload.success).toBe(true);
+    expect(upload.scan).toMatchObject({ status: 'clean', scanner: 'test' });
+  });
+
+  test('quarantines infected files instead of storing them', async () => {
+    const upload = await uploadMenu(EICAR);
+
+    expect(upload).toMatchObject({
+      success: false,
+      error: 'File failed malware scan',
+      quarantined: true,
+      scan: { status: 'infected', signature: 'Eicar-Test-Signature' }
+    });
+
+    const quarantine = path.join(process.env.LOCAL_STORAGE_PATH, 'quarantine', 'menus', 'rose-hall');
+    expect(fs.readdirSync(quarantine)).toHaveLength(1);
+
+    // Only the clean menu was stored
+    const res = await request(app).get('/api/venues/rose-hall/files').set(MASTER).expect(200);
+    expect(res.body.files.menus).toHaveLength(1);
+  });
+});
@@ -0,0 +1,70 @@
+const { app, request, MASTER, setupStorage, waitForJobs } = require('./helpers');
+const { collection } = require('../src/db');
+
+const pricing = collection('venue_pricing');
+
+beforeAll(setupStorage);
+
+/**
+ * Register a venue
+ * @param {string} name - Venue name
+ * @returns {Promise<Object>} Venue
+ */
+async function createVenue(name) {
+  const res = await request(app).post('/api/venues').set(MASTER).send({ name }).expect(201);
+  return res.body.venue;
+}
+
+/**
+ * Get the prices of a venue
+ * @param {string} slug - Venue slug
+ * @returns {Promise<Object>} Pricing entry
+ */
+async function getPricing(slug) {
+  const res = await request(app).get(`/api/venues/${slug}/pricing`).set(MASTER).expect(200);
+  return res.body.pricing;
+}
+
+describe('GET /api/venues/:venueName/pricing', () => {
+  test('answers concurrent first reads without storing anything', async () => {
+    const venue = await createVenue('Rose Hall');
+
+    const responses = await Promise.all([1, 2, 3].map(() => request(app).get('/api/venues/rose-hall/pricing').set(MASTER)));
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 200]);
+    expect(responses[0].body.pricing).toMatchObject({ items: [], sources: [], corrected: false });
+    expect(await pricing.get(venue.id)).toBeNull();
+  });
+
+  test('stores the prices parsed once the text of a pricing document is extracted', async () => {
+    const venue = await createVenue('Elm Court');
+
+    const res = await request(app)
+      .post('/api/upload/pricing')
+      .set(MASTER)
+      .field('venueName', 'Elm Court')
+      .attach('files', Buffer.from('Evening reception\n£45 per person'), { filename: 'prices.txt', contentType: 'text/plain' })
+      .expect(200);
+    await waitForJobs(res.body.uploads[0].jobs);
+
+    const stored = await pricing.get(venue.id);
+    expect(stored.items).toEqual([expect.objectContaining({ amount: 45, currency: 'GBP', basis: 'per-person' })]);
+
+    const entry = await getPricing('elm-court');
+    expect(entry.items).toEqual(stored.items);
+    expect(entry.parsed.parsedAt).toBe(stored.parsedAt);
+  });
+
+  test('keeps corrections made before anything was stored', async () => {
+    await createVenue('Oak Barn');
+
+    await request(app)
+      .put('/api/venues/oak-barn/pricing')
+      .set(MASTER)
+      .send({ items: [{ name: 'Hire', amount: 2000, currency: 'GBP', basis: 'flat' }] })
+      .expect(200);
+
+    const entry = await getPricing('oak-barn');
+    expect(entry).toMatchObject({ corrected: true, items: [expect.objectContaining({ name: 'Hire', amount: 2000 })] });
+  });
+});
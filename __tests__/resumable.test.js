@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { app, request, MASTER, setupStorage, createPng, waitForJobs } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Start a resumable upload with the master token
+ * @param {Object} fields - Request body
+ * @returns {Promise<Object>} Upload status
+ */
+async function startUpload(fields) {
+  const res = await request(app)
+    .post('/api/upload/resumable')
+    .set(MASTER)
+    .send({ venueName: 'Rose Hall', fileName: 'garden.png', mimeType: 'image/png', ...fields })
+    .expect(201);
+
+  return res.body.upload;
+}
+
+/**
+ * Send a chunk of a resumable upload
+ * @param {string} id - Upload id
+ * @param {number} offset - Offset of the chunk
+ * @param {Buffer} chunk - Chunk
+ * @returns {Object} Pending supertest request
+ */
+function sendChunk(id, offset, chunk) {
+  return request(app)
+    .patch(`/api/upload/resumable/${id}`)
+    .set(MASTER)
+    .set('Upload-Offset', String(offset))
+    .set('Content-Type', 'application/offset+octet-stream')
+    .send(chunk);
+}
+
+describe('resumable uploads', () => {
+  test('assemble chunks and store the verified file', async () => {
+    const png = await createPng();
+    const checksum = crypto.createHash('sha256').update(png).digest('hex');
+    const upload = await startUpload({ size: png.length, checksum });
+
+    const half = Math.floor(png.length / 2);
+    await sendChunk(upload.id, 0, png.subarray(0, half)).expect(200);
+
+    // The offset to resume from is reported after an interruption
+    const status = await request(app).get(`/api/upload/resumable/${upload.id}`).set(MASTER).expect(200);
+    expect(status.headers['upload-offset']).toBe(String(half));
+
+    const last = await sendChunk(upload.id, half, png.subarray(half)).expect(200);
+    expect(last.body.complete).toBe(true);
+
+    const res = await request(app).post(`/api/upload/resumable/${upload.id}/complete`).set(MASTER).expect(200);
+    expect(res.body.uploads[0]).toMatchObject({ success: true, originalName: 'garden.png', checksum });
+    await waitForJobs(res.body.uploads[0].jobs);
+  });
+
+  test('reject chunks at the wrong offset', async () => {
+    const upload = await startUpload({ size: 100 });
+
+    const res = await sendChunk(upload.id, 10, Buffer.alloc(10)).expect(409);
+    expect(res.headers['upload-offset']).toBe('0');
+  });
+
+  test('reject a checksum mismatch', async () => {
+    const png = await createPng();
+    const upload = await startUpload({ size: png.length, checksum: 'a'.repeat(64) });
+
+    await sendChunk(upload.id, 0, png).expect(200);
+    await request(app).post(`/api/upload/resumable/${upload.id}/complete`).set(MASTER).expect(422);
+  });
+
+  test('match bucket names case-insensitively', async () => {
+    const upload = await startUpload({ bucket: 'PHOTOS', size: 100 });
+    expect(upload.bucket).toBe('photos');
+
+    const res = await request(app)
+      .post('/api/upload/resumable')
+      .set(MASTER)
+      .send({ venueName: 'Rose Hall', bucket: 'Menus', fileName: 'menu.txt', mimeType: 'image/gif', size: 10 })
+      .expect(400);
+    expect(res.body.error).toBe('Invalid file type');
+
+    await request(app)
+      .post('/api/upload/resumable')
+      .set(MASTER)
+      .send({ venueName: 'Rose Hall', bucket: 'videos', fileName: 'film.mp4', mimeType: 'video/mp4', size: 10 })
+      .expect(400);
+  });
+
+  test('are not limited by the global rate limit', async () => {
+    const png = await createPng({ color: '#8e44ad' });
+    const checksum = crypto.createHash('sha256').update(png).digest('hex');
+    const upload = await startUpload({ size: png.length, checksum });
+
+    // More chunks than the global limit allows requests in its window
+    const chunkSize = Math.floor(png.length / 120);
+    for (let offset = 0; offset < png.length; offset += chunkSize) {
+      await sendChunk(upload.id, offset, png.subarray(offset, offset + chunkSize)).expect(200);
+    }
+
+    const res = await request(app).post(`/api/upload/resumable/${upload.id}/complete`).set(MASTER).expect(200);
+    await waitForJobs(res.body.uploads[0].jobs);
+
+    // Other endpoints keep their limit
+    const health = await request(app).get('/api/upload/status').set(MASTER);
+    expect(health.status).not.toBe(429);
+  });
+});
@@ -0,0 +1,67 @@
+const { app, request, MASTER, setupStorage, createKey, uploadFiles } = require('./helpers');
+
+beforeAll(async () => {
+  await setupStorage();
+
+  await uploadMenu('Rose Hall', 'Three-course dinner with champagne toast. Champagne on arrival.');
+  await uploadMenu('Elm Court', 'Buffet dinner, champagne extra. <b>Late</b> bar');
+  await uploadMenu('Elm Court', 'Canapés and a dessert table');
+});
+
+/**
+ * Upload a text menu and wait for its text to be indexed
+ * @param {string} venueName - Venue name
+ * @param {string} content - Menu text
+ */
+async function uploadMenu(venueName, content) {
+  await uploadFiles('menus', {
+    venueName,
+    files: [{ content, filename: 'menu.txt', contentType: 'text/plain' }]
+  });
+}
+
+/**
+ * Search with the master token
+ * @param {string} q - Search query
+ * @returns {Promise<Object>} Response body
+ */
+async function search(q) {
+  const res = await request(app).get('/api/search').query({ q }).set(MASTER).expect(200);
+  return res.body;
+}
+
+describe('GET /api/search', () => {
+  test('returns files containing every term, most occurrences first', async () => {
+    const body = await search('champagne dinner');
+
+    expect(body.terms).toEqual(['champagne', 'dinner']);
+    expect(body.results.map(result => [result.venueSlug, result.score])).toEqual([
+      ['rose-hall', 3],
+      ['elm-court', 2]
+    ]);
+    expect(body.results[0].snippet).toContain('<mark>champagne</mark>');
+  });
+
+  test('matches whole words and quoted phrases across punctuation', async () => {
+    expect((await search('champ')).total).toBe(0);
+    expect((await search('"three course"')).results.map(result => result.venueSlug)).toEqual(['rose-hall']);
+    expect((await search('"course three"')).total).toBe(0);
+  });
+
+  test('escapes the indexed text in snippets', async () => {
+    const body = await search('late');
+
+    expect(body.results[0].snippet).toContain('&lt;b&gt;<mark>Late</mark>&lt;/b&gt;');
+  });
+
+  test('only returns files of venues the credential can access', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'], venues: ['elm-court'] });
+
+    const res = await request(app).get('/api/search').query({ q: 'champagne' }).set(headers).expect(200);
+    expect(res.body.results.map(result => result.venueSlug)).toEqual(['elm-court']);
+  });
+
+  test('ignores terms without letters or digits', async () => {
+    expect((await search('dessert &&')).terms).toEqual(['dessert']);
+  });
+});
@@ -0,0 +1,18 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file gets its own local storage and database, so files can run in parallel
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'wedding-venue-test-'));
+
+process.env.ACCESS_TOKEN = 'test-master-token';
+process.env.STORAGE_DRIVER = 'local';
+process.env.DB_DRIVER = 'local';
+process.env.SCANNER_DRIVER = 'none';
+process.env.LOCAL_STORAGE_PATH = path.join(root, 'storage');
+process.env.DATA_DIR = path.join(root, 'db');
+process.env.RESUMABLE_UPLOAD_DIR = path.join(root, 'resumable');
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
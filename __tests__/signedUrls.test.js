@@ -0,0 +1,96 @@
+// Short enough to tell apart from the default of an hour
+process.env.SIGNED_URL_TTL = '120';
+
+const { app, request, MASTER, setupStorage, createKey, uploadFiles } = require('./helpers');
+
+let pricing;
+
+beforeAll(async () => {
+  await setupStorage();
+
+  [pricing] = await uploadFiles('pricing', {
+    venueName: 'Meadow Hall',
+    files: [{ content: 'Ceremony fee 500', filename: 'Prices 2027.txt', contentType: 'text/plain' }]
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Turn a storage URL into the path and query the app serves it at
+ * @param {string} url - Absolute URL
+ * @returns {string} Path with query
+ */
+function localPath(url) {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+}
+
+describe('private buckets', () => {
+  test('hand out signed URLs that expire after the configured time', async () => {
+    const url = new URL(pricing.url);
+    const expires = Number(url.searchParams.get('expires'));
+
+    expect(url.searchParams.get('signature')).toBeTruthy();
+    expect(expires - Date.now() / 1000).toBeGreaterThan(110);
+    expect(expires - Date.now() / 1000).toBeLessThanOrEqual(120);
+
+    const served = await request(app).get(localPath(pricing.url)).expect(200);
+    expect(served.text).toBe('Ceremony fee 500');
+  });
+
+  test('sign the URLs of the venue file listing', async () => {
+    const res = await request(app).get('/api/venues/meadow-hall/files').set(MASTER).expect(200);
+
+    const url = new URL(res.body.files.pricing[0].url);
+    expect(url.searchParams.get('signature')).toBeTruthy();
+  });
+
+  test('do not serve files without a valid signature', async () => {
+    const { pathname } = new URL(pricing.url);
+
+    const unsigned = await request(app).get(pathname).expect(403);
+    expect(unsigned.body.error).toBe('Private bucket');
+
+    const tampered = pricing.url.replace(/signature=[0-9a-f]/, match => match.endsWith('0') ? 'signature=1' : 'signature=0');
+    await request(app).get(localPath(tampered)).expect(403);
+  });
+
+  test('do not serve files once the URL has expired', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 121 * 1000);
+
+    const res = await request(app).get(localPath(pricing.url)).expect(403);
+    expect(res.body.error).toBe('Invalid signature');
+  });
+});
+
+describe('public buckets', () => {
+  test('hand out unsigned URLs', async () => {
+    const [upload] = await uploadFiles('menus', {
+      venueName: 'Meadow Hall',
+      files: [{ content: 'Canapés', filename: 'menu.txt', contentType: 'text/plain' }]
+    });
+
+    expect(new URL(upload.url).search).toBe('');
+    await request(app).get(new URL(upload.url).pathname).expect(200);
+  });
+});
+
+describe('GET /api/files/:bucket/<path>/download', () => {
+  test('serves private files under their original name', async () => {
+    const res = await request(app).get(`/api/files/pricing/${pricing.filePath}/download`).set(MASTER).expect(200);
+
+    expect(res.text).toBe('Ceremony fee 500');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Prices 2027.txt"');
+    expect(res.headers['cache-control']).toBe('private, no-store');
+  });
+
+  test('requires access to the venue of the file', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'], venues: ['other-hall'] });
+
+    await request(app).get(`/api/files/pricing/${pricing.filePath}/download`).set(headers).expect(403);
+  });
+});
@@ -0,0 +1,78 @@
+const sharp = require('sharp');
+const { app, request, MASTER, setupStorage, uploadFiles } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Encode a photo of grey blocks in a pattern picked by a seed
+ * @param {number} seed - Pattern seed
+ * @param {Object} options - { width, height, format }
+ * @returns {Promise<Buffer>} Encoded photo
+ */
+function createPatternPhoto(seed, { width = 180, height = 160, format = 'png' } = {}) {
+  const blocks = Buffer.alloc(9 * 8);
+  let state = seed;
+  for (let i = 0; i < blocks.length; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    blocks[i] = state % 256;
+  }
+
+  return sharp(blocks, { raw: { width: 9, height: 8, channels: 1 } })
+    .resize(width, height, { kernel: 'nearest' })
+    .toFormat(format)
+    .toBuffer();
+}
+
+/**
+ * Upload a photo for a venue
+ * @param {string} venueName - Venue name
+ * @param {Buffer} photo - Photo
+ * @param {string} filename - Original file name
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadPhoto(venueName, photo, filename) {
+  const [upload] = await uploadFiles('photos', {
+    venueName,
+    files: [{ content: photo, filename, contentType: filename.endsWith('.jpg') ? 'image/jpeg' : 'image/png' }]
+  });
+
+  return upload;
+}
+
+describe('similar photos', () => {
+  test('are flagged in the upload result', async () => {
+    const original = await uploadPhoto('Clover Barn', await createPatternPhoto(7), 'hall.png');
+    await uploadPhoto('Clover Barn', await createPatternPhoto(99), 'garden.png');
+
+    const copy = await uploadPhoto(
+      'Clover Barn',
+      await createPatternPhoto(7, { width: 90, height: 80, format: 'jpeg' }),
+      'hall-small.jpg'
+    );
+
+    expect(copy.duplicateOf).toBeUndefined();
+    expect(copy.similarTo.map(match => match.id)).toEqual([original.id]);
+    expect(copy.similarTo[0].distance).toBeLessThanOrEqual(10);
+  });
+
+  test('are grouped into clusters for review', async () => {
+    const first = await uploadPhoto('Sorrel Barn', await createPatternPhoto(11), 'hall.png');
+    const second = await uploadPhoto('Sorrel Barn', await createPatternPhoto(11, { width: 90, height: 80 }), 'hall-small.png');
+    await uploadPhoto('Sorrel Barn', await createPatternPhoto(42), 'garden.png');
+
+    const res = await request(app).get('/api/venues/sorrel-barn/similar').set(MASTER).expect(200);
+
+    expect(res.body.count).toBe(1);
+    expect(res.body.clusters[0].count).toBe(2);
+    expect(res.body.clusters[0].files.map(file => file.path)).toEqual([first.filePath, second.filePath]);
+
+    const loose = await request(app).get('/api/venues/sorrel-barn/similar?threshold=64').set(MASTER).expect(200);
+    expect(loose.body.clusters[0].count).toBe(3);
+  });
+
+  test('rejects thresholds outside the hash size', async () => {
+    await uploadPhoto('Thyme Barn', await createPatternPhoto(5), 'hall.png');
+
+    await request(app).get('/api/venues/thyme-barn/similar?threshold=65').set(MASTER).expect(400);
+  });
+});
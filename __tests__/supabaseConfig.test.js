@@ -0,0 +1,64 @@
+/**
+ * Load a fresh copy of the Supabase config with the given environment
+ * @param {Object} env - Environment variables to set
+ * @returns {Object} Config module
+ */
+function loadConfig(env) {
+  Object.assign(process.env, env);
+
+  let config;
+  jest.isolateModules(() => {
+    config = require('../src/config/supabase');
+  });
+  return config;
+}
+
+/**
+ * Build an unsigned JWT with a role claim
+ * @param {string} role - Supabase role
+ * @returns {string} JWT
+ */
+function jwtWithRole(role) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'HS256' })}.${encode({ role })}.signature`;
+}
+
+afterEach(() => {
+  delete process.env.SUPABASE_URL;
+  delete process.env.SUPABASE_SERVICE_ROLE_KEY;
+});
+
+describe('getSupabaseClient', () => {
+  test('requires the Supabase environment variables', () => {
+    const { getSupabaseClient } = loadConfig({});
+
+    expect(() => getSupabaseClient()).toThrow('Missing required Supabase environment variables');
+  });
+
+  test('refuses the public anon key', () => {
+    const { getSupabaseClient } = loadConfig({
+      SUPABASE_URL: 'https://example.supabase.co',
+      SUPABASE_SERVICE_ROLE_KEY: jwtWithRole('anon')
+    });
+
+    expect(() => getSupabaseClient()).toThrow(/anon key/);
+  });
+
+  test('refuses publishable keys', () => {
+    const { getSupabaseClient } = loadConfig({
+      SUPABASE_URL: 'https://example.supabase.co',
+      SUPABASE_SERVICE_ROLE_KEY: 'sb_publishable_abc'
+    });
+
+    expect(() => getSupabaseClient()).toThrow(/anon key/);
+  });
+
+  test('creates a client with the service role key', () => {
+    const { getSupabaseClient } = loadConfig({
+      SUPABASE_URL: 'https://example.supabase.co',
+      SUPABASE_SERVICE_ROLE_KEY: jwtWithRole('service_role')
+    });
+
+    expect(getSupabaseClient().storage).toBeDefined();
+  });
+});
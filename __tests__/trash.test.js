@@ -0,0 +1,119 @@
+const { app, request, MASTER, setupStorage, createPng, uploadFiles } = require('./helpers');
+const { BUCKETS } = require('../src/config/supabase');
+const { storage } = require('../src/storage');
+
+beforeAll(setupStorage);
+
+/**
+ * Upload a photo for a venue and move it to the trash
+ * @param {string} venueName - Venue name
+ * @param {string} filename - Original file name
+ * @returns {Promise<Object>} { upload, trashEntry }
+ */
+async function trashPhoto(venueName, filename) {
+  const [upload] = await uploadFiles('photos', {
+    venueName,
+    files: [{ content: await createPng({ color: '#27ae60' }), filename, contentType: 'image/png' }]
+  });
+
+  const deleted = await request(app)
+    .delete(`/api/venues/${upload.filePath.split('/')[0]}/files/photos/${upload.fileName}`)
+    .set(MASTER)
+    .expect(200);
+
+  return { upload, trashEntry: deleted.body.trash };
+}
+
+/**
+ * List the trash of a venue
+ * @param {string} venue - Venue slug
+ * @returns {Promise<Object[]>} Trash entries
+ */
+async function listTrash(venue) {
+  const res = await request(app).get(`/api/venues/${venue}/trash`).set(MASTER).expect(200);
+  return res.body.trash;
+}
+
+describe('POST /api/venues/:venueName/trash/:trashId/restore', () => {
+  test('puts the file and its variants back where they were', async () => {
+    const { upload, trashEntry } = await trashPhoto('Holly Farm', 'farm.png');
+    expect(trashEntry.variants.length).toBeGreaterThan(0);
+
+    const res = await request(app)
+      .post(`/api/venues/holly-farm/trash/${trashEntry.id}/restore`)
+      .set(MASTER)
+      .expect(200);
+
+    expect(res.body.restoredFile).toMatchObject({ id: upload.id, path: upload.filePath });
+    expect(await listTrash('holly-farm')).toEqual([]);
+
+    const files = await request(app).get('/api/venues/holly-farm/files').set(MASTER).expect(200);
+    expect(files.body.files.photos.map(file => file.path)).toEqual([upload.filePath]);
+
+    for (const variant of trashEntry.variants) {
+      await request(app)
+        .get(`/api/files/photos/${upload.filePath}/download?variant=${variant}`)
+        .set(MASTER)
+        .expect(200);
+    }
+  });
+
+  test('refuses to overwrite a file that took its place', async () => {
+    const { upload, trashEntry } = await trashPhoto('Ivy Farm', 'farm.png');
+    await storage.upload(BUCKETS.PHOTOS, upload.filePath, Buffer.from('other'), {
+      contentType: 'image/png'
+    });
+
+    const res = await request(app)
+      .post(`/api/venues/ivy-farm/trash/${trashEntry.id}/restore`)
+      .set(MASTER)
+      .expect(409);
+
+    expect(res.body.error).toBe('Restore conflict');
+    expect(await listTrash('ivy-farm')).toHaveLength(1);
+  });
+
+  test('only restores files from the trash of the venue', async () => {
+    const { trashEntry } = await trashPhoto('Yew Farm', 'farm.png');
+    await trashPhoto('Fir Farm', 'farm.png');
+
+    await request(app)
+      .post(`/api/venues/fir-farm/trash/${trashEntry.id}/restore`)
+      .set(MASTER)
+      .expect(404);
+  });
+});
+
+describe('DELETE /api/venues/:venueName/trash/:trashId', () => {
+  test('permanently deletes the file', async () => {
+    const { upload, trashEntry } = await trashPhoto('Lime Farm', 'farm.png');
+
+    const res = await request(app)
+      .delete(`/api/venues/lime-farm/trash/${trashEntry.id}`)
+      .set(MASTER)
+      .expect(200);
+
+    expect(res.body.purged.map(entry => entry.id)).toEqual([trashEntry.id]);
+    expect(await listTrash('lime-farm')).toEqual([]);
+
+    await request(app)
+      .post(`/api/venues/lime-farm/trash/${trashEntry.id}/restore`)
+      .set(MASTER)
+      .expect(404);
+    await request(app).get(`/api/files/photos/${upload.filePath}/download`).set(MASTER).expect(404);
+  });
+});
+
+describe('DELETE /api/venues/:venueName/trash', () => {
+  test('empties the trash of the venue only', async () => {
+    await trashPhoto('Palm Farm', 'first.png');
+    await trashPhoto('Palm Farm', 'second.png');
+    await trashPhoto('Teak Farm', 'other.png');
+
+    const res = await request(app).delete('/api/venues/palm-farm/trash').set(MASTER).expect(200);
+
+    expect(res.body.purged.map(entry => entry.originalName).sort()).toEqual(['first.png', 'second.png']);
+    expect(await listTrash('palm-farm')).toEqual([]);
+    expect(await listTrash('teak-farm')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,85 @@
+const { app, request, MASTER, setupStorage, createPng, waitForJobs } = require('./helpers');
+
+beforeAll(setupStorage);
+
+describe('POST /api/upload/photos', () => {
+  test('stores photos in the venue folder', async () => {
+    const res = await request(app)
+      .post('/api/upload/photos')
+      .set(MASTER)
+      .field('venueName', 'Rose Hall')
+      .attach('files', await createPng(), { filename: 'garden.png', contentType: 'image/png' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ success: true, bucket: 'photos', venue: 'Rose Hall' });
+    expect(res.body.uploads).toHaveLength(1);
+
+    const [upload] = res.body.uploads;
+    expect(upload).toMatchObject({ success: true, originalName: 'garden.png' });
+    expect(upload.filePath).toMatch(/^rose-hall\/rose-hall_.*\.png$/);
+    await waitForJobs(upload.jobs);
+
+    // Public files are served by the local storage driver
+    const served = await request(app).get(new URL(upload.url).pathname).expect(200);
+    expect(served.headers['content-type']).toBe('image/png');
+  });
+
+  test('rejects other file types', async () => {
+    const res = await request(app)
+      .post('/api/upload/photos')
+      .set(MASTER)
+      .field('venueName', 'Rose Hall')
+      .attach('files', Buffer.from('just text'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .expect(400);
+
+    expect(res.body.success).toBe(false);
+  });
+
+  test('requires a venue name', async () => {
+    const res = await request(app)
+      .post('/api/upload/photos')
+      .set(MASTER)
+      .attach('files', await createPng(), { filename: 'garden.png', contentType: 'image/png' })
+      .expect(400);
+
+    expect(res.body.success).toBe(false);
+  });
+
+  test('requires files', async () => {
+    await request(app)
+      .post('/api/upload/photos')
+      .set(MASTER)
+      .field('venueName', 'Rose Hall')
+      .expect(400);
+  });
+});
+
+describe('POST /api/upload/menus', () => {
+  test('stores documents', async () => {
+    const res = await request(app)
+      .post('/api/upload/menus')
+      .set(MASTER)
+      .field('venueName', 'Rose Hall')
+      .attach('files', Buffer.from('Three course dinner'), { filename: 'dinner.txt', contentType: 'text/plain' })
+      .expect(200);
+
+    expect(res.body.bucket).toBe('menus');
+    expect(res.body.uploads[0]).toMatchObject({ success: true, originalName: 'dinner.txt' });
+    await waitForJobs(res.body.uploads[0].jobs);
+  });
+});
+
+describe('POST /api/upload/pricing', () => {
+  test('stores documents', async () => {
+    const res = await request(app)
+      .post('/api/upload/pricing')
+      .set(MASTER)
+      .field('venueName', 'Rose Hall')
+      .attach('files', Buffer.from('Dinner package $95 per person'), { filename: 'prices.txt', contentType: 'text/plain' })
+      .expect(200);
+
+    expect(res.body.bucket).toBe('pricing');
+    expect(res.body.uploads[0]).toMatchObject({ success: true, originalName: 'prices.txt' });
+    await waitForJobs(res.body.uploads[0].jobs);
+  });
+});
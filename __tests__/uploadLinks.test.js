@@ -0,0 +1,147 @@
+const { app, request, MASTER, auth, setupStorage, createPng, waitForJobs } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Mint an upload link with the master token
+ * @param {Object} fields - Request body
+ * @returns {Promise<Object>} { link, headers }
+ */
+async function createLink(fields) {
+  const res = await request(app)
+    .post('/api/upload-links')
+    .set(MASTER)
+    .send({ venueName: 'Rose Hall', ...fields })
+    .expect(201);
+
+  return { link: res.body.link, headers: auth(res.body.token) };
+}
+
+/**
+ * Get the stored state of an upload link
+ * @param {string} id - Link id
+ * @returns {Promise<Object>} Link
+ */
+async function getLink(id) {
+  const res = await request(app).get('/api/upload-links').set(MASTER).expect(200);
+  return res.body.links.find(link => link.id === id);
+}
+
+/**
+ * Upload a photo with a link
+ * @param {Object} headers - Authorization headers of the link
+ * @param {Buffer} png - Photo
+ * @param {Object} fields - Extra form fields
+ * @returns {Promise<Object>} Response
+ */
+async function uploadWithLink(headers, png, fields = {}) {
+  const req = request(app).post('/api/upload/photos').set(headers).field('venueName', 'Rose Hall');
+
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, value);
+  }
+
+  const res = await req.attach('files', png, { filename: 'photo.png', contentType: 'image/png' });
+  if (res.status === 200) {
+    await waitForJobs(res.body.uploads.flatMap(upload => upload.jobs || []));
+  }
+  return res;
+}
+
+describe('upload links', () => {
+  test('upload to their venue and bucket only', async () => {
+    const { headers } = await createLink({ bucket: 'photos' });
+
+    const res = await uploadWithLink(headers, await createPng());
+    expect(res.status).toBe(200);
+
+    await request(app)
+      .post('/api/upload/menus')
+      .set(headers)
+      .field('venueName', 'Rose Hall')
+      .attach('files', Buffer.from('menu'), { filename: 'menu.txt', contentType: 'text/plain' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/upload/photos')
+      .set(headers)
+      .field('venueName', 'Oak Barn')
+      .attach('files', await createPng(), { filename: 'oak.png', contentType: 'image/png' })
+      .expect(403);
+  });
+
+  test('count the size of files as received', async () => {
+    const { link, headers } = await createLink({ bucket: 'photos' });
+    const png = await createPng({ width: 120, height: 90 });
+
+    await uploadWithLink(headers, png);
+
+    const used = await getLink(link.id);
+    expect(used.filesUsed).toBe(1);
+    expect(used.bytesUsed).toBe(png.length);
+  });
+
+  test('never exceed their file quota with concurrent uploads', async () => {
+    const { link, headers } = await createLink({ bucket: 'photos', maxFiles: 2 });
+    const colors = ['#111111', '#222222', '#333333', '#444444'];
+    const pngs = await Promise.all(colors.map(color => createPng({ color })));
+
+    const responses = await Promise.all(pngs.map(png => uploadWithLink(headers, png)));
+    const statuses = responses.map(res => res.status).sort();
+
+    expect(statuses).toEqual([200, 200, 403, 403]);
+    expect((await getLink(link.id)).filesUsed).toBe(2);
+  });
+
+  test('never exceed their byte quota', async () => {
+    const png = await createPng();
+    const { link, headers } = await createLink({ bucket: 'photos', maxBytes: png.length + 10 });
+
+    expect((await uploadWithLink(headers, png)).status).toBe(200);
+
+    const res = await uploadWithLink(headers, await createPng({ color: '#00ff00' }));
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Upload quota exceeded');
+    expect((await getLink(link.id)).bytesUsed).toBe(png.length);
+  });
+
+  test('give back quota for files that are not stored', async () => {
+    const { link, headers } = await createLink({ bucket: 'photos', maxFiles: 2 });
+    const png = await createPng({ color: '#abcdef' });
+
+    await uploadWithLink(headers, png);
+    const skipped = await uploadWithLink(headers, png, { duplicates: 'skip' });
+
+    expect(skipped.body.uploads[0].skipped).toBe(true);
+    expect((await getLink(link.id)).filesUsed).toBe(1);
+  });
+
+  test('reserve quota for resumable uploads until they are aborted', async () => {
+    const { link, headers } = await createLink({ bucket: 'photos', maxFiles: 1 });
+
+    const start = await request(app)
+      .post('/api/upload/resumable')
+      .set(headers)
+      .send({ bucket: 'photos', fileName: 'film.mp4', size: 1000, mimeType: 'video/mp4' })
+      .expect(201);
+    expect((await getLink(link.id)).filesUsed).toBe(1);
+
+    await request(app)
+      .post('/api/upload/resumable')
+      .set(headers)
+      .send({ bucket: 'photos', fileName: 'other.mp4', size: 1000, mimeType: 'video/mp4' })
+      .expect(403);
+
+    await request(app).delete(`/api/upload/resumable/${start.body.upload.id}`).set(headers).expect(200);
+    expect(await getLink(link.id)).toMatchObject({ filesUsed: 0, bytesUsed: 0 });
+  });
+
+  test('stop working once revoked', async () => {
+    const { link, headers } = await createLink({ bucket: 'photos' });
+
+    await request(app).delete(`/api/upload-links/${link.id}`).set(MASTER).expect(200);
+
+    const res = await uploadWithLink(headers, await createPng());
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,89 @@
+const http = require('http');
+const { app, request, MASTER, setupStorage, waitForJobs } = require('./helpers');
+const { getUploadSession, subscribeToUploadSession } = require('../src/services/uploadProgress');
+
+let server;
+
+beforeAll(async () => {
+  await setupStorage();
+  server = app.listen(0);
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+/**
+ * Collect the events of an upload session
+ * @param {string} id - Session id
+ * @returns {Object} { events, waitFor(predicate) }
+ */
+function watchSession(id) {
+  const events = [];
+  const waiters = [];
+
+  subscribeToUploadSession(getUploadSession(id), event => {
+    events.push(event);
+    for (const waiter of waiters.filter(({ predicate }) => predicate(event))) {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      waiter.resolve(event);
+    }
+  });
+
+  const waitFor = predicate => new Promise(resolve => {
+    const seen = events.find(predicate);
+    return seen ? resolve(seen) : waiters.push({ predicate, resolve });
+  });
+
+  return { events, waitFor };
+}
+
+describe('upload progress', () => {
+  test('reports the bytes of a file while it is still arriving', async () => {
+    const { body: { session } } = await request(app).post('/api/upload/sessions').set(MASTER).expect(201);
+    const { events, waitFor } = watchSession(session.id);
+
+    const boundary = 'progress-boundary';
+    const content = Buffer.from('Three course dinner\n'.repeat(4000));
+    const head = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="venueName"\r\n\r\nRose Hall\r\n` +
+      `--${boundary}\r\nContent-Disposition: form-data; name="files"; filename="menu.txt"\r\n` +
+      'Content-Type: text/plain\r\n\r\n');
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+    const req = http.request({
+      port: server.address().port,
+      method: 'POST',
+      path: '/api/upload/menus',
+      headers: {
+        ...MASTER,
+        'X-Upload-Session': session.id,
+        'Content-Type': `multipart/form-data; boundary=${boundary}`
+      }
+    });
+    const response = new Promise((resolve, reject) => {
+      req.on('response', res => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks)) }));
+      });
+      req.on('error', reject);
+    });
+
+    // Send half of the file and wait for it to be reported before sending the rest
+    req.write(Buffer.concat([head, content.subarray(0, content.length / 2)]));
+    const receiving = await waitFor(event => event.state === 'receiving' && event.received > 0);
+    expect(receiving).toMatchObject({ index: 0, name: 'menu.txt', size: null });
+    expect(receiving.received).toBeLessThan(content.length);
+
+    req.end(Buffer.concat([content.subarray(content.length / 2), tail]));
+    const { status, body } = await response;
+    expect(status).toBe(200);
+    await waitForJobs(body.uploads[0].jobs);
+
+    await waitFor(event => event.type === 'complete');
+    const states = events.filter(event => event.type === 'file').map(event => event.state);
+    expect(states[0]).toBe('receiving');
+    expect(states.slice(states.indexOf('received'))).toEqual(['received', 'validating', 'uploading', 'done']);
+    expect(events.find(event => event.state === 'received')).toMatchObject({ size: content.length, received: content.length });
+  });
+});
@@ -0,0 +1,99 @@
+const { app, request, MASTER, setupStorage, createKey, createPng, waitForJobs } = require('./helpers');
+
+beforeAll(setupStorage);
+
+describe('venue allowlists', () => {
+  test('keys can only upload to their venues', async () => {
+    const { headers } = await createKey({ scopes: ['upload:photos'], venues: ['Rose Hall'] });
+
+    const allowed = await request(app)
+      .post('/api/upload/photos')
+      .set(headers)
+      .field('venueName', 'Rose Hall')
+      .attach('files', await createPng(), { filename: 'rose.png', contentType: 'image/png' })
+      .expect(200);
+    await waitForJobs(allowed.body.uploads[0].jobs);
+
+    const denied = await request(app)
+      .post('/api/upload/photos')
+      .set(headers)
+      .field('venueName', 'Oak Barn')
+      .attach('files', await createPng(), { filename: 'oak.png', contentType: 'image/png' })
+      .expect(403);
+    expect(denied.body.error).toBe('Venue access denied');
+  });
+
+  test('keys can only read their venues', async () => {
+    const { headers } = await createKey({ scopes: ['venues:read'], venues: ['rose-hall'] });
+
+    await request(app).get('/api/venues/rose-hall/files').set(headers).expect(200);
+    await request(app).get('/api/venues/oak-barn/files').set(headers).expect(403);
+  });
+});
+
+describe('key management by restricted keys', () => {
+  let manager;
+
+  beforeAll(async () => {
+    manager = await createKey({ scopes: ['keys:manage', 'venues:read'], venues: ['rose-hall'] });
+  });
+
+  test('can create keys within their scopes and venues', async () => {
+    const res = await request(app)
+      .post('/api/keys')
+      .set(manager.headers)
+      .send({ name: 'reader', user: 'tester', scopes: ['venues:read'], venues: ['Rose Hall'] })
+      .expect(201);
+
+    expect(res.body.key.venues).toEqual(['rose-hall']);
+  });
+
+  test('cannot grant scopes they do not have', async () => {
+    for (const scopes of [['*'], ['upload:photos']]) {
+      const res = await request(app)
+        .post('/api/keys')
+        .set(manager.headers)
+        .send({ name: 'escalated', user: 'tester', scopes, venues: ['rose-hall'] })
+        .expect(403);
+
+      expect(res.body.error).toBe('Access exceeded');
+    }
+  });
+
+  test('cannot create keys for other or all venues', async () => {
+    for (const venues of [null, [], ['oak-barn'], ['rose-hall', 'oak-barn']]) {
+      await request(app)
+        .post('/api/keys')
+        .set(manager.headers)
+        .send({ name: 'escalated', user: 'tester', scopes: ['venues:read'], venues })
+        .expect(403);
+    }
+  });
+
+  test('only see, rotate and revoke keys within their access', async () => {
+    const own = await createKey({ scopes: ['venues:read'], venues: ['rose-hall'] });
+    const other = await createKey({ scopes: ['venues:read'], venues: ['oak-barn'] });
+    const unrestricted = await createKey({ scopes: ['venues:read'] });
+
+    const list = await request(app).get('/api/keys').set(manager.headers).expect(200);
+    const ids = list.body.keys.map(key => key.id);
+    expect(ids).toContain(own.key.id);
+    expect(ids).not.toContain(other.key.id);
+    expect(ids).not.toContain(unrestricted.key.id);
+
+    await request(app).post(`/api/keys/${own.key.id}/rotate`).set(manager.headers).expect(200);
+    await request(app).post(`/api/keys/${other.key.id}/rotate`).set(manager.headers).expect(404);
+    await request(app).delete(`/api/keys/${unrestricted.key.id}`).set(manager.headers).expect(404);
+    await request(app).delete(`/api/keys/${own.key.id}`).set(manager.headers).expect(200);
+  });
+
+  test('master token manages every key', async () => {
+    const res = await request(app)
+      .post('/api/keys')
+      .set(MASTER)
+      .send({ name: 'admin', user: 'tester', scopes: ['*'] })
+      .expect(201);
+
+    await request(app).delete(`/api/keys/${res.body.key.id}`).set(MASTER).expect(200);
+  });
+});
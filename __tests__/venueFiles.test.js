@@ -0,0 +1,80 @@
+const { app, request, MASTER, setupStorage, createPng, uploadFiles } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Upload a photo for a venue and wait for its variants
+ * @param {string} venueName - Venue name
+ * @param {string} filename - Original file name
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadPhoto(venueName, filename) {
+  const [upload] = await uploadFiles('photos', {
+    venueName,
+    files: [{ content: await createPng({ color: '#2e86c1' }), filename, contentType: 'image/png' }]
+  });
+
+  return upload;
+}
+
+describe('GET /api/venues', () => {
+  test('lists venues with files', async () => {
+    await uploadPhoto('Oak Barn', 'barn.png');
+
+    const res = await request(app).get('/api/venues').set(MASTER).expect(200);
+
+    expect(res.body.venues.map(venue => venue.slug)).toContain('oak-barn');
+  });
+});
+
+describe('GET /api/venues/:venueName/files', () => {
+  test('lists the files of a venue by bucket', async () => {
+    const upload = await uploadPhoto('Willow Lodge', 'lodge.png');
+
+    const res = await request(app).get('/api/venues/willow-lodge/files').set(MASTER).expect(200);
+
+    expect(res.body.totalFiles).toBe(1);
+    expect(res.body.files.photos).toHaveLength(1);
+    expect(res.body.files.photos[0]).toMatchObject({
+      name: upload.fileName,
+      originalName: 'lodge.png',
+      path: upload.filePath
+    });
+    expect(res.body.files.menus).toEqual([]);
+  });
+});
+
+describe('DELETE /api/venues/:venueName/files/:bucket/:fileName', () => {
+  test('moves the file to the trash', async () => {
+    const upload = await uploadPhoto('Elm Court', 'court.png');
+
+    const res = await request(app)
+      .delete(`/api/venues/elm-court/files/photos/${upload.fileName}`)
+      .set(MASTER)
+      .expect(200);
+
+    expect(res.body.deletedFile.filePath).toBe(upload.filePath);
+
+    const files = await request(app).get('/api/venues/elm-court/files').set(MASTER).expect(200);
+    expect(files.body.totalFiles).toBe(0);
+
+    const trash = await request(app).get('/api/venues/elm-court/trash').set(MASTER).expect(200);
+    expect(trash.body.trash.map(entry => entry.originalName)).toEqual(['court.png']);
+  });
+
+  test('responds 404 for unknown files', async () => {
+    await uploadPhoto('Elm Court', 'court.png');
+
+    await request(app)
+      .delete('/api/venues/elm-court/files/photos/missing.png')
+      .set(MASTER)
+      .expect(404);
+  });
+
+  test('rejects unknown buckets', async () => {
+    await request(app)
+      .delete('/api/venues/elm-court/files/videos/court.png')
+      .set(MASTER)
+      .expect(400);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { app, request, MASTER, setupStorage, createPng, uploadFiles } = require('./helpers');
+const { BUCKETS } = require('../src/config/supabase');
+const { storage } = require('../src/storage');
+const { backfillCatalog } = require('../src/services/catalogBackfill');
+
+/**
+ * Upload a photo for Birch Manor and wait for its variants
+ * @param {string} filename - Original file name
+ * @param {Object} options - { width, color, category }
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadPhoto(filename, { width = 64, color = '#2e86c1', category } = {}) {
+  const [upload] = await uploadFiles('photos', {
+    venueName: 'Birch Manor',
+    fields: category ? { category } : {},
+    files: [{ content: await createPng({ width, color }), filename, contentType: 'image/png' }]
+  });
+
+  return upload;
+}
+
+/**
+ * List the files of Birch Manor
+ * @param {Object} query - Query string parameters
+ * @returns {Promise<Object>} Response body
+ */
+async function listFiles(query = {}) {
+  const res = await request(app).get('/api/venues/birch-manor/files').query(query).set(MASTER).expect(200);
+  return res.body;
+}
+
+const names = body => Object.values(body.files).flat().map(file => file.originalName);
+
+beforeAll(async () => {
+  await setupStorage();
+
+  await uploadPhoto('Cedar.png', { width: 40, color: '#8e44ad', category: 'Ceremony Room' });
+  await uploadPhoto('apple.png', { width: 80, color: '#d35400', category: 'ceremonyroom' });
+  await uploadPhoto('birch.png', { width: 120, color: '#16a085' });
+
+  await uploadFiles('menus', {
+    venueName: 'Birch Manor',
+    files: [{ content: 'Dinner menu', filename: 'dinner.txt', contentType: 'text/plain' }]
+  });
+});
+
+describe('GET /api/venues/:venueName/files', () => {
+  test('pages through files sorted by name without repeating any', async () => {
+    const first = await listFiles({ sort: 'name', limit: 3 });
+
+    expect(first.total).toBe(4);
+    expect(names(first)).toEqual(['apple.png', 'birch.png', 'Cedar.png']);
+    expect(first.nextCursor).toEqual(expect.any(String));
+
+    const second = await listFiles({ sort: 'name', limit: 3, cursor: first.nextCursor });
+
+    expect(names(second)).toEqual(['dinner.txt']);
+    expect(second.nextCursor).toBeNull();
+    expect(second.total).toBe(4);
+  });
+
+  test('sorts by size and date in either order', async () => {
+    const bySize = await listFiles({ bucket: 'photos', sort: 'size', order: 'asc' });
+    const sizes = bySize.files.photos.map(file => file.size);
+    expect(sizes).toEqual([...sizes].sort((a, b) => a - b));
+
+    const newest = await listFiles({ sort: 'date', limit: 1 });
+    expect(names(newest)).toEqual(['dinner.txt']);
+  });
+
+  test('filters by bucket, category and MIME type', async () => {
+    expect(names(await listFiles({ bucket: 'menus' }))).toEqual(['dinner.txt']);
+    expect(names(await listFiles({ category: 'Ceremony Room', sort: 'name' }))).toEqual(['apple.png', 'Cedar.png']);
+    expect((await listFiles({ mimeType: 'image/*' })).total).toBe(3);
+    expect((await listFiles({ mimeType: 'text/plain' })).total).toBe(1);
+  });
+
+  test('filters by upload date', async () => {
+    expect((await listFiles({ from: '2000-01-01', to: '2999-01-01' })).total).toBe(4);
+    expect((await listFiles({ from: '2999-01-01' })).total).toBe(0);
+  });
+
+  test('rejects invalid cursors', async () => {
+    await request(app).get('/api/venues/birch-manor/files?cursor=nope').set(MASTER).expect(400);
+  });
+});
+
+describe('GET /api/venues/:venueName/categories', () => {
+  test('counts files per category folder', async () => {
+    const res = await request(app).get('/api/venues/birch-manor/categories').set(MASTER).expect(200);
+
+    expect(res.body.categories.map(({ category, count }) => ({ category, count }))).toEqual([
+      { category: 'ceremonyroom', count: 2 },
+      { category: 'general', count: 2 }
+    ]);
+  });
+});
+
+describe('catalog backfill', () => {
+  test('records files stored before the catalog existed, once', async () => {
+    const folder = path.join(process.env.LOCAL_STORAGE_PATH, BUCKETS.PHOTOS, 'aspen-hall', 'garden');
+    fs.mkdirSync(folder, { recursive: true });
+    fs.writeFileSync(path.join(folder, 'old.png'), await createPng());
+    fs.writeFileSync(path.join(folder, 'old@thumbnail.jpg'), Buffer.from('thumbnail'));
+
+    expect(await backfillCatalog()).toBe(1);
+    expect(await backfillCatalog()).toBeNull();
+
+    const res = await request(app).get('/api/venues/aspen-hall/files').set(MASTER).expect(200);
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.files.photos[0]).toMatchObject({
+      name: 'old.png',
+      path: 'aspen-hall/garden/old.png',
+      category: 'garden',
+      mimeType: 'image/png'
+    });
+    expect(Object.keys(res.body.files.photos[0].variants)).toEqual(['thumbnail']);
+
+    // The venue list reads the backfilled catalog, not the storage folders
+    const list = jest.spyOn(storage, 'list');
+    const venues = await request(app).get('/api/venues').set(MASTER).expect(200);
+    expect(venues.body.venues).toContainEqual({ id: null, name: 'aspen-hall', slug: 'aspen-hall', registered: false });
+    expect(list).not.toHaveBeenCalled();
+    list.mockRestore();
+  });
+});
@@ -0,0 +1,72 @@
+const { app, request, MASTER, setupStorage, createKey } = require('./helpers');
+
+beforeAll(setupStorage);
+
+/**
+ * Register a venue
+ * @param {Object} headers - Authorization headers
+ * @param {Object} body - Venue fields
+ * @returns {Object} supertest request
+ */
+function registerVenue(headers, body) {
+  return request(app).post('/api/venues').set(headers).send(body);
+}
+
+describe('POST /api/venues', () => {
+  test('registers venues under a unique slug', async () => {
+    const first = await registerVenue(MASTER, { name: "St. Mary's Hall", capacity: 120 }).expect(201);
+    const second = await registerVenue(MASTER, { name: 'St Marys Hall' }).expect(201);
+
+    expect(first.body.venue).toMatchObject({ slug: 'st-marys-hall', capacity: 120, status: 'active' });
+    expect(second.body.venue.slug).toBe('st-marys-hall-2');
+  });
+
+  test('rejects slugs already in use', async () => {
+    await registerVenue(MASTER, { name: 'Lake House' }).expect(201);
+
+    const res = await registerVenue(MASTER, { name: 'Other', slug: 'Lake House' }).expect(409);
+    expect(res.body.error).toBe('SLUG_TAKEN');
+  });
+
+  test('checks venue access against the slug the venue gets', async () => {
+    await registerVenue(MASTER, { name: 'Pine Lodge' }).expect(201);
+    const { headers } = await createKey({ scopes: ['venues:manage'], venues: ['pine-lodge'] });
+
+    // The name maps to pine-lodge, which is taken, so the venue would become pine-lodge-2
+    const res = await registerVenue(headers, { name: 'Pine Lodge' }).expect(403);
+    expect(res.body.error).toBe('Venue access denied');
+
+    const venues = await request(app).get('/api/venues').set(MASTER).expect(200);
+    expect(venues.body.venues.map(venue => venue.slug)).not.toContain('pine-lodge-2');
+  });
+
+  test('lets restricted keys register their own venues', async () => {
+    const { headers } = await createKey({ scopes: ['venues:manage'], venues: ['maple-farm'] });
+
+    const res = await registerVenue(headers, { name: 'Maple Farm' }).expect(201);
+    expect(res.body.venue.slug).toBe('maple-farm');
+  });
+
+  test('requires a name', async () => {
+    const res = await registerVenue(MASTER, { capacity: 10 }).expect(400);
+    expect(res.body.error).toBe('INVALID_VENUE');
+  });
+});
+
+describe('POST /api/venues/:venueId/rename', () => {
+  test('moves the venue to its new slug', async () => {
+    const created = await registerVenue(MASTER, { name: 'Ash Grove' }).expect(201);
+
+    const res = await request(app)
+      .post(`/api/venues/${created.body.venue.id}/rename`)
+      .set(MASTER)
+      .send({ name: 'Ash Grove Estate' })
+      .expect(200);
+
+    expect(res.body).toMatchObject({ previousSlug: 'ash-grove', venue: { slug: 'ash-grove-estate' } });
+
+    // The former slug still finds the venue
+    const found = await request(app).get('/api/venues/ash-grove').set(MASTER).expect(200);
+    expect(found.body.venue.id).toBe(created.body.venue.id);
+  });
+});
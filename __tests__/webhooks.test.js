@@ -0,0 +1,97 @@
+// Give up on a delivery after its first attempt
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+
+const dns = require('dns');
+const { app, request, MASTER } = require('./helpers');
+const { collection } = require('../src/db');
+const { isPublicAddress } = require('../src/utils/publicAddress');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Create a webhook subscription
+ * @param {string} url - Receiver URL
+ * @returns {Promise<Object>} Response
+ */
+function createWebhook(url) {
+  return request(app).post('/api/webhooks').set(MASTER).send({ url, events: ['*'] });
+}
+
+/**
+ * Send a test event and wait until its delivery has been attempted
+ * @param {string} id - Subscription id
+ * @returns {Promise<Object>} Delivery
+ */
+async function pingAndWait(id) {
+  const ping = await request(app).post(`/api/webhooks/${id}/test`).set(MASTER).expect(202);
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const res = await request(app).get(`/api/webhooks/${id}/deliveries`).set(MASTER).expect(200);
+    const delivery = res.body.deliveries.find(item => item.id === ping.body.delivery.id);
+    if (delivery.status !== 'pending') {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+
+  throw new Error('The delivery was not attempted');
+}
+
+describe('isPublicAddress', () => {
+  test('refuses loopback, private, link-local and mapped addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:a00:1', 'localhost']) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+  });
+
+  test('accepts public addresses', () => {
+    for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']) {
+      expect(isPublicAddress(address)).toBe(true);
+    }
+  });
+});
+
+describe('POST /api/webhooks', () => {
+  test('requires an https URL', async () => {
+    const res = await createWebhook('http://receiver.example.com/hooks').expect(400);
+
+    expect(res.body.message).toBe('url must be an https URL');
+  });
+
+  test('refuses receivers on internal addresses', async () => {
+    for (const url of ['https://127.0.0.1/hooks', 'https://localhost:8443/', 'https://[::1]/', 'https://169.254.169.254/latest']) {
+      const res = await createWebhook(url).expect(400);
+      expect(res.body.message).toMatch(/^url must point to a public address/);
+    }
+  });
+});
+
+describe('webhook deliveries', () => {
+  test('are not sent to hosts that resolve to internal addresses', async () => {
+    const res = await createWebhook('https://receiver.example.com/hooks').expect(201);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '10.0.0.7', family: 4 }]);
+    });
+
+    const delivery = await pingAndWait(res.body.webhook.id);
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.attempts[0]).toMatchObject({
+      statusCode: null,
+      response: null,
+      error: 'receiver.example.com resolves to 10.0.0.7, which is not a public address'
+    });
+  });
+
+  test('are not sent to plain http receivers subscribed before https was required', async () => {
+    const res = await createWebhook('https://receiver.example.com/hooks').expect(201);
+    await collection('webhooks').update(res.body.webhook.id, { url: 'http://receiver.example.com/hooks' });
+
+    const delivery = await pingAndWait(res.body.webhook.id);
+
+    expect(delivery.attempts[0].error).toBe('The webhook URL does not use https');
+  });
+});
@@ -7,14 +7,34 @@ const path = require('path');
 
 // Import routes
 const uploadRoutes = require('./src/routes/upload');
+const resumableRoutes = require('./src/routes/resumable');
 const venueRoutes = require('./src/routes/venues');
+const fileRoutes = require('./src/routes/files');
+const searchRoutes = require('./src/routes/search');
+const auditRoutes = require('./src/routes/audit');
+const webhookRoutes = require('./src/routes/webhooks');
+const jobRoutes = require('./src/routes/jobs');
+const keyRoutes = require('./src/routes/keys');
+const uploadLinkRoutes = require('./src/routes/uploadLinks');
 
 // Import configuration
-const { validateBuckets } = require('./src/config/supabase');
+const { storage, validateBuckets } = require('./src/storage');
+const { purgeExpiredResumableUploads } = require('./src/services/resumableUploads');
+const { purgeExpiredTrash } = require('./src/services/trash');
+const { retryPendingDeliveries } = require('./src/services/webhooks');
+const { resumeJobs, purgeFinishedJobs } = require('./src/services/jobs');
+const { backfillCatalog } = require('./src/services/catalogBackfill');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind a reverse proxy, TRUST_PROXY (e.g. 1 for one proxy) makes req.ip the
+// client address, which the audit log records
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" }
@@ -31,24 +51,36 @@ app.use(cors({
     /\.manus\.space$/
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Upload-Offset'],
+  exposedHeaders: ['Upload-Offset'],
   preflightContinue: false,
   optionsSuccessStatus: 200
 }));
 
 // Rate limiting
+const rateLimitMessage = {
+  success: false,
+  error: 'Too many requests',
+  message: 'Please try again later'
+};
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    error: 'Too many requests',
-    message: 'Please try again later'
-  }
+  message: rateLimitMessage,
+  // Resumable uploads send a request per chunk and have their own limiter
+  skip: req => req.path.startsWith('/api/upload/resumable')
 });
 app.use(limiter);
 
+// Room for a large video in small chunks (2GB in 1MB chunks) plus retries
+const resumableLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.RESUMABLE_RATE_LIMIT) || 5000,
+  message: rateLimitMessage
+});
+
 // Body parsing middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -63,9 +95,22 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Serve files written by the local storage driver
+if (storage.name === 'local') {
+  app.use('/storage', storage.serveFiles());
+}
+
 // API routes
+app.use('/api/upload/resumable', resumableLimiter, resumableRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/venues', venueRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/keys', keyRoutes);
+app.use('/api/upload-links', uploadLinkRoutes);
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -78,15 +123,78 @@ app.get('/api', (req, res) => {
         photos: 'POST /api/upload/photos',
         menus: 'POST /api/upload/menus',
         pricing: 'POST /api/upload/pricing',
-        status: 'GET /api/upload/status'
+        status: 'GET /api/upload/status',
+        sessions: {
+          create: 'POST /api/upload/sessions',
+          events: 'GET /api/upload/sessions/:id/events (Server-Sent Events; send uploads with X-Upload-Session)'
+        },
+        resumable: {
+          start: 'POST /api/upload/resumable',
+          status: 'GET /api/upload/resumable/:id',
+          chunk: 'PATCH /api/upload/resumable/:id (Upload-Offset header)',
+          complete: 'POST /api/upload/resumable/:id/complete',
+          abort: 'DELETE /api/upload/resumable/:id'
+        }
       },
       venues: {
         list: 'GET /api/venues',
+        create: 'POST /api/venues',
+        get: 'GET /api/venues/:venueId',
+        update: 'PATCH /api/venues/:venueId',
+        rename: 'POST /api/venues/:venueId/rename',
+        remove: 'DELETE /api/venues/:venueId',
         files: 'GET /api/venues/:venueName/files',
-        delete: 'DELETE /api/venues/:venueName/files/:bucket/:fileName'
+        categories: 'GET /api/venues/:venueName/categories',
+        duplicates: 'GET /api/venues/:venueName/duplicates',
+        similar: 'GET /api/venues/:venueName/similar',
+        documents: 'GET /api/venues/:venueName/documents',
+        versions: 'GET /api/venues/:venueName/documents/:documentId/versions',
+        rollback: 'POST /api/venues/:venueName/documents/:documentId/rollback',
+        pricing: 'GET /api/venues/:venueName/pricing',
+        correctPricing: 'PUT /api/venues/:venueName/pricing',
+        clearPricingCorrections: 'DELETE /api/venues/:venueName/pricing/corrections',
+        export: 'GET /api/venues/:venueName/export',
+        delete: 'DELETE /api/venues/:venueName/files/:bucket/:fileName',
+        trash: 'GET /api/venues/:venueName/trash',
+        restore: 'POST /api/venues/:venueName/trash/:trashId/restore',
+        purge: 'DELETE /api/venues/:venueName/trash/:trashId',
+        emptyTrash: 'DELETE /api/venues/:venueName/trash'
+      },
+      files: {
+        batch: 'POST /api/files/batch',
+        download: 'GET /api/files/:bucket/:path/download'
+      },
+      search: 'GET /api/search?q=',
+      audit: {
+        list: 'GET /api/audit',
+        export: 'GET /api/audit/export?format=csv|json'
+      },
+      webhooks: {
+        create: 'POST /api/webhooks',
+        list: 'GET /api/webhooks',
+        update: 'PATCH /api/webhooks/:id',
+        rotate: 'POST /api/webhooks/:id/rotate',
+        delete: 'DELETE /api/webhooks/:id',
+        test: 'POST /api/webhooks/:id/test',
+        deliveries: 'GET /api/webhooks/:id/deliveries',
+        redeliver: 'POST /api/webhooks/:id/deliveries/:deliveryId/redeliver'
+      },
+      jobs: {
+        status: 'GET /api/jobs/:id'
+      },
+      keys: {
+        create: 'POST /api/keys',
+        list: 'GET /api/keys',
+        rotate: 'POST /api/keys/:id/rotate',
+        revoke: 'DELETE /api/keys/:id'
+      },
+      uploadLinks: {
+        create: 'POST /api/upload-links',
+        list: 'GET /api/upload-links',
+        revoke: 'DELETE /api/upload-links/:id'
       }
     },
-    authentication: 'Bearer token or ?token=<access_token>',
+    authentication: 'Bearer token or ?token=<access_token> (master ACCESS_TOKEN, a scoped API key or an upload link)',
     documentation: 'See README.md for detailed usage instructions'
   });
 });
@@ -123,22 +231,66 @@ app.use((error, req, res, next) => {
 // Start server
 async function startServer() {
   try {
-    // Validate Supabase configuration
-    console.log('Validating Supabase configuration...');
+    // Validate storage configuration
+    console.log(`Validating ${storage.name} storage configuration...`);
     const bucketsValid = await validateBuckets();
     
     if (!bucketsValid) {
-      console.error('Supabase bucket validation failed');
+      console.error('Storage bucket validation failed');
       process.exit(1);
     }
     
+    // Listings read the catalog, so files stored before it existed are recorded once
+    const backfilled = await backfillCatalog();
+    if (backfilled) {
+      console.log(`Catalogued ${backfilled} file(s) stored before the catalog existed`);
+    }
+    
+    // Clean up resumable uploads that were abandoned
+    setInterval(() => {
+      purgeExpiredResumableUploads()
+        .catch(error => console.error('Error purging resumable uploads:', error));
+    }, 60 * 60 * 1000).unref();
+    
+    // Permanently delete trashed files past their retention period
+    setInterval(() => {
+      purgeExpiredTrash()
+        .catch(error => console.error('Error purging trash:', error));
+    }, 60 * 60 * 1000).unref();
+    
+    // Send webhook deliveries whose retry timer was lost, e.g. by a restart
+    setInterval(() => {
+      retryPendingDeliveries()
+        .catch(error => console.error('Error retrying webhook deliveries:', error));
+    }, 60 * 1000).unref();
+    
+    // Run background jobs left over from before the restart; jobs whose lease
+    // has not run out yet are queued again by the periodic run below
+    const resumed = await resumeJobs();
+    if (resumed > 0) {
+      console.log(`Resumed ${resumed} interrupted background job(s)`);
+    }
+    
+    // Start due jobs whose timer was lost, e.g. retries scheduled before a restart,
+    // and queue again jobs whose process stopped while running them
+    setInterval(() => {
+      resumeJobs()
+        .catch(error => console.error('Error running background jobs:', error));
+    }, 30 * 1000).unref();
+    
+    // Forget finished jobs past their retention period
+    setInterval(() => {
+      purgeFinishedJobs()
+        .catch(error => console.error('Error purging finished jobs:', error));
+    }, 60 * 60 * 1000).unref();
+    
     // Start the server
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Wedding Venue Upload Tool API running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/health`);
       console.log(`📚 API info: http://localhost:${PORT}/api`);
       console.log(`🔒 Authentication required for upload endpoints`);
-      console.log(`🪣 Supabase buckets validated successfully`);
+      console.log(`🪣 Storage buckets validated successfully (${storage.name})`);
     });
     
   } catch (error) {
@@ -158,5 +310,10 @@ process.on('SIGINT', () => {
   process.exit(0);
 });
 
-startServer();
+// Only listen when run directly so tests can import the app with supertest
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
 
@@ -0,0 +1,87 @@
+// Image variants generated for every photo upload, stored next to the original
+// as <original-name>@<variant>.<ext>. Override with the IMAGE_VARIANTS
+// environment variable (JSON object with the same shape).
+const DEFAULT_IMAGE_VARIANTS = {
+  thumbnail: { width: 320, height: 320, fit: 'cover', format: 'jpeg', quality: 80 },
+  medium: { width: 1024, format: 'jpeg', quality: 82 },
+  large: { width: 2048, format: 'jpeg', quality: 85 },
+  webp: { width: 2048, format: 'webp', quality: 80 }
+};
+
+// Values the options of a variant accept
+const VARIANT_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const VARIANT_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Check whether a value is a whole number in a range
+ * @param {*} value - Value
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} Whether the value is allowed
+ */
+function isIntegerBetween(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Parse and validate the IMAGE_VARIANTS environment variable
+ * @param {string} value - JSON object of variant name to { width, height, fit, format, quality }
+ * @returns {Object} Variants
+ * @throws {Error} If the value is not valid JSON or not a valid variant configuration
+ */
+function parseImageVariants(value) {
+  let variants;
+  try {
+    variants = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`IMAGE_VARIANTS is not valid JSON: ${error.message}`);
+  }
+
+  if (!variants || typeof variants !== 'object' || Array.isArray(variants) || Object.keys(variants).length === 0) {
+    throw new Error('IMAGE_VARIANTS must be a JSON object with at least one variant');
+  }
+
+  for (const [name, options] of Object.entries(variants)) {
+    // Variant names end up in file names
+    if (!/^[a-z0-9-]+$/i.test(name)) {
+      throw new Error(`IMAGE_VARIANTS: variant name "${name}" may only contain letters, digits and dashes`);
+    }
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error(`IMAGE_VARIANTS: variant "${name}" must be an object`);
+    }
+    if (options.width === undefined && options.height === undefined) {
+      throw new Error(`IMAGE_VARIANTS: variant "${name}" needs a width or a height`);
+    }
+    for (const dimension of ['width', 'height']) {
+      if (options[dimension] !== undefined && !isIntegerBetween(options[dimension], 1, 10000)) {
+        throw new Error(`IMAGE_VARIANTS: ${dimension} of variant "${name}" must be an integer between 1 and 10000`);
+      }
+    }
+    if (options.fit !== undefined && !VARIANT_FITS.includes(options.fit)) {
+      throw new Error(`IMAGE_VARIANTS: fit of variant "${name}" must be one of: ${VARIANT_FITS.join(', ')}`);
+    }
+    if (options.format !== undefined && !VARIANT_FORMATS.includes(options.format)) {
+      throw new Error(`IMAGE_VARIANTS: format of variant "${name}" must be one of: ${VARIANT_FORMATS.join(', ')}`);
+    }
+    if (options.quality !== undefined && !isIntegerBetween(options.quality, 1, 100)) {
+      throw new Error(`IMAGE_VARIANTS: quality of variant "${name}" must be an integer between 1 and 100`);
+    }
+  }
+
+  return variants;
+}
+
+const IMAGE_VARIANTS = process.env.IMAGE_VARIANTS
+  ? parseImageVariants(process.env.IMAGE_VARIANTS)
+  : DEFAULT_IMAGE_VARIANTS;
+
+// Photos whose perceptual hashes differ in at most this many of their 64 bits
+// are reported as near-duplicates (the same picture resized or recompressed);
+// 0 reports exact perceptual matches only
+const configuredThreshold = parseInt(process.env.PHOTO_SIMILARITY_THRESHOLD);
+const SIMILARITY_THRESHOLD = Number.isNaN(configuredThreshold) ? 10 : configuredThreshold;
+
+module.exports = {
+  IMAGE_VARIANTS,
+  SIMILARITY_THRESHOLD
+};
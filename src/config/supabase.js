@@ -1,20 +1,63 @@
 const { createClient } = require('@supabase/supabase-js');
 
-// Initialize Supabase client with service role key for server-side operations
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Supabase client is created lazily so the local storage driver can run
+// without any Supabase environment variables
+let supabase = null;
 
-if (!supabaseUrl || !supabaseServiceRoleKey) {
-  throw new Error('Missing required Supabase environment variables');
+/**
+ * Check that a key is not one of the public Supabase keys
+ * Row level security shuts the public keys out of every table, so the server
+ * needs the service role key, which must never be shipped to clients
+ * @param {string} key - Configured key
+ * @returns {boolean} Whether the key is the public anon (or publishable) key
+ */
+function isPublicKey(key) {
+  if (key.startsWith('sb_publishable_')) {
+    return true;
+  }
+
+  const [, payload] = key.split('.');
+  if (!payload) {
+    return false;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')).role === 'anon';
+  } catch (error) {
+    return false;
+  }
 }
 
-// Create Supabase client with service role key for full access
-const supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
-  auth: {
-    autoRefreshToken: false,
-    persistSession: false
+/**
+ * Get the shared Supabase client (service role key for server-side operations)
+ * @returns {Object} Supabase client
+ */
+function getSupabaseClient() {
+  if (supabase) {
+    return supabase;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseServiceRoleKey) {
+    throw new Error('Missing required Supabase environment variables');
+  }
+
+  if (isPublicKey(supabaseServiceRoleKey)) {
+    throw new Error('SUPABASE_SERVICE_ROLE_KEY is the public anon key; use the service role key');
   }
-});
+
+  // Create Supabase client with service role key for full access
+  supabase = createClient(supabaseUrl, supabaseServiceRoleKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  return supabase;
+}
 
 // Storage bucket configuration
 const BUCKETS = {
@@ -23,37 +66,25 @@ const BUCKETS = {
   PRICING: process.env.PRICING_BUCKET || 'pricing'
 };
 
-// Validate that buckets exist
-async function validateBuckets() {
-  try {
-    const { data: buckets, error } = await supabase.storage.listBuckets();
-    
-    if (error) {
-      console.error('Error listing buckets:', error);
-      return false;
-    }
+// Private bucket that receives files flagged by the malware scanner
+const QUARANTINE_BUCKET = process.env.QUARANTINE_BUCKET || 'quarantine';
 
-    const bucketNames = buckets.map(bucket => bucket.name);
-    const requiredBuckets = Object.values(BUCKETS);
-    
-    for (const bucket of requiredBuckets) {
-      if (!bucketNames.includes(bucket)) {
-        console.error(`Required bucket '${bucket}' not found`);
-        return false;
-      }
-    }
-    
-    console.log('All required buckets validated successfully');
-    return true;
-  } catch (error) {
-    console.error('Error validating buckets:', error);
-    return false;
-  }
-}
+// Visibility of each bucket, "public" or "private" (pricing is commercially
+// sensitive, so it is private unless configured otherwise)
+const BUCKET_VISIBILITY = {
+  [BUCKETS.PHOTOS]: (process.env.PHOTOS_BUCKET_VISIBILITY || 'public').toLowerCase(),
+  [BUCKETS.MENUS]: (process.env.MENUS_BUCKET_VISIBILITY || 'public').toLowerCase(),
+  [BUCKETS.PRICING]: (process.env.PRICING_BUCKET_VISIBILITY || 'private').toLowerCase(),
+  [QUARANTINE_BUCKET]: 'private'
+};
+
+// How long the signed URLs of files in private buckets are valid, in seconds
+const SIGNED_URL_TTL = parseInt(process.env.SIGNED_URL_TTL) || 60 * 60;
 
 module.exports = {
-  supabase,
+  getSupabaseClient,
   BUCKETS,
-  validateBuckets
+  QUARANTINE_BUCKET,
+  BUCKET_VISIBILITY,
+  SIGNED_URL_TTL
 };
-
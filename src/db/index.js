@@ -0,0 +1,53 @@
+const { STORAGE_DRIVER } = require('../storage');
+
+/**
+ * Database adapter
+ *
+ * Records are plain objects with a string `id`. Every driver exposes
+ * collection(name, { indexes }) returning an object with async methods:
+ *   insert(record), get(id), find(filter), update(id, patch),
+ *   updateIf(id, expected, patch), remove(id),
+ *   query(filter, options), summarize(filter, groupField, sumField),
+ *   search(terms, filter)
+ * where `filter` and `expected` are sets of field/value pairs matched by
+ * equality. updateIf applies the patch only if the record still matches
+ * `expected`, as one atomic step, and resolves to null otherwise; it is the
+ * compare-and-set used for counters and claims that concurrent requests share.
+ * Unlike the storage adapter, database errors are thrown.
+ *
+ * query() reads one page of a listing in the database. Its options are
+ *   { prefix: { field: text }, range: { field: { from, to } },
+ *     sort: { field, order: 'asc' | 'desc', lowercase }, after, limit }
+ * and it resolves to { records, total, after }: `total` counts every record
+ * matching the filter, prefixes and (inclusive) ranges, and `after` is the
+ * [sortValue, id] position of the last record when more follow, to pass back
+ * as the `after` option for the next page. Sort fields must be set on every
+ * record. summarize() resolves to [{ value, count, sum }] per distinct value
+ * of groupField. `indexes` lists the fields (arrays of fields) that filters
+ * of the collection use, for drivers that create their own indexes.
+ *
+ * search() resolves to the records matching the filter whose `textField`
+ * (a collection option) contains every term, each a word or phrase matched
+ * as whole words regardless of case, using the full-text index of the
+ * database rather than reading the collection.
+ *
+ * The driver is selected with DB_DRIVER ("supabase" or "local") and defaults
+ * to the storage driver in use.
+ */
+const DRIVERS = {
+  supabase: () => require('./supabaseDriver'),
+  local: () => require('./localDriver')
+};
+
+const DB_DRIVER = (process.env.DB_DRIVER || STORAGE_DRIVER).toLowerCase();
+
+if (!DRIVERS[DB_DRIVER]) {
+  throw new Error(`Unknown DB_DRIVER "${DB_DRIVER}"`);
+}
+
+const db = DRIVERS[DB_DRIVER]();
+
+module.exports = {
+  collection: db.collection,
+  DB_DRIVER
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+/**
+ * Local SQLite database driver
+ * All collections live in DATA_DIR/database.sqlite, one table per collection
+ * shaped like the Supabase tables: (id text primary key, data json). Writes
+ * only touch the affected row, and filters run as SQL on the JSON fields.
+ * Collections kept as JSON files by earlier versions are imported on first use.
+ */
+
+const DATA_DIR = path.resolve(
+  process.env.DATA_DIR || path.join(__dirname, '../../.data/db')
+);
+
+const collections = new Map();
+let database = null;
+
+/**
+ * Open the database on first use
+ * @returns {Object} better-sqlite3 database
+ */
+function getDatabase() {
+  if (!database) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    database = new Database(path.join(DATA_DIR, 'database.sqlite'));
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+  }
+
+  return database;
+}
+
+/**
+ * Check whether a record matches an equality filter
+ * @param {Object} record - Stored record
+ * @param {Object} filter - Field/value pairs that must all be equal
+ * @returns {boolean} Whether the record matches
+ */
+function matches(record, filter) {
+  return Object.entries(filter).every(([field, value]) => record[field] === value);
+}
+
+/**
+ * Quote an SQL identifier
+ * @param {string} name - Table or field name
+ * @returns {string} Quoted identifier
+ */
+function quote(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Get the SQL expression reading a field of the JSON data
+ * The path is inlined (not a parameter) so that expression indexes apply
+ * @param {string} field - Field name
+ * @param {string} fn - json_extract or json_type
+ * @param {string} column - Column holding the JSON data, e.g. new.data in a trigger
+ * @returns {string} SQL expression
+ */
+function jsonField(field, fn = 'json_extract', column = 'data') {
+  return `${fn}(${column}, '$.${quote(field).replace(/'/g, "''")}')`;
+}
+
+/**
+ * Build the SQL condition matching an equality filter on the JSON data,
+ * plus the prefixes and ranges of query()
+ * Values compare like ===: a string never equals a number, null does not
+ * match a missing field, and objects and arrays never match
+ * @param {Object} filter - Field/value pairs that must all be equal
+ * @param {Object} options - { prefix, range } as for query()
+ * @returns {Object} { sql, params }
+ */
+function whereClause(filter, { prefix = {}, range = {} } = {}) {
+  const conditions = [];
+  const params = [];
+
+  for (const [field, value] of Object.entries(filter)) {
+    if (value === null) {
+      conditions.push(`${jsonField(field, 'json_type')} = 'null'`);
+    } else if (typeof value === 'boolean') {
+      conditions.push(`${jsonField(field, 'json_type')} = '${value}'`);
+    } else if (typeof value === 'string' || typeof value === 'number') {
+      conditions.push(`${jsonField(field)} = ?`);
+      params.push(value);
+    } else {
+      conditions.push('0');
+    }
+  }
+
+  for (const [field, value] of Object.entries(prefix)) {
+    conditions.push(`substr(${jsonField(field)}, 1, ?) = ?`);
+    params.push(value.length, value);
+  }
+
+  for (const [field, { from, to }] of Object.entries(range)) {
+    if (from !== undefined && from !== null) {
+      conditions.push(`${jsonField(field)} >= ?`);
+      params.push(from);
+    }
+    if (to !== undefined && to !== null) {
+      conditions.push(`${jsonField(field)} <= ?`);
+      params.push(to);
+    }
+  }
+
+  return {
+    sql: conditions.length > 0 ? `where ${conditions.join(' and ')}` : '',
+    params
+  };
+}
+
+/**
+ * Build an FTS5 query matching every term, each as a phrase of whole words
+ * @param {string[]} terms - Words or phrases
+ * @returns {string} FTS5 query
+ */
+function matchQuery(terms) {
+  return terms.map(term => `"${term.replace(/"/g, '""')}"`).join(' ');
+}
+
+/**
+ * Create (or return the cached) collection backed by an SQLite table
+ * @param {string} name - Collection name
+ * @param {Object} options - { indexes: fields (or arrays of fields) to index,
+ *                           textField: field to index for search() }
+ * @returns {Object} Collection
+ */
+function collection(name, { indexes = [], textField = null } = {}) {
+  if (collections.has(name)) {
+    return collections.get(name);
+  }
+
+  const table = quote(name);
+  const searchTable = quote(`${name}_search`);
+  let statements = null;
+
+  // Create the table and prepare its statements on first use
+  function prepare() {
+    if (statements) {
+      return statements;
+    }
+
+    const db = getDatabase();
+    db.exec(`create table if not exists ${table} (id text primary key, data text not null)`);
+    for (const index of indexes) {
+      const fields = [].concat(index);
+      db.exec(`create index if not exists ${quote([name, ...fields].join('_'))} ` +
+        `on ${table} (${fields.map(field => jsonField(field)).join(', ')})`);
+    }
+    if (textField) {
+      createSearchTable(db);
+    }
+
+    statements = {
+      insert: db.prepare(`insert into ${table} (id, data) values (?, ?)`),
+      get: db.prepare(`select data from ${table} where id = ?`),
+      update: db.prepare(`update ${table} set data = ? where id = ?`),
+      remove: db.prepare(`delete from ${table} where id = ?`),
+      // Read and write in one immediate transaction, so no other connection writes in between
+      write: db.transaction(write).immediate
+    };
+
+    importJsonFile(db);
+    return statements;
+  }
+
+  // Keep an FTS5 index of the text field in step with the table, sharing its rowids
+  function createSearchTable(db) {
+    const exists = db.prepare("select 1 from sqlite_master where type = 'table' and name = ?").get(`${name}_search`);
+    if (exists) {
+      return;
+    }
+
+    const text = jsonField(textField, 'json_extract', 'new.data');
+    db.transaction(() => {
+      db.exec(`create virtual table ${searchTable} using fts5(text)`);
+      db.exec(`insert into ${searchTable} (rowid, text) select rowid, ${jsonField(textField)} from ${table}`);
+      db.exec(`create trigger ${quote(`${name}_search_insert`)} after insert on ${table} begin ` +
+        `insert into ${searchTable} (rowid, text) values (new.rowid, ${text}); end`);
+      db.exec(`create trigger ${quote(`${name}_search_update`)} after update on ${table} begin ` +
+        `delete from ${searchTable} where rowid = old.rowid; ` +
+        `insert into ${searchTable} (rowid, text) values (new.rowid, ${text}); end`);
+      db.exec(`create trigger ${quote(`${name}_search_delete`)} after delete on ${table} begin ` +
+        `delete from ${searchTable} where rowid = old.rowid; end`);
+    })();
+  }
+
+  // Move the records of the JSON file an earlier version wrote into the table
+  function importJsonFile(db) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    if (!fs.existsSync(file)) {
+      return;
+    }
+
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const insert = db.prepare(`insert or ignore into ${table} (id, data) values (?, ?)`);
+    db.transaction(() => {
+      for (const record of records) {
+        insert.run(record.id, JSON.stringify(record));
+      }
+    })();
+
+    fs.renameSync(file, `${file}.imported`);
+  }
+
+  function read(id) {
+    const row = prepare().get.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function write(id, record, expected) {
+    const current = read(id);
+    if (!current || !matches(current, expected)) {
+      return null;
+    }
+
+    const updated = { ...current, ...record, id };
+    statements.update.run(JSON.stringify(updated), id);
+    return updated;
+  }
+
+  const api = {
+    async insert(record) {
+      try {
+        prepare().insert.run(record.id, JSON.stringify(record));
+      } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+          throw new Error(`Duplicate id "${record.id}" in ${name}`);
+        }
+        throw error;
+      }
+      return { ...record };
+    },
+
+    async get(id) {
+      return read(id);
+    },
+
+    async find(filter = {}) {
+      prepare();
+      const { sql, params } = whereClause(filter);
+      return getDatabase()
+        .prepare(`select data from ${table} ${sql} order by rowid`)
+        .all(...params)
+        .map(row => JSON.parse(row.data));
+    },
+
+    async update(id, patch) {
+      return prepare().write(id, patch, {});
+    },
+
+    async updateIf(id, expected, patch) {
+      return prepare().write(id, patch, expected);
+    },
+
+    async remove(id) {
+      return prepare().remove.run(id).changes > 0;
+    },
+
+    async query(filter = {}, options = {}) {
+      prepare();
+      const db = getDatabase();
+      const { sql, params } = whereClause(filter, options);
+      const { total } = db.prepare(`select count(*) as total from ${table} ${sql}`).get(...params);
+
+      const sort = options.sort || { field: 'id' };
+      const sortValue = sort.lowercase ? `lower(${jsonField(sort.field)})` : jsonField(sort.field);
+      const direction = sort.order === 'desc' ? 'desc' : 'asc';
+
+      // Keyset pagination: continue after the [sortValue, id] position of the previous page
+      let pageSql = sql;
+      const pageParams = [...params];
+      if (options.after) {
+        const comparison = direction === 'desc' ? '<' : '>';
+        pageSql = `${sql ? `${sql} and` : 'where'} (${sortValue} ${comparison} ? or (${sortValue} = ? and id ${comparison} ?))`;
+        pageParams.push(options.after[0], options.after[0], options.after[1]);
+      }
+
+      const limit = options.limit || -1;
+      const rows = db
+        .prepare(`select data, ${sortValue} as sortValue, id from ${table} ${pageSql} ` +
+          `order by ${sortValue} ${direction}, id ${direction} limit ?`)
+        .all(...pageParams, limit > 0 ? limit + 1 : -1);
+
+      const page = limit > 0 ? rows.slice(0, limit) : rows;
+      const last = page[page.length - 1];
+
+      return {
+        records: page.map(row => JSON.parse(row.data)),
+        total,
+        after: rows.length > page.length ? [last.sortValue, last.id] : null
+      };
+    },
+
+    async search(terms, filter = {}) {
+      if (!textField) {
+        throw new Error(`Collection ${name} has no text field to search`);
+      }
+
+      prepare();
+      const { sql, params } = whereClause(filter);
+      return getDatabase()
+        .prepare(`select data from ${table} where rowid in ` +
+          `(select rowid from ${searchTable} where ${searchTable} match ?) ${sql.replace(/^where/, 'and')}`)
+        .all(matchQuery(terms), ...params)
+        .map(row => JSON.parse(row.data));
+    },
+
+    async summarize(filter, groupField, sumField) {
+      prepare();
+      const { sql, params } = whereClause(filter);
+
+      return getDatabase()
+        .prepare(`select ${jsonField(groupField)} as value, count(*) as count, ` +
+          `total(${jsonField(sumField)}) as sum from ${table} ${sql} group by 1`)
+        .all(...params);
+    }
+  };
+
+  collections.set(name, api);
+  return api;
+}
+
+module.exports = {
+  name: 'local',
+  DATA_DIR,
+  collection
+};
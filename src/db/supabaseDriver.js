@@ -0,0 +1,131 @@
+const { getSupabaseClient } = require('../config/supabase');
+
+/**
+ * Supabase (Postgres) database driver
+ * Each collection is a table of (id text primary key, data jsonb) rows,
+ * see supabase/schema.sql
+ */
+
+// Rows fetched per request when reading a whole collection
+const PAGE_SIZE = 1000;
+
+/**
+ * Throw Supabase errors so callers can use try/catch
+ * @param {Object} result - { data, error } from supabase-js
+ * @returns {*} Result data
+ */
+function unwrap({ data, error }) {
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+/**
+ * Create a collection backed by a Supabase table
+ * Indexes, including the full-text index of the text field, are created by
+ * supabase/schema.sql, so the indexes and textField options are ignored
+ * @param {string} name - Collection (table) name
+ * @returns {Object} Collection
+ */
+function collection(name) {
+  const table = () => getSupabaseClient().from(name);
+
+  return {
+    async insert(record) {
+      unwrap(await table().insert({ id: record.id, data: record }));
+      return { ...record };
+    },
+
+    async get(id) {
+      const row = unwrap(await table().select('data').eq('id', id).maybeSingle());
+      return row ? row.data : null;
+    },
+
+    async find(filter = {}) {
+      const records = [];
+
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const rows = unwrap(await table()
+          .select('data')
+          .contains('data', filter)
+          .order('id')
+          .range(from, from + PAGE_SIZE - 1));
+
+        records.push(...rows.map(row => row.data));
+
+        if (rows.length < PAGE_SIZE) {
+          return records;
+        }
+      }
+    },
+
+    async update(id, patch) {
+      // Merge in the database so concurrent updates of different fields don't clobber each other
+      const updated = unwrap(await getSupabaseClient().rpc('merge_document', {
+        collection: name,
+        doc_id: id,
+        patch: { ...patch, id }
+      }));
+      return updated || null;
+    },
+
+    async updateIf(id, expected, patch) {
+      const updated = unwrap(await getSupabaseClient().rpc('merge_document_if', {
+        collection: name,
+        doc_id: id,
+        expected,
+        patch: { ...patch, id }
+      }));
+      return updated || null;
+    },
+
+    async remove(id) {
+      const rows = unwrap(await table().delete().eq('id', id).select('id'));
+      return rows.length > 0;
+    },
+
+    async query(filter = {}, options = {}) {
+      // One more record than the page is read to tell whether another page follows
+      const { rows, total } = unwrap(await getSupabaseClient().rpc('query_documents', {
+        collection: name,
+        filter,
+        options: { ...options, limit: options.limit ? options.limit + 1 : null }
+      }));
+
+      const page = options.limit ? rows.slice(0, options.limit) : rows;
+
+      return {
+        records: page.map(row => row.data),
+        total,
+        after: rows.length > page.length ? page[page.length - 1].position : null
+      };
+    },
+
+    async search(terms, filter = {}) {
+      const rows = unwrap(await getSupabaseClient().rpc('search_documents', {
+        collection: name,
+        filter,
+        terms
+      }));
+
+      return rows.map(row => row.data);
+    },
+
+    async summarize(filter, groupField, sumField) {
+      const rows = unwrap(await getSupabaseClient().rpc('summarize_documents', {
+        collection: name,
+        filter,
+        group_field: groupField,
+        sum_field: sumField
+      }));
+
+      return rows.map(row => ({ value: row.value, count: Number(row.count), sum: Number(row.sum) }));
+    }
+  };
+}
+
+module.exports = {
+  name: 'supabase',
+  collection
+};
@@ -1,43 +1,191 @@
+const crypto = require('crypto');
+const { findActiveKey } = require('../services/apiKeys');
+const { isUploadLinkToken, verifyUploadLink } = require('../services/uploadLinks');
+const { recordAuditEvent } = require('../services/audit');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+
 /**
- * Simple token-based authentication middleware
- * Validates access token from Authorization header or query parameter
+ * Extract the access token from the Authorization header (Bearer token) or query parameter
+ * @param {Object} req - Express request
+ * @returns {string|undefined} Token
  */
-function authenticateToken(req, res, next) {
+function extractToken(req) {
   const authHeader = req.headers['authorization'];
   const queryToken = req.query.token;
-  
-  // Extract token from Authorization header (Bearer token) or query parameter
-  const token = authHeader && authHeader.split(' ')[1] || queryToken;
-  
+
+  return authHeader && authHeader.split(' ')[1] || queryToken;
+}
+
+/**
+ * Compare a token with the master ACCESS_TOKEN in constant time
+ * @param {string} token - Provided token
+ * @returns {boolean} Whether the token is the master token
+ */
+function isMasterToken(token) {
+  const masterToken = process.env.ACCESS_TOKEN;
+
+  if (!masterToken || token.length !== masterToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(masterToken));
+}
+
+/**
+ * Resolve a token to the credential it represents
+ * The master ACCESS_TOKEN acts as an admin key with every scope, and an upload
+ * link acts as a key that can only upload to its venue and bucket
+ * @param {string} token - Provided token
+ * @returns {Promise<Object|null>} { user, key, uploadLink } or null if the token is not valid
+ */
+async function resolveCredential(token) {
+  if (isMasterToken(token)) {
+    return {
+      user: { name: 'admin', type: 'master' },
+      key: { id: 'master', name: 'Master access token', scopes: ['*'], venues: null }
+    };
+  }
+
+  if (isUploadLinkToken(token)) {
+    const link = await verifyUploadLink(token);
+    if (!link) {
+      return null;
+    }
+
+    return {
+      user: { name: `upload-link:${link.id}`, type: 'upload_link' },
+      key: { id: link.id, name: 'Upload link', scopes: [`upload:${link.bucket}`], venues: [link.venue] },
+      uploadLink: link
+    };
+  }
+
+  const key = await findActiveKey(token);
+  if (!key) {
+    return null;
+  }
+
+  return {
+    user: { name: key.user, type: 'api_key' },
+    key
+  };
+}
+
+/**
+ * Token-based authentication middleware
+ * Accepts the master ACCESS_TOKEN, an API key or an upload link and sets
+ * req.user and req.key (and req.uploadLink for upload links)
+ */
+async function authenticateToken(req, res, next) {
+  const token = extractToken(req);
+
   if (!token) {
+    await recordAuditEvent(req, { action: 'auth.token_missing', result: 'denied' });
     return res.status(401).json({
       success: false,
       error: 'Access token required',
       message: 'Please provide a valid access token'
     });
   }
-  
-  // Validate token against environment variable
-  const validToken = process.env.ACCESS_TOKEN;
-  
-  if (!validToken) {
-    console.error('ACCESS_TOKEN environment variable not set');
+
+  try {
+    const credential = await resolveCredential(token);
+
+    if (!credential) {
+      await recordAuditEvent(req, { action: 'auth.token_invalid', result: 'denied' });
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid access token',
+        message: 'The provided access token is not valid'
+      });
+    }
+
+    req.user = credential.user;
+    req.key = credential.key;
+    req.uploadLink = credential.uploadLink || null;
+  } catch (error) {
+    console.error('Authentication error:', error);
     return res.status(500).json({
       success: false,
       error: 'Server configuration error',
       message: 'Authentication not properly configured'
     });
   }
-  
-  if (token !== validToken) {
+
+  // Token is valid, proceed to next middleware
+  next();
+}
+
+/**
+ * Check whether the authenticated credential has a scope
+ * @param {Object} req - Express request (after authenticateToken)
+ * @param {string} scope - Required scope
+ * @returns {boolean} Whether the scope is granted
+ */
+function hasScope(req, scope) {
+  const scopes = req.key?.scopes || [];
+  return scopes.includes('*') || scopes.includes(scope);
+}
+
+/**
+ * Scope authorization middleware factory
+ * Must be used after authenticateToken
+ * @param {string} scope - Required scope
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return async (req, res, next) => {
+    if (!hasScope(req, scope)) {
+      await recordAuditEvent(req, { action: 'auth.scope_denied', result: 'denied', details: { scope } });
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This action requires the "${scope}" scope`
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check whether the authenticated credential may access a venue
+ * Credentials without a venue allowlist may access every venue
+ * @param {Object} req - Express request (after authenticateToken)
+ * @param {string} venueName - Venue name (raw or sanitized)
+ * @returns {boolean} Whether the venue is allowed
+ */
+function canAccessVenue(req, venueName) {
+  const venues = req.key?.venues;
+
+  if (!venues) {
+    return true;
+  }
+
+  return venues.includes(sanitizeVenueName(venueName));
+}
+
+/**
+ * Venue authorization middleware
+ * Checks the venue resolved by resolveVenue or else the venue named in the
+ * route params or, for uploads, the request body
+ * Must be used after authenticateToken (and after multer for multipart bodies)
+ */
+async function requireVenueAccess(req, res, next) {
+  const venueName = req.venue?.slug || req.params.venueName || req.body?.venueName;
+
+  if (venueName && !canAccessVenue(req, venueName)) {
+    await recordAuditEvent(req, {
+      action: 'auth.venue_denied',
+      result: 'denied',
+      venue: sanitizeVenueName(venueName)
+    });
     return res.status(403).json({
       success: false,
-      error: 'Invalid access token',
-      message: 'The provided access token is not valid'
+      error: 'Venue access denied',
+      message: 'Your access token does not grant access to this venue'
     });
   }
-  
-  // Token is valid, proceed to next middleware
+
   next();
 }
 
@@ -45,22 +193,33 @@ function authenticateToken(req, res, next) {
  * Optional authentication middleware
  * Allows requests to proceed even without valid token, but sets req.authenticated
  */
-function optionalAuth(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const queryToken = req.query.token;
-  const token = authHeader && authHeader.split(' ')[1] || queryToken;
-  
+async function optionalAuth(req, res, next) {
+  const token = extractToken(req);
+
   req.authenticated = false;
-  
-  if (token && token === process.env.ACCESS_TOKEN) {
-    req.authenticated = true;
+
+  if (token) {
+    try {
+      const credential = await resolveCredential(token);
+
+      if (credential) {
+        req.authenticated = true;
+        req.user = credential.user;
+        req.key = credential.key;
+      }
+    } catch (error) {
+      console.error('Optional authentication error:', error);
+    }
   }
-  
+
   next();
 }
 
 module.exports = {
   authenticateToken,
+  requireScope,
+  hasScope,
+  canAccessVenue,
+  requireVenueAccess,
   optionalAuth
 };
-
@@ -1,6 +1,12 @@
 const multer = require('multer');
 const path = require('path');
 const { validateFileType, validateFileSize } = require('../utils/fileUtils');
+const { verifyFileContent } = require('../utils/fileSignatures');
+const { scanFile } = require('../scanners');
+const { DUPLICATE_STRATEGIES, DEFAULT_DUPLICATE_STRATEGY } = require('../services/duplicates');
+const { getDocument } = require('../services/documents');
+const { reserveUploadLinkQuota, releaseUploadLinkQuota } = require('../services/uploadLinks');
+const { getUploadSession, updateFileState, finishUploadSession } = require('../services/uploadProgress');
 
 // File type configurations
 const ALLOWED_TYPES = {
@@ -10,6 +16,10 @@ const ALLOWED_TYPES = {
     'image/png',
     'image/webp'
   ],
+  videos: [
+    'video/mp4',
+    'video/quicktime'
+  ],
   documents: [
     'application/pdf',
     'application/msword',
@@ -20,13 +30,88 @@ const ALLOWED_TYPES = {
 };
 
 // Get all allowed file types
-const ALL_ALLOWED_TYPES = [...ALLOWED_TYPES.images, ...ALLOWED_TYPES.documents];
+const ALL_ALLOWED_TYPES = [...ALLOWED_TYPES.images, ...ALLOWED_TYPES.videos, ...ALLOWED_TYPES.documents];
+
+// File types accepted by each upload route (menus and pricing also take scanned images)
+const ROUTE_ALLOWED_TYPES = {
+  photos: [...ALLOWED_TYPES.images, ...ALLOWED_TYPES.videos],
+  menus: [...ALLOWED_TYPES.documents, ...ALLOWED_TYPES.images],
+  pricing: [...ALLOWED_TYPES.documents, ...ALLOWED_TYPES.images]
+};
 
 // Maximum file size (10MB by default)
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
 
+// Shortest time between two events reporting the bytes received of a file
+const PROGRESS_EVENT_INTERVAL_MS = 250;
+
 // Configure multer for memory storage (files will be uploaded directly to Supabase)
-const storage = multer.memoryStorage();
+const memoryStorage = multer.memoryStorage();
+
+// Find the upload session named by the X-Upload-Session header or an
+// uploadSessionId field sent before the files, and mark it used for this
+// request; invalid sessions are left for trackUploadProgress to reject
+const claimUploadSession = (req) => {
+  if (req.progressSession !== undefined) {
+    return req.progressSession;
+  }
+  
+  const sessionId = req.get('X-Upload-Session') || (req.body && req.body.uploadSessionId);
+  const session = sessionId ? getUploadSession(sessionId) : null;
+  
+  req.progressSession = null;
+  
+  if (session && req.key && session.credentialId === req.key.id && !session.used) {
+    session.used = true;
+    req.progressSession = session;
+    req.progressFileCount = 0;
+    
+    // Files left without a final state failed validation or were cut off
+    req.res.on('close', () => {
+      finishUploadSession(session, req.res.writableFinished ? req.res.statusCode : null);
+    });
+  }
+  
+  return req.progressSession;
+};
+
+// Storage engine that buffers files like memoryStorage and reports the bytes
+// of each file to the upload session while they arrive
+const storage = {
+  _handleFile(req, file, cb) {
+    const session = claimUploadSession(req);
+    
+    if (!session) {
+      return memoryStorage._handleFile(req, file, cb);
+    }
+    
+    const index = req.progressFileCount++;
+    let received = 0;
+    let reportedAt = 0;
+    
+    updateFileState(session, index, 'receiving', { name: file.originalname, received: 0 });
+    
+    memoryStorage._handleFile(req, file, (error, info) => {
+      if (!error) {
+        updateFileState(session, index, 'received', { size: info.size, received: info.size });
+      }
+      cb(error, info);
+    });
+    
+    file.stream.on('data', (chunk) => {
+      received += chunk.length;
+      
+      if (Date.now() - reportedAt >= PROGRESS_EVENT_INTERVAL_MS) {
+        reportedAt = Date.now();
+        updateFileState(session, index, 'receiving', { received });
+      }
+    });
+  },
+  
+  _removeFile(req, file, cb) {
+    memoryStorage._removeFile(req, file, cb);
+  }
+};
 
 // File filter function
 const fileFilter = (req, file, cb) => {
@@ -97,6 +182,62 @@ const handleUploadError = (error, req, res, next) => {
   });
 };
 
+// Middleware attaching the upload session named by the X-Upload-Session header
+// or the uploadSessionId field as req.uploadSession, so the progress of each
+// file is streamed to the session's subscribers
+// Must be used after multer, whose storage engine already reported the files
+// as they arrived; requests without a session pass through
+const trackUploadProgress = (req, res, next) => {
+  const sessionId = req.get('X-Upload-Session') || req.body.uploadSessionId;
+  
+  req.uploadSession = null;
+  
+  if (req.progressSession) {
+    req.uploadSession = req.progressSession;
+    (req.files || []).forEach((file, index) => {
+      updateFileState(req.uploadSession, index, 'validating');
+    });
+    return next();
+  }
+  
+  if (!sessionId) {
+    return next();
+  }
+  
+  const session = getUploadSession(sessionId);
+  
+  if (!session || session.credentialId !== req.key.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Upload session not found',
+      message: 'No upload session with this id exists for your access token'
+    });
+  }
+  
+  if (session.used) {
+    return res.status(409).json({
+      success: false,
+      error: 'Upload session already used',
+      message: 'Create a new upload session for each upload'
+    });
+  }
+  
+  session.used = true;
+  req.uploadSession = session;
+  
+  (req.files || []).forEach((file, index) => {
+    updateFileState(session, index, 'received', { name: file.originalname, size: file.size });
+    updateFileState(session, index, 'validating');
+  });
+  
+  // Files left without a final state failed validation or were cut off
+  res.on('close', () => {
+    finishUploadSession(session, res.writableFinished ? res.statusCode : null);
+  });
+  
+  next();
+};
+
 // Middleware for validating uploaded files
 const validateFiles = (req, res, next) => {
   if (!req.files || req.files.length === 0) {
@@ -132,12 +273,165 @@ const validateFiles = (req, res, next) => {
   next();
 };
 
+// Middleware factory verifying each file's content signature against its
+// declared MIME type, its extension and the types accepted by the route
+const verifyFileContents = (allowedTypes) => async (req, res, next) => {
+  try {
+    const failures = [];
+    
+    for (const file of req.files) {
+      const failure = await verifyFileContent(file, allowedTypes);
+      if (failure) {
+        failures.push(failure);
+      }
+    }
+    
+    if (failures.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'File type verification failed',
+        message: `${failures.length} file(s) failed content verification`,
+        failures,
+        allowedTypes
+      });
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware scanning each file for malware before it is stored
+// The verdict is attached as file.scan and acted on by uploadFilesToBucket
+const scanFiles = async (req, res, next) => {
+  try {
+    for (const file of req.files) {
+      file.scan = await scanFile(file);
+    }
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware reading how files already stored for the venue are handled
+// from the `duplicates` field (skip, replace or keep-both) into req.duplicateStrategy
+const validateDuplicateStrategy = (req, res, next) => {
+  const strategy = req.body.duplicates || DEFAULT_DUPLICATE_STRATEGY;
+  
+  if (!DUPLICATE_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid duplicate strategy',
+      message: `duplicates must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`
+    });
+  }
+  
+  req.duplicateStrategy = strategy;
+  next();
+};
+
+// Middleware factory loading the document named by the `documentId` field into
+// req.document, so the uploaded file is stored as its next version
+// Must be used after resolveVenue; without a documentId the file starts a new document
+const loadDocument = (bucketName) => async (req, res, next) => {
+  try {
+    const { documentId } = req.body;
+    
+    if (!documentId) {
+      req.document = null;
+      return next();
+    }
+    
+    if (req.files.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too many files',
+        message: 'Upload a single file as the new version of a document'
+      });
+    }
+    
+    const document = await getDocument(documentId);
+    
+    if (!document || document.venueId !== req.venue.id || document.bucket !== bucketName) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: 'No document with this id exists for the venue in this bucket'
+      });
+    }
+    
+    req.document = document;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Middleware enforcing the file count and byte quota of upload links
+// Quota for every file is reserved up front, counting the bytes received, and
+// settled by the route with settleLinkQuota; if the request ends before that,
+// the whole reservation is given back
+// Must be used after validateFiles, requests authenticated otherwise pass through
+const checkUploadLinkQuota = async (req, res, next) => {
+  const link = req.uploadLink;
+  
+  if (!link) {
+    return next();
+  }
+  
+  const files = req.files.length;
+  const bytes = req.files.reduce((sum, file) => sum + file.size, 0);
+  
+  try {
+    const result = await reserveUploadLinkQuota(link.id, files, bytes);
+    
+    if (!result || !result.reserved) {
+      const current = result ? result.link : link;
+      const message = current.remainingFiles !== null && files > current.remainingFiles
+        ? `This upload link allows ${current.remainingFiles} more file(s)`
+        : `This upload link allows ${current.remainingBytes} more byte(s)`;
+      
+      return res.status(403).json({
+        success: false,
+        error: 'Upload quota exceeded',
+        message
+      });
+    }
+    
+    const reservation = { files, bytes, settled: false };
+    req.linkReservation = reservation;
+    
+    res.on('close', () => {
+      if (!reservation.settled) {
+        reservation.settled = true;
+        releaseUploadLinkQuota(link.id, files, bytes)
+          .catch(error => console.error('Error releasing upload link quota:', error));
+      }
+    });
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Export configured upload middleware
 module.exports = {
   upload: upload.array('files', 10), // Accept up to 10 files with field name 'files'
   handleUploadError,
+  trackUploadProgress,
   validateFiles,
+  verifyFileContents,
+  scanFiles,
+  checkUploadLinkQuota,
+  validateDuplicateStrategy,
+  loadDocument,
   ALLOWED_TYPES,
+  ALL_ALLOWED_TYPES,
+  ROUTE_ALLOWED_TYPES,
   MAX_FILE_SIZE
 };
 
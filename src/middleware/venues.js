@@ -0,0 +1,134 @@
+const { canAccessVenue } = require('./auth');
+const { recordAuditEvent } = require('../services/audit');
+const { AUTO_REGISTER, findVenue, createVenue, availableSlug } = require('../services/venues');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+
+// HTTP status and error for each venue resolution error code
+const VENUE_ERRORS = {
+  VENUE_REQUIRED: { status: 400, error: 'Venue name required' },
+  INVALID_VENUE: { status: 400, error: 'Invalid venue' },
+  VENUE_NOT_FOUND: { status: 404, error: 'Venue not found' },
+  VENUE_ACCESS_DENIED: { status: 403, error: 'Venue access denied' },
+  VENUE_ARCHIVED: { status: 409, error: 'Venue archived' },
+  SLUG_TAKEN: { status: 409, error: 'Venue slug taken' }
+};
+
+/**
+ * Create a venue resolution error
+ * @param {string} code - Key of VENUE_ERRORS
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function venueError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Resolve a venue identifier (id, slug or name) for the authenticated credential
+ * @param {Object} req - Express request (after authenticateToken)
+ * @param {string} identifier - Venue id, slug or name
+ * @param {Object} options - { register: register unknown venues and reject archived ones (uploads),
+ *                             registered: only accept registered venues }
+ * @returns {Promise<Object>} Venue record; unregistered venue folders resolve to
+ *                            { id: null, name, slug, registered: false }
+ * @throws {Error} Error with a VENUE_ERRORS code
+ */
+async function loadVenue(req, identifier, options = {}) {
+  if (!identifier || typeof identifier !== 'string' || !sanitizeVenueName(identifier)) {
+    throw venueError('VENUE_REQUIRED', 'Please provide a venue name');
+  }
+
+  let venue = await findVenue(identifier);
+
+  if (!venue && options.register && AUTO_REGISTER) {
+    // Only register venues the credential would be allowed to use
+    const slug = await availableSlug(identifier);
+    if (!canAccessVenue(req, slug)) {
+      await recordAuditEvent(req, { action: 'auth.venue_denied', result: 'denied', venue: slug });
+      throw venueError('VENUE_ACCESS_DENIED', 'Your access token does not grant access to this venue');
+    }
+
+    // Register under the slug that was checked, even if another request took it meanwhile
+    venue = await createVenue({ name: identifier, slug, createdBy: req.user.name });
+  }
+
+  if (!venue) {
+    if (options.register || options.registered) {
+      throw venueError('VENUE_NOT_FOUND', `No venue is registered as "${identifier}"`);
+    }
+
+    // Files uploaded before the registry existed live in a folder named after the venue
+    const slug = sanitizeVenueName(identifier);
+    return { id: null, name: identifier, slug, registered: false };
+  }
+
+  if (!canAccessVenue(req, venue.slug)) {
+    await recordAuditEvent(req, { action: 'auth.venue_denied', result: 'denied', venue: venue.slug });
+    throw venueError('VENUE_ACCESS_DENIED', 'Your access token does not grant access to this venue');
+  }
+
+  if (options.register && venue.status === 'archived') {
+    throw venueError('VENUE_ARCHIVED', 'This venue is archived and no longer accepts uploads');
+  }
+
+  return { ...venue, registered: true };
+}
+
+/**
+ * Send the JSON error response for a venue resolution error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by loadVenue
+ * @returns {boolean} Whether the error was a venue error and a response was sent
+ */
+function sendVenueError(res, error) {
+  const venueErrorInfo = VENUE_ERRORS[error.code];
+
+  if (!venueErrorInfo) {
+    return false;
+  }
+
+  res.status(venueErrorInfo.status).json({
+    success: false,
+    error: venueErrorInfo.error,
+    message: error.message
+  });
+  return true;
+}
+
+/**
+ * Venue resolution middleware factory
+ * Resolves the venue in the :venueId or :venueName route param or, for uploads,
+ * the venueId or venueName body field to req.venue. Upload links default to their own venue.
+ * Must be used after authenticateToken (and after multer for multipart bodies)
+ * @param {Object} options - Options for loadVenue
+ * @returns {Function} Express middleware
+ */
+function resolveVenue(options = {}) {
+  return async (req, res, next) => {
+    const identifier = req.params.venueId || req.params.venueName ||
+      req.body?.venueId || req.body?.venueName ||
+      req.uploadLink?.venueId || req.uploadLink?.venue;
+
+    try {
+      req.venue = await loadVenue(req, identifier, options);
+      next();
+    } catch (error) {
+      if (!sendVenueError(res, error)) {
+        console.error('Error resolving venue:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Venue lookup failed',
+          message: 'Unable to resolve the venue'
+        });
+      }
+    }
+  };
+}
+
+module.exports = {
+  resolveVenue,
+  loadVenue,
+  sendVenueError
+};
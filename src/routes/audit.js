@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireScope } = require('../middleware/auth');
+const { AUDIT_ACTIONS, listAuditEvents, toAuditCsv } = require('../services/audit');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+const { parsePagination, encodeCursor, invalidQuery } = require('../utils/pagination');
+
+// Export formats and their content types
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8'
+};
+
+// Every audit endpoint requires the audit:read scope
+router.use(authenticateToken, requireScope('audit:read'));
+
+/**
+ * Parse an optional ISO date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {string|null} Normalized ISO timestamp or null
+ */
+function parseDateParam(value, name) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQuery(`${name} must be an ISO date`);
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Parse the audit filters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { venue, actor, action, from, to }
+ * @throws {Error} INVALID_QUERY when a filter is invalid
+ */
+function parseAuditFilters(query) {
+  const { venue, actor, action } = query;
+  const actionGroups = Array.from(new Set(AUDIT_ACTIONS.map(name => name.split('.')[0])));
+
+  if (action && !AUDIT_ACTIONS.includes(action) && !actionGroups.includes(action)) {
+    throw invalidQuery(`action must be one of: ${[...AUDIT_ACTIONS, 'auth'].join(', ')}`);
+  }
+
+  return {
+    venue: venue ? sanitizeVenueName(venue) : null,
+    actor: actor || null,
+    action: action || null,
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to')
+  };
+}
+
+/**
+ * List the audit events the credential may see
+ * Venue-restricted credentials only see events of their venues
+ * @param {Object} req - Express request
+ * @param {Object} page - { order, after, limit } as for listAuditEvents
+ * @returns {Promise<Object>} { events, total, after }
+ */
+async function findVisibleEvents(req, page = {}) {
+  return listAuditEvents(parseAuditFilters(req.query), { ...page, venues: req.key.venues || null });
+}
+
+/**
+ * Send the JSON error response for an invalid query, or a generic failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while listing events
+ * @param {string} message - Message for unexpected errors
+ */
+function sendAuditError(res, error, message) {
+  if (error.code === 'INVALID_QUERY') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid query',
+      message: error.message
+    });
+  }
+
+  console.error('Audit log error:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to read audit log',
+    message
+  });
+}
+
+/**
+ * List audit events, newest first
+ * GET /api/audit
+ * Query: venue, actor, action (e.g. upload, delete, auth or auth.scope_denied), from, to, limit, cursor, order
+ */
+router.get('/', async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { date: 'desc' });
+    const page = await findVisibleEvents(req, {
+      order: pagination.order,
+      after: pagination.cursor,
+      limit: pagination.limit
+    });
+
+    res.json({
+      success: true,
+      events: page.events,
+      count: page.events.length,
+      total: page.total,
+      nextCursor: page.after ? encodeCursor(page.after) : null
+    });
+
+  } catch (error) {
+    sendAuditError(res, error, 'Unable to retrieve audit events');
+  }
+});
+
+/**
+ * Download every matching audit event
+ * GET /api/audit/export
+ * Query: format (csv or json, defaults to csv) and the filters of GET /api/audit
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS[format]) {
+      throw invalidQuery(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    const { events } = await findVisibleEvents(req);
+    const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.attachment(fileName);
+    res.set('Content-Type', EXPORT_FORMATS[format]);
+    res.send(format === 'csv' ? toAuditCsv(events) : JSON.stringify(events, null, 2));
+
+  } catch (error) {
+    sendAuditError(res, error, 'Unable to export audit events');
+  }
+});
+
+module.exports = router;
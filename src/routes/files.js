@@ -0,0 +1,346 @@
+const express = require('express');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const { BUCKETS } = require('../config/supabase');
+const { storage } = require('../storage');
+const { authenticateToken, requireScope, hasScope, canAccessVenue } = require('../middleware/auth');
+const { loadVenue } = require('../middleware/venues');
+const { ROUTE_ALLOWED_TYPES } = require('../middleware/upload');
+const {
+  locateFile,
+  fileExists,
+  planDestination,
+  moveFile,
+  copyFile
+} = require('../services/fileOperations');
+const { trashFile } = require('../services/trash');
+const { recordAuditEvent } = require('../services/audit');
+const { emitFileEvent } = require('../services/webhooks');
+
+// Maximum number of operations in one batch request
+const MAX_BATCH_OPERATIONS = 100;
+
+// Scope each batch action requires
+const ACTION_SCOPES = {
+  delete: 'files:delete',
+  move: 'files:manage',
+  copy: 'files:manage'
+};
+
+/**
+ * Resolve a bucket given by key (e.g. "photos") or by its configured name
+ * @param {string} value - Bucket key or name
+ * @returns {Object|null} { key, name } or null if unknown
+ */
+function findBucket(value) {
+  for (const [bucketKey, bucketName] of Object.entries(BUCKETS)) {
+    if (value === bucketKey.toLowerCase() || value === bucketName) {
+      return { key: bucketKey.toLowerCase(), name: bucketName };
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate one batch operation and work out what it would change
+ * @param {Object} req - Express request
+ * @param {Object} operation - { action, fileId | bucket + path, to: { bucket, venue, category } }
+ * @returns {Promise<Object>} { file, destination } or { error }
+ */
+async function planOperation(req, operation) {
+  const { action, fileId, bucket, path: filePath, to = {} } = operation || {};
+
+  if (!ACTION_SCOPES[action]) {
+    return { error: `action must be one of: ${Object.keys(ACTION_SCOPES).join(', ')}` };
+  }
+
+  if (!hasScope(req, ACTION_SCOPES[action])) {
+    return { error: `This action requires the "${ACTION_SCOPES[action]}" scope` };
+  }
+
+  const sourceBucket = bucket ? findBucket(bucket) : null;
+  if (!fileId && !sourceBucket) {
+    return { error: 'Provide a fileId, or a valid bucket and path' };
+  }
+
+  const file = await locateFile({ fileId, bucket: sourceBucket?.name, path: filePath });
+  if (!file) {
+    return { error: 'File not found' };
+  }
+
+  if (!canAccessVenue(req, file.venue)) {
+    return { error: 'Your access token does not grant access to this venue' };
+  }
+
+  if (action === 'delete') {
+    return { file, destination: null };
+  }
+
+  const targetBucket = to.bucket ? findBucket(to.bucket) : findBucket(file.bucket);
+  if (!targetBucket) {
+    return { error: `Unknown bucket "${to.bucket}"` };
+  }
+
+  if (action === 'move' && targetBucket.name !== file.bucket) {
+    return { error: 'Files can only be moved within a bucket; copy them to another bucket instead' };
+  }
+
+  if (!ROUTE_ALLOWED_TYPES[targetBucket.key].includes(file.mimeType)) {
+    return { error: `The ${targetBucket.key} bucket does not accept ${file.mimeType} files` };
+  }
+
+  let venue = { id: file.venueId, name: file.venueName, slug: file.venue };
+  if (to.venue) {
+    try {
+      venue = await loadVenue(req, to.venue, { registered: true });
+    } catch (error) {
+      if (!error.code?.startsWith('VENUE_')) {
+        throw error;
+      }
+      return { error: error.message };
+    }
+  }
+
+  const category = to.category !== undefined ? to.category : file.category;
+  if (category !== null && typeof category !== 'string') {
+    return { error: 'to.category must be a string or null' };
+  }
+
+  const destination = planDestination(
+    file,
+    { bucket: targetBucket.name, venue, category },
+    { rename: action === 'copy' }
+  );
+
+  if (action === 'move' && destination.path === file.path) {
+    return { error: 'The file is already in this venue and category' };
+  }
+
+  if (await fileExists(destination.bucket, destination.path)) {
+    return { error: `A file already exists at ${destination.bucket}/${destination.path}` };
+  }
+
+  return { file, destination };
+}
+
+/**
+ * Describe a planned operation for the response
+ * @param {Object} plan - Plan from planOperation
+ * @returns {Object} { from, to, variants }
+ */
+function describePlan({ file, destination }) {
+  return {
+    fileId: file.id,
+    from: { bucket: file.bucket, path: file.path },
+    to: destination ? { bucket: destination.bucket, path: destination.path } : null,
+    variants: Object.keys(file.variants).length
+  };
+}
+
+/**
+ * Delete (to the trash), move or copy files in one request
+ * POST /api/files/batch
+ * Body: { dryRun, operations: [{ action: delete|move|copy, fileId | bucket + path,
+ *         to: { bucket (copy only), venue, category } }] }
+ * Every operation is validated before any is executed; with dryRun nothing is executed
+ */
+router.post('/batch', authenticateToken, async (req, res) => {
+  try {
+    const { operations, dryRun = false } = req.body;
+
+    if (!Array.isArray(operations) || operations.length === 0 || operations.length > MAX_BATCH_OPERATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch',
+        message: `operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations`
+      });
+    }
+
+    // Validate every operation up front, including conflicts between them
+    const plans = [];
+    const sources = new Set();
+    const destinations = new Set();
+
+    for (const [index, operation] of operations.entries()) {
+      const plan = await planOperation(req, operation);
+
+      if (!plan.error) {
+        const source = `${plan.file.bucket}/${plan.file.path}`;
+        const destination = plan.destination && `${plan.destination.bucket}/${plan.destination.path}`;
+
+        if (sources.has(source)) {
+          plan.error = 'The file is already part of another operation in this batch';
+        } else if (destination && destinations.has(destination)) {
+          plan.error = `Another operation in this batch already writes ${destination}`;
+        }
+
+        sources.add(source);
+        if (destination) {
+          destinations.add(destination);
+        }
+      }
+
+      plans.push({ index, action: operation?.action, ...plan });
+    }
+
+    const invalid = plans.filter(plan => plan.error);
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch',
+        message: `${invalid.length} operation(s) failed validation, nothing was changed`,
+        results: plans.map(plan => plan.error
+          ? { index: plan.index, action: plan.action, status: 'invalid', error: plan.error }
+          : { index: plan.index, action: plan.action, status: 'valid', ...describePlan(plan) })
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        message: `${plans.length} operation(s) would be executed`,
+        results: plans.map(plan => ({ index: plan.index, action: plan.action, status: 'planned', ...describePlan(plan) }))
+      });
+    }
+
+    const results = [];
+    for (const plan of plans) {
+      const result = { index: plan.index, action: plan.action, ...describePlan(plan) };
+
+      try {
+        if (plan.action === 'delete') {
+          const entry = await trashFile(plan.file, req.user.name);
+          result.trashId = entry.id;
+          await emitFileEvent('file.deleted', entry, req.user.name);
+        } else if (plan.action === 'move') {
+          await moveFile(plan.file, plan.destination);
+        } else {
+          const copy = await copyFile(plan.file, plan.destination, req.user.name);
+          result.copyId = copy.id;
+        }
+        results.push({ ...result, status: 'succeeded' });
+      } catch (error) {
+        console.error(`Batch ${plan.action} failed for ${result.from.bucket}/${result.from.path}:`, error);
+        results.push({ ...result, status: 'failed', error: error.message });
+      }
+
+      if (plan.action === 'delete') {
+        const { status, trashId, error } = results[results.length - 1];
+        await recordAuditEvent(req, {
+          action: 'delete',
+          result: status === 'succeeded' ? 'success' : 'failure',
+          venue: plan.file.venue,
+          bucket: plan.file.bucket,
+          path: plan.file.path,
+          details: { fileId: plan.file.id, trashId, error }
+        });
+      }
+    }
+
+    const failed = results.filter(result => result.status === 'failed').length;
+
+    res.json({
+      success: failed === 0,
+      dryRun: false,
+      message: `${results.length - failed} operation(s) succeeded, ${failed} failed`,
+      results,
+      performedBy: req.user.name
+    });
+
+  } catch (error) {
+    console.error('Batch operation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Batch failed',
+      message: 'An error occurred while processing the batch'
+    });
+  }
+});
+
+/**
+ * Download a file, as an attachment named after the uploaded file
+ * Works for every bucket, so it is how files of private buckets are fetched
+ * without a signed URL
+ * GET /api/files/:bucket/<path>/download
+ * Query: variant (name of an image variant, e.g. thumbnail)
+ */
+router.get('/:bucket/*/download', authenticateToken, requireScope('venues:read'), async (req, res) => {
+  try {
+    const bucket = findBucket(req.params.bucket);
+    const file = bucket ? await locateFile({ bucket: bucket.name, path: req.params[0] }) : null;
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: 'No file exists at this path'
+      });
+    }
+
+    if (!canAccessVenue(req, file.venue)) {
+      await recordAuditEvent(req, {
+        action: 'auth.venue_denied',
+        result: 'denied',
+        venue: file.venue,
+        bucket: file.bucket,
+        path: file.path
+      });
+      return res.status(403).json({
+        success: false,
+        error: 'Venue access denied',
+        message: 'Your access token does not grant access to this venue'
+      });
+    }
+
+    let filePath = file.path;
+    let downloadName = file.originalName || file.fileName;
+    let mimeType = file.mimeType;
+
+    const { variant } = req.query;
+    if (variant !== undefined) {
+      if (!Object.hasOwn(file.variants, variant)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Variant not found',
+          message: `The file has no "${variant}" variant`,
+          variants: Object.keys(file.variants)
+        });
+      }
+
+      // Variants may be in another format than the original, e.g. photo-thumbnail.webp
+      filePath = file.variants[variant].path;
+      downloadName = `${path.posix.parse(downloadName).name}-${variant}${path.posix.extname(filePath)}`;
+      mimeType = file.variants[variant].mimeType;
+    }
+
+    // Streamed from storage, so large files are never held in memory
+    const { data: stream, error } = await storage.downloadStream(file.bucket, filePath);
+    if (error) {
+      throw error;
+    }
+
+    // res.attachment sets a Content-Type from the name, so the stored type is set after it
+    res.attachment(downloadName);
+    res.set('Content-Type', mimeType || 'application/octet-stream');
+    res.set('Cache-Control', 'private, no-store');
+    await pipeline(stream, res);
+
+  } catch (error) {
+    console.error('File download error:', error);
+
+    // The file broke off, or the client went away, after the response started
+    if (res.headersSent) {
+      return res.destroy();
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Download failed',
+      message: 'Unable to download the file'
+    });
+  }
+});
+
+module.exports = router;
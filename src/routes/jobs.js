@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, canAccessVenue } = require('../middleware/auth');
+const { getJob } = require('../services/jobs');
+
+/**
+ * Get the status of a background job, e.g. one listed in an upload response
+ * GET /api/jobs/:id
+ * Any credential may read the jobs of the venues it has access to
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job || (job.venue && !canAccessVenue(req, job.venue))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'No job with this id exists'
+      });
+    }
+
+    const { payload, ...status } = job;
+
+    res.json({
+      success: true,
+      job: status
+    });
+
+  } catch (error) {
+    console.error('Error getting job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job',
+      message: 'Unable to retrieve the job status'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireScope, hasScope, canAccessVenue } = require('../middleware/auth');
+const {
+  SCOPES,
+  createKey,
+  listKeys,
+  getKey,
+  rotateKey,
+  revokeKey,
+  findInvalidScopes,
+  normalizeVenues
+} = require('../services/apiKeys');
+
+// Every key management endpoint requires the keys:manage scope
+router.use(authenticateToken, requireScope('keys:manage'));
+
+/**
+ * Check whether the credential may grant or manage a key
+ * A key can only be given scopes and venues its manager has itself, so that
+ * keys:manage cannot be used to escape a scope or venue allowlist
+ * @param {Object} req - Express request
+ * @param {Object} key - Key (or its requested { scopes, venues })
+ * @returns {boolean} Whether access is allowed
+ */
+function canManageKey(req, key) {
+  if (!key.scopes.every(scope => hasScope(req, scope))) {
+    return false;
+  }
+
+  if (!req.key.venues) {
+    return true;
+  }
+
+  return Array.isArray(key.venues) && key.venues.length > 0 &&
+    key.venues.every(venue => canAccessVenue(req, venue));
+}
+
+/**
+ * Load the key in the :id route param into req.managedKey
+ */
+async function loadKey(req, res, next) {
+  try {
+    const key = await getKey(req.params.id);
+
+    if (!key || !canManageKey(req, key)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'No API key exists with this id'
+      });
+    }
+
+    req.managedKey = key;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create a new API key
+ * POST /api/keys
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, user, scopes, venues } = req.body;
+
+    if (!name || !user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and user required',
+        message: 'Please provide a key name and the user it belongs to'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Scopes required',
+        message: 'Please provide at least one scope',
+        allowedScopes: SCOPES
+      });
+    }
+
+    const invalidScopes = findInvalidScopes(scopes);
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid scopes',
+        message: `Unknown scope(s): ${invalidScopes.join(', ')}`,
+        allowedScopes: SCOPES
+      });
+    }
+
+    if (venues !== undefined && venues !== null &&
+        (!Array.isArray(venues) || venues.some(venue => typeof venue !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid venues',
+        message: 'Venues must be an array of venue names'
+      });
+    }
+
+    if (!canManageKey(req, { scopes, venues: normalizeVenues(venues) })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Access exceeded',
+        message: 'A new key can only have scopes and venues that your access token has'
+      });
+    }
+
+    const { key, token } = await createKey({ name, user, scopes, venues });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store the token now, it will not be shown again',
+      key,
+      token
+    });
+
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: 'Unable to create the API key'
+    });
+  }
+});
+
+/**
+ * List API keys
+ * GET /api/keys
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = (await listKeys()).filter(key => canManageKey(req, key));
+
+    res.json({
+      success: true,
+      keys,
+      count: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: 'Unable to retrieve API keys'
+    });
+  }
+});
+
+/**
+ * Rotate an API key (issue a new token, invalidating the old one)
+ * POST /api/keys/:id/rotate
+ */
+router.post('/:id/rotate', loadKey, async (req, res) => {
+  try {
+    const result = await rotateKey(req.managedKey.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        message: 'No active API key exists with this id'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new token now, it will not be shown again',
+      key: result.key,
+      token: result.token
+    });
+
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+      message: 'Unable to rotate the API key'
+    });
+  }
+});
+
+/**
+ * Revoke an API key
+ * DELETE /api/keys/:id
+ */
+router.delete('/:id', loadKey, async (req, res) => {
+  try {
+    const key = await revokeKey(req.managedKey.id);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      key
+    });
+
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: 'Unable to revoke the API key'
+    });
+  }
+});
+
+module.exports = router;
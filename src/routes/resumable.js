@@ -0,0 +1,440 @@
+const express = require('express');
+const router = express.Router();
+const { BUCKETS } = require('../config/supabase');
+const { authenticateToken, hasScope } = require('../middleware/auth');
+const { loadVenue, sendVenueError } = require('../middleware/venues');
+const { ROUTE_ALLOWED_TYPES } = require('../middleware/upload');
+const { verifyFileContent } = require('../utils/fileSignatures');
+const { scanFile } = require('../scanners');
+const { uploadFilesToBucket } = require('../services/uploads');
+const { reserveUploadLinkQuota, releaseUploadLinkQuota } = require('../services/uploadLinks');
+const { recordAuditEvent, recordUploadEvents } = require('../services/audit');
+const { emitUploadCompleted } = require('../services/webhooks');
+const {
+  MAX_RESUMABLE_FILE_SIZE,
+  createResumableUpload,
+  getResumableUpload,
+  appendChunk,
+  verifyResumableUpload,
+  removeResumableUpload
+} = require('../services/resumableUploads');
+const { DUPLICATE_STRATEGIES, DEFAULT_DUPLICATE_STRATEGY } = require('../services/duplicates');
+const { getDocument } = require('../services/documents');
+const { formatFileSize } = require('../utils/fileUtils');
+
+/**
+ * Resumable upload protocol
+ *
+ * 1. POST   /api/upload/resumable              start an upload, returns its id
+ * 2. PATCH  /api/upload/resumable/:id          send the next chunk as the raw request body
+ *                                              with an Upload-Offset header
+ * 3. GET    /api/upload/resumable/:id          after a dropped connection, get the offset to resume from
+ * 4. POST   /api/upload/resumable/:id/complete verify the SHA-256 checksum and store the file
+ *
+ * DELETE /api/upload/resumable/:id aborts an upload.
+ */
+
+// HTTP status for each resumable upload error code
+const ERROR_STATUS = {
+  UPLOAD_LOCKED: 409,
+  OFFSET_MISMATCH: 409,
+  CHUNK_TOO_LARGE: 413,
+  CHECKSUM_REQUIRED: 400,
+  UPLOAD_INCOMPLETE: 409,
+  CHECKSUM_MISMATCH: 422
+};
+
+/**
+ * Format an upload record for API responses
+ * @param {Object} upload - Upload record with offset
+ * @returns {Object} Public upload status
+ */
+function toUploadStatus(upload) {
+  return {
+    id: upload.id,
+    venueId: upload.venueId,
+    venueName: upload.venueName,
+    bucket: upload.bucket,
+    category: upload.category || null,
+    fileName: upload.fileName,
+    mimeType: upload.mimeType,
+    size: upload.size,
+    offset: upload.offset,
+    complete: upload.offset === upload.size,
+    expiresAt: upload.expiresAt
+  };
+}
+
+/**
+ * Load the upload named in the route and check it belongs to the caller
+ */
+async function loadUpload(req, res, next) {
+  try {
+    const upload = await getResumableUpload(req.params.id);
+
+    if (!upload || upload.keyId !== req.key.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found',
+        message: 'No resumable upload exists with this id, or it has expired'
+      });
+    }
+
+    req.resumableUpload = upload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send the JSON error response for a resumable upload error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the resumable upload service
+ * @param {string} fallbackMessage - Message for unexpected errors
+ */
+function sendUploadError(res, error, fallbackMessage) {
+  const status = ERROR_STATUS[error.code];
+
+  if (!status) {
+    console.error('Resumable upload error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Upload failed',
+      message: fallbackMessage
+    });
+  }
+
+  if (error.offset !== undefined) {
+    res.set('Upload-Offset', String(error.offset));
+  }
+
+  res.status(status).json({
+    success: false,
+    error: error.code,
+    message: error.message,
+    offset: error.offset
+  });
+}
+
+/**
+ * Start a resumable upload
+ * POST /api/upload/resumable
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const {
+      venueId,
+      venueName,
+      bucket = 'photos',
+      category,
+      fileName,
+      size,
+      mimeType,
+      checksum,
+      duplicates = DEFAULT_DUPLICATE_STRATEGY,
+      documentId
+    } = req.body;
+    // Bucket keys are matched case-insensitively; the lower-case key is used from here on
+    const bucketKey = String(bucket).toLowerCase();
+    const bucketName = Object.hasOwn(BUCKETS, bucketKey.toUpperCase()) ? BUCKETS[bucketKey.toUpperCase()] : null;
+
+    if (!(venueId || venueName || req.uploadLink) || !fileName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Venue name and file name required',
+        message: 'Please provide a venue name and the original file name'
+      });
+    }
+
+    if (!bucketName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bucket',
+        message: `Bucket must be one of: ${Object.keys(BUCKETS).map(key => key.toLowerCase()).join(', ')}`
+      });
+    }
+
+    if (!hasScope(req, `upload:${bucketKey}`)) {
+      await recordAuditEvent(req, { action: 'auth.scope_denied', result: 'denied', details: { scope: `upload:${bucketKey}` } });
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This action requires the "upload:${bucketKey}" scope`
+      });
+    }
+
+    const allowedTypes = ROUTE_ALLOWED_TYPES[bucketKey];
+    if (!allowedTypes.includes(mimeType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file type',
+        message: `File type ${mimeType} is not allowed`,
+        allowedTypes
+      });
+    }
+
+    if (!Number.isInteger(size) || size <= 0 || size > MAX_RESUMABLE_FILE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file size',
+        message: `Size must be between 1 byte and ${formatFileSize(MAX_RESUMABLE_FILE_SIZE)}`
+      });
+    }
+
+    if (checksum && !/^[a-f0-9]{64}$/i.test(checksum)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid checksum',
+        message: 'Checksum must be a hex encoded SHA-256 digest'
+      });
+    }
+
+    if (!DUPLICATE_STRATEGIES.includes(duplicates)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid duplicate strategy',
+        message: `duplicates must be one of: ${DUPLICATE_STRATEGIES.join(', ')}`
+      });
+    }
+
+    // Resolved last so invalid requests never register a venue
+    const venue = await loadVenue(
+      req,
+      venueId || venueName || req.uploadLink.venueId || req.uploadLink.venue,
+      { register: true }
+    );
+
+    // Menus and pricing sheets can be uploaded as the next version of a document
+    if (documentId) {
+      const document = bucketName !== BUCKETS.PHOTOS ? await getDocument(documentId) : null;
+
+      if (!document || document.venueId !== venue.id || document.bucket !== bucketName) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found',
+          message: 'No document with this id exists for the venue in this bucket'
+        });
+      }
+    }
+
+    // The upload link quota is reserved for the whole file now, so concurrent
+    // uploads through the link cannot exceed it; removing the upload gives it back
+    const link = req.uploadLink;
+    if (link) {
+      const reservation = await reserveUploadLinkQuota(link.id, 1, size);
+
+      if (!reservation || !reservation.reserved) {
+        return res.status(403).json({
+          success: false,
+          error: 'Upload quota exceeded',
+          message: 'This upload link does not allow a file of this size'
+        });
+      }
+    }
+
+    let upload;
+    try {
+      upload = await createResumableUpload({
+        venueId: venue.id,
+        venueName: venue.name,
+        bucket: bucketKey,
+        category,
+        fileName,
+        size,
+        mimeType,
+        checksum,
+        duplicates,
+        documentId,
+        keyId: req.key.id,
+        uploadLinkId: link ? link.id : null,
+        createdBy: req.user.name
+      });
+    } catch (error) {
+      if (link) {
+        await releaseUploadLinkQuota(link.id, 1, size);
+      }
+      throw error;
+    }
+
+    res.status(201)
+      .set('Upload-Offset', '0')
+      .json({
+        success: true,
+        message: 'Resumable upload started',
+        upload: toUploadStatus(upload)
+      });
+
+  } catch (error) {
+    if (sendVenueError(res, error)) {
+      return;
+    }
+
+    console.error('Error starting resumable upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Upload failed',
+      message: 'Failed to start the resumable upload'
+    });
+  }
+});
+
+/**
+ * Get the status (and resume offset) of an upload
+ * GET /api/upload/resumable/:id
+ */
+router.get('/:id', authenticateToken, loadUpload, (req, res) => {
+  res.set('Upload-Offset', String(req.resumableUpload.offset))
+    .json({
+      success: true,
+      upload: toUploadStatus(req.resumableUpload)
+    });
+});
+
+/**
+ * Append a chunk
+ * PATCH /api/upload/resumable/:id
+ */
+router.patch('/:id', authenticateToken, loadUpload, async (req, res) => {
+  const offset = Number(req.headers['upload-offset']);
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Upload-Offset required',
+      message: 'Please provide the byte offset of this chunk in the Upload-Offset header'
+    });
+  }
+
+  try {
+    const newOffset = await appendChunk(req.resumableUpload, offset, req);
+
+    res.set('Upload-Offset', String(newOffset))
+      .json({
+        success: true,
+        offset: newOffset,
+        complete: newOffset === req.resumableUpload.size
+      });
+
+  } catch (error) {
+    // The client went away mid-chunk, whatever arrived is kept for resuming
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    sendUploadError(res, error, 'Failed to store the chunk');
+  }
+});
+
+/**
+ * Verify the checksum and store the assembled file
+ * POST /api/upload/resumable/:id/complete
+ */
+router.post('/:id/complete', authenticateToken, loadUpload, async (req, res) => {
+  const upload = req.resumableUpload;
+
+  try {
+    const file = await verifyResumableUpload(upload, req.body.checksum);
+    const bucketName = BUCKETS[upload.bucket.toUpperCase()];
+
+    const failure = await verifyFileContent(file, ROUTE_ALLOWED_TYPES[upload.bucket]);
+    if (failure) {
+      return res.status(400).json({
+        success: false,
+        error: 'File type verification failed',
+        message: '1 file(s) failed content verification',
+        failures: [failure],
+        allowedTypes: ROUTE_ALLOWED_TYPES[upload.bucket]
+      });
+    }
+
+    // The venue may have been renamed since the upload started
+    const venue = upload.venueId
+      ? await loadVenue(req, upload.venueId, { registered: true })
+      : await loadVenue(req, upload.venueName, { register: true });
+
+    file.scan = await scanFile(file);
+
+    const [uploadResult] = await uploadFilesToBucket(
+      [file],
+      bucketName,
+      venue,
+      {
+        category: upload.category,
+        uploadedBy: req.user.name,
+        processImages: bucketName === BUCKETS.PHOTOS,
+        duplicates: upload.duplicates,
+        versioned: bucketName !== BUCKETS.PHOTOS,
+        indexText: bucketName !== BUCKETS.PHOTOS,
+        document: upload.documentId ? await getDocument(upload.documentId) : null
+      }
+    );
+
+    await recordUploadEvents(req, bucketName, venue, [uploadResult]);
+    await emitUploadCompleted(venue, bucketName, [uploadResult], req.user.name);
+
+    if (uploadResult.scan && uploadResult.scan.status !== 'clean' && uploadResult.scan.status !== 'skipped') {
+      await removeResumableUpload(upload.id);
+      return res.status(422).json({
+        success: false,
+        error: 'Malware scan failed',
+        message: uploadResult.error,
+        upload: uploadResult
+      });
+    }
+
+    if (!uploadResult.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'Upload failed',
+        message: `Failed to store the file in the ${upload.bucket} bucket`,
+        upload: uploadResult
+      });
+    }
+
+    await removeResumableUpload(upload.id, { stored: !uploadResult.skipped });
+
+    res.json({
+      success: true,
+      message: uploadResult.skipped
+        ? `${upload.fileName} is already stored in the ${upload.bucket} bucket`
+        : `Successfully uploaded ${upload.fileName} to ${upload.bucket} bucket`,
+      uploads: [uploadResult],
+      bucket: bucketName,
+      venue: venue.name,
+      venueId: venue.id,
+      category: upload.category || 'general'
+    });
+
+  } catch (error) {
+    if (sendVenueError(res, error)) {
+      return;
+    }
+
+    sendUploadError(res, error, 'Failed to complete the resumable upload');
+  }
+});
+
+/**
+ * Abort an upload and discard its data
+ * DELETE /api/upload/resumable/:id
+ */
+router.delete('/:id', authenticateToken, loadUpload, async (req, res) => {
+  try {
+    await removeResumableUpload(req.resumableUpload.id);
+
+    res.json({
+      success: true,
+      message: 'Resumable upload aborted'
+    });
+
+  } catch (error) {
+    console.error('Error aborting resumable upload:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Abort failed',
+      message: 'Unable to abort the resumable upload'
+    });
+  }
+});
+
+module.exports = router;
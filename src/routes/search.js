@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { BUCKETS } = require('../config/supabase');
+const { getFileUrl } = require('../storage');
+const { authenticateToken, requireScope, canAccessVenue } = require('../middleware/auth');
+const { loadVenue, sendVenueError } = require('../middleware/venues');
+const { searchFiles } = require('../services/search');
+
+// Buckets whose documents are indexed for search
+const SEARCHABLE_BUCKETS = {
+  menus: BUCKETS.MENUS,
+  pricing: BUCKETS.PRICING
+};
+
+// Maximum number of results per search
+const MAX_SEARCH_RESULTS = 100;
+
+/**
+ * Search the text of menus and pricing documents across venues
+ * GET /api/search?q=
+ * Query: q (words or "quoted phrases", all must match), bucket (menus|pricing), venue, limit
+ */
+router.get('/', authenticateToken, requireScope('venues:read'), async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    const bucketName = req.query.bucket ? SEARCHABLE_BUCKETS[req.query.bucket] : null;
+
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: 'q must be at least 2 characters'
+      });
+    }
+
+    if (req.query.bucket && !bucketName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `bucket must be one of: ${Object.keys(SEARCHABLE_BUCKETS).join(', ')}`
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_RESULTS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `limit must be an integer between 1 and ${MAX_SEARCH_RESULTS}`
+      });
+    }
+
+    const venue = req.query.venue ? await loadVenue(req, req.query.venue) : null;
+
+    // Only return files of venues the credential is allowed to see
+    const { terms, results, total } = await searchFiles(query, {
+      bucket: bucketName,
+      limit,
+      accept: record => (!venue || record.venue === venue.slug) && canAccessVenue(req, record.venue)
+    });
+
+    res.json({
+      success: true,
+      query,
+      terms,
+      results: await Promise.all(results.map(async ({ record, score, snippet }) => ({
+        id: record.id,
+        venue: record.venueName,
+        venueId: record.venueId,
+        venueSlug: record.venue,
+        bucket: record.bucket,
+        fileName: record.fileName,
+        originalName: record.originalName,
+        path: record.path,
+        mimeType: record.mimeType,
+        documentId: record.documentId,
+        version: record.version,
+        uploadedAt: record.createdAt,
+        url: await getFileUrl(record.bucket, record.path),
+        score,
+        snippet
+      }))),
+      count: results.length,
+      total
+    });
+
+  } catch (error) {
+    if (sendVenueError(res, error)) {
+      return;
+    }
+
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Search failed',
+      message: 'Unable to search documents'
+    });
+  }
+});
+
+module.exports = router;
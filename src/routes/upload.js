@@ -1,49 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { supabase, BUCKETS } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
-const { upload, handleUploadError, validateFiles } = require('../middleware/upload');
+const { BUCKETS } = require('../config/supabase');
+const { storage } = require('../storage');
+const { authenticateToken, requireScope, requireVenueAccess } = require('../middleware/auth');
+const { resolveVenue } = require('../middleware/venues');
 const { 
-  generateFileName, 
-  generateFolderPath, 
-  formatFileSize,
-  getFileCategory 
-} = require('../utils/fileUtils');
+  upload, 
+  handleUploadError, 
+  trackUploadProgress,
+  validateFiles, 
+  verifyFileContents, 
+  scanFiles, 
+  checkUploadLinkQuota, 
+  validateDuplicateStrategy,
+  loadDocument,
+  ROUTE_ALLOWED_TYPES 
+} = require('../middleware/upload');
+const { uploadFilesToBucket, settleLinkQuota } = require('../services/uploads');
+const { recordAuditEvent, recordUploadEvents } = require('../services/audit');
+const { emitUploadCompleted } = require('../services/webhooks');
+const {
+  toPublicSession,
+  createUploadSession,
+  getUploadSession,
+  progressReporter,
+  subscribeToUploadSession
+} = require('../services/uploadProgress');
+
+// Interval of the comments that keep idle progress streams open through proxies
+const PROGRESS_HEARTBEAT_MS = 15 * 1000;
 
 /**
  * Upload files to photos bucket
  * POST /api/upload/photos
  */
-router.post('/photos', authenticateToken, upload, handleUploadError, validateFiles, async (req, res) => {
+router.post('/photos', authenticateToken, requireScope('upload:photos'), upload, handleUploadError, trackUploadProgress, validateFiles, verifyFileContents(ROUTE_ALLOWED_TYPES.photos), validateDuplicateStrategy, resolveVenue({ register: true }), requireVenueAccess, checkUploadLinkQuota, scanFiles, async (req, res) => {
   try {
-    const { venueName, category } = req.body;
-    
-    if (!venueName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Venue name required',
-        message: 'Please provide a venue name'
-      });
-    }
+    const { category, caption } = req.body;
     
     const uploadResults = await uploadFilesToBucket(
       req.files, 
       BUCKETS.PHOTOS, 
-      venueName, 
-      category
+      req.venue, 
+      { category, caption, uploadedBy: req.user.name, processImages: true, duplicates: req.duplicateStrategy, onProgress: progressReporter(req.uploadSession) }
     );
     
+    await settleLinkQuota(req, req.files, uploadResults);
+    await recordUploadEvents(req, BUCKETS.PHOTOS, req.venue, uploadResults);
+    await emitUploadCompleted(req.venue, BUCKETS.PHOTOS, uploadResults, req.user.name);
+    
     res.json({
       success: true,
       message: `Successfully uploaded ${uploadResults.length} file(s) to photos bucket`,
       uploads: uploadResults,
       bucket: BUCKETS.PHOTOS,
-      venue: venueName,
+      venue: req.venue.name,
+      venueId: req.venue.id,
       category: category || 'general'
     });
     
   } catch (error) {
     console.error('Photos upload error:', error);
+    await recordAuditEvent(req, {
+      action: 'upload',
+      result: 'failure',
+      venue: req.venue.slug,
+      bucket: BUCKETS.PHOTOS,
+      details: { files: req.files.map(file => file.originalname), error: error.message }
+    });
     res.status(500).json({
       success: false,
       error: 'Upload failed',
@@ -55,35 +79,39 @@ router.post('/photos', authenticateToken, upload, handleUploadError, validateFil
 /**
  * Upload files to menus bucket
  * POST /api/upload/menus
+ * Each file is stored as a new document, or as the next version of the document given by documentId
  */
-router.post('/menus', authenticateToken, upload, handleUploadError, validateFiles, async (req, res) => {
+router.post('/menus', authenticateToken, requireScope('upload:menus'), upload, handleUploadError, trackUploadProgress, validateFiles, verifyFileContents(ROUTE_ALLOWED_TYPES.menus), validateDuplicateStrategy, resolveVenue({ register: true }), requireVenueAccess, loadDocument(BUCKETS.MENUS), checkUploadLinkQuota, scanFiles, async (req, res) => {
   try {
-    const { venueName } = req.body;
-    
-    if (!venueName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Venue name required',
-        message: 'Please provide a venue name'
-      });
-    }
-    
     const uploadResults = await uploadFilesToBucket(
       req.files, 
       BUCKETS.MENUS, 
-      venueName
+      req.venue,
+      { uploadedBy: req.user.name, duplicates: req.duplicateStrategy, versioned: true, document: req.document, indexText: true, onProgress: progressReporter(req.uploadSession) }
     );
     
+    await settleLinkQuota(req, req.files, uploadResults);
+    await recordUploadEvents(req, BUCKETS.MENUS, req.venue, uploadResults);
+    await emitUploadCompleted(req.venue, BUCKETS.MENUS, uploadResults, req.user.name);
+    
     res.json({
       success: true,
       message: `Successfully uploaded ${uploadResults.length} file(s) to menus bucket`,
       uploads: uploadResults,
       bucket: BUCKETS.MENUS,
-      venue: venueName
+      venue: req.venue.name,
+      venueId: req.venue.id
     });
     
   } catch (error) {
     console.error('Menus upload error:', error);
+    await recordAuditEvent(req, {
+      action: 'upload',
+      result: 'failure',
+      venue: req.venue.slug,
+      bucket: BUCKETS.MENUS,
+      details: { files: req.files.map(file => file.originalname), error: error.message }
+    });
     res.status(500).json({
       success: false,
       error: 'Upload failed',
@@ -95,35 +123,39 @@ router.post('/menus', authenticateToken, upload, handleUploadError, validateFile
 /**
  * Upload files to pricing bucket
  * POST /api/upload/pricing
+ * Each file is stored as a new document, or as the next version of the document given by documentId
  */
-router.post('/pricing', authenticateToken, upload, handleUploadError, validateFiles, async (req, res) => {
+router.post('/pricing', authenticateToken, requireScope('upload:pricing'), upload, handleUploadError, trackUploadProgress, validateFiles, verifyFileContents(ROUTE_ALLOWED_TYPES.pricing), validateDuplicateStrategy, resolveVenue({ register: true }), requireVenueAccess, loadDocument(BUCKETS.PRICING), checkUploadLinkQuota, scanFiles, async (req, res) => {
   try {
-    const { venueName } = req.body;
-    
-    if (!venueName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Venue name required',
-        message: 'Please provide a venue name'
-      });
-    }
-    
     const uploadResults = await uploadFilesToBucket(
       req.files, 
       BUCKETS.PRICING, 
-      venueName
+      req.venue,
+      { uploadedBy: req.user.name, duplicates: req.duplicateStrategy, versioned: true, document: req.document, indexText: true, onProgress: progressReporter(req.uploadSession) }
     );
     
+    await settleLinkQuota(req, req.files, uploadResults);
+    await recordUploadEvents(req, BUCKETS.PRICING, req.venue, uploadResults);
+    await emitUploadCompleted(req.venue, BUCKETS.PRICING, uploadResults, req.user.name);
+    
     res.json({
       success: true,
       message: `Successfully uploaded ${uploadResults.length} file(s) to pricing bucket`,
       uploads: uploadResults,
       bucket: BUCKETS.PRICING,
-      venue: venueName
+      venue: req.venue.name,
+      venueId: req.venue.id
     });
     
   } catch (error) {
     console.error('Pricing upload error:', error);
+    await recordAuditEvent(req, {
+      action: 'upload',
+      result: 'failure',
+      venue: req.venue.slug,
+      bucket: BUCKETS.PRICING,
+      details: { files: req.files.map(file => file.originalname), error: error.message }
+    });
     res.status(500).json({
       success: false,
       error: 'Upload failed',
@@ -133,71 +165,67 @@ router.post('/pricing', authenticateToken, upload, handleUploadError, validateFi
 });
 
 /**
- * Helper function to upload files to a specific bucket
- * @param {Array} files - Array of file objects from multer
- * @param {string} bucketName - Target bucket name
- * @param {string} venueName - Venue name for organization
- * @param {string} category - Optional category for photos
- * @returns {Array} Array of upload results
+ * Create an upload session to follow the progress of an upload
+ * POST /api/upload/sessions
+ * Subscribe to GET /api/upload/sessions/:id/events, then send the upload with the
+ * session id in the X-Upload-Session header (or an uploadSessionId field before the files)
  */
-async function uploadFilesToBucket(files, bucketName, venueName, category = '') {
-  const uploadResults = [];
+router.post('/sessions', authenticateToken, (req, res) => {
+  const session = createUploadSession(req.key.id);
   
-  for (const file of files) {
-    try {
-      // Generate file path and name
-      const folderPath = generateFolderPath(venueName, category);
-      const fileName = generateFileName(venueName, file.originalname, category);
-      const filePath = `${folderPath}/${fileName}`;
-      
-      // Upload file to Supabase storage
-      const { data, error } = await supabase.storage
-        .from(bucketName)
-        .upload(filePath, file.buffer, {
-          contentType: file.mimetype,
-          duplex: 'half'
-        });
-      
-      if (error) {
-        console.error(`Upload error for ${file.originalname}:`, error);
-        uploadResults.push({
-          originalName: file.originalname,
-          success: false,
-          error: error.message
-        });
-        continue;
-      }
-      
-      // Generate public URL
-      const { data: urlData } = supabase.storage
-        .from(bucketName)
-        .getPublicUrl(filePath);
-      
-      uploadResults.push({
-        originalName: file.originalname,
-        fileName: fileName,
-        filePath: filePath,
-        url: urlData.publicUrl,
-        size: file.size,
-        formattedSize: formatFileSize(file.size),
-        mimeType: file.mimetype,
-        category: getFileCategory(file.mimetype),
-        success: true,
-        uploadedAt: new Date().toISOString()
-      });
-      
-    } catch (error) {
-      console.error(`Unexpected error uploading ${file.originalname}:`, error);
-      uploadResults.push({
-        originalName: file.originalname,
-        success: false,
-        error: 'Unexpected upload error'
-      });
-    }
+  res.status(201).json({
+    success: true,
+    session: toPublicSession(session),
+    events: `/api/upload/sessions/${session.id}/events`
+  });
+});
+
+/**
+ * Stream the progress of an upload as Server-Sent Events
+ * GET /api/upload/sessions/:id/events
+ * Sends a `file` event whenever a file changes state (receiving, received,
+ * validating, uploading, done or failed), and while it is receiving as its bytes
+ * arrive (`received`), and a `complete` event once the upload is answered,
+ * after which the stream ends. EventSource clients pass the token as ?token=
+ */
+router.get('/sessions/:id/events', authenticateToken, (req, res) => {
+  const session = getUploadSession(req.params.id);
+  
+  if (!session || session.credentialId !== req.key.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Upload session not found',
+      message: 'No upload session with this id exists for your access token'
+    });
   }
   
-  return uploadResults;
-}
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let unsubscribe = () => {};
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), PROGRESS_HEARTBEAT_MS);
+  
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  
+  unsubscribe = subscribeToUploadSession(session, event => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    
+    if (event.type === 'complete') {
+      close();
+      res.end();
+    }
+  });
+  
+  req.on('close', close);
+});
 
 /**
  * Get upload status and recent uploads
@@ -206,7 +234,7 @@ async function uploadFilesToBucket(files, bucketName, venueName, category = '')
 router.get('/status', authenticateToken, async (req, res) => {
   try {
     // Get bucket information
-    const { data: buckets, error } = await supabase.storage.listBuckets();
+    const { data: buckets, error } = await storage.listBuckets();
     
     if (error) {
       throw error;
@@ -229,6 +257,7 @@ router.get('/status', authenticateToken, async (req, res) => {
       success: true,
       buckets: bucketInfo,
       allowedBuckets: BUCKETS,
+      storageDriver: storage.name,
       serverTime: new Date().toISOString()
     });
     
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { BUCKETS } = require('../config/supabase');
+const { authenticateToken, requireScope, canAccessVenue } = require('../middleware/auth');
+const { loadVenue, sendVenueError } = require('../middleware/venues');
+const {
+  DEFAULT_EXPIRY_DAYS,
+  createUploadLink,
+  listUploadLinks,
+  getUploadLink,
+  revokeUploadLink
+} = require('../services/uploadLinks');
+
+// Upload types a link can be issued for (matching the /api/upload routes)
+const LINK_BUCKETS = Object.keys(BUCKETS).map(key => key.toLowerCase());
+
+// Every upload link endpoint requires the links:manage scope
+router.use(authenticateToken, requireScope('links:manage'));
+
+/**
+ * Check that an optional limit is a positive integer
+ * @param {*} value - Value from the request body
+ * @returns {boolean} Whether the value is absent or a positive integer
+ */
+function isValidLimit(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Mint a new upload link
+ * POST /api/upload-links
+ */
+router.post('/', async (req, res) => {
+  try {
+    const {
+      venueId,
+      venueName,
+      bucket = 'photos',
+      expiresInDays = DEFAULT_EXPIRY_DAYS,
+      maxFiles = null,
+      maxBytes = null
+    } = req.body;
+
+    if (!LINK_BUCKETS.includes(bucket)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bucket',
+        message: `Bucket must be one of: ${LINK_BUCKETS.join(', ')}`
+      });
+    }
+
+    if (typeof expiresInDays !== 'number' || expiresInDays <= 0 || expiresInDays > 90) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid expiry',
+        message: 'expiresInDays must be a number between 0 and 90'
+      });
+    }
+
+    if (!isValidLimit(maxFiles) || !isValidLimit(maxBytes)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid quota',
+        message: 'maxFiles and maxBytes must be positive integers'
+      });
+    }
+
+    // Resolved last so invalid requests never register a venue
+    const venue = await loadVenue(req, venueId || venueName, { register: true });
+
+    const { link, token } = await createUploadLink({
+      venue,
+      bucket,
+      expiresInDays,
+      maxFiles,
+      maxBytes,
+      createdBy: req.user.name
+    });
+
+    // Optional frontend page the link should point to
+    const baseUrl = process.env.UPLOAD_LINK_BASE_URL;
+
+    res.status(201).json({
+      success: true,
+      message: 'Upload link created',
+      link,
+      token,
+      url: baseUrl ? `${baseUrl}?token=${encodeURIComponent(token)}` : null
+    });
+
+  } catch (error) {
+    if (sendVenueError(res, error)) {
+      return;
+    }
+
+    console.error('Error creating upload link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create upload link',
+      message: 'Unable to create the upload link'
+    });
+  }
+});
+
+/**
+ * List upload links
+ * GET /api/upload-links
+ */
+router.get('/', async (req, res) => {
+  try {
+    const links = (await listUploadLinks())
+      .filter(link => canAccessVenue(req, link.venue));
+
+    res.json({
+      success: true,
+      links,
+      count: links.length
+    });
+
+  } catch (error) {
+    console.error('Error listing upload links:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list upload links',
+      message: 'Unable to retrieve upload links'
+    });
+  }
+});
+
+/**
+ * Revoke an upload link
+ * DELETE /api/upload-links/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const existing = await getUploadLink(req.params.id);
+
+    if (!existing || !canAccessVenue(req, existing.venue)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload link not found',
+        message: 'No upload link exists with this id'
+      });
+    }
+
+    const link = await revokeUploadLink(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Upload link revoked',
+      link
+    });
+
+  } catch (error) {
+    console.error('Error revoking upload link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke upload link',
+      message: 'Unable to revoke the upload link'
+    });
+  }
+});
+
+module.exports = router;
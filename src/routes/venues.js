@@ -1,48 +1,375 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
-const { supabase, BUCKETS } = require('../config/supabase');
-const { authenticateToken } = require('../middleware/auth');
+const { BUCKETS } = require('../config/supabase');
+const { storage, isPrivateBucket, getFileUrl } = require('../storage');
+const { authenticateToken, requireScope, canAccessVenue, requireVenueAccess } = require('../middleware/auth');
+const { resolveVenue } = require('../middleware/venues');
+const { queryFiles, summarizeFiles } = require('../services/catalog');
+const { findVenueFile } = require('../services/fileOperations');
+const {
+  TRASH_RETENTION_DAYS,
+  trashFile,
+  listTrash,
+  getTrashEntry,
+  restoreTrashEntry,
+  purgeTrashEntry
+} = require('../services/trash');
+const { streamExport } = require('../services/venueExport');
+const { recordAuditEvent, recordPurgeEvent } = require('../services/audit');
+const { emitFileEvent } = require('../services/webhooks');
+const { findDuplicateGroups, findSimilarClusters } = require('../services/duplicates');
+const { SIMILARITY_THRESHOLD } = require('../config/images');
+const {
+  getDocument,
+  listDocuments,
+  listVersions,
+  rollbackDocument,
+  currentVersionIds
+} = require('../services/documents');
+const {
+  getVenuePricing,
+  correctVenuePricing,
+  clearPricingCorrections,
+  correctionsOutdated
+} = require('../services/pricing');
+const {
+  VENUE_STATUSES,
+  newVenueSlug,
+  createVenue,
+  listVenues,
+  updateVenue,
+  deleteVenue,
+  renameVenue
+} = require('../services/venues');
+const { formatFileSize } = require('../utils/fileUtils');
+const { parsePagination, paginate, encodeCursor, invalidQuery } = require('../utils/pagination');
+
+// HTTP status for each venue registry error code
+const VENUE_ERROR_STATUS = {
+  INVALID_VENUE: 400,
+  SLUG_TAKEN: 409,
+  VENUE_HAS_FILES: 409,
+  RENAME_FAILED: 500
+};
+
+// File listing sort fields and their default order
+const FILE_SORT_ORDERS = { name: 'asc', date: 'desc', size: 'desc' };
+
+// Catalog field each sort field orders files by (names compare case-insensitively)
+const FILE_SORT_FIELDS = {
+  name: { field: 'originalName', lowercase: true },
+  date: { field: 'createdAt' },
+  size: { field: 'size' }
+};
+
+/**
+ * Get the public URL of a file
+ * @param {string} bucketName - Bucket the file is in
+ * @param {string} filePath - Path of the file in the bucket
+ * @returns {string|null} Public URL, or null for private buckets (see signFileEntries)
+ */
+function publicUrl(bucketName, filePath) {
+  return isPrivateBucket(bucketName) ? null : storage.getPublicUrl(bucketName, filePath);
+}
+
+/**
+ * Add signed URLs to file entries of private buckets
+ * Signed URLs expire, so they are created for each response rather than stored
+ * @param {Array} entries - File entries from toFileEntry
+ * @returns {Promise<Array>} The same entries
+ */
+async function signFileEntries(entries) {
+  for (const entry of entries) {
+    if (!isPrivateBucket(entry.bucket)) {
+      continue;
+    }
+    
+    entry.url = await getFileUrl(entry.bucket, entry.path);
+    for (const variant of Object.values(entry.variants || {})) {
+      variant.url = await getFileUrl(entry.bucket, `${path.posix.dirname(entry.path)}/${variant.name}`);
+    }
+  }
+  
+  return entries;
+}
+
+/**
+ * Turn a catalog record into a file entry
+ * @param {Object} record - File record from the catalog
+ * @param {Set<string>} currentIds - Ids of current document versions, to flag versioned files
+ * @returns {Object} File entry with public URLs for the file and its variants (null in private buckets)
+ */
+function toFileEntry(record, currentIds) {
+  const entry = {
+    id: record.id,
+    bucket: record.bucket,
+    name: record.fileName,
+    originalName: record.originalName,
+    path: record.path,
+    size: record.size,
+    mimeType: record.mimeType,
+    category: record.category,
+    caption: record.caption,
+    checksum: record.checksum,
+    uploadedBy: record.uploadedBy,
+    uploadedAt: record.createdAt,
+    lastModified: record.updatedAt,
+    url: publicUrl(record.bucket, record.path)
+  };
+  
+  // Menus and pricing sheets are versions of a document
+  if (record.documentId) {
+    entry.documentId = record.documentId;
+    entry.version = record.version;
+    if (currentIds) {
+      entry.current = currentIds.has(record.id);
+    }
+  }
+  
+  if (record.variants) {
+    entry.variants = {};
+    for (const [name, variant] of Object.entries(record.variants)) {
+      entry.variants[name] = {
+        name: variant.path.split('/').pop(),
+        size: variant.size,
+        width: variant.width,
+        height: variant.height,
+        url: publicUrl(record.bucket, variant.path)
+      };
+    }
+  }
+  
+  return entry;
+}
+
+/**
+ * Turn a trash entry into its API representation
+ * @param {Object} entry - Trash entry
+ * @returns {Object} Trashed file, without the catalog snapshot
+ */
+function toTrashEntry(entry) {
+  return {
+    id: entry.id,
+    bucket: entry.bucket,
+    name: entry.fileName,
+    originalName: entry.originalName,
+    originalPath: entry.originalPath,
+    category: entry.category,
+    size: entry.size,
+    mimeType: entry.mimeType,
+    variants: Object.keys(entry.variants),
+    fileId: entry.record?.id || null,
+    deletedBy: entry.deletedBy,
+    deletedAt: entry.deletedAt,
+    expiresAt: entry.expiresAt
+  };
+}
+
+/**
+ * Turn a pricing record into its API representation
+ * Corrected prices are used instead of the parsed ones and are fully trusted
+ * @param {Object|null} record - Pricing record, or null for unregistered venues
+ * @returns {Object} Prices with their confidence, corrections and sources
+ */
+function toPricingEntry(record) {
+  if (!record) {
+    return { currency: null, items: [], confidence: 0, corrected: false, parsed: null, sources: [] };
+  }
+  
+  const { corrections } = record;
+  
+  return {
+    currency: record.currency,
+    items: corrections ? corrections.items : record.items,
+    confidence: corrections ? 1 : record.confidence,
+    corrected: Boolean(corrections),
+    correctedBy: corrections ? corrections.correctedBy : undefined,
+    correctedAt: corrections ? corrections.correctedAt : undefined,
+    correctionsOutdated: corrections ? correctionsOutdated(record) : undefined,
+    parsed: {
+      items: record.items,
+      confidence: record.confidence,
+      parsedAt: record.parsedAt
+    },
+    sources: record.sources
+  };
+}
+
+/**
+ * Resolve a bucket given by key (e.g. "photos") or by its configured name
+ * @param {string} value - Bucket key or name
+ * @returns {Object} { key, name }
+ * @throws {Error} INVALID_QUERY when the bucket is unknown
+ */
+function resolveBucket(value) {
+  for (const [bucketKey, bucketName] of Object.entries(BUCKETS)) {
+    if (value === bucketKey.toLowerCase() || value === bucketName) {
+      return { key: bucketKey.toLowerCase(), name: bucketName };
+    }
+  }
+  
+  throw invalidQuery(`Unknown bucket "${value}"`);
+}
 
 /**
- * Get list of venues that have uploaded files
+ * Parse an optional ISO date query parameter
+ * @param {string} value - Query value
+ * @param {string} name - Parameter name, for the error message
+ * @returns {string|null} Normalized ISO timestamp or null
+ */
+function parseDateParam(value, name) {
+  if (!value) {
+    return null;
+  }
+  
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw invalidQuery(`${name} must be an ISO date`);
+  }
+  
+  return date.toISOString();
+}
+
+/**
+ * Parse the file listing filters from a query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { bucket, category, mimeType, from, to }
+ */
+function parseFileFilters(query) {
+  return {
+    bucket: query.bucket ? resolveBucket(query.bucket) : null,
+    category: query.category ? normalizeCategory(query.category) : null,
+    mimeType: query.mimeType ? query.mimeType.toLowerCase() : null,
+    from: parseDateParam(query.from, 'from'),
+    to: parseDateParam(query.to, 'to')
+  };
+}
+
+/**
+ * Compare photo categories the way they are stored as folder names
+ * @param {string} category - Category
+ * @returns {string} Normalized category
+ */
+function normalizeCategory(category) {
+  return category.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Build the catalog query selecting the files of a venue that match the listing filters
+ * Categories are matched by the folder files are stored in, so that
+ * "Ceremony Room" and "ceremonyroom" select the same files
+ * @param {string} venueFolder - Venue slug
+ * @param {Object} filters - Filters from parseFileFilters
+ * @returns {Object} { filter, options } for queryFiles
+ */
+function fileQuery(venueFolder, filters) {
+  const filter = { venue: venueFolder };
+  const prefix = {};
+  
+  if (filters.bucket) {
+    filter.bucket = filters.bucket.name;
+  }
+  
+  if (filters.category) {
+    prefix.path = `${venueFolder}/${filters.category}/`;
+  }
+  
+  if (filters.mimeType && filters.mimeType.endsWith('/*')) {
+    prefix.mimeType = filters.mimeType.slice(0, -1);
+  } else if (filters.mimeType) {
+    filter.mimeType = filters.mimeType;
+  }
+  
+  return {
+    filter,
+    options: { prefix, range: { createdAt: { from: filters.from, to: filters.to } } }
+  };
+}
+
+/**
+ * Send the JSON error response for a venue registry error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the venue service
+ * @returns {boolean} Whether a response was sent
+ */
+function sendRegistryError(res, error) {
+  const status = VENUE_ERROR_STATUS[error.code];
+  
+  if (!status) {
+    return false;
+  }
+  
+  if (status === 500) {
+    console.error('Venue registry error:', error);
+  }
+  
+  res.status(status).json({
+    success: false,
+    error: error.code,
+    message: error.message
+  });
+  return true;
+}
+
+/**
+ * Get registered venues and venue folders that have uploaded files
  * GET /api/venues
+ * Query: limit, cursor, order (asc|desc, by name), bucket, status, tag
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requireScope('venues:read'), async (req, res) => {
   try {
-    const venues = new Set();
+    const pagination = parsePagination(req.query, { name: 'asc' });
+    const bucketFilter = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    const { status, tag } = req.query;
     
-    // Get folders from all buckets to extract venue names
-    for (const bucketName of Object.values(BUCKETS)) {
-      const { data: files, error } = await supabase.storage
-        .from(bucketName)
-        .list('', {
-          limit: 1000,
-          offset: 0
-        });
-      
-      if (error) {
-        console.error(`Error listing files in ${bucketName}:`, error);
-        continue;
-      }
-      
-      // Extract venue names from folder structure
-      files.forEach(file => {
-        if (file.name && !file.name.includes('.')) {
-          // This is likely a folder (venue name)
-          venues.add(file.name);
+    if (status && !VENUE_STATUSES.includes(status)) {
+      throw invalidQuery(`status must be one of: ${VENUE_STATUSES.join(', ')}`);
+    }
+    
+    // Venues with catalogued files; files stored before the catalog existed
+    // were catalogued by the backfill on start
+    const catalogued = await summarizeFiles(bucketFilter ? { bucket: bucketFilter.name } : {}, 'venue');
+    const folders = new Set(catalogued.map(({ value }) => value).filter(Boolean));
+    
+    const registered = await listVenues(status ? { status } : {});
+    const registeredSlugs = new Set(registered.map(venue => venue.slug));
+    
+    const venueList = registered
+      .filter(venue => !tag || venue.tags.includes(tag.toLowerCase()))
+      .filter(venue => !bucketFilter || folders.has(venue.slug))
+      .map(venue => ({ ...venue, registered: true }));
+    
+    // Folders uploaded to before the registry existed have no profile to filter on
+    if (!status && !tag) {
+      for (const folder of folders) {
+        if (!registeredSlugs.has(folder)) {
+          venueList.push({ id: null, name: folder, slug: folder, registered: false });
         }
-      });
+      }
     }
     
-    const venueList = Array.from(venues).sort();
+    // Only return venues the credential is allowed to see
+    const visible = venueList.filter(venue => canAccessVenue(req, venue.slug));
+    const page = paginate(visible, pagination, venue => [venue.name.toLowerCase(), venue.slug]);
     
     res.json({
       success: true,
-      venues: venueList,
-      count: venueList.length
+      venues: page.items,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor
     });
     
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
     console.error('Error fetching venues:', error);
     res.status(500).json({
       success: false,
@@ -52,57 +379,230 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * Register a venue
+ * POST /api/venues
+ * Body: { name, slug?, address?, contact?: { name, email, phone }, capacity?, tags?, status? }
+ */
+router.post('/', authenticateToken, requireScope('venues:manage'), async (req, res) => {
+  try {
+    // The slug may be derived from the name (with a suffix when taken), so
+    // access is checked against the slug the venue will actually get
+    const slug = await newVenueSlug(req.body);
+    
+    if (!canAccessVenue(req, slug)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Venue access denied',
+        message: 'Your access token does not grant access to this venue'
+      });
+    }
+    
+    const venue = await createVenue({ ...req.body, slug, createdBy: req.user.name });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Venue registered',
+      venue
+    });
+    
+  } catch (error) {
+    if (sendRegistryError(res, error)) {
+      return;
+    }
+    
+    console.error('Error registering venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register venue',
+      message: 'Unable to register the venue'
+    });
+  }
+});
+
+/**
+ * Get a venue profile by id or slug
+ * GET /api/venues/:venueId
+ */
+router.get('/:venueId', authenticateToken, requireScope('venues:read'), resolveVenue({ registered: true }), (req, res) => {
+  res.json({
+    success: true,
+    venue: req.venue
+  });
+});
+
+/**
+ * Update a venue profile
+ * PATCH /api/venues/:venueId
+ * Body: any of { name, address, contact, capacity, tags, status } - the slug is changed by renaming
+ */
+router.patch('/:venueId', authenticateToken, requireScope('venues:manage'), resolveVenue({ registered: true }), async (req, res) => {
+  try {
+    if (req.body.slug !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_VENUE',
+        message: 'Use POST /api/venues/:venueId/rename to change the slug'
+      });
+    }
+    
+    const venue = await updateVenue(req.venue.id, req.body);
+    
+    res.json({
+      success: true,
+      message: 'Venue updated',
+      venue
+    });
+    
+  } catch (error) {
+    if (sendRegistryError(res, error)) {
+      return;
+    }
+    
+    console.error('Error updating venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update venue',
+      message: 'Unable to update the venue'
+    });
+  }
+});
+
+/**
+ * Rename a venue and move its files to the new slug in every bucket
+ * POST /api/venues/:venueId/rename
+ * Body: { name, slug? }
+ */
+router.post('/:venueId/rename', authenticateToken, requireScope('venues:manage'), resolveVenue({ registered: true }), async (req, res) => {
+  try {
+    const { name, slug } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_VENUE',
+        message: 'Please provide the new venue name'
+      });
+    }
+    
+    // A venue-restricted key must keep access to the venue after renaming it
+    if (!canAccessVenue(req, slug || name)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Venue access denied',
+        message: 'Your access token does not grant access to the new venue slug'
+      });
+    }
+    
+    const { venue, moved } = await renameVenue(req.venue.id, { name, slug });
+    
+    res.json({
+      success: true,
+      message: `Venue renamed, ${moved} file(s) moved`,
+      venue,
+      previousSlug: req.venue.slug,
+      movedFiles: moved,
+      renamedBy: req.user.name
+    });
+    
+  } catch (error) {
+    if (sendRegistryError(res, error)) {
+      return;
+    }
+    
+    console.error('Error renaming venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rename venue',
+      message: 'Unable to rename the venue'
+    });
+  }
+});
+
+/**
+ * Remove a venue without files from the registry
+ * DELETE /api/venues/:venueId
+ */
+router.delete('/:venueId', authenticateToken, requireScope('venues:manage'), resolveVenue({ registered: true }), async (req, res) => {
+  try {
+    await deleteVenue(req.venue.id);
+    
+    res.json({
+      success: true,
+      message: 'Venue deleted',
+      venue: req.venue,
+      deletedBy: req.user.name
+    });
+    
+  } catch (error) {
+    if (sendRegistryError(res, error)) {
+      return;
+    }
+    
+    console.error('Error deleting venue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete venue',
+      message: 'Unable to delete the venue'
+    });
+  }
+});
+
 /**
  * Get files for a specific venue
  * GET /api/venues/:venueName/files
+ * Query: limit, cursor, sort (name|date|size), order (asc|desc),
+ *        bucket, category, mimeType (e.g. image/jpeg or image/*), from, to (ISO dates)
  */
-router.get('/:venueName/files', authenticateToken, async (req, res) => {
+router.get('/:venueName/files', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
   try {
-    const { venueName } = req.params;
-    const venueFiles = {};
+    const pagination = parsePagination(req.query, FILE_SORT_ORDERS);
+    const filters = parseFileFilters(req.query);
+    const venueFolder = req.venue.slug;
     
-    // Get files from all buckets for this venue
-    for (const [bucketKey, bucketName] of Object.entries(BUCKETS)) {
-      const { data: files, error } = await supabase.storage
-        .from(bucketName)
-        .list(venueName, {
-          limit: 1000,
-          offset: 0
-        });
-      
-      if (error) {
-        console.error(`Error listing files for ${venueName} in ${bucketName}:`, error);
-        venueFiles[bucketKey.toLowerCase()] = [];
-        continue;
-      }
-      
-      // Generate public URLs for files
-      const filesWithUrls = files
-        .filter(file => file.name && file.name.includes('.')) // Only actual files
-        .map(file => {
-          const { data: urlData } = supabase.storage
-            .from(bucketName)
-            .getPublicUrl(`${venueName}/${file.name}`);
-          
-          return {
-            name: file.name,
-            size: file.metadata?.size || 0,
-            lastModified: file.updated_at || file.created_at,
-            url: urlData.publicUrl
-          };
-        });
-      
-      venueFiles[bucketKey.toLowerCase()] = filesWithUrls;
+    // Filter, sort and page in the database; files in category subfolders are included
+    const { filter, options } = fileQuery(venueFolder, filters);
+    const page = await queryFiles(filter, {
+      ...options,
+      sort: { ...FILE_SORT_FIELDS[pagination.sort], order: pagination.order },
+      after: pagination.cursor,
+      limit: pagination.limit
+    });
+    
+    const currentIds = await currentVersionIds(page.records);
+    const entries = page.records.map(record => toFileEntry(record, currentIds));
+    
+    // Keep the page grouped by bucket, in sort order within each group
+    const venueFiles = {};
+    for (const bucketKey of Object.keys(BUCKETS)) {
+      venueFiles[bucketKey.toLowerCase()] = [];
+    }
+    for (const entry of await signFileEntries(entries)) {
+      venueFiles[resolveBucket(entry.bucket).key].push(entry);
     }
     
     res.json({
       success: true,
-      venue: venueName,
+      venue: req.venue.name,
+      venueId: req.venue.id,
       files: venueFiles,
-      totalFiles: Object.values(venueFiles).reduce((sum, files) => sum + files.length, 0)
+      count: entries.length,
+      total: page.total,
+      totalFiles: page.total,
+      nextCursor: page.after ? encodeCursor(page.after) : null,
+      sort: pagination.sort,
+      order: pagination.order
     });
     
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
     console.error('Error fetching venue files:', error);
     res.status(500).json({
       success: false,
@@ -113,12 +613,474 @@ router.get('/:venueName/files', authenticateToken, async (req, res) => {
 });
 
 /**
- * Delete a specific file
+ * Get the photo categories of a venue with file counts and sizes
+ * GET /api/venues/:venueName/categories
+ * Query: bucket (defaults to all buckets)
+ */
+router.get('/:venueName/categories', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const bucket = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    const venueFolder = req.venue.slug;
+    
+    const groups = await summarizeFiles({ venue: venueFolder, ...(bucket && { bucket: bucket.name }) }, 'category');
+    
+    // Files without a category are reported as "general", as in upload responses;
+    // categories spelled differently are stored in the same folder and merged
+    const categories = new Map();
+    for (const group of groups) {
+      const category = group.value ? normalizeCategory(group.value) : 'general';
+      const stats = categories.get(category) || { category, count: 0, size: 0 };
+      
+      stats.count += group.count;
+      stats.size += group.size;
+      categories.set(category, stats);
+    }
+    
+    const categoryList = Array.from(categories.values())
+      .sort((a, b) => a.category.localeCompare(b.category))
+      .map(stats => ({ ...stats, formattedSize: formatFileSize(stats.size) }));
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      categories: categoryList,
+      count: categoryList.length
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching venue categories:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch venue categories',
+      message: 'Unable to retrieve categories for this venue'
+    });
+  }
+});
+
+/**
+ * Report groups of identical files (same SHA-256 checksum) stored for a venue
+ * GET /api/venues/:venueName/duplicates
+ * Query: bucket (defaults to all buckets)
+ */
+router.get('/:venueName/duplicates', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const bucket = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    const bucketNames = bucket ? [bucket.name] : Object.values(BUCKETS);
+    
+    const groups = await findDuplicateGroups(req.venue.slug, bucketNames);
+    const wastedBytes = groups.reduce((total, group) => total + group.wastedBytes, 0);
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      // The oldest file of each group is the original, the others are copies of it
+      duplicates: await Promise.all(groups.map(async group => ({
+        bucket: resolveBucket(group.bucket).key,
+        checksum: group.checksum,
+        count: group.records.length,
+        wastedBytes: group.wastedBytes,
+        formattedWastedSize: formatFileSize(group.wastedBytes),
+        files: await signFileEntries(group.records.map(record => toFileEntry(record)))
+      }))),
+      count: groups.length,
+      wastedBytes,
+      formattedWastedSize: formatFileSize(wastedBytes)
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching duplicate files:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch duplicates',
+      message: 'Unable to retrieve duplicate files for this venue'
+    });
+  }
+});
+
+/**
+ * Report clusters of similar photos (resized or recompressed copies) of a venue
+ * Only photos uploaded with a perceptual hash are compared
+ * GET /api/venues/:venueName/similar
+ * Query: threshold (0-64 differing hash bits, defaults to PHOTO_SIMILARITY_THRESHOLD)
+ */
+router.get('/:venueName/similar', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : SIMILARITY_THRESHOLD;
+    
+    if (!Number.isInteger(threshold) || threshold < 0 || threshold > 64) {
+      throw invalidQuery('threshold must be an integer between 0 and 64');
+    }
+    
+    const clusters = await findSimilarClusters(req.venue.slug, BUCKETS.PHOTOS, threshold);
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      threshold,
+      clusters: await Promise.all(clusters.map(async cluster => ({
+        count: cluster.records.length,
+        maxDistance: cluster.maxDistance,
+        files: await signFileEntries(cluster.records.map(record => toFileEntry(record)))
+      }))),
+      count: clusters.length
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching similar photos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch similar photos',
+      message: 'Unable to retrieve similar photos for this venue'
+    });
+  }
+});
+
+/**
+ * List the versioned documents (menus and pricing sheets) of a venue with their current version
+ * GET /api/venues/:venueName/documents
+ * Query: bucket (menus or pricing, defaults to both)
+ */
+router.get('/:venueName/documents', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const bucket = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    const documentList = req.venue.id
+      ? await listDocuments({ venueId: req.venue.id, ...(bucket && { bucket: bucket.name }) })
+      : [];
+    
+    const documents = [];
+    for (const document of documentList.sort((a, b) => a.name.localeCompare(b.name))) {
+      const { versions, current } = await listVersions(document);
+      documents.push({
+        ...document,
+        bucket: resolveBucket(document.bucket).key,
+        versionCount: versions.length,
+        current: current ? (await signFileEntries([toFileEntry(current)]))[0] : null
+      });
+    }
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      documents,
+      count: documents.length
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch documents',
+      message: 'Unable to retrieve documents for this venue'
+    });
+  }
+});
+
+/**
+ * Get the version history of a document, newest first
+ * GET /api/venues/:venueName/documents/:documentId/versions
+ */
+router.get('/:venueName/documents/:documentId/versions', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const document = await getDocument(req.params.documentId);
+    
+    if (!document || document.venueId !== req.venue.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: 'No document with this id exists for the venue'
+      });
+    }
+    
+    const { versions, current } = await listVersions(document);
+    const currentIds = new Set(current ? [current.id] : []);
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      document: { ...document, bucket: resolveBucket(document.bucket).key },
+      currentVersion: current ? current.version : null,
+      versions: await signFileEntries(versions.map(record => toFileEntry(record, currentIds))),
+      count: versions.length
+    });
+    
+  } catch (error) {
+    console.error('Error fetching document versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch versions',
+      message: 'Unable to retrieve the version history of this document'
+    });
+  }
+});
+
+/**
+ * Make an earlier version of a document current again
+ * POST /api/venues/:venueName/documents/:documentId/rollback
+ * Body: { version }
+ */
+router.post('/:venueName/documents/:documentId/rollback', authenticateToken, requireScope('files:manage'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const { version } = req.body;
+    
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid version',
+        message: 'version must be a positive integer'
+      });
+    }
+    
+    const document = await getDocument(req.params.documentId);
+    
+    if (!document || document.venueId !== req.venue.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found',
+        message: 'No document with this id exists for the venue'
+      });
+    }
+    
+    const previousVersion = document.currentVersion;
+    const { document: updated, current } = await rollbackDocument(document, version, req.user.name);
+    
+    res.json({
+      success: true,
+      message: `Version ${version} is now the current version`,
+      document: { ...updated, bucket: resolveBucket(updated.bucket).key },
+      previousVersion,
+      current: (await signFileEntries([toFileEntry(current, new Set([current.id]))]))[0],
+      rolledBackBy: req.user.name
+    });
+    
+  } catch (error) {
+    if (error.code === 'VERSION_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found',
+        message: error.message
+      });
+    }
+    
+    console.error('Error rolling back document:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Rollback failed',
+      message: 'Unable to roll back the document'
+    });
+  }
+});
+
+/**
+ * Get the prices parsed from the current pricing documents of a venue
+ * GET /api/venues/:venueName/pricing
+ */
+router.get('/:venueName/pricing', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const record = req.venue.id ? await getVenuePricing(req.venue.id) : null;
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      pricing: toPricingEntry(record)
+    });
+    
+  } catch (error) {
+    console.error('Error fetching pricing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pricing',
+      message: 'Unable to retrieve the prices of this venue'
+    });
+  }
+});
+
+/**
+ * Correct the parsed prices of a venue
+ * PUT /api/venues/:venueName/pricing
+ * Body: { items: [{ name, amount, maxAmount?, currency, basis, season?, source? }] } - replaces all items
+ */
+router.put('/:venueName/pricing', authenticateToken, requireScope('venues:manage'), resolveVenue({ registered: true }), requireVenueAccess, async (req, res) => {
+  try {
+    const record = await correctVenuePricing(req.venue.id, req.body.items, req.user.name);
+    
+    res.json({
+      success: true,
+      message: 'Pricing corrected',
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      pricing: toPricingEntry(record)
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_PRICING') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid pricing',
+        message: error.message
+      });
+    }
+    
+    console.error('Error correcting pricing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to correct pricing',
+      message: 'Unable to save the corrected prices'
+    });
+  }
+});
+
+/**
+ * Discard the corrections of a venue's prices and go back to the parsed ones
+ * DELETE /api/venues/:venueName/pricing/corrections
+ */
+router.delete('/:venueName/pricing/corrections', authenticateToken, requireScope('venues:manage'), resolveVenue({ registered: true }), requireVenueAccess, async (req, res) => {
+  try {
+    const record = await clearPricingCorrections(req.venue.id);
+    
+    res.json({
+      success: true,
+      message: 'Pricing corrections discarded',
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      pricing: toPricingEntry(record)
+    });
+    
+  } catch (error) {
+    console.error('Error discarding pricing corrections:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to discard corrections',
+      message: 'Unable to discard the corrected prices'
+    });
+  }
+});
+
+/**
+ * Download the files of a venue as a ZIP archive, organized by bucket and category,
+ * with a manifest.json listing original file names
+ * GET /api/venues/:venueName/export
+ * Query: bucket, category, mimeType, from, to - as for the file listing
+ */
+router.get('/:venueName/export', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const filters = parseFileFilters(req.query);
+    const venueFolder = req.venue.slug;
+    
+    const { filter, options } = fileQuery(venueFolder, filters);
+    const { records } = await queryFiles(filter, options);
+    const entries = records
+      .map(record => toFileEntry(record, null))
+      .sort((a, b) => `${a.bucket}/${a.path}`.localeCompare(`${b.bucket}/${b.path}`));
+    
+    if (entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No files to export',
+        message: 'No files of this venue match the export filters'
+      });
+    }
+    
+    const files = entries.map(entry => ({
+      bucket: entry.bucket,
+      bucketKey: resolveBucket(entry.bucket).key,
+      path: entry.path,
+      name: entry.originalName || entry.name,
+      storedName: entry.name,
+      category: entry.category ? normalizeCategory(entry.category) : null,
+      size: entry.size,
+      mimeType: entry.mimeType,
+      checksum: entry.checksum,
+      uploadedBy: entry.uploadedBy,
+      uploadedAt: entry.uploadedAt || entry.lastModified
+    }));
+    
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${venueFolder}-${date}.zip"`);
+    
+    await streamExport(res, files, {
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      slug: venueFolder,
+      exportedBy: req.user.name,
+      filters: {
+        bucket: filters.bucket?.key || null,
+        category: filters.category,
+        mimeType: filters.mimeType,
+        from: filters.from,
+        to: filters.to
+      }
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error exporting venue files:', error);
+    
+    // Once the archive has started streaming the only option is to cut it off
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Export failed',
+      message: 'Unable to export files for this venue'
+    });
+  }
+});
+
+/**
+ * Move a specific file to the trash
  * DELETE /api/venues/:venueName/files/:bucket/:fileName
  */
-router.delete('/:venueName/files/:bucket/:fileName', authenticateToken, async (req, res) => {
+router.delete('/:venueName/files/:bucket/:fileName', authenticateToken, requireScope('files:delete'), resolveVenue(), requireVenueAccess, async (req, res) => {
   try {
-    const { venueName, bucket, fileName } = req.params;
+    const { bucket, fileName } = req.params;
     
     // Validate bucket name
     if (!Object.values(BUCKETS).includes(bucket)) {
@@ -129,14 +1091,39 @@ router.delete('/:venueName/files/:bucket/:fileName', authenticateToken, async (r
       });
     }
     
-    const filePath = `${venueName}/${fileName}`;
+    // File names never contain path segments, reject anything that could escape the venue folder
+    if (fileName.includes('/') || fileName.includes('..')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid file name',
+        message: 'File name must not contain path segments'
+      });
+    }
+    
+    // Image variants are deleted together with their original
+    const file = await findVenueFile(req.venue.slug, bucket, fileName);
     
-    const { error } = await supabase.storage
-      .from(bucket)
-      .remove([filePath]);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'File not found',
+        message: 'The specified file does not exist'
+      });
+    }
     
-    if (error) {
+    let entry;
+    try {
+      entry = await trashFile(file, req.user.name);
+    } catch (error) {
       console.error('Error deleting file:', error);
+      await recordAuditEvent(req, {
+        action: 'delete',
+        result: 'failure',
+        venue: req.venue.slug,
+        bucket,
+        path: file.path,
+        details: { fileId: file.id, error: error.message }
+      });
       return res.status(500).json({
         success: false,
         error: 'Delete failed',
@@ -144,19 +1131,33 @@ router.delete('/:venueName/files/:bucket/:fileName', authenticateToken, async (r
       });
     }
     
+    await recordAuditEvent(req, {
+      action: 'delete',
+      result: 'success',
+      venue: req.venue.slug,
+      bucket,
+      path: file.path,
+      details: { fileId: file.id, originalName: file.originalName, trashId: entry.id }
+    });
+    await emitFileEvent('file.deleted', entry, req.user.name);
+    
     res.json({
       success: true,
-      message: 'File deleted successfully',
+      message: 'File moved to trash',
       deletedFile: {
-        venue: venueName,
+        venue: req.venue.name,
+        venueId: req.venue.id,
         bucket: bucket,
         fileName: fileName,
-        filePath: filePath
-      }
+        filePath: file.path,
+        variants: Object.values(entry.variants).map(variant => variant.originalPath)
+      },
+      trash: toTrashEntry(entry),
+      deletedBy: req.user.name
     });
     
   } catch (error) {
-    console.error('Error deleting file:', error);
+    console.error('Error in delete endpoint:', error);
     res.status(500).json({
       success: false,
       error: 'Delete failed',
@@ -165,5 +1166,186 @@ router.delete('/:venueName/files/:bucket/:fileName', authenticateToken, async (r
   }
 });
 
-module.exports = router;
+/**
+ * List the trash of a venue
+ * GET /api/venues/:venueName/trash
+ * Query: limit, cursor, order (asc|desc, by deletion date), bucket
+ */
+router.get('/:venueName/trash', authenticateToken, requireScope('venues:read'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const pagination = parsePagination(req.query, { date: 'desc' });
+    const bucket = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    
+    const entries = await listTrash({ venue: req.venue.slug, ...(bucket && { bucket: bucket.name }) });
+    const page = paginate(entries, pagination, entry => [entry.deletedAt, entry.id]);
+    
+    res.json({
+      success: true,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      trash: page.items.map(toTrashEntry),
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error fetching venue trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash',
+      message: 'Unable to retrieve the trash for this venue'
+    });
+  }
+});
+
+/**
+ * Restore a file from the trash to where it was deleted from
+ * POST /api/venues/:venueName/trash/:trashId/restore
+ */
+router.post('/:venueName/trash/:trashId/restore', authenticateToken, requireScope('files:delete'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const entry = await getTrashEntry(req.params.trashId);
+    
+    if (!entry || entry.venue !== req.venue.slug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: 'The file is not in the trash of this venue'
+      });
+    }
+    
+    const restored = await restoreTrashEntry(entry);
+    await recordAuditEvent(req, {
+      action: 'restore',
+      result: 'success',
+      venue: entry.venue,
+      bucket: entry.bucket,
+      path: restored.path,
+      details: { fileId: restored.fileId, trashId: entry.id }
+    });
+    await emitFileEvent('file.restored', entry, req.user.name);
+    
+    res.json({
+      success: true,
+      message: 'File restored',
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      restoredFile: {
+        id: restored.fileId,
+        bucket: restored.bucket,
+        fileName: entry.fileName,
+        path: restored.path,
+        url: await getFileUrl(restored.bucket, restored.path)
+      },
+      restoredBy: req.user.name
+    });
+    
+  } catch (error) {
+    if (error.code === 'RESTORE_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        error: 'Restore conflict',
+        message: error.message
+      });
+    }
+    
+    console.error('Error restoring file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Restore failed',
+      message: 'Unable to restore the file'
+    });
+  }
+});
+
+/**
+ * Permanently delete a file from the trash
+ * DELETE /api/venues/:venueName/trash/:trashId
+ */
+router.delete('/:venueName/trash/:trashId', authenticateToken, requireScope('files:delete'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const entry = await getTrashEntry(req.params.trashId);
+    
+    if (!entry || entry.venue !== req.venue.slug) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not found',
+        message: 'The file is not in the trash of this venue'
+      });
+    }
+    
+    await purgeTrashEntry(entry);
+    await recordPurgeEvent(req, entry);
+    await emitFileEvent('file.purged', entry, req.user.name);
+    
+    res.json({
+      success: true,
+      message: 'File permanently deleted',
+      purged: [toTrashEntry(entry)],
+      deletedBy: req.user.name
+    });
+    
+  } catch (error) {
+    console.error('Error purging file:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Purge failed',
+      message: 'Unable to permanently delete the file'
+    });
+  }
+});
 
+/**
+ * Empty the trash of a venue, permanently deleting every file in it
+ * DELETE /api/venues/:venueName/trash
+ * Query: bucket (defaults to all buckets)
+ */
+router.delete('/:venueName/trash', authenticateToken, requireScope('files:delete'), resolveVenue(), requireVenueAccess, async (req, res) => {
+  try {
+    const bucket = req.query.bucket ? resolveBucket(req.query.bucket) : null;
+    const entries = await listTrash({ venue: req.venue.slug, ...(bucket && { bucket: bucket.name }) });
+    
+    for (const entry of entries) {
+      await purgeTrashEntry(entry);
+      await recordPurgeEvent(req, entry);
+      await emitFileEvent('file.purged', entry, req.user.name);
+    }
+    
+    res.json({
+      success: true,
+      message: `${entries.length} file(s) permanently deleted`,
+      venue: req.venue.name,
+      venueId: req.venue.id,
+      purged: entries.map(toTrashEntry),
+      deletedBy: req.user.name
+    });
+    
+  } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: error.message
+      });
+    }
+    
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Purge failed',
+      message: 'Unable to empty the trash'
+    });
+  }
+});
+
+module.exports = router;
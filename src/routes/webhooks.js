@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireScope, canAccessVenue } = require('../middleware/auth');
+const {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  pingWebhook,
+  redeliver,
+  listDeliveries,
+  getDelivery
+} = require('../services/webhooks');
+const { parsePagination, paginate } = require('../utils/pagination');
+
+// Statuses a delivery can have
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Every webhook endpoint requires the webhooks:manage scope
+router.use(authenticateToken, requireScope('webhooks:manage'));
+
+/**
+ * Check whether the credential may manage a subscription
+ * Venue-restricted credentials can only manage subscriptions limited to their venues
+ * @param {Object} req - Express request
+ * @param {Object} webhook - Subscription (or its requested venues as { venues })
+ * @returns {boolean} Whether access is allowed
+ */
+function canManageWebhook(req, webhook) {
+  if (!req.key.venues) {
+    return true;
+  }
+
+  return Array.isArray(webhook.venues) && webhook.venues.length > 0 &&
+    webhook.venues.every(venue => typeof venue === 'string' && canAccessVenue(req, venue));
+}
+
+/**
+ * Load the subscription in the :id route param into req.webhook
+ */
+async function loadWebhook(req, res, next) {
+  try {
+    const webhook = await getWebhook(req.params.id);
+
+    if (!webhook || !canManageWebhook(req, webhook)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook not found',
+        message: 'No webhook with this id exists'
+      });
+    }
+
+    req.webhook = webhook;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send the JSON error response for an invalid subscription, or a generic failure
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the webhook service
+ * @param {string} errorName - Error for unexpected failures
+ * @param {string} message - Message for unexpected failures
+ */
+function sendWebhookError(res, error, errorName, message) {
+  if (error.code === 'INVALID_WEBHOOK' || error.code === 'INVALID_QUERY') {
+    return res.status(400).json({
+      success: false,
+      error: error.code === 'INVALID_WEBHOOK' ? 'Invalid webhook' : 'Invalid query',
+      message: error.message,
+      allowedEvents: error.code === 'INVALID_WEBHOOK' ? WEBHOOK_EVENTS : undefined
+    });
+  }
+
+  console.error(`${errorName}:`, error);
+  res.status(500).json({
+    success: false,
+    error: errorName,
+    message
+  });
+}
+
+/**
+ * Create a webhook subscription
+ * POST /api/webhooks
+ * Body: { url, events, venues?, secret?, description?, active? } - a secret is generated when not given
+ */
+router.post('/', async (req, res) => {
+  try {
+    if (!canManageWebhook(req, req.body)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Venue access denied',
+        message: 'Your access token only allows webhooks limited to its venues'
+      });
+    }
+
+    const { webhook, secret } = await createWebhook(req.body, req.user.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the secret now, it will not be shown again',
+      webhook,
+      secret
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to create webhook', 'Unable to create the webhook');
+  }
+});
+
+/**
+ * List webhook subscriptions
+ * GET /api/webhooks
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = (await listWebhooks()).filter(webhook => canManageWebhook(req, webhook));
+
+    res.json({
+      success: true,
+      webhooks,
+      count: webhooks.length,
+      events: WEBHOOK_EVENTS
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to list webhooks', 'Unable to retrieve webhooks');
+  }
+});
+
+/**
+ * Get a webhook subscription
+ * GET /api/webhooks/:id
+ */
+router.get('/:id', loadWebhook, (req, res) => {
+  res.json({
+    success: true,
+    webhook: req.webhook
+  });
+});
+
+/**
+ * Update a webhook subscription
+ * PATCH /api/webhooks/:id
+ * Body: any of { url, events, venues, secret, description, active }
+ */
+router.patch('/:id', loadWebhook, async (req, res) => {
+  try {
+    if (req.body.venues !== undefined && !canManageWebhook(req, req.body)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Venue access denied',
+        message: 'Your access token only allows webhooks limited to its venues'
+      });
+    }
+
+    const webhook = await updateWebhook(req.webhook.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated',
+      webhook
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to update webhook', 'Unable to update the webhook');
+  }
+});
+
+/**
+ * Replace the signing secret of a webhook subscription
+ * POST /api/webhooks/:id/rotate
+ */
+router.post('/:id/rotate', loadWebhook, async (req, res) => {
+  try {
+    const { webhook, secret } = await rotateWebhookSecret(req.webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Secret rotated. Store the new secret now, it will not be shown again',
+      webhook,
+      secret
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to rotate secret', 'Unable to rotate the webhook secret');
+  }
+});
+
+/**
+ * Delete a webhook subscription
+ * DELETE /api/webhooks/:id
+ */
+router.delete('/:id', loadWebhook, async (req, res) => {
+  try {
+    await deleteWebhook(req.webhook.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted',
+      webhook: req.webhook
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to delete webhook', 'Unable to delete the webhook');
+  }
+});
+
+/**
+ * Send a webhook.ping event to a subscription
+ * POST /api/webhooks/:id/test
+ */
+router.post('/:id/test', loadWebhook, async (req, res) => {
+  try {
+    const delivery = await pingWebhook(req.webhook.id, req.user.name);
+
+    res.status(202).json({
+      success: true,
+      message: 'Test event queued',
+      delivery
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to send test event', 'Unable to queue the test event');
+  }
+});
+
+/**
+ * List the deliveries of a webhook subscription, newest first
+ * GET /api/webhooks/:id/deliveries
+ * Query: status (pending, delivered or failed), limit, cursor, order
+ */
+router.get('/:id/deliveries', loadWebhook, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query',
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+
+    const pagination = parsePagination(req.query, { date: 'desc' });
+    const deliveries = await listDeliveries(req.webhook.id, status ? { status } : {});
+    const page = paginate(deliveries, pagination, delivery => [delivery.createdAt, delivery.id]);
+
+    res.json({
+      success: true,
+      webhookId: req.webhook.id,
+      deliveries: page.items,
+      count: page.items.length,
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to list deliveries', 'Unable to retrieve the delivery log');
+  }
+});
+
+/**
+ * Send the payload of an earlier delivery again
+ * POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', loadWebhook, async (req, res) => {
+  try {
+    const delivery = await getDelivery(req.params.deliveryId);
+
+    if (!delivery || delivery.webhookId !== req.webhook.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+        message: 'No delivery with this id exists for the webhook'
+      });
+    }
+
+    const redelivery = await redeliver(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Event queued for redelivery',
+      delivery: redelivery
+    });
+
+  } catch (error) {
+    sendWebhookError(res, error, 'Failed to redeliver', 'Unable to queue the redelivery');
+  }
+});
+
+module.exports = router;
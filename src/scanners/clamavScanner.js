@@ -0,0 +1,114 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+
+/**
+ * ClamAV scanner
+ * Streams files to a clamd daemon with the INSTREAM command, either over a
+ * unix socket (CLAMAV_SOCKET) or TCP (CLAMAV_HOST / CLAMAV_PORT)
+ */
+
+const CLAMAV_SOCKET = process.env.CLAMAV_SOCKET;
+const CLAMAV_HOST = process.env.CLAMAV_HOST || '127.0.0.1';
+const CLAMAV_PORT = parseInt(process.env.CLAMAV_PORT) || 3310;
+const CLAMAV_TIMEOUT = parseInt(process.env.CLAMAV_TIMEOUT) || 30000;
+
+// clamd rejects INSTREAM chunks larger than its StreamMaxLength, keep them small
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Open a connection to clamd
+ * @returns {Object} net.Socket
+ */
+function connect() {
+  return CLAMAV_SOCKET
+    ? net.createConnection({ path: CLAMAV_SOCKET })
+    : net.createConnection({ host: CLAMAV_HOST, port: CLAMAV_PORT });
+}
+
+/**
+ * Yield the contents of a file in INSTREAM sized chunks
+ * @param {Object} file - Multer-style file object (in memory `buffer` or on disk `path`)
+ */
+async function* readChunks(file) {
+  if (file.buffer) {
+    for (let offset = 0; offset < file.buffer.length; offset += CHUNK_SIZE) {
+      yield file.buffer.subarray(offset, offset + CHUNK_SIZE);
+    }
+    return;
+  }
+
+  yield* fs.createReadStream(file.path, { highWaterMark: CHUNK_SIZE });
+}
+
+/**
+ * Parse a clamd INSTREAM reply
+ * @param {string} reply - e.g. "stream: OK" or "stream: Eicar-Signature FOUND"
+ * @returns {Object} Scan verdict
+ */
+function parseReply(reply) {
+  const message = reply.replace(/\0/g, '').trim();
+
+  if (/:\s*OK$/.test(message)) {
+    return { status: 'clean', signature: null };
+  }
+
+  const found = /:\s*(.+)\s+FOUND$/.exec(message);
+  if (found) {
+    return { status: 'infected', signature: found[1] };
+  }
+
+  throw new Error(`Unexpected clamd reply: ${message}`);
+}
+
+/**
+ * Scan a file with clamd
+ * @param {Object} file - Multer-style file object
+ * @returns {Promise<Object>} { status: 'clean' | 'infected', signature }
+ */
+function scan(file) {
+  return new Promise((resolve, reject) => {
+    const socket = connect();
+    let reply = '';
+
+    socket.setTimeout(CLAMAV_TIMEOUT, () => {
+      socket.destroy(new Error('clamd did not respond in time'));
+    });
+    socket.on('data', data => { reply += data.toString(); });
+    socket.on('error', reject);
+    socket.on('close', () => {
+      try {
+        resolve(parseReply(reply));
+      } catch (error) {
+        reject(error);
+      }
+    });
+
+    socket.on('connect', async () => {
+      try {
+        socket.write('zINSTREAM\0');
+
+        for await (const chunk of readChunks(file)) {
+          const length = Buffer.alloc(4);
+          length.writeUInt32BE(chunk.length);
+          socket.write(length);
+
+          // Respect backpressure so large files are not buffered in memory
+          if (!socket.write(chunk)) {
+            await once(socket, 'drain');
+          }
+        }
+
+        // A zero-length chunk ends the stream
+        socket.end(Buffer.alloc(4));
+      } catch (error) {
+        socket.destroy(error);
+      }
+    });
+  });
+}
+
+module.exports = {
+  name: 'clamav',
+  scan
+};
@@ -0,0 +1,52 @@
+/**
+ * Malware scanner
+ *
+ * Every scanner exposes scan(file) resolving to { status, signature } where
+ * status is "clean" or "infected", and rejects when the file could not be scanned.
+ *
+ * The scanner is selected with SCANNER_DRIVER: "clamav", "test" (flags the
+ * EICAR test file only) or "none" (default, files are not scanned).
+ */
+const SCANNERS = {
+  clamav: () => require('./clamavScanner'),
+  test: () => require('./testScanner'),
+  none: () => ({
+    name: 'none',
+    scan: async () => ({ status: 'skipped', signature: null })
+  })
+};
+
+const SCANNER_DRIVER = (process.env.SCANNER_DRIVER || 'none').toLowerCase();
+
+if (!SCANNERS[SCANNER_DRIVER]) {
+  throw new Error(`Unknown SCANNER_DRIVER "${SCANNER_DRIVER}"`);
+}
+
+const scanner = SCANNERS[SCANNER_DRIVER]();
+
+/**
+ * Scan a file and return its verdict, never throwing
+ * @param {Object} file - Multer-style file object (in memory `buffer` or on disk `path`)
+ * @returns {Promise<Object>} { status: 'clean' | 'infected' | 'skipped' | 'error', signature, scanner, scannedAt }
+ */
+async function scanFile(file) {
+  let verdict;
+
+  try {
+    verdict = await scanner.scan(file);
+  } catch (error) {
+    console.error(`Malware scan error for ${file.originalname}:`, error);
+    verdict = { status: 'error', signature: null, error: 'File could not be scanned' };
+  }
+
+  return {
+    ...verdict,
+    scanner: scanner.name,
+    scannedAt: new Date().toISOString()
+  };
+}
+
+module.exports = {
+  SCANNER_DRIVER,
+  scanFile
+};
@@ -0,0 +1,29 @@
+const { readFileSample } = require('../utils/fileSignatures');
+
+/**
+ * Test scanner
+ * Flags files containing the EICAR anti-virus test string and passes
+ * everything else, so the quarantine flow can be exercised without clamd
+ */
+
+const EICAR_SIGNATURE = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!';
+
+/**
+ * Scan a file for the EICAR test string
+ * @param {Object} file - Multer-style file object
+ * @returns {Promise<Object>} { status: 'clean' | 'infected', signature }
+ */
+async function scan(file) {
+  const sample = await readFileSample(file);
+
+  if (sample.includes(EICAR_SIGNATURE, 0, 'latin1')) {
+    return { status: 'infected', signature: 'Eicar-Test-Signature' };
+  }
+
+  return { status: 'clean', signature: null };
+}
+
+module.exports = {
+  name: 'test',
+  scan
+};
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+
+const apiKeys = collection('api_keys');
+
+// Scopes that can be granted to an API key ('*' grants all of them)
+const SCOPES = [
+  'upload:photos',
+  'upload:menus',
+  'upload:pricing',
+  'venues:read',
+  'venues:manage',
+  'files:delete',
+  'files:manage',
+  'keys:manage',
+  'links:manage',
+  'audit:read',
+  'webhooks:manage'
+];
+
+// Prefix that identifies API keys issued by this service
+const TOKEN_PREFIX = 'wvk_';
+
+/**
+ * Hash an API key for storage (keys are random, so a fast hash is sufficient)
+ * @param {string} token - Plaintext API key
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Plaintext API key
+ */
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Strip secret fields from a key record before returning it to clients
+ * @param {Object} key - Stored key record
+ * @returns {Object} Key without its hash
+ */
+function toPublicKey(key) {
+  const { hash, ...publicKey } = key;
+  return publicKey;
+}
+
+/**
+ * Return the scopes that are not recognised
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string[]} Invalid scopes
+ */
+function findInvalidScopes(scopes) {
+  return scopes.filter(scope => scope !== '*' && !SCOPES.includes(scope));
+}
+
+/**
+ * Normalize a venue allowlist to sanitized venue folder names
+ * @param {string[]|null} venues - Venue names, or null/empty for all venues
+ * @returns {string[]|null} Sanitized, de-duplicated venue names or null
+ */
+function normalizeVenues(venues) {
+  if (!Array.isArray(venues) || venues.length === 0) {
+    return null;
+  }
+
+  return Array.from(new Set(venues.map(sanitizeVenueName).filter(Boolean)));
+}
+
+/**
+ * Create a new API key
+ * @param {Object} params - { name, user, scopes, venues } - venues restricts the key to those venues
+ * @returns {Promise<Object>} { key, token } - the plaintext token is only returned here
+ */
+async function createKey({ name, user, scopes, venues = null }) {
+  const token = generateToken();
+  const now = new Date().toISOString();
+
+  const key = await apiKeys.insert({
+    id: uuidv4(),
+    name,
+    user,
+    scopes,
+    venues: normalizeVenues(venues),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    hash: hashToken(token),
+    createdAt: now,
+    rotatedAt: null,
+    lastUsedAt: null,
+    revokedAt: null
+  });
+
+  return { key: toPublicKey(key), token };
+}
+
+/**
+ * List all API keys
+ * @returns {Promise<Object[]>} Keys without hashes, newest first
+ */
+async function listKeys() {
+  const keys = await apiKeys.find();
+  return keys
+    .map(toPublicKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get an API key
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} Key without its hash, or null
+ */
+async function getKey(id) {
+  const key = await apiKeys.get(id);
+  return key ? toPublicKey(key) : null;
+}
+
+/**
+ * Replace the secret of an API key, keeping its id, name and scopes
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} { key, token } or null if the key is missing or revoked
+ */
+async function rotateKey(id) {
+  const existing = await apiKeys.get(id);
+  if (!existing || existing.revokedAt) {
+    return null;
+  }
+
+  const token = generateToken();
+  const key = await apiKeys.update(id, {
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    hash: hashToken(token),
+    rotatedAt: new Date().toISOString()
+  });
+
+  return { key: toPublicKey(key), token };
+}
+
+/**
+ * Revoke an API key
+ * @param {string} id - Key id
+ * @returns {Promise<Object|null>} Revoked key or null if it does not exist
+ */
+async function revokeKey(id) {
+  const existing = await apiKeys.get(id);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.revokedAt) {
+    return toPublicKey(existing);
+  }
+
+  const key = await apiKeys.update(id, { revokedAt: new Date().toISOString() });
+  return toPublicKey(key);
+}
+
+/**
+ * Look up the active API key matching a plaintext token
+ * @param {string} token - Plaintext API key
+ * @returns {Promise<Object|null>} Key without its hash, or null
+ */
+async function findActiveKey(token) {
+  if (!token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const [key] = await apiKeys.find({ hash: hashToken(token) });
+  if (!key || key.revokedAt) {
+    return null;
+  }
+
+  // Track usage without delaying the request
+  apiKeys.update(key.id, { lastUsedAt: new Date().toISOString() })
+    .catch(error => console.error('Error updating API key usage:', error));
+
+  return toPublicKey(key);
+}
+
+/**
+ * Update venue allowlists after a venue folder was renamed
+ * @param {string} fromSlug - Former venue folder
+ * @param {string} toSlug - New venue folder
+ * @returns {Promise<number>} Number of keys updated
+ */
+async function replaceKeyVenue(fromSlug, toSlug) {
+  const keys = await apiKeys.find();
+  let updated = 0;
+
+  for (const key of keys) {
+    if (key.venues && key.venues.includes(fromSlug)) {
+      const venues = Array.from(new Set(key.venues.map(venue => venue === fromSlug ? toSlug : venue)));
+      await apiKeys.update(key.id, { venues });
+      updated++;
+    }
+  }
+
+  return updated;
+}
+
+module.exports = {
+  SCOPES,
+  createKey,
+  listKeys,
+  getKey,
+  rotateKey,
+  revokeKey,
+  findActiveKey,
+  findInvalidScopes,
+  normalizeVenues,
+  replaceKeyVenue
+};
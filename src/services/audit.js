@@ -0,0 +1,246 @@
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+
+/**
+ * Append-only audit trail of uploads, deletions and access-control failures
+ * Events are only ever inserted:
+ *   { id, timestamp, action, result, actor, actorType, credentialId, credentialName,
+ *     ip, endpoint, venue, bucket, path, details }
+ * `venue` is the venue slug, `endpoint` the method and route (without the query
+ * string, which can carry a token) and `details` holds action-specific values
+ * such as the original file name or the error.
+ */
+const auditLog = collection('audit_log', {
+  indexes: ['timestamp', ['venue', 'timestamp'], ['actor', 'timestamp'], ['action', 'timestamp']]
+});
+
+// Actions recorded in the audit trail
+const AUDIT_ACTIONS = [
+  'upload',
+  'delete',
+  'restore',
+  'purge',
+  'auth.token_missing',
+  'auth.token_invalid',
+  'auth.scope_denied',
+  'auth.venue_denied'
+];
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'timestamp',
+  'action',
+  'result',
+  'actor',
+  'actorType',
+  'credentialId',
+  'credentialName',
+  'ip',
+  'endpoint',
+  'venue',
+  'bucket',
+  'path',
+  'details'
+];
+
+/**
+ * Record an audit event
+ * Failures are logged and swallowed, so auditing never breaks the request it describes
+ * @param {Object|null} req - Express request, or null for events raised by the server itself
+ * @param {Object} event - { action, result, venue, bucket, path, details }
+ * @returns {Promise<Object|null>} Stored event or null if it could not be stored
+ */
+async function recordAuditEvent(req, { action, result, venue = null, bucket = null, path = null, details = null }) {
+  try {
+    return await auditLog.insert({
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      action,
+      result,
+      actor: req ? req.user?.name || null : 'system',
+      actorType: req ? req.user?.type || 'anonymous' : 'system',
+      credentialId: req?.key?.id || null,
+      credentialName: req?.key?.name || null,
+      ip: req ? req.ip : null,
+      endpoint: req ? `${req.method} ${req.baseUrl}${req.path}` : null,
+      venue,
+      bucket,
+      path,
+      details
+    });
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Record one upload event per file of an upload request
+ * @param {Object} req - Express request
+ * @param {string} bucketName - Bucket the files were uploaded to
+ * @param {Object} venue - Venue the files were uploaded for
+ * @param {Object[]} uploadResults - Results from uploadFilesToBucket
+ * @returns {Promise<void>}
+ */
+async function recordUploadEvents(req, bucketName, venue, uploadResults) {
+  for (const upload of uploadResults) {
+    await recordAuditEvent(req, {
+      action: 'upload',
+      result: upload.skipped ? 'skipped' : upload.success ? 'success' : 'failure',
+      venue: venue.slug,
+      bucket: bucketName,
+      path: upload.filePath || null,
+      details: {
+        fileId: upload.id || null,
+        originalName: upload.originalName,
+        size: upload.size,
+        documentId: upload.documentId,
+        version: upload.version,
+        duplicateOf: upload.duplicateOf?.filePath,
+        scan: upload.scan?.status,
+        error: upload.error
+      }
+    });
+  }
+}
+
+/**
+ * Record the permanent deletion of a trashed file
+ * @param {Object|null} req - Express request, or null when the retention period ended
+ * @param {Object} entry - Trash entry that was purged
+ * @returns {Promise<Object|null>} Stored event
+ */
+async function recordPurgeEvent(req, entry) {
+  return recordAuditEvent(req, {
+    action: 'purge',
+    result: 'success',
+    venue: entry.venue,
+    bucket: entry.bucket,
+    path: entry.originalPath,
+    details: {
+      fileId: entry.record?.id || null,
+      originalName: entry.originalName,
+      trashId: entry.id,
+      reason: req ? 'manual' : 'expired'
+    }
+  });
+}
+
+/**
+ * Build the audit log query matching the listing filters
+ * @param {Object} filters - { venue, actor, action, from, to } - all optional; an action
+ *                           without a dot also matches its sub-actions ("auth" matches "auth.scope_denied")
+ * @returns {Object} { filter, options } for auditLog.query()
+ */
+function auditQuery({ venue, actor, action, from, to }) {
+  const filter = {};
+  const prefix = {};
+
+  if (venue) {
+    filter.venue = venue;
+  }
+  if (actor) {
+    filter.actor = actor;
+  }
+  if (action && AUDIT_ACTIONS.includes(action)) {
+    filter.action = action;
+  } else if (action) {
+    prefix.action = `${action}.`;
+  }
+
+  return {
+    filter,
+    options: { prefix, range: { timestamp: { from, to } } }
+  };
+}
+
+/**
+ * Compare two events by timestamp, then id, as the database sorts them
+ * @param {Object} a - Event
+ * @param {Object} b - Event
+ * @returns {number} Negative, zero or positive
+ */
+function compareEvents(a, b) {
+  if (a.timestamp !== b.timestamp) {
+    return a.timestamp < b.timestamp ? -1 : 1;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * List one page of audit events, filtered, sorted and paged in the database
+ * @param {Object} filters - { venue, actor, action, from, to } as for auditQuery
+ * @param {Object} page - { venues: venue slugs to restrict the events to (all when null),
+ *                        order: 'desc' (default) or 'asc', after: position from a previous
+ *                        page, limit: page size (all events when null) }
+ * @returns {Promise<Object>} { events, total, after } - after is the position to continue from, or null
+ */
+async function listAuditEvents(filters = {}, { venues = null, order = 'desc', after = null, limit = null } = {}) {
+  const { filter, options } = auditQuery(filters);
+  const pageOptions = { ...options, sort: { field: 'timestamp', order }, after, limit };
+
+  if (!venues) {
+    const page = await auditLog.query(filter, pageOptions);
+    return { events: page.records, total: page.total, after: page.after };
+  }
+
+  // Query each allowed venue through its index and merge the pages into one
+  const selected = filters.venue ? venues.filter(venue => venue === filters.venue) : venues;
+  const pages = await Promise.all(selected.map(venue => auditLog.query({ ...filter, venue }, pageOptions)));
+
+  const merged = pages
+    .flatMap(page => page.records)
+    .sort((a, b) => order === 'desc' ? compareEvents(b, a) : compareEvents(a, b));
+  const events = limit ? merged.slice(0, limit) : merged;
+  const more = merged.length > events.length || pages.some(page => page.after);
+  const last = events[events.length - 1];
+
+  return {
+    events,
+    total: pages.reduce((sum, page) => sum + page.total, 0),
+    after: more && last ? [last.timestamp, last.id] : null
+  };
+}
+
+/**
+ * Quote a value for a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format audit events as CSV with a header row
+ * @param {Object[]} events - Events
+ * @returns {string} CSV document
+ */
+function toAuditCsv(events) {
+  const rows = [CSV_COLUMNS.join(',')];
+
+  for (const event of events) {
+    rows.push(CSV_COLUMNS.map(column => toCsvCell(event[column])).join(','));
+  }
+
+  return `${rows.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAuditEvent,
+  recordUploadEvents,
+  recordPurgeEvent,
+  listAuditEvents,
+  toAuditCsv
+};
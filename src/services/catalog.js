@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+
+/**
+ * File metadata catalog
+ * One record per stored file, written when a file is uploaded, so listings
+ * keep the original filename, uploader, category and MIME type:
+ *   { id, venue, venueId, venueName, bucket, path, fileName, originalName, size, mimeType,
+ *     fileType, checksum, perceptualHash, uploadedBy, category, caption, variants, scan,
+ *     createdAt, updatedAt }
+ * `venue` is the venue's slug (its folder), `perceptualHash` is set for processed
+ * photos and `variants` maps variant names to { path, size, mimeType, width, height }.
+ */
+const files = collection('files', { indexes: [['venue', 'bucket'], ['bucket', 'path'], 'documentId'] });
+
+/**
+ * Add a file to the catalog
+ * @param {Object} entry - File metadata (without id and timestamps, or with the
+ *                         createdAt of a file stored before it was catalogued)
+ * @returns {Promise<Object>} Stored record
+ */
+async function recordFile(entry) {
+  const now = new Date().toISOString();
+
+  return files.insert({
+    id: uuidv4(),
+    category: null,
+    caption: null,
+    variants: null,
+    scan: null,
+    ...entry,
+    createdAt: entry.createdAt || now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Put a previously removed record back into the catalog, keeping its id
+ * @param {Object} record - File record as it was before removal
+ * @returns {Promise<Object>} Stored record
+ */
+async function reinstateFile(record) {
+  return files.insert({ ...record, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * List catalogued files
+ * @param {Object} filter - Equality filter, e.g. { venue, bucket }
+ * @returns {Promise<Object[]>} File records
+ */
+async function listFiles(filter = {}) {
+  return files.find(filter);
+}
+
+/**
+ * Read one page of catalogued files in the database
+ * @param {Object} filter - Equality filter, e.g. { venue, bucket }
+ * @param {Object} options - { prefix, range, sort, after, limit } as for the database query()
+ * @returns {Promise<Object>} { records, total, after }
+ */
+async function queryFiles(filter, options) {
+  return files.query(filter, options);
+}
+
+/**
+ * Count catalogued files and total their size per value of a field
+ * @param {Object} filter - Equality filter, e.g. { venue, bucket }
+ * @param {string} field - Field to group by, e.g. category
+ * @returns {Promise<Object[]>} [{ value, count, size }]
+ */
+async function summarizeFiles(filter, field) {
+  const groups = await files.summarize(filter, field, 'size');
+  return groups.map(({ value, count, sum }) => ({ value, count, size: sum }));
+}
+
+/**
+ * Get a catalogued file by id
+ * @param {string} id - File id
+ * @returns {Promise<Object|null>} File record or null
+ */
+async function getFile(id) {
+  return files.get(id);
+}
+
+/**
+ * Find the catalogued file stored at a path
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<Object|null>} File record or null
+ */
+async function findFileByPath(bucket, filePath) {
+  const [file] = await files.find({ bucket, path: filePath });
+  return file || null;
+}
+
+/**
+ * Update a catalogued file
+ * @param {string} id - File id
+ * @param {Object} patch - Fields to change
+ * @returns {Promise<Object|null>} Updated record or null
+ */
+async function updateFile(id, patch) {
+  return files.update(id, { ...patch, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Remove a file from the catalog
+ * @param {string} id - File id
+ * @returns {Promise<boolean>} Whether the record existed
+ */
+async function removeFile(id) {
+  return files.remove(id);
+}
+
+module.exports = {
+  recordFile,
+  reinstateFile,
+  listFiles,
+  queryFiles,
+  summarizeFiles,
+  getFile,
+  findFileByPath,
+  updateFile,
+  removeFile
+};
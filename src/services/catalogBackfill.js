@@ -0,0 +1,122 @@
+const { collection } = require('../db');
+const { BUCKETS } = require('../config/supabase');
+const { listAllFiles, walkFolder } = require('../storage');
+const { findFileByPath, recordFile } = require('./catalog');
+const { listVenues } = require('./venues');
+const { TRASH_FOLDER } = require('./trash');
+const { parseVariantFileName, getFileCategory } = require('../utils/fileUtils');
+
+/**
+ * One-off import of files stored before the catalog existed
+ * Listings read the catalog only, so files that are in storage without a
+ * catalog record are recorded once, the way an upload would have recorded
+ * them: venue and category from their folder, variants from their siblings.
+ * Completion is recorded in the migrations collection, so storage is only
+ * walked on the first start after upgrading.
+ */
+const migrations = collection('migrations');
+
+const MIGRATION_ID = 'catalog-backfill';
+
+/**
+ * Record the uncatalogued files of one venue folder
+ * @param {string} bucket - Bucket name
+ * @param {string} venueFolder - Venue folder at the root of the bucket
+ * @param {Map} venuesBySlug - Registered venues by slug
+ * @returns {Promise<number>} Number of files recorded
+ */
+async function backfillVenueFolder(bucket, venueFolder, venuesBySlug) {
+  const { data: files, error } = await walkFolder(bucket, venueFolder);
+  if (error) {
+    throw error;
+  }
+
+  // Image variants (<name>@<variant>.<ext>) belong to their original
+  const variantsByOriginal = new Map();
+  for (const file of files) {
+    const variant = parseVariantFileName(file.name);
+    if (variant) {
+      const key = `${file.folder}/${variant.baseName}`;
+      variantsByOriginal.set(key, {
+        ...variantsByOriginal.get(key),
+        [variant.variant]: {
+          path: `${file.folder}/${file.name}`,
+          size: file.metadata.size || 0,
+          mimeType: file.metadata.mimetype || null
+        }
+      });
+    }
+  }
+
+  const venue = venuesBySlug.get(venueFolder);
+  let recorded = 0;
+
+  for (const file of files) {
+    const filePath = `${file.folder}/${file.name}`;
+    if (parseVariantFileName(file.name) || await findFileByPath(bucket, filePath)) {
+      continue;
+    }
+
+    const mimeType = file.metadata.mimetype || null;
+    const categoryFolders = file.folder.split('/').slice(1);
+
+    await recordFile({
+      venue: venueFolder,
+      venueId: venue ? venue.id : null,
+      venueName: venue ? venue.name : venueFolder,
+      bucket,
+      path: filePath,
+      fileName: file.name,
+      originalName: file.name,
+      size: file.metadata.size || 0,
+      mimeType,
+      fileType: getFileCategory(mimeType || ''),
+      checksum: null,
+      perceptualHash: null,
+      uploadedBy: null,
+      category: categoryFolders.length > 0 ? categoryFolders.join('/') : null,
+      variants: variantsByOriginal.get(`${file.folder}/${file.name.replace(/\.[^.]+$/, '')}`) || null,
+      createdAt: file.created_at || file.updated_at,
+      backfilled: true
+    });
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Record every file that is in storage but not in the catalog, once
+ * @returns {Promise<number|null>} Number of files recorded, or null if the backfill already ran
+ */
+async function backfillCatalog() {
+  if (await migrations.get(MIGRATION_ID)) {
+    return null;
+  }
+
+  const venuesBySlug = new Map((await listVenues()).map(venue => [venue.slug, venue]));
+  let recorded = 0;
+
+  for (const bucket of Object.values(BUCKETS)) {
+    const { data: entries, error } = await listAllFiles(bucket, '');
+    if (error) {
+      throw error;
+    }
+
+    // Venue folders are listed without metadata; files at the root belong to no venue
+    for (const entry of entries) {
+      if (!entry.name || entry.metadata || entry.name.startsWith('.') || entry.name === TRASH_FOLDER) {
+        continue;
+      }
+
+      recorded += await backfillVenueFolder(bucket, entry.name, venuesBySlug);
+    }
+  }
+
+  await migrations.insert({ id: MIGRATION_ID, recorded, completedAt: new Date().toISOString() });
+  return recorded;
+}
+
+module.exports = {
+  backfillCatalog
+};
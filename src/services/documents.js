@@ -0,0 +1,199 @@
+const { collection } = require('../db');
+const { listFiles } = require('./catalog');
+
+/**
+ * Versioned documents (menus and pricing sheets)
+ * Every menu or pricing upload is a version of a logical document. Each version
+ * is an ordinary catalogued file with `documentId` and `version` set, so prior
+ * versions stay stored and retrievable. Document records:
+ *   { id, venueId, bucket, name, currentVersion, latestVersion, createdBy,
+ *     createdAt, updatedBy, updatedAt }
+ * `currentVersion` is the version clients should use; `latestVersion` only ever
+ * grows, so version numbers are never reused.
+ */
+const documents = collection('documents');
+
+// Attempts at numbering a new version before giving up
+const MAX_VERSION_UPDATE_ATTEMPTS = 20;
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Register a new document whose first version is being uploaded
+ * @param {Object} params - { id, venueId, bucket, name, createdBy }
+ * @returns {Promise<Object>} Document record
+ */
+async function createDocument({ id, venueId, bucket, name, createdBy }) {
+  const now = new Date().toISOString();
+
+  return documents.insert({
+    id,
+    venueId,
+    bucket,
+    name,
+    currentVersion: 1,
+    latestVersion: 1,
+    createdBy,
+    createdAt: now,
+    updatedBy: createdBy,
+    updatedAt: now
+  });
+}
+
+/**
+ * Get a document
+ * @param {string} id - Document id
+ * @returns {Promise<Object|null>} Document record or null
+ */
+async function getDocument(id) {
+  return documents.get(id);
+}
+
+/**
+ * List documents
+ * @param {Object} filter - Equality filter, e.g. { venueId, bucket }
+ * @returns {Promise<Object[]>} Document records
+ */
+async function listDocuments(filter = {}) {
+  return documents.find(filter);
+}
+
+/**
+ * Number a newly stored version of a document and make it the current one
+ * Called once the version's file and catalog record are stored, so numbers
+ * are not used up by uploads that fail. The number is taken with a
+ * compare-and-set on latestVersion, so concurrent uploads get distinct numbers.
+ * @param {Object} document - Document record
+ * @param {string} updatedBy - Name of the actor
+ * @returns {Promise<number>} Version number of the new version
+ * @throws {Error} If the document no longer exists or changed too often to be updated
+ */
+async function addVersion(document, updatedBy) {
+  for (let attempt = 0; attempt < MAX_VERSION_UPDATE_ATTEMPTS; attempt++) {
+    const latest = await documents.get(document.id);
+    if (!latest) {
+      throw createError(`Document ${document.id} no longer exists`, 'DOCUMENT_NOT_FOUND');
+    }
+
+    // Another upload took the number since it was read: read it again
+    const version = latest.latestVersion + 1;
+    const updated = await documents.updateIf(
+      document.id,
+      { latestVersion: latest.latestVersion },
+      { latestVersion: version, currentVersion: version, updatedBy, updatedAt: new Date().toISOString() }
+    );
+    if (updated) {
+      return version;
+    }
+  }
+
+  throw new Error(`Versions of document ${document.id} changed too often to add one`);
+}
+
+/**
+ * Mark a version as the current one
+ * @param {string} id - Document id
+ * @param {number} version - Version number
+ * @param {string} updatedBy - Name of the actor
+ * @returns {Promise<Object|null>} Updated document
+ */
+async function setCurrentVersion(id, version, updatedBy) {
+  return documents.update(id, {
+    currentVersion: version,
+    updatedBy,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Work out which stored version is current
+ * Falls back to the newest stored version when the current one was deleted
+ * @param {Object} document - Document record
+ * @param {Object[]} versions - Catalog records of the document's versions
+ * @returns {Object|null} Catalog record of the current version
+ */
+function findCurrentVersion(document, versions) {
+  const current = versions.find(record => record.version === document.currentVersion);
+  if (current) {
+    return current;
+  }
+
+  return versions.reduce((newest, record) => (!newest || record.version > newest.version ? record : newest), null);
+}
+
+/**
+ * List the stored versions of a document, newest first
+ * @param {Object} document - Document record
+ * @returns {Promise<Object>} { versions, current } - catalog records and the current one
+ */
+async function listVersions(document) {
+  // A version being uploaded has no number until it is stored
+  const versions = (await listFiles({ documentId: document.id }))
+    .filter(record => record.version)
+    .sort((a, b) => b.version - a.version);
+
+  return { versions, current: findCurrentVersion(document, versions) };
+}
+
+/**
+ * Make an earlier (or later) version the current one again
+ * @param {Object} document - Document record
+ * @param {number} version - Version number to restore
+ * @param {string} updatedBy - Name of the actor
+ * @returns {Promise<Object>} { document, current } - updated document and the current version's record
+ * @throws {Error} VERSION_NOT_FOUND when the version is not stored
+ */
+async function rollbackDocument(document, version, updatedBy) {
+  const [record] = await listFiles({ documentId: document.id, version });
+
+  if (!record) {
+    throw createError(`Version ${version} of this document is not stored`, 'VERSION_NOT_FOUND');
+  }
+
+  return {
+    document: await setCurrentVersion(document.id, version, updatedBy),
+    current: record
+  };
+}
+
+/**
+ * Get the ids of the current version of the documents among catalog records
+ * @param {Object[]} records - Catalog records (files that are not document versions are ignored)
+ * @returns {Promise<Set<string>>} Ids of the records that are current versions
+ */
+async function currentVersionIds(records) {
+  const ids = new Set();
+
+  for (const documentId of new Set(records.map(record => record.documentId).filter(Boolean))) {
+    const document = await getDocument(documentId);
+    if (document) {
+      const { current } = await listVersions(document);
+      if (current) {
+        ids.add(current.id);
+      }
+    }
+  }
+
+  return ids;
+}
+
+module.exports = {
+  createDocument,
+  getDocument,
+  listDocuments,
+  addVersion,
+  setCurrentVersion,
+  listVersions,
+  rollbackDocument,
+  currentVersionIds
+};
@@ -0,0 +1,166 @@
+const { listFiles } = require('./catalog');
+const { SIMILARITY_THRESHOLD } = require('../config/images');
+
+/**
+ * Duplicate detection by content hash
+ * Two files are duplicates when they have the same SHA-256 checksum (of the
+ * file as it was uploaded) and are stored for the same venue in the same bucket.
+ * Only catalogued files have a checksum, so files stored before the catalog
+ * existed are never reported.
+ *
+ * Photos are also compared by their perceptual hash: pictures whose hashes
+ * differ in only a few bits are near-duplicates, e.g. the same photo exported
+ * at another size or compression.
+ */
+
+// What an upload does with a file that is already stored:
+//   skip - do not store it again, replace - store it and move the existing copy
+//   to the trash, keep-both - store it next to the existing copy
+const DUPLICATE_STRATEGIES = ['skip', 'replace', 'keep-both'];
+
+const DEFAULT_DUPLICATE_STRATEGY = 'keep-both';
+
+/**
+ * Find the stored copy of a file with the given checksum
+ * @param {string} venueSlug - Venue slug
+ * @param {string} bucketName - Bucket name
+ * @param {string} checksum - SHA-256 hex digest
+ * @returns {Promise<Object|null>} Earliest catalogued file with that checksum, or null
+ */
+async function findDuplicate(venueSlug, bucketName, checksum) {
+  const records = await listFiles({ venue: venueSlug, bucket: bucketName, checksum });
+  records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return records[0] || null;
+}
+
+/**
+ * Group the files of a venue that have identical content
+ * @param {string} venueSlug - Venue slug
+ * @param {string[]} bucketNames - Buckets to include
+ * @returns {Promise<Object[]>} Groups of { bucket, checksum, records, wastedBytes } with at
+ *                              least two records each, oldest record first; most wasted space first
+ */
+async function findDuplicateGroups(venueSlug, bucketNames) {
+  const records = await listFiles({ venue: venueSlug });
+  const groups = new Map();
+
+  for (const record of records) {
+    if (!record.checksum || !bucketNames.includes(record.bucket)) {
+      continue;
+    }
+
+    const key = `${record.bucket}/${record.checksum}`;
+    const group = groups.get(key) || { bucket: record.bucket, checksum: record.checksum, records: [] };
+    group.records.push(record);
+    groups.set(key, group);
+  }
+
+  return Array.from(groups.values())
+    .filter(group => group.records.length > 1)
+    .map(group => {
+      const sorted = group.records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      return {
+        ...group,
+        records: sorted,
+        wastedBytes: sorted.slice(1).reduce((total, record) => total + (record.size || 0), 0)
+      };
+    })
+    .sort((a, b) => b.wastedBytes - a.wastedBytes);
+}
+
+/**
+ * Count the bits in which two perceptual hashes differ
+ * @param {string} a - 64-bit hash as hex
+ * @param {string} b - 64-bit hash as hex
+ * @returns {number} Hamming distance (0-64)
+ */
+function hashDistance(a, b) {
+  let difference = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+
+  while (difference > 0n) {
+    distance += Number(difference & 1n);
+    difference >>= 1n;
+  }
+
+  return distance;
+}
+
+/**
+ * Find stored photos that look like an image
+ * Byte-identical files are left out, they are reported by findDuplicate
+ * @param {string} venueSlug - Venue slug
+ * @param {string} bucketName - Bucket name
+ * @param {string} hash - Perceptual hash of the image
+ * @param {string} checksum - SHA-256 of the image
+ * @param {number} threshold - Maximum hash distance
+ * @returns {Promise<Object[]>} { record, distance } most similar first
+ */
+async function findSimilarPhotos(venueSlug, bucketName, hash, checksum, threshold = SIMILARITY_THRESHOLD) {
+  const records = await listFiles({ venue: venueSlug, bucket: bucketName });
+
+  return records
+    .filter(record => record.perceptualHash && record.checksum !== checksum)
+    .map(record => ({ record, distance: hashDistance(hash, record.perceptualHash) }))
+    .filter(match => match.distance <= threshold)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Group the photos of a venue into clusters of similar images
+ * Photos are linked when their hashes are within the threshold, and linked
+ * photos form one cluster
+ * @param {string} venueSlug - Venue slug
+ * @param {string} bucketName - Bucket name
+ * @param {number} threshold - Maximum hash distance
+ * @returns {Promise<Object[]>} Clusters of { records, maxDistance } with at least two
+ *                              records each, oldest record first; largest clusters first
+ */
+async function findSimilarClusters(venueSlug, bucketName, threshold = SIMILARITY_THRESHOLD) {
+  const records = (await listFiles({ venue: venueSlug, bucket: bucketName }))
+    .filter(record => record.perceptualHash);
+
+  // Union-find over the pairs of similar photos
+  const parents = records.map((record, index) => index);
+  const root = index => (parents[index] === index ? index : (parents[index] = root(parents[index])));
+  const distances = [];
+
+  for (let i = 0; i < records.length; i++) {
+    for (let j = i + 1; j < records.length; j++) {
+      const distance = hashDistance(records[i].perceptualHash, records[j].perceptualHash);
+      if (distance <= threshold) {
+        parents[root(j)] = root(i);
+        distances.push([i, distance]);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const [index, record] of records.entries()) {
+    const cluster = clusters.get(root(index)) || { records: [], maxDistance: 0 };
+    cluster.records.push(record);
+    clusters.set(root(index), cluster);
+  }
+
+  for (const [index, distance] of distances) {
+    const cluster = clusters.get(root(index));
+    cluster.maxDistance = Math.max(cluster.maxDistance, distance);
+  }
+
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.records.length > 1)
+    .map(cluster => ({
+      ...cluster,
+      records: cluster.records.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    }))
+    .sort((a, b) => b.records.length - a.records.length);
+}
+
+module.exports = {
+  DUPLICATE_STRATEGIES,
+  DEFAULT_DUPLICATE_STRATEGY,
+  findDuplicate,
+  findDuplicateGroups,
+  findSimilarPhotos,
+  findSimilarClusters
+};
@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const path = require('path');
+const { pipeline, Transform } = require('stream');
+const { storage, listAllFiles, walkFolder } = require('../storage');
+const { getFile, findFileByPath, listFiles, recordFile, updateFile } = require('./catalog');
+const {
+  generateFileName,
+  generateFolderPath,
+  generateVariantFileName,
+  parseVariantFileName,
+  getFileCategory
+} = require('../utils/fileUtils');
+const { copyFileText } = require('./search');
+
+/**
+ * Operations on stored files (move, copy) that keep storage and the
+ * catalog in step. Files are described as:
+ *   { id, bucket, path, fileName, originalName, venue, venueId, venueName, category,
+ *     size, mimeType, variants, record }
+ * where `variants` maps variant names to { path, ... } and `record` is the
+ * catalog entry, or null for files stored before the catalog existed.
+ */
+
+/**
+ * Describe a catalogued file
+ * @param {Object} record - File record from the catalog
+ * @returns {Object} File description
+ */
+function fromRecord(record) {
+  return {
+    id: record.id,
+    bucket: record.bucket,
+    path: record.path,
+    fileName: record.fileName,
+    originalName: record.originalName,
+    venue: record.venue,
+    venueId: record.venueId || null,
+    venueName: record.venueName,
+    category: record.category,
+    size: record.size,
+    mimeType: record.mimeType,
+    variants: record.variants || {},
+    record
+  };
+}
+
+/**
+ * Describe a file that is in storage but not in the catalog
+ * Its venue and category are taken from the folder it is in
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<Object|null>} File description or null if it does not exist
+ */
+async function describeStoredFile(bucket, filePath) {
+  const folder = path.posix.dirname(filePath);
+  const fileName = path.posix.basename(filePath);
+
+  if (folder === '.') {
+    return null; // Files always live in a venue folder
+  }
+
+  const { data: entries, error } = await listAllFiles(bucket, folder);
+  if (error) {
+    throw error;
+  }
+
+  const entry = entries.find(candidate => candidate.name === fileName && candidate.metadata);
+  if (!entry) {
+    return null;
+  }
+
+  // Image variants (<name>@<variant>.<ext>) belong to their original
+  const variants = {};
+  if (!parseVariantFileName(fileName)) {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    for (const sibling of entries) {
+      const variant = parseVariantFileName(sibling.name);
+      if (variant && variant.baseName === baseName) {
+        variants[variant.variant] = {
+          path: `${folder}/${sibling.name}`,
+          size: sibling.metadata?.size || 0,
+          mimeType: sibling.metadata?.mimetype || null
+        };
+      }
+    }
+  }
+
+  const [venue, ...categoryFolders] = folder.split('/');
+
+  return {
+    id: null,
+    bucket,
+    path: filePath,
+    fileName,
+    originalName: fileName,
+    venue,
+    venueId: null,
+    venueName: venue,
+    category: categoryFolders.length > 0 ? categoryFolders.join('/') : null,
+    size: entry.metadata.size || 0,
+    mimeType: entry.metadata.mimetype || null,
+    variants,
+    record: null
+  };
+}
+
+/**
+ * Find a file by catalog id, or by bucket and path
+ * @param {Object} params - { fileId } or { bucket, path }
+ * @returns {Promise<Object|null>} File description or null
+ */
+async function locateFile({ fileId, bucket, path: filePath }) {
+  if (fileId) {
+    const record = await getFile(fileId);
+    return record ? fromRecord(record) : null;
+  }
+
+  if (!bucket || !filePath) {
+    return null;
+  }
+
+  const record = await findFileByPath(bucket, filePath);
+  return record ? fromRecord(record) : describeStoredFile(bucket, filePath);
+}
+
+/**
+ * Find a file of a venue by its stored file name, in any category folder
+ * @param {string} venueSlug - Venue slug
+ * @param {string} bucket - Bucket name
+ * @param {string} fileName - Stored file name
+ * @returns {Promise<Object|null>} File description or null
+ */
+async function findVenueFile(venueSlug, bucket, fileName) {
+  const [record] = await listFiles({ venue: venueSlug, bucket, fileName });
+  if (record) {
+    return fromRecord(record);
+  }
+
+  const { data: files, error } = await walkFolder(bucket, venueSlug);
+  if (error) {
+    throw error;
+  }
+
+  const stored = files.find(file => file.name === fileName);
+  return stored ? describeStoredFile(bucket, `${stored.folder}/${fileName}`) : null;
+}
+
+/**
+ * Check whether an object exists
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<boolean>} Whether the object exists in storage or the catalog
+ */
+async function fileExists(bucket, filePath) {
+  if (await findFileByPath(bucket, filePath)) {
+    return true;
+  }
+
+  return Boolean(await describeStoredFile(bucket, filePath));
+}
+
+/**
+ * Work out where a file ends up when moved or copied
+ * Moved files keep their name; copies get a newly generated one so they
+ * never collide with the original
+ * @param {Object} file - File description
+ * @param {Object} target - { bucket, venue: { id, name, slug }, category } - category null for none
+ * @param {Object} options - { rename: generate a new file name }
+ * @returns {Object} { bucket, venue, category, fileName, path, variants } with variants mapping names to paths
+ */
+function planDestination(file, target, options = {}) {
+  const category = target.category || null;
+  const folder = generateFolderPath(target.venue.slug, category || '');
+  const fileName = options.rename
+    ? generateFileName(target.venue.slug, file.originalName || file.fileName, category || '')
+    : file.fileName;
+
+  const variants = {};
+  for (const [name, variant] of Object.entries(file.variants)) {
+    const variantName = options.rename
+      ? generateVariantFileName(fileName, name, path.posix.extname(variant.path))
+      : path.posix.basename(variant.path);
+    variants[name] = `${folder}/${variantName}`;
+  }
+
+  return {
+    bucket: target.bucket,
+    venue: target.venue,
+    category,
+    fileName,
+    path: `${folder}/${fileName}`,
+    variants
+  };
+}
+
+/**
+ * Point a file's variant metadata at their destination paths
+ * @param {Object} file - File description
+ * @param {Object} destination - Destination from planDestination
+ * @returns {Object|null} Variant metadata for the catalog, or null without variants
+ */
+function relocateVariants(file, destination) {
+  const entries = Object.entries(file.variants);
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return Object.fromEntries(entries.map(([name, variant]) => [
+    name,
+    { ...variant, path: destination.variants[name] }
+  ]));
+}
+
+/**
+ * Move objects within a bucket
+ * If any object cannot be moved, those already moved are moved back
+ * @param {string} bucket - Bucket name
+ * @param {Array} moves - [fromPath, toPath] pairs
+ * @returns {Promise<void>}
+ */
+async function moveObjects(bucket, moves) {
+  const moved = [];
+  for (const [fromPath, toPath] of moves) {
+    const { error } = await storage.move(bucket, fromPath, toPath);
+
+    if (error) {
+      for (const [movedFrom, movedTo] of moved.reverse()) {
+        await storage.move(bucket, movedTo, movedFrom);
+      }
+      throw error;
+    }
+
+    moved.push([fromPath, toPath]);
+  }
+}
+
+/**
+ * Move a file and its variants within its bucket
+ * @param {Object} file - File description
+ * @param {Object} destination - Destination from planDestination
+ * @returns {Promise<Object>} { path, variants } new paths
+ */
+async function moveFile(file, destination) {
+  const moves = [[file.path, destination.path]];
+  for (const [name, variant] of Object.entries(file.variants)) {
+    moves.push([variant.path, destination.variants[name]]);
+  }
+
+  await moveObjects(file.bucket, moves);
+
+  if (file.record) {
+    await updateFile(file.record.id, {
+      venue: destination.venue.slug,
+      venueId: destination.venue.id,
+      venueName: destination.venue.name,
+      category: destination.category,
+      path: destination.path,
+      variants: relocateVariants(file, destination)
+    });
+  }
+
+  return { path: destination.path, variants: Object.values(destination.variants) };
+}
+
+/**
+ * Copy one stored object, streaming it from the source to the destination
+ * so it is never held in memory whole
+ * @param {string} fromBucket - Source bucket
+ * @param {string} fromPath - Source path
+ * @param {string} toBucket - Destination bucket
+ * @param {string} toPath - Destination path
+ * @param {string} contentType - MIME type of the object
+ * @returns {Promise<Object>} { checksum, error } - checksum is the SHA-256 of the copied bytes
+ */
+async function copyObject(fromBucket, fromPath, toBucket, toPath, contentType) {
+  const { data: source, error: downloadError } = await storage.downloadStream(fromBucket, fromPath);
+  if (downloadError) {
+    return { checksum: null, error: downloadError };
+  }
+
+  // Hash the bytes as they pass; a failed read fails the upload
+  const hash = crypto.createHash('sha256');
+  const body = pipeline(source, new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  }), () => {});
+
+  const { error } = await storage.upload(toBucket, toPath, body, { contentType });
+  if (error) {
+    source.destroy();
+    return { checksum: null, error };
+  }
+
+  return { checksum: hash.digest('hex'), error: null };
+}
+
+/**
+ * Copy a file and its variants, cataloguing the copy
+ * If any object cannot be copied, the copies already written are removed
+ * @param {Object} file - File description
+ * @param {Object} destination - Destination from planDestination (with rename)
+ * @param {string} copiedBy - Name of the actor
+ * @returns {Promise<Object>} Catalog record of the copy
+ */
+async function copyFile(file, destination, copiedBy) {
+  const copies = [[file.path, destination.path, file.mimeType]];
+  for (const [name, variant] of Object.entries(file.variants)) {
+    copies.push([variant.path, destination.variants[name], variant.mimeType]);
+  }
+
+  const written = [];
+  let checksum = null;
+
+  for (const [fromPath, toPath, contentType] of copies) {
+    const copied = await copyObject(file.bucket, fromPath, destination.bucket, toPath, contentType);
+
+    if (copied.error) {
+      if (written.length > 0) {
+        await storage.remove(destination.bucket, written);
+      }
+      throw copied.error;
+    }
+
+    // Files stored before the catalog existed have no checksum yet
+    if (fromPath === file.path) {
+      checksum = copied.checksum;
+    }
+
+    written.push(toPath);
+  }
+
+  const source = file.record || {};
+
+  const copy = await recordFile({
+    venue: destination.venue.slug,
+    venueId: destination.venue.id,
+    venueName: destination.venue.name,
+    bucket: destination.bucket,
+    path: destination.path,
+    fileName: destination.fileName,
+    originalName: file.originalName,
+    size: file.size,
+    mimeType: file.mimeType,
+    fileType: source.fileType || getFileCategory(file.mimeType || ''),
+    checksum: source.checksum || checksum,
+    perceptualHash: source.perceptualHash || null,
+    uploadedBy: copiedBy,
+    category: destination.category,
+    caption: source.caption || null,
+    variants: relocateVariants(file, destination),
+    scan: source.scan || null,
+    copiedFrom: file.id
+  });
+
+  if (file.id) {
+    await copyFileText(file.id, copy);
+  }
+
+  return copy;
+}
+
+module.exports = {
+  fromRecord,
+  locateFile,
+  findVenueFile,
+  fileExists,
+  planDestination,
+  moveObjects,
+  moveFile,
+  copyFile
+};
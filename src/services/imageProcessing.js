@@ -0,0 +1,122 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { IMAGE_VARIANTS } = require('../config/images');
+const { stripGpsData } = require('../utils/exifGps');
+
+// File extension and MIME type for each output format
+const FORMATS = {
+  jpeg: { extension: '.jpg', mimeType: 'image/jpeg' },
+  png: { extension: '.png', mimeType: 'image/png' },
+  webp: { extension: '.webp', mimeType: 'image/webp' }
+};
+
+// Output format matching an uploaded image type
+const FORMAT_BY_MIME_TYPE = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/**
+ * Encode a sharp pipeline in the given format
+ * @param {Object} pipeline - sharp instance
+ * @param {string} format - jpeg, png or webp
+ * @param {number} quality - Lossy quality (ignored for PNG)
+ * @returns {Promise<Object>} { buffer, width, height, size, extension, mimeType }
+ */
+async function encode(pipeline, format, quality) {
+  if (!FORMATS[format]) {
+    throw new Error(`Unsupported image format "${format}"`);
+  }
+
+  const { data, info } = await pipeline
+    .toFormat(format, format === 'png' ? {} : { quality })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    buffer: data,
+    width: info.width,
+    height: info.height,
+    size: info.size,
+    ...FORMATS[format]
+  };
+}
+
+/**
+ * Compute the perceptual difference hash (dHash) of an image
+ * The image is reduced to 9x8 grayscale pixels and each bit records whether a
+ * pixel is brighter than its right neighbour, so resizing, recompression and
+ * small colour changes leave the hash (nearly) unchanged
+ * @param {Buffer|string} input - Image buffer or path to the image on disk
+ * @returns {Promise<string>} 64-bit hash as 16 hex characters
+ */
+async function perceptualHash(input) {
+  const pixels = await sharp(input, { failOn: 'error' })
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      const bit = pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n;
+      hash = (hash << 1n) | bit;
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Normalize an uploaded image before it is stored
+ * The original is kept as uploaded, apart from its GPS coordinates which are
+ * blanked without re-encoding; the EXIF orientation is applied to the variants
+ * @param {Buffer|string} input - Image buffer or path to the image on disk
+ * @param {string} mimeType - Declared MIME type of the image
+ * @returns {Promise<Object>} { original: { buffer, size }, perceptualHash }
+ */
+async function normalizeImage(input, mimeType) {
+  const data = typeof input === 'string' ? await fs.promises.readFile(input) : input;
+
+  // Decoding the image also rejects files that are not valid images
+  const hash = await perceptualHash(data);
+  const { buffer } = stripGpsData(data);
+
+  return { original: { buffer, size: buffer.length }, perceptualHash: hash };
+}
+
+/**
+ * Generate the configured variants of an image
+ * Each variant is auto-rotated according to the EXIF orientation of the
+ * original and carries none of its metadata
+ * @param {Buffer} input - Stored original
+ * @param {string} mimeType - MIME type of the image
+ * @returns {Promise<Object>} Encoded images keyed by variant name
+ */
+async function generateVariants(input, mimeType) {
+  const format = FORMAT_BY_MIME_TYPE[mimeType] || 'jpeg';
+
+  const variants = {};
+  for (const [name, options] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await encode(
+      sharp(input).rotate().resize({
+        width: options.width,
+        height: options.height,
+        fit: options.fit || 'inside',
+        withoutEnlargement: true
+      }),
+      options.format || format,
+      options.quality || 80
+    );
+  }
+
+  return variants;
+}
+
+module.exports = {
+  normalizeImage,
+  generateVariants
+};
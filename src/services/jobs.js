@@ -0,0 +1,290 @@
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+
+/**
+ * In-process background job queue
+ * Work that an upload response does not have to wait for, such as generating
+ * image variants or extracting document text, is queued as a job and run by
+ * this process in the background. Job records:
+ *   { id, type, status, venue, bucket, fileId, payload, result, error,
+ *     attempts, maxAttempts, runAt, lockedUntil, createdAt, startedAt, finishedAt }
+ * `status` is queued, running, succeeded or failed. At most JOB_CONCURRENCY
+ * jobs run at once; a job whose handler throws is queued again with exponential
+ * backoff until it has run maxAttempts times. Jobs are stored, so retries whose
+ * timer was lost are started by the periodic runDueJobs.
+ * A job is claimed by switching it from queued to running in one conditional
+ * update, so it is only started once even when several processes share the queue.
+ * The claim is a lease (`lockedUntil`) that the running process renews; jobs
+ * whose lease ran out, because the process running them stopped, are queued
+ * again by resumeJobs.
+ */
+const jobs = collection('jobs', { indexes: ['status'] });
+
+// Jobs run at the same time by this process
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+// Runs before a job is given up, and the delay before the first retry
+// (doubled for every further retry)
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_DELAY_MS) || 5 * 1000;
+
+// How long a claim on a running job lasts unless the process running it renews it
+const JOB_LEASE_MS = (parseInt(process.env.JOB_LEASE_SECONDS) || 60) * 1000;
+
+// How long finished jobs are kept for status requests
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS) || 7;
+
+// Handlers by job type, registered with registerJobHandler
+const handlers = {};
+
+// Ids of the jobs this process is running or claiming
+const running = new Set();
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result; throwing makes the job retry
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Look for due jobs in the background after a delay
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleRun(delay) {
+  setTimeout(() => {
+    runDueJobs().catch(error => console.error('Error running background jobs:', error));
+  }, delay).unref();
+}
+
+/**
+ * Get the end of a lease on a running job taken out now
+ * @returns {string} ISO timestamp
+ */
+function leaseEnd() {
+  return new Date(Date.now() + JOB_LEASE_MS).toISOString();
+}
+
+/**
+ * Run a claimed job and record its outcome
+ * The lease on the job is renewed while its handler runs
+ * @param {Object} job - Job, already marked as running
+ * @returns {Promise<Object>} Job after the run
+ */
+async function runJob(job) {
+  const renewal = setInterval(() => {
+    jobs.updateIf(job.id, { status: 'running', attempts: job.attempts }, { lockedUntil: leaseEnd() })
+      .catch(error => console.error(`Error renewing the lease on job ${job.id}:`, error));
+  }, JOB_LEASE_MS / 3);
+  renewal.unref();
+
+  try {
+    const result = await handlers[job.type](job.payload, job);
+    clearInterval(renewal);
+
+    return await jobs.update(job.id, {
+      status: 'succeeded',
+      result: result === undefined ? null : result,
+      error: null,
+      runAt: null,
+      lockedUntil: null,
+      finishedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    clearInterval(renewal);
+
+    if (job.attempts >= job.maxAttempts) {
+      console.error(`Job ${job.id} (${job.type}) failed after ${job.attempts} attempts:`, error);
+      return jobs.update(job.id, {
+        status: 'failed',
+        error: error.message,
+        runAt: null,
+        lockedUntil: null,
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+    const updated = await jobs.update(job.id, {
+      status: 'queued',
+      error: error.message,
+      runAt: new Date(Date.now() + delay).toISOString(),
+      lockedUntil: null
+    });
+    scheduleRun(delay);
+
+    return updated;
+  }
+}
+
+/**
+ * Start due jobs until JOB_CONCURRENCY jobs are running
+ * Each finished job looks for the next one, so the queue drains on its own
+ * @returns {Promise<number>} Number of jobs started
+ */
+async function runDueJobs() {
+  if (running.size >= JOB_CONCURRENCY) {
+    return 0;
+  }
+
+  const { records: due } = await jobs.query({ status: 'queued' }, {
+    range: { runAt: { to: new Date().toISOString() } },
+    sort: { field: 'runAt', order: 'asc' }
+  });
+
+  let started = 0;
+  for (const job of due) {
+    if (running.size >= JOB_CONCURRENCY) {
+      break;
+    }
+    if (!handlers[job.type] || running.has(job.id)) {
+      continue;
+    }
+
+    // Hold a slot while claiming, so runs started at the same time stay within the limit
+    running.add(job.id);
+
+    const claimed = await jobs.updateIf(job.id, { status: 'queued', attempts: job.attempts }, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      lockedUntil: leaseEnd(),
+      startedAt: new Date().toISOString()
+    });
+
+    // Another run or process claimed the job first
+    if (!claimed) {
+      running.delete(job.id);
+      continue;
+    }
+    started++;
+
+    runJob(claimed)
+      .catch(error => console.error(`Error recording the outcome of job ${job.id}:`, error))
+      .finally(() => {
+        running.delete(job.id);
+        scheduleRun(0);
+      });
+  }
+
+  return started;
+}
+
+/**
+ * Queue a job
+ * @param {string} type - Job type with a registered handler
+ * @param {Object} payload - Data the handler needs
+ * @param {Object} options - { venue, bucket, fileId: what the job concerns, maxAttempts }
+ * @returns {Promise<Object>} Queued job
+ */
+async function enqueueJob(type, payload, options = {}) {
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type "${type}"`);
+  }
+
+  const now = new Date().toISOString();
+
+  const job = await jobs.insert({
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    venue: options.venue || null,
+    bucket: options.bucket || null,
+    fileId: options.fileId || null,
+    payload,
+    result: null,
+    error: null,
+    attempts: 0,
+    maxAttempts: options.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+    runAt: now,
+    lockedUntil: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null
+  });
+
+  scheduleRun(0);
+  return job;
+}
+
+/**
+ * Get a job
+ * @param {string} id - Job id
+ * @returns {Promise<Object|null>} Job or null
+ */
+async function getJob(id) {
+  return jobs.get(id);
+}
+
+/**
+ * Summarize a job for an upload response
+ * @param {Object} job - Job
+ * @returns {Object} { id, type, status }
+ */
+function toJobSummary(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status
+  };
+}
+
+/**
+ * Queue again the running jobs whose lease ran out, then start due jobs
+ * Jobs whose process still renews their lease are left alone, wherever it runs;
+ * the interrupted run counts as an attempt
+ * @returns {Promise<number>} Number of interrupted jobs queued again
+ */
+async function resumeJobs() {
+  const now = new Date().toISOString();
+  const expired = (await jobs.find({ status: 'running' }))
+    .filter(job => !running.has(job.id) && (!job.lockedUntil || job.lockedUntil < now));
+
+  let resumed = 0;
+  for (const job of expired) {
+    // Unless the lease was renewed in the meantime
+    const requeued = await jobs.updateIf(job.id, {
+      status: 'running',
+      attempts: job.attempts,
+      ...(job.lockedUntil && { lockedUntil: job.lockedUntil })
+    }, {
+      status: 'queued',
+      runAt: now,
+      lockedUntil: null
+    });
+
+    if (requeued) {
+      resumed++;
+    }
+  }
+
+  scheduleRun(0);
+  return resumed;
+}
+
+/**
+ * Delete finished jobs past their retention period
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+async function purgeFinishedJobs() {
+  const cutoff = new Date(Date.now() - JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expired = (await jobs.find())
+    .filter(job => job.finishedAt && job.finishedAt < cutoff);
+
+  for (const job of expired) {
+    await jobs.remove(job.id);
+  }
+
+  return expired.length;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  getJob,
+  toJobSummary,
+  runDueJobs,
+  resumeJobs,
+  purgeFinishedJobs
+};
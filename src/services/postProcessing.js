@@ -0,0 +1,206 @@
+const path = require('path');
+const { storage, getFileUrl } = require('../storage');
+const { BUCKETS } = require('../config/supabase');
+const { registerJobHandler, enqueueJob, toJobSummary } = require('./jobs');
+const { getFile, updateFile } = require('./catalog');
+const { generateVariants } = require('./imageProcessing');
+const { canExtractText, extractText } = require('./textExtraction');
+const { indexFileText } = require('./search');
+const { refreshVenuePricing } = require('./pricing');
+const { generateVariantFileName, isImageFile } = require('../utils/fileUtils');
+
+/**
+ * Processing of stored files
+ * Photo variants are generated while the photo is uploaded, so the upload
+ * response can list their URLs; text extraction, and variants that could not
+ * be generated during the upload, run as background jobs. Each job is queued
+ * with the catalog id of the file and reads the file from storage, so it works
+ * on the file wherever it is when the job runs. A file deleted in the meantime
+ * is skipped.
+ */
+const JOB_TYPES = {
+  IMAGE_VARIANTS: 'image-variants',
+  TEXT_EXTRACTION: 'text-extraction'
+};
+
+/**
+ * Download a catalogued file
+ * @param {Object} record - Catalog record
+ * @returns {Promise<Buffer>} File contents
+ * @throws {Error} If the file cannot be downloaded
+ */
+async function downloadFile(record) {
+  const { data, error } = await storage.download(record.bucket, record.path);
+
+  if (error) {
+    throw new Error(`${record.bucket}/${record.path} could not be downloaded: ${error.message}`);
+  }
+
+  return data;
+}
+
+/**
+ * Upload the processed variants of an image next to the original
+ * Variants that fail to upload are logged and left out
+ * @param {Object} variants - Encoded variants from generateVariants
+ * @param {string} bucketName - Target bucket name
+ * @param {string} folderPath - Folder of the original
+ * @param {string} fileName - Generated filename of the original
+ * @returns {Promise<Object>} Stored variants keyed by variant name
+ */
+async function uploadVariants(variants, bucketName, folderPath, fileName) {
+  const storedVariants = {};
+
+  for (const [name, variant] of Object.entries(variants)) {
+    const variantPath = `${folderPath}/${generateVariantFileName(fileName, name, variant.extension)}`;
+
+    // A retried job overwrites the variants an earlier attempt stored
+    const { error } = await storage.upload(bucketName, variantPath, variant.buffer, {
+      contentType: variant.mimeType,
+      upsert: true
+    });
+
+    if (error) {
+      console.error(`Upload error for ${name} variant of ${fileName}:`, error);
+      continue;
+    }
+
+    storedVariants[name] = {
+      filePath: variantPath,
+      url: await getFileUrl(bucketName, variantPath),
+      width: variant.width,
+      height: variant.height,
+      size: variant.size,
+      mimeType: variant.mimeType
+    };
+  }
+
+  return storedVariants;
+}
+
+/**
+ * Generate the variants of a photo and store them next to it
+ * @param {Buffer} input - Photo as stored
+ * @param {string} mimeType - MIME type of the photo
+ * @param {string} bucketName - Bucket of the photo
+ * @param {string} filePath - Path of the photo
+ * @returns {Promise<Object>} Stored variants keyed by variant name, as { filePath, url, width, height, size, mimeType }
+ */
+async function storeImageVariants(input, mimeType, bucketName, filePath) {
+  const variants = await generateVariants(input, mimeType);
+  return uploadVariants(variants, bucketName, path.posix.dirname(filePath), path.posix.basename(filePath));
+}
+
+/**
+ * Reduce stored variants to the metadata kept in the catalog
+ * @param {Object} variants - Stored variants from uploadVariants
+ * @returns {Object} Variant metadata keyed by variant name
+ */
+function catalogVariants(variants) {
+  const entries = Object.entries(variants).map(([name, variant]) => [name, {
+    path: variant.filePath,
+    size: variant.size,
+    mimeType: variant.mimeType,
+    width: variant.width,
+    height: variant.height
+  }]);
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Generate and store the variants of a photo
+ * @param {Object} payload - { fileId }
+ * @returns {Promise<Object>} { variants } or { skipped, reason }
+ */
+async function runImageVariants({ fileId }) {
+  const record = await getFile(fileId);
+  if (!record) {
+    return { skipped: true, reason: 'The file no longer exists' };
+  }
+
+  const stored = await storeImageVariants(await downloadFile(record), record.mimeType, record.bucket, record.path);
+
+  // The file may have been deleted or moved while the variants were generated
+  const current = await getFile(fileId);
+  if (!current || current.path !== record.path) {
+    await storage.remove(record.bucket, Object.values(stored).map(variant => variant.filePath));
+
+    if (!current) {
+      return { skipped: true, reason: 'The file no longer exists' };
+    }
+    throw new Error('The file was moved while its variants were generated');
+  }
+
+  await updateFile(fileId, { variants: catalogVariants(stored) });
+  return { variants: stored };
+}
+
+/**
+ * Extract the text of a document and make it searchable
+ * Pricing documents are parsed for prices again once their text is known
+ * @param {Object} payload - { fileId }
+ * @returns {Promise<Object>} { searchable, characters } or { skipped, reason }
+ */
+async function runTextExtraction({ fileId }) {
+  const record = await getFile(fileId);
+  if (!record) {
+    return { skipped: true, reason: 'The file no longer exists' };
+  }
+
+  const text = await extractText({ buffer: await downloadFile(record), mimetype: record.mimeType });
+
+  if (!await getFile(fileId)) {
+    return { skipped: true, reason: 'The file no longer exists' };
+  }
+
+  if (text) {
+    await indexFileText(record, text);
+
+    if (record.bucket === BUCKETS.PRICING && record.venueId) {
+      await refreshVenuePricing(record.venueId);
+    }
+  }
+
+  return { searchable: Boolean(text), characters: text ? text.length : 0 };
+}
+
+registerJobHandler(JOB_TYPES.IMAGE_VARIANTS, runImageVariants);
+registerJobHandler(JOB_TYPES.TEXT_EXTRACTION, runTextExtraction);
+
+/**
+ * Queue the background processing a newly stored file needs
+ * @param {Object} record - Catalog record of the file
+ * @param {Object} options - { processImages: generate image variants (when the upload could not),
+ *                           indexText: extract document text }
+ * @returns {Promise<Object[]>} Queued jobs as { id, type, status }
+ */
+async function queuePostProcessing(record, { processImages = false, indexText = false } = {}) {
+  const types = [];
+
+  if (processImages && isImageFile(record.mimeType)) {
+    types.push(JOB_TYPES.IMAGE_VARIANTS);
+  }
+  if (indexText && canExtractText(record.mimeType)) {
+    types.push(JOB_TYPES.TEXT_EXTRACTION);
+  }
+
+  const queued = [];
+  for (const type of types) {
+    const job = await enqueueJob(type, { fileId: record.id }, {
+      venue: record.venue,
+      bucket: record.bucket,
+      fileId: record.id
+    });
+    queued.push(toJobSummary(job));
+  }
+
+  return queued;
+}
+
+module.exports = {
+  JOB_TYPES,
+  storeImageVariants,
+  catalogVariants,
+  queuePostProcessing
+};
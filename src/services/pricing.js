@@ -0,0 +1,276 @@
+const { collection } = require('../db');
+const { BUCKETS } = require('../config/supabase');
+const { listDocuments, listVersions } = require('./documents');
+const { getFileText } = require('./search');
+const { PRICE_BASES, parsePricing } = require('../utils/pricingParser');
+
+/**
+ * Structured prices of each venue
+ * Prices are parsed from the extracted text of the current version of every
+ * pricing document of a venue. One record per registered venue, keyed by venue id:
+ *   { id, sources, currency, items, confidence, parsedAt, corrections }
+ * `sources` lists the versions the items were parsed from as
+ * { fileId, documentId, version, name }; the prices are parsed again whenever
+ * these change, e.g. after an upload or a rollback. Reads never write: the
+ * record is stored when the text of a pricing document has been extracted and
+ * when prices are corrected. `corrections` holds prices entered by hand,
+ * { items, sources, correctedBy, correctedAt }, which are used instead of the
+ * parsed ones until they are cleared.
+ */
+const pricing = collection('venue_pricing');
+
+// Most price items a venue can have
+const MAX_PRICE_ITEMS = 500;
+
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Find the current version of each pricing document of a venue
+ * @param {string} venueId - Venue id
+ * @returns {Promise<Object[]>} Sources as { fileId, documentId, version, name }
+ */
+async function findPricingSources(venueId) {
+  const sources = [];
+
+  for (const document of await listDocuments({ venueId, bucket: BUCKETS.PRICING })) {
+    const { current } = await listVersions(document);
+    if (current) {
+      sources.push({
+        fileId: current.id,
+        documentId: document.id,
+        version: current.version,
+        name: current.originalName
+      });
+    }
+  }
+
+  return sources.sort((a, b) => a.documentId.localeCompare(b.documentId));
+}
+
+/**
+ * Check whether two lists of sources name the same files
+ * @param {Object[]} a - Sources
+ * @param {Object[]} b - Sources
+ * @returns {boolean} Whether the file ids are the same
+ */
+function sameSources(a, b) {
+  const ids = sources => sources.map(source => source.fileId || source).sort().join(',');
+  return ids(a) === ids(b);
+}
+
+/**
+ * Parse the prices of every source
+ * Sources without extracted text (scans, or files uploaded before text
+ * extraction) lower the confidence, as their prices are missing
+ * @param {Object[]} sources - Sources from findPricingSources
+ * @returns {Promise<Object>} { currency, items, confidence } - items name their source file
+ */
+async function parseSources(sources) {
+  const items = [];
+  const counts = {};
+  let parsedSources = 0;
+
+  for (const source of sources) {
+    const text = await getFileText(source.fileId);
+    if (!text) {
+      continue;
+    }
+
+    const parsed = parsePricing(text);
+    parsedSources++;
+
+    for (const item of parsed.items) {
+      items.push({ ...item, source: source.fileId });
+      if (item.currency) {
+        counts[item.currency] = (counts[item.currency] || 0) + 1;
+      }
+    }
+  }
+
+  const [currency = null] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+  const average = items.length > 0
+    ? items.reduce((sum, item) => sum + item.confidence, 0) / items.length
+    : 0;
+
+  return {
+    currency,
+    items,
+    confidence: Math.round(average * (parsedSources / sources.length || 0) * 100) / 100
+  };
+}
+
+/**
+ * Parse the prices of a venue from the current versions of its pricing documents
+ * @param {string} venueId - Venue id
+ * @returns {Promise<Object>} { sources, currency, items, confidence, parsedAt }
+ */
+async function parseVenuePricing(venueId) {
+  const sources = await findPricingSources(venueId);
+
+  return {
+    sources,
+    ...await parseSources(sources),
+    parsedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write the pricing record of a venue, creating it if needed
+ * @param {string} venueId - Venue id
+ * @param {Object} fields - Fields to set
+ * @returns {Promise<Object>} Pricing record
+ */
+async function savePricing(venueId, fields) {
+  const updated = await pricing.update(venueId, fields);
+  if (updated) {
+    return updated;
+  }
+
+  try {
+    return await pricing.insert({ id: venueId, corrections: null, ...fields });
+  } catch (error) {
+    // Another request created the record in the meantime
+    const retried = await pricing.update(venueId, fields);
+    if (retried) {
+      return retried;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the structured prices of a venue
+ * Only reads: when the current versions of its pricing documents have changed
+ * since the stored prices were parsed (or nothing is stored yet), the prices
+ * are parsed again for this response and stored by the next refresh
+ * @param {string} venueId - Venue id
+ * @returns {Promise<Object>} Pricing record
+ */
+async function getVenuePricing(venueId) {
+  const stored = await pricing.get(venueId);
+
+  if (stored && sameSources(stored.sources, await findPricingSources(venueId))) {
+    return stored;
+  }
+
+  return { id: venueId, corrections: null, ...stored, ...await parseVenuePricing(venueId) };
+}
+
+/**
+ * Parse the prices of a venue again and store them, e.g. once the text of a
+ * new version of one of its pricing documents has been extracted
+ * @param {string} venueId - Venue id
+ * @returns {Promise<Object>} Pricing record
+ */
+async function refreshVenuePricing(venueId) {
+  return savePricing(venueId, await parseVenuePricing(venueId));
+}
+
+/**
+ * Validate price items entered by hand
+ * @param {*} items - Items from a request body
+ * @returns {Object[]} Normalized items
+ * @throws {Error} INVALID_PRICING
+ */
+function normalizePriceItems(items) {
+  if (!Array.isArray(items) || items.length > MAX_PRICE_ITEMS) {
+    throw createError(`items must be an array of at most ${MAX_PRICE_ITEMS} prices`, 'INVALID_PRICING');
+  }
+
+  return items.map((item, index) => {
+    const invalid = message => createError(`items[${index}]: ${message}`, 'INVALID_PRICING');
+
+    if (!item || typeof item !== 'object') {
+      throw invalid('must be an object');
+    }
+
+    const { name, amount, maxAmount = null, currency, basis, season = null, source = null } = item;
+
+    if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+      throw invalid(`name must be a string of 1 to ${MAX_NAME_LENGTH} characters`);
+    }
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      throw invalid('amount must be a non-negative number');
+    }
+    if (maxAmount !== null && (typeof maxAmount !== 'number' || !Number.isFinite(maxAmount) || maxAmount < amount)) {
+      throw invalid('maxAmount must be null or a number not below amount');
+    }
+    if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+      throw invalid('currency must be a three-letter ISO code, e.g. GBP');
+    }
+    if (!PRICE_BASES.includes(basis)) {
+      throw invalid(`basis must be one of: ${PRICE_BASES.join(', ')}`);
+    }
+    if (season !== null && (typeof season !== 'string' || season.length > MAX_NAME_LENGTH)) {
+      throw invalid(`season must be null or a string of at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (source !== null && typeof source !== 'string') {
+      throw invalid('source must be null or a file id');
+    }
+
+    return { name: name.trim(), amount, maxAmount, currency, basis, season: season && season.trim(), source };
+  });
+}
+
+/**
+ * Replace the parsed prices of a venue with corrected ones
+ * @param {string} venueId - Venue id
+ * @param {Object[]} items - Corrected items, as returned by the parser
+ * @param {string} correctedBy - Name of the actor
+ * @returns {Promise<Object>} Updated pricing record
+ * @throws {Error} INVALID_PRICING
+ */
+async function correctVenuePricing(venueId, items, correctedBy) {
+  const corrected = normalizePriceItems(items);
+  const { id, ...record } = await getVenuePricing(venueId);
+
+  return savePricing(venueId, {
+    ...record,
+    corrections: {
+      items: corrected,
+      sources: record.sources.map(source => source.fileId),
+      correctedBy,
+      correctedAt: new Date().toISOString()
+    }
+  });
+}
+
+/**
+ * Drop the corrections of a venue, going back to the parsed prices
+ * @param {string} venueId - Venue id
+ * @returns {Promise<Object>} Updated pricing record
+ */
+async function clearPricingCorrections(venueId) {
+  const { id, ...record } = await getVenuePricing(venueId);
+  return savePricing(venueId, { ...record, corrections: null });
+}
+
+/**
+ * Check whether the corrections of a venue were made against other documents
+ * than the ones its prices are now parsed from
+ * @param {Object} record - Pricing record
+ * @returns {boolean} Whether a newer upload or rollback changed the sources
+ */
+function correctionsOutdated(record) {
+  return Boolean(record.corrections) && !sameSources(record.corrections.sources, record.sources);
+}
+
+module.exports = {
+  getVenuePricing,
+  refreshVenuePricing,
+  correctVenuePricing,
+  clearPricingCorrections,
+  correctionsOutdated
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+const { releaseUploadLinkQuota } = require('./uploadLinks');
+
+const resumableUploads = collection('resumable_uploads');
+
+// Directory that holds partially uploaded files
+const RESUMABLE_UPLOAD_DIR = path.resolve(
+  process.env.RESUMABLE_UPLOAD_DIR || path.join(os.tmpdir(), 'wedding-venue-uploads')
+);
+
+// Maximum size of a file uploaded in chunks (2GB by default)
+const MAX_RESUMABLE_FILE_SIZE = parseInt(process.env.MAX_RESUMABLE_FILE_SIZE) || 2 * 1024 * 1024 * 1024;
+
+// How long an unfinished upload can be resumed
+const RESUMABLE_UPLOAD_TTL_HOURS = parseInt(process.env.RESUMABLE_UPLOAD_TTL_HOURS) || 24;
+
+// Uploads currently receiving a chunk, so two requests never append at once
+const activeWrites = new Set();
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get the number of bytes received so far
+ * The partial file on disk is the source of truth, so data written before a
+ * dropped connection is kept and the client resumes from there
+ * @param {Object} upload - Resumable upload record
+ * @returns {Promise<number>} Current offset
+ */
+async function getOffset(upload) {
+  try {
+    const stats = await fs.promises.stat(upload.tempPath);
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Start a resumable upload
+ * @param {Object} params - { venueId, venueName, bucket, category, fileName, size, mimeType, checksum,
+ *                          duplicates, documentId, keyId, uploadLinkId, createdBy } - uploadLinkId is the
+ *                          link whose quota was reserved for the file
+ * @returns {Promise<Object>} Upload record with its current offset
+ */
+async function createResumableUpload({
+  venueId,
+  venueName,
+  bucket,
+  category = '',
+  fileName,
+  size,
+  mimeType,
+  checksum = null,
+  duplicates,
+  documentId = null,
+  keyId,
+  uploadLinkId = null,
+  createdBy
+}) {
+  const id = uuidv4();
+  const now = new Date();
+
+  await fs.promises.mkdir(RESUMABLE_UPLOAD_DIR, { recursive: true });
+
+  const upload = await resumableUploads.insert({
+    id,
+    venueId,
+    venueName,
+    bucket,
+    category,
+    fileName,
+    size,
+    mimeType,
+    checksum: checksum ? checksum.toLowerCase() : null,
+    duplicates,
+    documentId,
+    tempPath: path.join(RESUMABLE_UPLOAD_DIR, `${id}.part`),
+    keyId,
+    uploadLinkId,
+    createdBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + RESUMABLE_UPLOAD_TTL_HOURS * 60 * 60 * 1000).toISOString()
+  });
+
+  await fs.promises.writeFile(upload.tempPath, '');
+
+  return { ...upload, offset: 0 };
+}
+
+/**
+ * Get a resumable upload with its current offset
+ * @param {string} id - Upload id
+ * @returns {Promise<Object|null>} Upload record or null if missing or expired
+ */
+async function getResumableUpload(id) {
+  const upload = await resumableUploads.get(id);
+
+  if (!upload || new Date(upload.expiresAt) < new Date()) {
+    return null;
+  }
+
+  return { ...upload, offset: await getOffset(upload) };
+}
+
+/**
+ * Append a chunk to a resumable upload
+ * @param {Object} upload - Upload record
+ * @param {number} offset - Offset the client believes it is writing at
+ * @param {ReadableStream} chunk - Request body stream
+ * @returns {Promise<number>} New offset
+ */
+async function appendChunk(upload, offset, chunk) {
+  if (activeWrites.has(upload.id)) {
+    throw createError('Another chunk is already being written for this upload', 'UPLOAD_LOCKED');
+  }
+
+  activeWrites.add(upload.id);
+
+  try {
+    const currentOffset = await getOffset(upload);
+
+    if (offset !== currentOffset) {
+      const error = createError(`Expected offset ${currentOffset} but received ${offset}`, 'OFFSET_MISMATCH');
+      error.offset = currentOffset;
+      throw error;
+    }
+
+    // Never write past the declared file size: excess bytes are drained and
+    // dropped (rather than destroying the request) so the client still gets a response
+    let remaining = upload.size - currentOffset;
+    let overflow = false;
+    const limiter = new Transform({
+      transform(data, encoding, callback) {
+        if (data.length > remaining) {
+          overflow = true;
+          data = data.subarray(0, remaining);
+        }
+        remaining -= data.length;
+        callback(null, data);
+      }
+    });
+
+    await pipeline(chunk, limiter, fs.createWriteStream(upload.tempPath, { flags: 'a' }));
+
+    if (overflow) {
+      const error = createError('Chunk exceeds the declared file size', 'CHUNK_TOO_LARGE');
+      error.offset = await getOffset(upload);
+      throw error;
+    }
+
+    return await getOffset(upload);
+  } finally {
+    activeWrites.delete(upload.id);
+  }
+}
+
+/**
+ * Compute the SHA-256 checksum of a file on disk
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Verify that a resumable upload is complete and intact
+ * @param {Object} upload - Upload record
+ * @param {string} checksum - Expected SHA-256 (falls back to the one given at creation)
+ * @returns {Promise<Object>} Multer-style file object pointing at the assembled file
+ */
+async function verifyResumableUpload(upload, checksum) {
+  const expected = (checksum || upload.checksum || '').toLowerCase();
+
+  if (!expected) {
+    throw createError('A SHA-256 checksum is required to complete the upload', 'CHECKSUM_REQUIRED');
+  }
+
+  const offset = await getOffset(upload);
+  if (offset !== upload.size) {
+    const error = createError(`Upload is incomplete: received ${offset} of ${upload.size} bytes`, 'UPLOAD_INCOMPLETE');
+    error.offset = offset;
+    throw error;
+  }
+
+  const actual = await hashFile(upload.tempPath);
+  if (actual !== expected) {
+    throw createError('Checksum does not match the uploaded data', 'CHECKSUM_MISMATCH');
+  }
+
+  return {
+    originalname: upload.fileName,
+    mimetype: upload.mimeType,
+    size: upload.size,
+    path: upload.tempPath,
+    checksum: actual
+  };
+}
+
+/**
+ * Delete a resumable upload and its partial file
+ * @param {string} id - Upload id
+ * @param {Object} options - { stored: whether the file was stored, so its upload link quota stays used }
+ * @returns {Promise<boolean>} Whether the upload existed
+ */
+async function removeResumableUpload(id, { stored = false } = {}) {
+  const upload = await resumableUploads.get(id);
+  if (!upload) {
+    return false;
+  }
+
+  await fs.promises.rm(upload.tempPath, { force: true });
+  if (!await resumableUploads.remove(id)) {
+    return false;
+  }
+
+  // The upload link quota reserved when the upload started is kept only for stored files
+  if (upload.uploadLinkId && !stored) {
+    await releaseUploadLinkQuota(upload.uploadLinkId, 1, upload.size);
+  }
+  return true;
+}
+
+/**
+ * Remove uploads that were never completed within their TTL
+ * @returns {Promise<number>} Number of uploads purged
+ */
+async function purgeExpiredResumableUploads() {
+  const now = new Date();
+  const expired = (await resumableUploads.find())
+    .filter(upload => new Date(upload.expiresAt) < now);
+
+  for (const upload of expired) {
+    await removeResumableUpload(upload.id);
+  }
+
+  return expired.length;
+}
+
+module.exports = {
+  MAX_RESUMABLE_FILE_SIZE,
+  createResumableUpload,
+  getResumableUpload,
+  appendChunk,
+  verifyResumableUpload,
+  removeResumableUpload,
+  purgeExpiredResumableUploads
+};
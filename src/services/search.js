@@ -0,0 +1,205 @@
+const { collection } = require('../db');
+const { getFile } = require('./catalog');
+
+/**
+ * Full-text search over the text extracted from menus and pricing documents
+ * The text of each file is kept in its own record, keyed by the file's
+ * catalog id: { id, bucket, text, extractedAt }. Venue, path and names are
+ * read from the catalog when results are returned, so moved and renamed files
+ * are reported where they are now and deleted files drop out of the results.
+ * Matching files are found with the full-text index of the database; only
+ * their text is read, to rank them and cut snippets.
+ */
+const fileTexts = collection('file_texts', { textField: 'text' });
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_CONTEXT = 80;
+
+/**
+ * Store the extracted text of a catalogued file
+ * @param {Object} record - Catalog record of the file
+ * @param {string} text - Extracted text
+ * @returns {Promise<Object>} Text record
+ */
+async function indexFileText(record, text) {
+  const entry = { bucket: record.bucket, text, extractedAt: new Date().toISOString() };
+
+  if (await fileTexts.get(record.id)) {
+    return fileTexts.update(record.id, entry);
+  }
+
+  return fileTexts.insert({ id: record.id, ...entry });
+}
+
+/**
+ * Get the extracted text of a file
+ * @param {string} id - Catalog id of the file
+ * @returns {Promise<string|null>} Indexed text or null
+ */
+async function getFileText(id) {
+  const entry = await fileTexts.get(id);
+  return entry ? entry.text : null;
+}
+
+/**
+ * Index a copy of a file under the copy's id
+ * @param {string} fromId - Catalog id of the original
+ * @param {Object} copy - Catalog record of the copy
+ * @returns {Promise<boolean>} Whether the original had indexed text
+ */
+async function copyFileText(fromId, copy) {
+  const original = await fileTexts.get(fromId);
+  if (!original) {
+    return false;
+  }
+
+  await indexFileText(copy, original.text);
+  return true;
+}
+
+/**
+ * Remove the text of a file from the index
+ * @param {string} id - Catalog id of the file
+ * @returns {Promise<boolean>} Whether text was indexed
+ */
+async function removeFileText(id) {
+  return fileTexts.remove(id);
+}
+
+// Runs of letters and digits; the full-text index splits text into these words
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a search query into lowercase terms; "quoted phrases" stay together
+ * Terms without any letter or digit cannot match a word and are dropped
+ * @param {string} query - Search query
+ * @returns {string[]} Unique terms
+ */
+function parseQuery(query) {
+  const terms = [];
+
+  for (const [, phrase, word] of query.matchAll(/"([^"]+)"|(\S+)/g)) {
+    const term = (phrase || word).replace(/\s+/g, ' ').trim().toLowerCase();
+    if (term && term.match(WORD)) {
+      terms.push(term);
+    }
+  }
+
+  return Array.from(new Set(terms));
+}
+
+/**
+ * Build a pattern matching a term the way the full-text index does: its
+ * words in order, as whole words, with any separators between them
+ * @param {string} term - Word or phrase
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+function termPattern(term) {
+  const words = term.match(WORD).map(escapeRegExp);
+  return new RegExp(`(?<![\\p{L}\\p{N}])${words.join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} value - Text
+ * @returns {string} Escaped HTML
+ */
+function escapeHtml(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Cut a snippet around the first match and wrap every match in <mark>
+ * The rest of the snippet is HTML-escaped
+ * @param {string} text - Indexed text
+ * @param {RegExp} pattern - Global, case-insensitive pattern matching any term
+ * @returns {string} Snippet HTML
+ */
+function buildSnippet(text, pattern) {
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  const position = first ? first.index : 0;
+
+  let start = Math.max(0, position - SNIPPET_CONTEXT);
+  let end = Math.min(text.length, position + SNIPPET_CONTEXT * 2);
+
+  // Do not cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < position ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > position ? space : end;
+  }
+
+  const excerpt = text.slice(start, end).replace(/\n/g, ' ');
+  let snippet = '';
+  let last = 0;
+
+  pattern.lastIndex = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    snippet += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  snippet += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+}
+
+/**
+ * Search the indexed text of files
+ * A file matches when its text contains every term as whole words; files
+ * with more occurrences rank first
+ * @param {string} query - Search query
+ * @param {Object} options - { bucket: only this bucket, accept: (record) => boolean to filter
+ *                           the catalog records of matches, limit }
+ * @returns {Promise<Object>} { terms, results: [{ record, score, snippet }], total }
+ */
+async function searchFiles(query, options = {}) {
+  const { bucket = null, accept = () => true, limit = 20 } = options;
+  const terms = parseQuery(query);
+
+  if (terms.length === 0) {
+    return { terms, results: [], total: 0 };
+  }
+
+  const patterns = terms.map(termPattern);
+  const anyTerm = new RegExp(patterns.map(pattern => pattern.source).join('|'), 'giu');
+  const results = [];
+
+  for (const entry of await fileTexts.search(terms, bucket ? { bucket } : {})) {
+    const score = patterns.reduce((total, pattern) => total + (entry.text.match(pattern) || []).length, 0);
+
+    // Files in the trash are not in the catalog
+    const record = await getFile(entry.id);
+    if (record && accept(record)) {
+      results.push({ record, score, snippet: buildSnippet(entry.text, anyTerm) });
+    }
+  }
+
+  results.sort((a, b) => b.score - a.score || b.record.createdAt.localeCompare(a.record.createdAt));
+
+  return { terms, results: results.slice(0, limit), total: results.length };
+}
+
+module.exports = {
+  indexFileText,
+  getFileText,
+  copyFileText,
+  removeFileText,
+  searchFiles
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+
+// Longest text kept per file; menus and price lists are far shorter
+const MAX_TEXT_LENGTH = parseInt(process.env.MAX_EXTRACTED_TEXT_LENGTH) || 500000;
+
+// XML entities used in OpenDocument content
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Turn the content.xml of an OpenDocument text file into plain text
+ * @param {string} xml - content.xml
+ * @returns {string} Text with one line per paragraph or heading
+ */
+function odtXmlToText(xml) {
+  return xml
+    .replace(/<text:(tab|s)\b[^>]*\/>/g, ' ')
+    .replace(/<text:line-break\/>/g, '\n')
+    .replace(/<\/text:(p|h)>/g, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[name] || entity;
+    });
+}
+
+// Text extractor for each document type
+const EXTRACTORS = {
+  // pdf.js misreads cross-reference tables from Buffers, so hand it a plain Uint8Array
+  'application/pdf': async (buffer) => (await pdfParse(new Uint8Array(buffer))).text,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': async (buffer) =>
+    (await mammoth.extractRawText({ buffer })).value,
+  'application/vnd.oasis.opendocument.text': async (buffer) => {
+    const zip = await JSZip.loadAsync(buffer);
+    const content = zip.file('content.xml');
+    return content ? odtXmlToText(await content.async('string')) : '';
+  },
+  'text/plain': async (buffer) => buffer.toString('utf8')
+};
+
+/**
+ * Check whether text can be extracted from a file type
+ * @param {string} mimeType - MIME type
+ * @returns {boolean} Whether an extractor exists
+ */
+function canExtractText(mimeType) {
+  return Boolean(EXTRACTORS[mimeType]);
+}
+
+/**
+ * Extract the plain text of a document
+ * Whitespace is collapsed so the text can be searched and quoted in snippets
+ * @param {Object} file - Multer-style file object (in memory `buffer` or on disk `path`)
+ * @returns {Promise<string|null>} Extracted text, or null for unsupported types
+ */
+async function extractText(file) {
+  const extractor = EXTRACTORS[file.mimetype];
+  if (!extractor) {
+    return null;
+  }
+
+  const buffer = file.buffer || await fs.promises.readFile(file.path);
+  const text = await extractor(buffer);
+
+  return text
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+module.exports = {
+  canExtractText,
+  extractText
+};
@@ -0,0 +1,233 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+const { storage } = require('../storage');
+const { reinstateFile, removeFile } = require('./catalog');
+const { fileExists, moveObjects } = require('./fileOperations');
+const { removeFileText } = require('./search');
+const { recordPurgeEvent } = require('./audit');
+const { emitFileEvent } = require('./webhooks');
+
+/**
+ * Trash bin for deleted files
+ * Deleting a file moves it and its variants to _trash/<entry id>/ in the same
+ * bucket and records where it came from, so it can be restored until the
+ * retention period ends:
+ *   { id, venue, venueId, venueName, bucket, fileName, originalName, category, size,
+ *     mimeType, originalPath, path, variants, record, deletedBy, deletedAt, expiresAt }
+ * `variants` maps variant names to { path, originalPath } and `record` is the
+ * catalog entry the file had, or null for files stored before the catalog existed.
+ */
+const trash = collection('trash');
+
+// Folder at the root of each bucket that holds deleted files
+const TRASH_FOLDER = '_trash';
+
+// How long deleted files can be restored before they are purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Move a file and its variants to the trash and take it out of the catalog
+ * @param {Object} file - File description from fileOperations
+ * @param {string} deletedBy - Name of the actor
+ * @returns {Promise<Object>} Trash entry
+ */
+async function trashFile(file, deletedBy) {
+  const id = uuidv4();
+  const folder = `${TRASH_FOLDER}/${id}`;
+
+  const variants = {};
+  const moves = [[file.path, `${folder}/${file.fileName}`]];
+  for (const [name, variant] of Object.entries(file.variants)) {
+    const trashPath = `${folder}/${path.posix.basename(variant.path)}`;
+    variants[name] = { path: trashPath, originalPath: variant.path };
+    moves.push([variant.path, trashPath]);
+  }
+
+  await moveObjects(file.bucket, moves);
+
+  const now = new Date();
+  let entry;
+  try {
+    entry = await trash.insert({
+      id,
+      venue: file.venue,
+      venueId: file.venueId,
+      venueName: file.venueName,
+      bucket: file.bucket,
+      fileName: file.fileName,
+      originalName: file.originalName,
+      category: file.category,
+      size: file.size,
+      mimeType: file.mimeType,
+      originalPath: file.path,
+      path: `${folder}/${file.fileName}`,
+      variants,
+      record: file.record,
+      deletedBy,
+      deletedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    });
+  } catch (error) {
+    // Without an entry the file could never be restored, so put it back
+    await moveObjects(file.bucket, moves.map(([fromPath, toPath]) => [toPath, fromPath]));
+    throw error;
+  }
+
+  if (file.record) {
+    await removeFile(file.record.id);
+  }
+
+  return entry;
+}
+
+/**
+ * List trash entries, most recently deleted first
+ * @param {Object} filter - Equality filter, e.g. { venue, bucket }
+ * @returns {Promise<Object[]>} Trash entries
+ */
+async function listTrash(filter = {}) {
+  const entries = await trash.find(filter);
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Get a trash entry
+ * @param {string} id - Trash entry id
+ * @returns {Promise<Object|null>} Trash entry or null
+ */
+async function getTrashEntry(id) {
+  return trash.get(id);
+}
+
+/**
+ * Move a trashed file back to where it was deleted from
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<Object>} { bucket, path, fileId }
+ * @throws {Error} RESTORE_CONFLICT when another file has taken its place
+ */
+async function restoreTrashEntry(entry) {
+  if (await fileExists(entry.bucket, entry.originalPath)) {
+    throw createError(`A file already exists at ${entry.bucket}/${entry.originalPath}`, 'RESTORE_CONFLICT');
+  }
+
+  const moves = [[entry.path, entry.originalPath]];
+  for (const variant of Object.values(entry.variants)) {
+    moves.push([variant.path, variant.originalPath]);
+  }
+
+  await moveObjects(entry.bucket, moves);
+
+  if (entry.record) {
+    const variants = entry.record.variants && Object.fromEntries(
+      Object.entries(entry.record.variants).map(([name, variant]) => [
+        name,
+        { ...variant, path: entry.variants[name]?.originalPath || variant.path }
+      ])
+    );
+
+    await reinstateFile({
+      ...entry.record,
+      venue: entry.venue,
+      venueName: entry.venueName,
+      path: entry.originalPath,
+      variants
+    });
+  }
+
+  await trash.remove(entry.id);
+
+  return { bucket: entry.bucket, path: entry.originalPath, fileId: entry.record?.id || null };
+}
+
+/**
+ * Permanently delete a trashed file and its variants
+ * @param {Object} entry - Trash entry
+ * @returns {Promise<void>}
+ */
+async function purgeTrashEntry(entry) {
+  const paths = [entry.path, ...Object.values(entry.variants).map(variant => variant.path)];
+
+  const { error } = await storage.remove(entry.bucket, paths);
+  if (error) {
+    throw error;
+  }
+
+  if (entry.record) {
+    await removeFileText(entry.record.id);
+  }
+  await trash.remove(entry.id);
+}
+
+/**
+ * Permanently delete trashed files whose retention period has ended
+ * @returns {Promise<number>} Number of files purged
+ */
+async function purgeExpiredTrash() {
+  const now = new Date();
+  const expired = (await trash.find())
+    .filter(entry => new Date(entry.expiresAt) < now);
+
+  for (const entry of expired) {
+    await purgeTrashEntry(entry);
+    await recordPurgeEvent(null, entry);
+    await emitFileEvent('file.purged', entry, null);
+  }
+
+  return expired.length;
+}
+
+/**
+ * Point trashed files of a renamed venue at its new folder, so they are
+ * restored there
+ * @param {string} fromSlug - Previous venue slug
+ * @param {string} toSlug - New venue slug
+ * @param {string} venueName - New venue name
+ * @returns {Promise<number>} Number of entries updated
+ */
+async function replaceTrashVenue(fromSlug, toSlug, venueName) {
+  const entries = await trash.find({ venue: fromSlug });
+  const movePath = filePath => `${toSlug}${filePath.slice(fromSlug.length)}`;
+
+  for (const entry of entries) {
+    const variants = Object.fromEntries(
+      Object.entries(entry.variants).map(([name, variant]) => [
+        name,
+        { ...variant, originalPath: movePath(variant.originalPath) }
+      ])
+    );
+
+    await trash.update(entry.id, {
+      venue: toSlug,
+      venueName,
+      originalPath: movePath(entry.originalPath),
+      variants
+    });
+  }
+
+  return entries.length;
+}
+
+module.exports = {
+  TRASH_FOLDER,
+  TRASH_RETENTION_DAYS,
+  trashFile,
+  listTrash,
+  getTrashEntry,
+  restoreTrashEntry,
+  purgeTrashEntry,
+  purgeExpiredTrash,
+  replaceTrashVenue
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+
+const uploadLinks = collection('upload_links');
+
+// Prefix that identifies upload link tokens
+const TOKEN_PREFIX = 'ul_';
+
+// Default lifetime of an upload link
+const DEFAULT_EXPIRY_DAYS = 7;
+
+/**
+ * Get the secret used to sign upload links
+ * @returns {string} Signing secret
+ */
+function getSecret() {
+  const secret = process.env.UPLOAD_LINK_SECRET || process.env.ACCESS_TOKEN;
+
+  if (!secret) {
+    throw new Error('UPLOAD_LINK_SECRET environment variable not set');
+  }
+
+  return secret;
+}
+
+/**
+ * Sign an encoded payload
+ * @param {string} encodedPayload - base64url encoded JSON payload
+ * @returns {string} base64url HMAC-SHA256 signature
+ */
+function sign(encodedPayload) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(encodedPayload)
+    .digest('base64url');
+}
+
+/**
+ * Strip internal fields from a link record before returning it to clients
+ * @param {Object} link - Stored link record
+ * @returns {Object} Link with remaining quota
+ */
+function toPublicLink(link) {
+  return {
+    ...link,
+    remainingFiles: link.maxFiles === null ? null : Math.max(link.maxFiles - link.filesUsed, 0),
+    remainingBytes: link.maxBytes === null ? null : Math.max(link.maxBytes - link.bytesUsed, 0)
+  };
+}
+
+/**
+ * Mint a signed upload link
+ * @param {Object} params - { venue (registry record), bucket, expiresInDays, maxFiles, maxBytes, createdBy }
+ * @returns {Promise<Object>} { link, token }
+ */
+async function createUploadLink({
+  venue,
+  bucket,
+  expiresInDays = DEFAULT_EXPIRY_DAYS,
+  maxFiles = null,
+  maxBytes = null,
+  createdBy = null
+}) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const link = await uploadLinks.insert({
+    id: uuidv4(),
+    venue: venue.slug,
+    venueId: venue.id,
+    venueName: venue.name,
+    bucket,
+    expiresAt: expiresAt.toISOString(),
+    maxFiles,
+    maxBytes,
+    filesUsed: 0,
+    bytesUsed: 0,
+    createdBy,
+    createdAt: now.toISOString(),
+    revokedAt: null
+  });
+
+  // Everything needed to authorize an upload is in the signed payload,
+  // the stored record only tracks usage and revocation
+  const payload = Buffer.from(JSON.stringify({
+    id: link.id,
+    venue: link.venue,
+    bucket: link.bucket,
+    exp: Math.floor(expiresAt.getTime() / 1000),
+    maxFiles,
+    maxBytes
+  })).toString('base64url');
+
+  return {
+    link: toPublicLink(link),
+    token: `${TOKEN_PREFIX}${payload}.${sign(payload)}`
+  };
+}
+
+/**
+ * Check whether a token looks like an upload link
+ * @param {string} token - Provided token
+ * @returns {boolean} Whether the token has the upload link prefix
+ */
+function isUploadLinkToken(token) {
+  return token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Verify an upload link token
+ * @param {string} token - Provided token
+ * @returns {Promise<Object|null>} Link record, or null if the token is invalid, expired or revoked
+ */
+async function verifyUploadLink(token) {
+  const [payload, signature] = token.slice(TOKEN_PREFIX.length).split('.');
+
+  if (!payload || !signature) {
+    return null;
+  }
+
+  const expected = sign(payload);
+  if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!claims.exp || claims.exp < Date.now() / 1000) {
+    return null;
+  }
+
+  const link = await uploadLinks.get(claims.id);
+  if (!link || link.revokedAt) {
+    return null;
+  }
+
+  return toPublicLink(link);
+}
+
+/**
+ * List upload links
+ * @param {Object} filter - Optional equality filter (e.g. { venue })
+ * @returns {Promise<Object[]>} Links, newest first
+ */
+async function listUploadLinks(filter = {}) {
+  const links = await uploadLinks.find(filter);
+  return links
+    .map(toPublicLink)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get an upload link by id
+ * @param {string} id - Link id
+ * @returns {Promise<Object|null>} Link or null
+ */
+async function getUploadLink(id) {
+  const link = await uploadLinks.get(id);
+  return link ? toPublicLink(link) : null;
+}
+
+/**
+ * Revoke an upload link
+ * @param {string} id - Link id
+ * @returns {Promise<Object|null>} Revoked link or null if it does not exist
+ */
+async function revokeUploadLink(id) {
+  const existing = await uploadLinks.get(id);
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.revokedAt) {
+    return toPublicLink(existing);
+  }
+
+  const link = await uploadLinks.update(id, { revokedAt: new Date().toISOString() });
+  return toPublicLink(link);
+}
+
+// Attempts at updating a link's usage before giving up on concurrent changes
+const MAX_USAGE_UPDATE_ATTEMPTS = 20;
+
+/**
+ * Change the usage of a link with a compare-and-set on its counters
+ * @param {string} id - Link id
+ * @param {Function} change - (link) => { filesUsed, bytesUsed } or null to leave the link unchanged
+ * @returns {Promise<Object|null>} { link, changed } or null if the link does not exist
+ */
+async function changeUploadLinkUsage(id, change) {
+  for (let attempt = 0; attempt < MAX_USAGE_UPDATE_ATTEMPTS; attempt++) {
+    const link = await uploadLinks.get(id);
+    if (!link) {
+      return null;
+    }
+
+    const usage = change(link);
+    if (!usage) {
+      return { link: toPublicLink(link), changed: false };
+    }
+
+    // Another request changed the counters since they were read: read them again
+    const updated = await uploadLinks.updateIf(
+      id,
+      { filesUsed: link.filesUsed, bytesUsed: link.bytesUsed },
+      usage
+    );
+    if (updated) {
+      return { link: toPublicLink(updated), changed: true };
+    }
+  }
+
+  throw new Error(`Usage of upload link ${id} changed too often to be updated`);
+}
+
+/**
+ * Reserve quota for files about to be uploaded through a link
+ * The reservation is taken before the files are stored, so concurrent uploads
+ * can never exceed the quota together; give back what is not stored with
+ * releaseUploadLinkQuota
+ * @param {string} id - Link id
+ * @param {number} files - Number of files
+ * @param {number} bytes - Total size of the files as received
+ * @returns {Promise<Object|null>} { link, reserved } or null if the link does not exist
+ */
+async function reserveUploadLinkQuota(id, files, bytes) {
+  const result = await changeUploadLinkUsage(id, link => {
+    if ((link.maxFiles !== null && link.filesUsed + files > link.maxFiles) ||
+        (link.maxBytes !== null && link.bytesUsed + bytes > link.maxBytes)) {
+      return null;
+    }
+    return { filesUsed: link.filesUsed + files, bytesUsed: link.bytesUsed + bytes };
+  });
+
+  return result && { link: result.link, reserved: result.changed };
+}
+
+/**
+ * Give back quota reserved for files that were not stored
+ * @param {string} id - Link id
+ * @param {number} files - Number of files
+ * @param {number} bytes - Total size of the files as received
+ * @returns {Promise<Object|null>} Updated link, or null if it does not exist
+ */
+async function releaseUploadLinkQuota(id, files, bytes) {
+  if (files === 0 && bytes === 0) {
+    return getUploadLink(id);
+  }
+
+  const result = await changeUploadLinkUsage(id, link => ({
+    filesUsed: Math.max(link.filesUsed - files, 0),
+    bytesUsed: Math.max(link.bytesUsed - bytes, 0)
+  }));
+
+  return result && result.link;
+}
+
+/**
+ * Point upload links at a venue's new folder after it was renamed
+ * @param {string} fromSlug - Former venue folder
+ * @param {string} toSlug - New venue folder
+ * @param {string} venueName - New display name
+ * @returns {Promise<number>} Number of links updated
+ */
+async function replaceUploadLinkVenue(fromSlug, toSlug, venueName) {
+  const links = await uploadLinks.find({ venue: fromSlug });
+
+  for (const link of links) {
+    await uploadLinks.update(link.id, { venue: toSlug, venueName });
+  }
+
+  return links.length;
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  createUploadLink,
+  isUploadLinkToken,
+  verifyUploadLink,
+  listUploadLinks,
+  getUploadLink,
+  revokeUploadLink,
+  reserveUploadLinkQuota,
+  releaseUploadLinkQuota,
+  replaceUploadLinkVenue
+};
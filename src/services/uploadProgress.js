@@ -0,0 +1,226 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Progress of multipart uploads, streamed to clients over Server-Sent Events
+ * A client creates an upload session, subscribes to its events and then sends
+ * the upload request naming the session. Sessions live in the memory of this
+ * process, as the upload and the event stream are served by the same process:
+ *   { id, credentialId, createdAt, expiresAt, used, files, finished, listeners }
+ * Each file of the upload goes through FILE_STATES; `files` holds the latest
+ * event of each file and `finished` the final event once the request is answered.
+ * While a file is receiving, its events count the bytes that have arrived.
+ */
+const sessions = new Map();
+
+// States a file goes through, in order; done and failed are final
+const FILE_STATES = ['receiving', 'received', 'validating', 'uploading', 'done', 'failed'];
+
+// How long a session can be used, counted from its last event
+const SESSION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Remove sessions that are past their expiry
+ */
+function pruneExpiredSessions() {
+  const now = Date.now();
+
+  for (const [id, session] of sessions) {
+    if (session.expiresAt < now) {
+      sessions.delete(id);
+    }
+  }
+}
+
+/**
+ * Describe a session for API responses
+ * @param {Object} session - Session
+ * @returns {Object} { id, createdAt, expiresAt }
+ */
+function toPublicSession(session) {
+  return {
+    id: session.id,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  };
+}
+
+/**
+ * Create an upload session
+ * @param {string} credentialId - Id of the credential that may use and watch the session
+ * @returns {Object} Session
+ */
+function createUploadSession(credentialId) {
+  pruneExpiredSessions();
+
+  const now = Date.now();
+  const session = {
+    id: uuidv4(),
+    credentialId,
+    createdAt: now,
+    expiresAt: now + SESSION_TTL_MS,
+    used: false,
+    files: [],
+    finished: null,
+    listeners: new Set()
+  };
+
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Get an upload session that has not expired
+ * @param {string} id - Session id
+ * @returns {Object|null} Session or null
+ */
+function getUploadSession(id) {
+  const session = sessions.get(id);
+
+  if (!session || session.expiresAt < Date.now()) {
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Send an event to the subscribers of a session
+ * @param {Object} session - Session
+ * @param {Object} event - Event with a `type`
+ */
+function publish(session, event) {
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+
+  for (const listener of session.listeners) {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error(`Error sending upload progress of session ${session.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Record the new state of a file of the upload
+ * Files already done or failed keep their final state
+ * @param {Object} session - Session
+ * @param {number} index - Position of the file in the upload
+ * @param {string} state - One of FILE_STATES
+ * @param {Object} details - { name, size, received, error, result } - name, size and received
+ *                           (bytes that have arrived) are kept from earlier events
+ */
+function updateFileState(session, index, state, details = {}) {
+  const previous = session.files[index];
+
+  if (previous && (previous.state === 'done' || previous.state === 'failed')) {
+    return;
+  }
+
+  const event = {
+    type: 'file',
+    index,
+    name: details.name || previous?.name || null,
+    size: details.size ?? previous?.size ?? null,
+    received: details.received ?? previous?.received ?? null,
+    state,
+    error: details.error || null,
+    result: details.result || null,
+    at: new Date().toISOString()
+  };
+
+  session.files[index] = event;
+  publish(session, event);
+}
+
+/**
+ * Create the onProgress callback of uploadFilesToBucket for a session
+ * @param {Object|null} session - Session, or null for uploads without one
+ * @returns {Function} (index, state, result) => void
+ */
+function progressReporter(session) {
+  if (!session) {
+    return () => {};
+  }
+
+  return (index, state, result) => {
+    updateFileState(session, index, state, {
+      error: result && !result.success ? result.error : null,
+      result: result && result.success ? {
+        id: result.id || null,
+        fileName: result.fileName || null,
+        url: result.url || null,
+        skipped: Boolean(result.skipped),
+        jobs: result.jobs || []
+      } : null
+    });
+  };
+}
+
+/**
+ * Record that the upload request is over
+ * Files without a final state are marked failed
+ * @param {Object} session - Session
+ * @param {number|null} statusCode - HTTP status of the upload response, or null if the client went away
+ */
+function finishUploadSession(session, statusCode) {
+  if (session.finished) {
+    return;
+  }
+
+  const success = statusCode !== null && statusCode < 400;
+  let error = 'The upload was interrupted';
+  if (statusCode !== null) {
+    error = success ? 'The file was not uploaded' : `The upload failed with HTTP ${statusCode}`;
+  }
+
+  session.files.forEach((file, index) => {
+    if (file) {
+      updateFileState(session, index, 'failed', { error });
+    }
+  });
+
+  const finalStates = session.files.filter(Boolean).map(file => file.state);
+  session.finished = {
+    type: 'complete',
+    statusCode,
+    success,
+    done: finalStates.filter(state => state === 'done').length,
+    failed: finalStates.filter(state => state === 'failed').length,
+    at: new Date().toISOString()
+  };
+  publish(session, session.finished);
+}
+
+/**
+ * Subscribe to the events of a session
+ * The latest event of each file, and the final event if the upload is over,
+ * are sent straight away, so a late subscriber catches up; nothing follows a final event
+ * @param {Object} session - Session
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToUploadSession(session, listener) {
+  for (const file of session.files) {
+    if (file) {
+      listener(file);
+    }
+  }
+  if (session.finished) {
+    listener(session.finished);
+    return () => {};
+  }
+
+  session.listeners.add(listener);
+  return () => session.listeners.delete(listener);
+}
+
+module.exports = {
+  FILE_STATES,
+  toPublicSession,
+  createUploadSession,
+  getUploadSession,
+  updateFileState,
+  progressReporter,
+  finishUploadSession,
+  subscribeToUploadSession
+};
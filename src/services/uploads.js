@@ -0,0 +1,418 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { storage, getFileUrl } = require('../storage');
+const { QUARANTINE_BUCKET } = require('../config/supabase');
+const { releaseUploadLinkQuota } = require('./uploadLinks');
+const { normalizeImage } = require('./imageProcessing');
+const { recordFile, updateFile, removeFile } = require('./catalog');
+const { fromRecord } = require('./fileOperations');
+const { trashFile } = require('./trash');
+const { DEFAULT_DUPLICATE_STRATEGY, findDuplicate, findSimilarPhotos } = require('./duplicates');
+const { createDocument, addVersion } = require('./documents');
+const { storeImageVariants, catalogVariants, queuePostProcessing } = require('./postProcessing');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const { 
+  generateFileName, 
+  generateFolderPath, 
+  formatFileSize,
+  getFileCategory,
+  isImageFile
+} = require('../utils/fileUtils');
+
+// Files of one request uploaded at the same time
+const UPLOAD_CONCURRENCY = parseInt(process.env.UPLOAD_CONCURRENCY) || 3;
+
+/**
+ * Get the contents of an uploaded file for storage
+ * Files buffered by multer are passed as is, files on disk are streamed
+ * @param {Object} file - Multer-style file object
+ * @returns {Buffer|ReadableStream} File body
+ */
+function readFileBody(file) {
+  return file.buffer || fs.createReadStream(file.path);
+}
+
+/**
+ * Compute the SHA-256 checksum of an uploaded file as it was received
+ * Resumable uploads already carry the checksum they were verified against
+ * @param {Object} file - Multer-style file object
+ * @returns {Promise<string>} Hex digest
+ */
+async function hashFile(file) {
+  if (file.checksum) {
+    return file.checksum;
+  }
+  
+  const hash = crypto.createHash('sha256');
+  
+  if (file.buffer) {
+    return hash.update(file.buffer).digest('hex');
+  }
+  
+  for await (const chunk of fs.createReadStream(file.path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Describe the stored copy of a duplicate or similar upload
+ * @param {Object} record - Catalog record of the stored copy
+ * @returns {Promise<Object>} { id, fileName, filePath, url, uploadedAt }
+ */
+async function describeDuplicate(record) {
+  return {
+    id: record.id,
+    fileName: record.fileName,
+    filePath: record.path,
+    url: await getFileUrl(record.bucket, record.path),
+    uploadedAt: record.createdAt
+  };
+}
+
+/**
+ * Store a file flagged by the malware scanner in the quarantine bucket
+ * @param {Object} file - Multer-style file object with its scan verdict
+ * @param {string} bucketName - Bucket the file was meant for
+ * @param {string} filePath - Path the file would have had in that bucket
+ * @returns {Promise<Object>} Upload result reporting the verdict
+ */
+async function quarantineFile(file, bucketName, filePath) {
+  const quarantinePath = `${bucketName}/${filePath}`;
+  
+  const { error } = await storage.upload(QUARANTINE_BUCKET, quarantinePath, readFileBody(file), {
+    contentType: file.mimetype
+  });
+  
+  if (error) {
+    console.error(`Quarantine error for ${file.originalname}:`, error);
+  } else {
+    console.warn(`Quarantined ${file.originalname} (${file.scan.signature}) as ${QUARANTINE_BUCKET}/${quarantinePath}`);
+  }
+  
+  return {
+    originalName: file.originalname,
+    success: false,
+    error: 'File failed malware scan',
+    quarantined: !error,
+    scan: file.scan
+  };
+}
+
+/**
+ * Store a scanned and hashed file: normalize it, upload it with its variants, catalog it and queue its background jobs
+ * @param {Object} file - Multer-style file object
+ * @param {string} checksum - SHA-256 checksum of the file as received
+ * @param {string} bucketName - Target bucket name
+ * @param {Object} venue - Venue record from the registry
+ * @param {Object} target - { folderPath, fileName, filePath } generated for the file
+ * @param {Object} options - Options of uploadFilesToBucket, with defaults applied
+ * @returns {Promise<Object>} Upload result
+ */
+async function storeFile(file, checksum, bucketName, venue, target, options) {
+  const { category, uploadedBy, caption, processImages, duplicates, versioned, document, indexText } = options;
+  const { fileName, filePath } = target;
+  
+  // A file with the same content already stored for the venue is a duplicate
+  const duplicate = await findDuplicate(venue.slug, bucketName, checksum);
+  if (duplicate && duplicates === 'skip') {
+    return {
+      originalName: file.originalname,
+      success: true,
+      skipped: true,
+      checksum: checksum,
+      duplicateOf: await describeDuplicate(duplicate)
+    };
+  }
+  
+  let body = readFileBody(file);
+  let size = file.size;
+  let processed = null;
+  
+  // Strip GPS data from photos (losslessly)
+  if (processImages && isImageFile(file.mimetype)) {
+    try {
+      processed = await normalizeImage(file.buffer || file.path, file.mimetype);
+    } catch (error) {
+      console.error(`Image processing error for ${file.originalname}:`, error);
+      return {
+        originalName: file.originalname,
+        success: false,
+        error: 'Image could not be processed'
+      };
+    }
+    
+    body = processed.original.buffer;
+    size = processed.original.size;
+  }
+  
+  // Flag photos that look like ones the venue already has (resized or recompressed copies)
+  const similar = processed
+    ? await findSimilarPhotos(venue.slug, bucketName, processed.perceptualHash, checksum)
+    : [];
+  
+  // Upload file to the configured storage backend
+  const { error } = await storage.upload(bucketName, filePath, body, {
+    contentType: file.mimetype
+  });
+  
+  if (error) {
+    console.error(`Upload error for ${file.originalname}:`, error);
+    return {
+      originalName: file.originalname,
+      success: false,
+      error: error.message
+    };
+  }
+  
+  // Public URL, or a signed one for private buckets
+  const fileUrl = await getFileUrl(bucketName, filePath);
+  
+  // Photos get their variants now, so the response can list them; if that
+  // fails they are generated by a background job instead
+  let variants;
+  if (processed) {
+    try {
+      variants = await storeImageVariants(body, file.mimetype, bucketName, filePath);
+    } catch (error) {
+      console.error(`Variant generation error for ${file.originalname}:`, error);
+    }
+  }
+  
+  // Menus and pricing sheets are a new document or the next version of one;
+  // a new version is numbered once it is stored (see addVersion)
+  const documentId = versioned ? (document ? document.id : uuidv4()) : null;
+  let version = versioned && !document ? 1 : null;
+  
+  // Record the file's metadata; a file that cannot be catalogued is removed again
+  let record;
+  try {
+    record = await recordFile({
+      venue: venue.slug,
+      venueId: venue.id,
+      venueName: venue.name,
+      bucket: bucketName,
+      path: filePath,
+      fileName: fileName,
+      originalName: file.originalname,
+      size: size,
+      mimeType: file.mimetype,
+      fileType: getFileCategory(file.mimetype),
+      checksum: checksum,
+      perceptualHash: processed ? processed.perceptualHash : null,
+      uploadedBy: uploadedBy,
+      category: category || null,
+      caption: caption || null,
+      variants: variants ? catalogVariants(variants) : null,
+      scan: file.scan || null,
+      ...(versioned && { documentId, version })
+    });
+    
+    if (document) {
+      version = await addVersion(document, uploadedBy);
+      record = await updateFile(record.id, { version });
+    } else if (versioned) {
+      await createDocument({
+        id: documentId,
+        venueId: venue.id,
+        bucket: bucketName,
+        name: file.originalname,
+        createdBy: uploadedBy
+      });
+    }
+  } catch (catalogError) {
+    console.error(`Catalog error for ${file.originalname}:`, catalogError);
+    const variantPaths = Object.values(variants || {}).map(variant => variant.filePath);
+    await storage.remove(bucketName, [filePath, ...variantPaths]);
+    if (record) {
+      await removeFile(record.id);
+    }
+    return {
+      originalName: file.originalname,
+      success: false,
+      error: 'File metadata could not be saved'
+    };
+  }
+  
+  // Document text (and variants not generated above) follow in background jobs; the file is kept if they cannot be queued
+  let jobs;
+  try {
+    jobs = await queuePostProcessing(record, { processImages: Boolean(processed) && !variants, indexText });
+  } catch (error) {
+    console.error(`Error queueing background processing for ${file.originalname}:`, error);
+    jobs = [];
+  }
+  
+  // The new copy is stored, so the existing one can go to the trash; an
+  // earlier version of the same document stays part of its history
+  let replaced;
+  const sameDocument = duplicate && document && duplicate.documentId === document.id;
+  if (duplicate && duplicates === 'replace' && !sameDocument) {
+    try {
+      const entry = await trashFile(fromRecord(duplicate), uploadedBy);
+      replaced = { id: duplicate.id, fileName: duplicate.fileName, trashId: entry.id };
+    } catch (error) {
+      console.error(`Error replacing ${duplicate.path} with ${file.originalname}:`, error);
+    }
+  }
+  
+  return {
+    id: record.id,
+    originalName: file.originalname,
+    fileName: fileName,
+    filePath: filePath,
+    url: fileUrl,
+    variants: variants,
+    size: size,
+    formattedSize: formatFileSize(size),
+    mimeType: file.mimetype,
+    category: getFileCategory(file.mimetype),
+    checksum: checksum,
+    scan: file.scan,
+    success: true,
+    uploadedBy: uploadedBy,
+    uploadedAt: record.createdAt,
+    duplicateOf: duplicate ? await describeDuplicate(duplicate) : undefined,
+    replaced: replaced,
+    jobs: jobs,
+    documentId: documentId || undefined,
+    version: version || undefined,
+    similarTo: processed
+      ? await Promise.all(similar.map(async ({ record, distance }) => ({ ...await describeDuplicate(record), distance })))
+      : undefined
+  };
+}
+
+/**
+ * Upload one file of a batch
+ * @param {Object} file - Multer-style file object with an optional malware `scan` verdict
+ * @param {string} bucketName - Target bucket name
+ * @param {Object} venue - Venue record from the registry
+ * @param {Object} options - Options of uploadFilesToBucket, with defaults applied
+ * @param {Map} pendingChecksums - Checksum of each file of the batch being stored, to the promise of its result
+ * @returns {Promise<Object>} Upload result
+ */
+async function uploadFile(file, bucketName, venue, options, pendingChecksums) {
+  // Generate file path and name
+  const folderPath = generateFolderPath(venue.slug, options.category);
+  const fileName = generateFileName(venue.slug, file.originalname, options.category);
+  const filePath = `${folderPath}/${fileName}`;
+  
+  // Infected files go to quarantine, files that could not be scanned are rejected
+  if (file.scan && file.scan.status === 'infected') {
+    return quarantineFile(file, bucketName, filePath);
+  }
+  
+  if (file.scan && file.scan.status === 'error') {
+    return {
+      originalName: file.originalname,
+      success: false,
+      error: 'File could not be scanned for malware',
+      scan: file.scan
+    };
+  }
+  
+  const checksum = await hashFile(file);
+  
+  // Identical files of a batch are stored one after the other, so the later ones are found as duplicates
+  const earlier = pendingChecksums.get(checksum);
+  const stored = (async () => {
+    await earlier;
+    return storeFile(file, checksum, bucketName, venue, { folderPath, fileName, filePath }, options);
+  })();
+  const settled = stored.catch(() => {});
+  pendingChecksums.set(checksum, settled);
+  
+  try {
+    return await stored;
+  } finally {
+    if (pendingChecksums.get(checksum) === settled) {
+      pendingChecksums.delete(checksum);
+    }
+  }
+}
+
+/**
+ * Helper function to upload files to a specific bucket
+ * Up to UPLOAD_CONCURRENCY files are uploaded at the same time
+ * @param {Array} files - Array of file objects from multer (in memory `buffer` or on disk `path`),
+ *                       with an optional malware `scan` verdict from scanFiles
+ * @param {string} bucketName - Target bucket name
+ * @param {Object} venue - Venue record from the registry ({ id, name, slug }); files go in its slug folder
+ * @param {Object} options - { category: optional category for photos, uploadedBy: actor name,
+ *                             caption: optional caption, processImages: normalize images and generate their variants,
+ *                             duplicates: skip, replace or keep-both files already stored for the venue,
+ *                             versioned: store each file as a version of a document (menus and pricing),
+ *                             document: existing document the file is a new version of,
+ *                             indexText: queue the text extraction of documents for search,
+ *                             onProgress: called as (index, state, details) when a file starts
+ *                             uploading and when it is done or failed }
+ * @returns {Array} Array of upload results in the order of the files; `variants` maps the variant names of a
+ *                  photo to { filePath, url, width, height, size, mimeType } (missing while a background job
+ *                  generates them) and `jobs` lists the background jobs queued for a file
+ */
+async function uploadFilesToBucket(files, bucketName, venue, options = {}) {
+  const settings = {
+    category: '',
+    uploadedBy: null,
+    caption: null,
+    processImages: false,
+    duplicates: DEFAULT_DUPLICATE_STRATEGY,
+    versioned: false,
+    document: null,
+    indexText: false,
+    ...options
+  };
+  const { onProgress = () => {} } = options;
+  const pendingChecksums = new Map();
+  
+  return mapWithConcurrency(files, UPLOAD_CONCURRENCY, async (file, index) => {
+    onProgress(index, 'uploading');
+    
+    let result;
+    try {
+      result = await uploadFile(file, bucketName, venue, settings, pendingChecksums);
+    } catch (error) {
+      console.error(`Unexpected error uploading ${file.originalname}:`, error);
+      result = {
+        originalName: file.originalname,
+        success: false,
+        error: 'Unexpected upload error'
+      };
+    }
+    
+    onProgress(index, result.success ? 'done' : 'failed', result);
+    return result;
+  });
+}
+
+/**
+ * Settle the upload link quota reserved by checkUploadLinkQuota
+ * Quota reserved for files that were not stored (failed, or skipped as
+ * duplicates) is given back; stored files keep counting with their size as received
+ * @param {Object} req - Express request
+ * @param {Array} files - Files the quota was reserved for, in upload order
+ * @param {Array} uploadResults - Results from uploadFilesToBucket, in the same order
+ */
+async function settleLinkQuota(req, files, uploadResults) {
+  const reservation = req.linkReservation;
+  if (!reservation || reservation.settled) {
+    return;
+  }
+  reservation.settled = true;
+  
+  const unused = files.filter((file, index) => !uploadResults[index]?.success || uploadResults[index].skipped);
+  const bytes = unused.reduce((sum, file) => sum + file.size, 0);
+  
+  try {
+    await releaseUploadLinkQuota(req.uploadLink.id, unused.length, bytes);
+  } catch (error) {
+    console.error('Error releasing upload link quota:', error);
+  }
+}
+
+module.exports = {
+  uploadFilesToBucket,
+  settleLinkQuota
+};
@@ -0,0 +1,127 @@
+const { once } = require('events');
+const archiver = require('archiver');
+const { storage } = require('../storage');
+
+/**
+ * ZIP export of venue files
+ * Files are streamed from storage into the archive one at a time while the
+ * archive streams to the client, so no file is held in memory whole. Files
+ * are organized as <bucket>/<category>/<original name> and a manifest.json
+ * describing every file is added last.
+ */
+
+/**
+ * Work out a file's path inside the archive, numbering duplicate names
+ * @param {Object} file - { bucketKey, category, name }
+ * @param {Set} usedPaths - Archive paths already taken (updated)
+ * @returns {string} Archive path
+ */
+function archivePath(file, usedPaths) {
+  const folder = `${file.bucketKey}/${file.category || 'general'}`;
+  const safeName = file.name.replace(/[\\/]/g, '_');
+  const extension = safeName.match(/\.[^.]+$/)?.[0] || '';
+  const baseName = safeName.slice(0, safeName.length - extension.length);
+
+  let candidate = `${folder}/${safeName}`;
+  for (let counter = 2; usedPaths.has(candidate.toLowerCase()); counter++) {
+    candidate = `${folder}/${baseName} (${counter})${extension}`;
+  }
+
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Create a ZIP archive of files and stream it to a writable stream
+ * @param {WritableStream} output - Destination, e.g. an Express response
+ * @param {Object[]} files - Files to export: { bucket, bucketKey, path, name, storedName, category,
+ *                           size, mimeType, checksum, uploadedBy, uploadedAt }
+ * @param {Object} details - Extra fields for the manifest (venue, filters, ...)
+ * @returns {Promise<Object>} { exported, failed } counts once the archive is finished
+ */
+async function streamExport(output, files, details = {}) {
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const usedPaths = new Set(['manifest.json']);
+  const manifestFiles = [];
+  const failures = [];
+
+  archive.on('warning', error => console.warn('Export warning:', error));
+  archive.pipe(output);
+
+  // Stop reading files once the client has gone away
+  let aborted = false;
+  const closed = new Promise(resolve => output.once('close', () => {
+    aborted = true;
+    resolve();
+  }));
+
+  // A file that breaks off midway leaves the archive unusable, so the download is cut short
+  archive.on('error', error => {
+    console.error('Export error:', error);
+    aborted = true;
+    output.destroy(error);
+  });
+
+  for (const file of files) {
+    if (aborted) {
+      break;
+    }
+
+    const { data: stream, error } = await storage.downloadStream(file.bucket, file.path);
+
+    if (error) {
+      console.error(`Error exporting ${file.bucket}/${file.path}:`, error);
+      failures.push({ bucket: file.bucket, path: file.path, originalName: file.name, error: error.message });
+      continue;
+    }
+
+    const entryPath = archivePath(file, usedPaths);
+    archive.append(stream, {
+      name: entryPath,
+      date: file.uploadedAt ? new Date(file.uploadedAt) : new Date()
+    });
+    // once() rejects on archive errors, which are handled above
+    await Promise.race([once(archive, 'entry').catch(() => {}), closed]);
+
+    if (aborted) {
+      stream.destroy();
+      break;
+    }
+
+    manifestFiles.push({
+      path: entryPath,
+      originalName: file.name,
+      storedName: file.storedName,
+      bucket: file.bucketKey,
+      category: file.category || null,
+      size: file.size,
+      mimeType: file.mimeType,
+      checksum: file.checksum || null,
+      uploadedBy: file.uploadedBy || null,
+      uploadedAt: file.uploadedAt || null
+    });
+  }
+
+  if (aborted) {
+    archive.abort();
+    return { exported: manifestFiles.length, failed: failures.length };
+  }
+
+  const manifest = {
+    ...details,
+    exportedAt: new Date().toISOString(),
+    fileCount: manifestFiles.length,
+    totalSize: manifestFiles.reduce((total, file) => total + (file.size || 0), 0),
+    files: manifestFiles,
+    failed: failures
+  };
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+
+  return { exported: manifestFiles.length, failed: failures.length };
+}
+
+module.exports = {
+  streamExport
+};
@@ -0,0 +1,418 @@
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+const { BUCKETS } = require('../config/supabase');
+const { storage, walkFolder } = require('../storage');
+const { listFiles, updateFile } = require('./catalog');
+const { replaceKeyVenue } = require('./apiKeys');
+const { replaceUploadLinkVenue } = require('./uploadLinks');
+const { replaceTrashVenue } = require('./trash');
+const { replaceWebhookVenue } = require('./webhooks');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+
+/**
+ * Venue registry
+ * Venue records: { id, name, slug, previousSlugs, address, contact: { name, email, phone },
+ *                  capacity, tags, status, createdBy, createdAt, updatedAt }
+ * The slug is the venue's folder in every bucket. It is unique and only
+ * changes when the venue is renamed, which moves its files to the new folder.
+ */
+const venues = collection('venues');
+
+const VENUE_STATUSES = ['active', 'inactive', 'archived'];
+
+// Uploads naming an unknown venue register it, unless VENUE_AUTO_REGISTER=false
+const AUTO_REGISTER = process.env.VENUE_AUTO_REGISTER !== 'false';
+
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 500;
+
+/**
+ * Create an error with a code the routes map to an HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} Error
+ */
+function venueError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check that an optional field is a string of limited length
+ * @param {*} value - Field value
+ * @param {string} field - Field name, for the error message
+ * @param {number} maxLength - Maximum length
+ * @returns {string|null} Trimmed string or null
+ */
+function optionalText(value, field, maxLength = MAX_TEXT_LENGTH) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  if (typeof value !== 'string' || value.length > maxLength) {
+    throw venueError('INVALID_VENUE', `${field} must be a string of at most ${maxLength} characters`);
+  }
+
+  return value.trim();
+}
+
+/**
+ * Validate and normalize the editable profile fields of a venue
+ * Only fields present in the input are returned, so it serves creates and partial updates
+ * @param {Object} fields - Fields from the request body
+ * @returns {Object} Normalized fields
+ * @throws {Error} INVALID_VENUE when a field is invalid
+ */
+function normalizeVenueFields(fields) {
+  const normalized = {};
+
+  if (fields.name !== undefined) {
+    const name = optionalText(fields.name, 'name', MAX_NAME_LENGTH);
+    if (!name || !sanitizeVenueName(name)) {
+      throw venueError('INVALID_VENUE', 'name must contain at least one letter or digit');
+    }
+    normalized.name = name;
+  }
+
+  if (fields.address !== undefined) {
+    normalized.address = optionalText(fields.address, 'address');
+  }
+
+  if (fields.contact !== undefined) {
+    const contact = fields.contact || {};
+    if (typeof contact !== 'object' || Array.isArray(contact)) {
+      throw venueError('INVALID_VENUE', 'contact must be an object with name, email and phone');
+    }
+
+    const email = optionalText(contact.email, 'contact.email');
+    if (email && !/^[^\s@]+@[^\s@]+$/.test(email)) {
+      throw venueError('INVALID_VENUE', 'contact.email must be an email address');
+    }
+
+    normalized.contact = {
+      name: optionalText(contact.name, 'contact.name'),
+      email,
+      phone: optionalText(contact.phone, 'contact.phone')
+    };
+  }
+
+  if (fields.capacity !== undefined) {
+    if (fields.capacity !== null && (!Number.isInteger(fields.capacity) || fields.capacity <= 0)) {
+      throw venueError('INVALID_VENUE', 'capacity must be a positive integer');
+    }
+    normalized.capacity = fields.capacity;
+  }
+
+  if (fields.tags !== undefined) {
+    const tags = fields.tags || [];
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      throw venueError('INVALID_VENUE', 'tags must be an array of strings');
+    }
+    normalized.tags = Array.from(new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean)));
+  }
+
+  if (fields.status !== undefined) {
+    if (!VENUE_STATUSES.includes(fields.status)) {
+      throw venueError('INVALID_VENUE', `status must be one of: ${VENUE_STATUSES.join(', ')}`);
+    }
+    normalized.status = fields.status;
+  }
+
+  return normalized;
+}
+
+/**
+ * Find the first slug based on a name that no registered venue uses
+ * "St. Mary's Hall" and "St Marys Hall" become st-marys-hall and st-marys-hall-2
+ * @param {string} name - Venue name or requested slug
+ * @returns {Promise<string>} Available slug
+ */
+async function availableSlug(name) {
+  const base = sanitizeVenueName(name);
+
+  for (let suffix = 1; ; suffix++) {
+    const slug = suffix === 1 ? base : `${base}-${suffix}`;
+    const [existing] = await venues.find({ slug });
+    if (!existing) {
+      return slug;
+    }
+  }
+}
+
+/**
+ * Work out the slug a new venue is registered under
+ * @param {Object} fields - { name, slug } - the slug defaults to the first free one derived from the name
+ * @returns {Promise<string>} Slug
+ * @throws {Error} INVALID_VENUE or SLUG_TAKEN
+ */
+async function newVenueSlug(fields) {
+  if (!fields.name) {
+    throw venueError('INVALID_VENUE', 'name is required');
+  }
+
+  if (!fields.slug) {
+    return availableSlug(normalizeVenueFields({ name: fields.name }).name);
+  }
+
+  const slug = sanitizeVenueName(String(fields.slug));
+  const [existing] = await venues.find({ slug });
+  if (!slug || existing) {
+    throw venueError('SLUG_TAKEN', `The slug "${slug}" is already in use`);
+  }
+
+  return slug;
+}
+
+/**
+ * Register a venue
+ * @param {Object} fields - Profile fields (name required), optional slug and createdBy
+ * @returns {Promise<Object>} Venue record
+ * @throws {Error} INVALID_VENUE or SLUG_TAKEN
+ */
+async function createVenue(fields) {
+  if (!fields.name) {
+    throw venueError('INVALID_VENUE', 'name is required');
+  }
+
+  const profile = normalizeVenueFields(fields);
+  const slug = await newVenueSlug(fields);
+
+  const now = new Date().toISOString();
+
+  return venues.insert({
+    id: uuidv4(),
+    slug,
+    previousSlugs: [],
+    address: null,
+    contact: { name: null, email: null, phone: null },
+    capacity: null,
+    tags: [],
+    status: 'active',
+    ...profile,
+    createdBy: fields.createdBy || null,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Get a venue by id
+ * @param {string} id - Venue id
+ * @returns {Promise<Object|null>} Venue or null
+ */
+async function getVenue(id) {
+  return venues.get(id);
+}
+
+/**
+ * Find a venue by id, slug, former slug or display name
+ * @param {string} identifier - Venue id, slug or name
+ * @returns {Promise<Object|null>} Venue or null
+ */
+async function findVenue(identifier) {
+  if (!identifier || typeof identifier !== 'string') {
+    return null;
+  }
+
+  const byId = await venues.get(identifier);
+  if (byId) {
+    return byId;
+  }
+
+  const [bySlug] = await venues.find({ slug: identifier });
+  if (bySlug) {
+    return bySlug;
+  }
+
+  const name = identifier.trim().toLowerCase();
+  const all = await venues.find();
+
+  return all.find(venue => venue.name.toLowerCase() === name) ||
+    all.find(venue => venue.previousSlugs.includes(identifier)) ||
+    null;
+}
+
+/**
+ * List registered venues
+ * @param {Object} filter - Optional equality filter (e.g. { status })
+ * @returns {Promise<Object[]>} Venues
+ */
+async function listVenues(filter = {}) {
+  return venues.find(filter);
+}
+
+/**
+ * Update the profile of a venue (the slug is changed with renameVenue)
+ * @param {string} id - Venue id
+ * @param {Object} fields - Profile fields to change
+ * @returns {Promise<Object|null>} Updated venue or null
+ * @throws {Error} INVALID_VENUE
+ */
+async function updateVenue(id, fields) {
+  const patch = normalizeVenueFields(fields);
+  return venues.update(id, { ...patch, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Check whether a venue has any stored files
+ * @param {string} slug - Venue slug
+ * @returns {Promise<boolean>} Whether files exist in the catalog or storage
+ */
+async function hasFiles(slug) {
+  const records = await listFiles({ venue: slug });
+  if (records.length > 0) {
+    return true;
+  }
+
+  for (const bucketName of Object.values(BUCKETS)) {
+    const { data: files, error } = await walkFolder(bucketName, slug);
+    if (error) {
+      throw error;
+    }
+    if (files.length > 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Delete a venue from the registry
+ * Venues that still have files must be emptied (or archived) instead
+ * @param {string} id - Venue id
+ * @returns {Promise<boolean>} Whether the venue existed
+ * @throws {Error} VENUE_HAS_FILES
+ */
+async function deleteVenue(id) {
+  const venue = await venues.get(id);
+  if (!venue) {
+    return false;
+  }
+
+  if (await hasFiles(venue.slug)) {
+    throw venueError('VENUE_HAS_FILES', 'The venue still has files; delete them or archive the venue');
+  }
+
+  return venues.remove(id);
+}
+
+/**
+ * Replace the venue folder at the start of an object path
+ * @param {string} filePath - Object path
+ * @param {string} fromSlug - Current venue folder
+ * @param {string} toSlug - New venue folder
+ * @returns {string} Moved path
+ */
+function movePath(filePath, fromSlug, toSlug) {
+  return `${toSlug}${filePath.slice(fromSlug.length)}`;
+}
+
+/**
+ * Rename a venue, moving its files in every bucket to the new slug's folder
+ * If any file cannot be moved, the files already moved are moved back
+ * @param {string} id - Venue id
+ * @param {Object} params - { name, slug } - the slug defaults to one derived from the name
+ * @returns {Promise<Object|null>} { venue, moved } or null if the venue does not exist
+ * @throws {Error} INVALID_VENUE, SLUG_TAKEN or RENAME_FAILED
+ */
+async function renameVenue(id, { name, slug }) {
+  const venue = await venues.get(id);
+  if (!venue) {
+    return null;
+  }
+
+  const { name: newName } = normalizeVenueFields({ name });
+  const newSlug = sanitizeVenueName(slug ? String(slug) : newName);
+
+  if (!newSlug) {
+    throw venueError('INVALID_VENUE', 'slug must contain at least one letter or digit');
+  }
+
+  if (newSlug === venue.slug) {
+    return { venue: await venues.update(id, { name: newName, updatedAt: new Date().toISOString() }), moved: 0 };
+  }
+
+  const [existing] = await venues.find({ slug: newSlug });
+  if (existing || await hasFiles(newSlug)) {
+    throw venueError('SLUG_TAKEN', `The slug "${newSlug}" is already in use`);
+  }
+
+  const moved = [];
+  for (const bucketName of Object.values(BUCKETS)) {
+    const { data: files, error } = await walkFolder(bucketName, venue.slug);
+    let failure = error;
+
+    for (const file of files || []) {
+      if (failure) {
+        break;
+      }
+
+      const fromPath = `${file.folder}/${file.name}`;
+      const toPath = movePath(fromPath, venue.slug, newSlug);
+      const { error: moveError } = await storage.move(bucketName, fromPath, toPath);
+
+      if (moveError) {
+        failure = moveError;
+      } else {
+        moved.push({ bucketName, fromPath, toPath });
+      }
+    }
+
+    if (failure) {
+      console.error(`Error moving files of venue ${venue.slug} in ${bucketName}:`, failure);
+
+      for (const file of moved.reverse()) {
+        await storage.move(file.bucketName, file.toPath, file.fromPath);
+      }
+
+      throw venueError('RENAME_FAILED', `Files in the ${bucketName} bucket could not be moved`);
+    }
+  }
+
+  // Point catalogued files, API keys, upload links, trashed files and webhooks at the new folder
+  for (const record of await listFiles({ venue: venue.slug })) {
+    const variants = record.variants && Object.fromEntries(
+      Object.entries(record.variants).map(([variantName, variant]) => [
+        variantName,
+        { ...variant, path: movePath(variant.path, venue.slug, newSlug) }
+      ])
+    );
+
+    await updateFile(record.id, {
+      venue: newSlug,
+      venueName: newName,
+      path: movePath(record.path, venue.slug, newSlug),
+      variants
+    });
+  }
+
+  await replaceKeyVenue(venue.slug, newSlug);
+  await replaceUploadLinkVenue(venue.slug, newSlug, newName);
+  await replaceTrashVenue(venue.slug, newSlug, newName);
+  await replaceWebhookVenue(venue.slug, newSlug);
+
+  const renamed = await venues.update(id, {
+    name: newName,
+    slug: newSlug,
+    previousSlugs: Array.from(new Set([...venue.previousSlugs, venue.slug])).filter(previous => previous !== newSlug),
+    updatedAt: new Date().toISOString()
+  });
+
+  return { venue: renamed, moved: moved.length };
+}
+
+module.exports = {
+  VENUE_STATUSES,
+  AUTO_REGISTER,
+  newVenueSlug,
+  createVenue,
+  getVenue,
+  findVenue,
+  listVenues,
+  updateVenue,
+  deleteVenue,
+  renameVenue,
+  availableSlug
+};
@@ -0,0 +1,647 @@
+const crypto = require('crypto');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { collection } = require('../db');
+const { getFileUrl } = require('../storage');
+const { sanitizeVenueName } = require('../utils/fileUtils');
+const { lookupPublicAddress, assertPublicHost } = require('../utils/publicAddress');
+
+/**
+ * Webhook subscriptions and their deliveries
+ * Subscription records: { id, url, events, venues, secret, description, active,
+ *                         createdBy, createdAt, updatedAt }
+ * `venues` limits a subscription to events of those venue slugs (null for all).
+ *
+ * Each event a subscription matches becomes a delivery record:
+ *   { id, webhookId, url, event, eventId, payload, status, attempts, nextAttemptAt,
+ *     createdAt, deliveredAt }
+ * Deliveries are sent in the background, so emitting an event never slows down
+ * the request that caused it. Failed deliveries are retried with exponential
+ * backoff until MAX_ATTEMPTS; `attempts` logs the outcome of every try. Pending
+ * deliveries survive a restart and are picked up by retryPendingDeliveries.
+ *
+ * Every request is signed with the subscription's secret:
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">
+ *
+ * Receivers must be https URLs on the public internet: the host is resolved
+ * when each delivery connects, and loopback, private and link-local addresses
+ * are refused. Only the status code of an answer is logged, plus the start of
+ * the body for successful (2xx) answers.
+ */
+const webhooks = collection('webhooks');
+const deliveries = collection('webhook_deliveries');
+
+// Event types a subscription can ask for ('*' subscribes to all of them)
+const WEBHOOK_EVENTS = ['upload.completed', 'file.deleted', 'file.restored', 'file.purged'];
+
+// Event sent by the test endpoint, whatever events a subscription asked for
+const PING_EVENT = 'webhook.ping';
+
+// Delivery attempts before a delivery is given up, and the delay before the
+// first retry (doubled for every further retry)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 30 * 1000;
+
+// How long a receiver has to answer
+const DELIVERY_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+
+// Prefix of generated secrets
+const SECRET_PREFIX = 'whsec_';
+const MIN_SECRET_LENGTH = 16;
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Longest part of a successful receiver's response kept in the delivery log
+const MAX_RESPONSE_LENGTH = 500;
+
+// Deliveries being sent by this process, so a delivery is never sent twice at once
+const inFlight = new Set();
+
+/**
+ * Create an error with a machine-readable code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error with code
+ */
+function createError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Strip the secret from a subscription before returning it to clients
+ * @param {Object} webhook - Stored subscription
+ * @returns {Object} Subscription without its secret
+ */
+function toPublicWebhook(webhook) {
+  const { secret, ...publicWebhook } = webhook;
+  return publicWebhook;
+}
+
+/**
+ * Generate a new signing secret
+ * @returns {string} Secret
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Validate and normalize the editable fields of a subscription
+ * @param {Object} fields - Fields from the request body
+ * @param {boolean} partial - Whether missing fields are left unchanged (updates)
+ * @returns {Object} Normalized fields
+ * @throws {Error} INVALID_WEBHOOK
+ */
+function normalizeWebhookFields(fields, partial = false) {
+  const { url, events, venues, secret, description, active } = fields;
+  const normalized = {};
+
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+
+    if (!parsed || parsed.protocol !== 'https:') {
+      throw createError('url must be an https URL', 'INVALID_WEBHOOK');
+    }
+
+    try {
+      assertPublicHost(parsed.hostname);
+    } catch (error) {
+      throw createError(`url must point to a public address: ${error.message}`, 'INVALID_WEBHOOK');
+    }
+    normalized.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0 ||
+        events.some(event => event !== '*' && !WEBHOOK_EVENTS.includes(event))) {
+      throw createError(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')} (or "*" for all)`, 'INVALID_WEBHOOK');
+    }
+    normalized.events = Array.from(new Set(events));
+  }
+
+  if (venues !== undefined) {
+    if (venues !== null && (!Array.isArray(venues) || venues.length === 0 ||
+        venues.some(venue => typeof venue !== 'string' || !sanitizeVenueName(venue)))) {
+      throw createError('venues must be null or a non-empty list of venue names', 'INVALID_WEBHOOK');
+    }
+    normalized.venues = venues && Array.from(new Set(venues.map(sanitizeVenueName)));
+  }
+
+  if (secret !== undefined) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw createError(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`, 'INVALID_WEBHOOK');
+    }
+    normalized.secret = secret;
+  }
+
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      throw createError(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`, 'INVALID_WEBHOOK');
+    }
+    normalized.description = description;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      throw createError('active must be true or false', 'INVALID_WEBHOOK');
+    }
+    normalized.active = active;
+  }
+
+  return normalized;
+}
+
+/**
+ * Create a webhook subscription
+ * @param {Object} fields - { url, events, venues?, secret?, description?, active? }
+ * @param {string} createdBy - Name of the actor
+ * @returns {Promise<Object>} { webhook, secret } - the secret is generated when not given
+ * @throws {Error} INVALID_WEBHOOK
+ */
+async function createWebhook(fields, createdBy) {
+  const normalized = normalizeWebhookFields(fields);
+  const now = new Date().toISOString();
+
+  const webhook = await webhooks.insert({
+    id: uuidv4(),
+    venues: null,
+    secret: generateSecret(),
+    description: null,
+    active: true,
+    ...normalized,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  return { webhook: toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * List webhook subscriptions, newest first
+ * @returns {Promise<Object[]>} Subscriptions without secrets
+ */
+async function listWebhooks() {
+  const list = await webhooks.find();
+  return list
+    .map(toPublicWebhook)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get a webhook subscription
+ * @param {string} id - Subscription id
+ * @returns {Promise<Object|null>} Subscription without its secret, or null
+ */
+async function getWebhook(id) {
+  const webhook = await webhooks.get(id);
+  return webhook ? toPublicWebhook(webhook) : null;
+}
+
+/**
+ * Update a webhook subscription
+ * @param {string} id - Subscription id
+ * @param {Object} fields - Any of { url, events, venues, secret, description, active }
+ * @returns {Promise<Object|null>} Updated subscription or null if it does not exist
+ * @throws {Error} INVALID_WEBHOOK
+ */
+async function updateWebhook(id, fields) {
+  const normalized = normalizeWebhookFields(fields, true);
+
+  if (!await webhooks.get(id)) {
+    return null;
+  }
+
+  const webhook = await webhooks.update(id, { ...normalized, updatedAt: new Date().toISOString() });
+  return toPublicWebhook(webhook);
+}
+
+/**
+ * Replace the signing secret of a subscription
+ * @param {string} id - Subscription id
+ * @returns {Promise<Object|null>} { webhook, secret } or null if it does not exist
+ */
+async function rotateWebhookSecret(id) {
+  if (!await webhooks.get(id)) {
+    return null;
+  }
+
+  const webhook = await webhooks.update(id, { secret: generateSecret(), updatedAt: new Date().toISOString() });
+  return { webhook: toPublicWebhook(webhook), secret: webhook.secret };
+}
+
+/**
+ * Delete a webhook subscription; its pending deliveries are dropped when they are due
+ * @param {string} id - Subscription id
+ * @returns {Promise<boolean>} Whether it existed
+ */
+async function deleteWebhook(id) {
+  return webhooks.remove(id);
+}
+
+/**
+ * Point subscriptions of a renamed venue at its new slug
+ * @param {string} fromSlug - Previous venue slug
+ * @param {string} toSlug - New venue slug
+ * @returns {Promise<number>} Number of subscriptions updated
+ */
+async function replaceWebhookVenue(fromSlug, toSlug) {
+  const affected = (await webhooks.find())
+    .filter(webhook => webhook.venues && webhook.venues.includes(fromSlug));
+
+  for (const webhook of affected) {
+    await webhooks.update(webhook.id, {
+      venues: webhook.venues.map(venue => (venue === fromSlug ? toSlug : venue))
+    });
+  }
+
+  return affected.length;
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time sent in X-Webhook-Timestamp
+ * @param {string} body - JSON body
+ * @returns {string} Signature header value
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * POST a request body to a receiver
+ * Connects only to public addresses, does not follow redirects and reads at
+ * most MAX_RESPONSE_LENGTH bytes of a successful answer
+ * @param {string} url - Receiver URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - JSON body
+ * @returns {Promise<Object>} { statusCode, body } - body is null unless the status is 2xx
+ * @throws {Error} If the receiver cannot be reached or does not answer in time
+ */
+function postToReceiver(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+
+    // Subscriptions created before receivers had to use https are not sent to
+    if (target.protocol !== 'https:') {
+      throw new Error('The webhook URL does not use https');
+    }
+    assertPublicHost(target.hostname);
+
+    let timer = null;
+    const settle = (error, result) => {
+      clearTimeout(timer);
+      return error ? reject(error) : resolve(result);
+    };
+
+    const request = https.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: lookupPublicAddress
+    }, response => {
+      const { statusCode } = response;
+
+      if (statusCode < 200 || statusCode >= 300) {
+        response.destroy();
+        return settle(null, { statusCode, body: null });
+      }
+
+      const chunks = [];
+      let length = 0;
+      const done = () => settle(null, {
+        statusCode,
+        body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_RESPONSE_LENGTH)
+      });
+
+      response.on('data', chunk => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= MAX_RESPONSE_LENGTH) {
+          response.destroy();
+          done();
+        }
+      });
+      response.on('end', done);
+      response.on('error', settle);
+    });
+
+    timer = setTimeout(() => {
+      request.destroy(new Error(`No response within ${DELIVERY_TIMEOUT_MS} ms`));
+    }, DELIVERY_TIMEOUT_MS);
+
+    request.on('error', settle);
+    request.end(body);
+  });
+}
+
+/**
+ * Send a delivery in the background after a delay
+ * @param {string} id - Delivery id
+ * @param {number} delay - Delay in milliseconds
+ */
+function scheduleDelivery(id, delay) {
+  setTimeout(() => {
+    attemptDelivery(id).catch(error => console.error(`Error delivering webhook ${id}:`, error));
+  }, delay).unref();
+}
+
+/**
+ * Try to send a pending delivery once, scheduling a retry if it fails
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object|null>} Delivery after the attempt, or null if it was not attempted
+ */
+async function attemptDelivery(id) {
+  if (inFlight.has(id)) {
+    return null;
+  }
+  inFlight.add(id);
+
+  try {
+    const delivery = await deliveries.get(id);
+
+    // A retry may have been brought forward by retryPendingDeliveries
+    if (!delivery || delivery.status !== 'pending' || new Date(delivery.nextAttemptAt) > new Date()) {
+      return null;
+    }
+
+    const webhook = await webhooks.get(delivery.webhookId);
+    if (!webhook) {
+      return deliveries.update(id, { status: 'failed', nextAttemptAt: null, error: 'The webhook was deleted' });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    const attempt = { at: startedAt.toISOString(), statusCode: null, durationMs: null, response: null, error: null };
+
+    try {
+      const response = await postToReceiver(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'wedding-venue-upload-webhooks',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      }, body);
+
+      attempt.statusCode = response.statusCode;
+      attempt.response = response.body;
+      if (response.body === null) {
+        attempt.error = `Receiver answered with HTTP ${response.statusCode}`;
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt.getTime();
+
+    const attempts = [...delivery.attempts, attempt];
+
+    if (!attempt.error) {
+      return deliveries.update(id, { status: 'delivered', attempts, nextAttemptAt: null, deliveredAt: attempt.at });
+    }
+
+    if (attempts.length >= MAX_ATTEMPTS) {
+      console.error(`Webhook delivery ${id} to ${webhook.url} failed after ${attempts.length} attempts: ${attempt.error}`);
+      return deliveries.update(id, { status: 'failed', attempts, nextAttemptAt: null, error: attempt.error });
+    }
+
+    const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts.length - 1);
+    const updated = await deliveries.update(id, {
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      error: attempt.error
+    });
+    scheduleDelivery(id, delay);
+
+    return updated;
+  } finally {
+    inFlight.delete(id);
+  }
+}
+
+/**
+ * Queue an event for a subscription and send it in the background
+ * @param {Object} webhook - Subscription
+ * @param {Object} event - Event payload
+ * @returns {Promise<Object>} Delivery
+ */
+async function enqueueDelivery(webhook, event) {
+  const now = new Date().toISOString();
+
+  const delivery = await deliveries.insert({
+    id: uuidv4(),
+    webhookId: webhook.id,
+    url: webhook.url,
+    event: event.type,
+    eventId: event.id,
+    payload: event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    error: null,
+    createdAt: now,
+    deliveredAt: null
+  });
+
+  scheduleDelivery(delivery.id, 0);
+  return delivery;
+}
+
+/**
+ * Build an event payload
+ * @param {string} type - Event type
+ * @param {Object|null} venue - Venue the event concerns ({ id, name, slug })
+ * @param {Object} data - Event-specific data
+ * @returns {Object} { id, type, createdAt, venue, data }
+ */
+function buildEvent(type, venue, data) {
+  return {
+    id: uuidv4(),
+    type,
+    createdAt: new Date().toISOString(),
+    venue: venue ? { id: venue.id || null, name: venue.name, slug: venue.slug } : null,
+    data
+  };
+}
+
+/**
+ * Send an event to every active subscription that asked for it
+ * Never throws, so a failing subscription store cannot break the request that raised the event
+ * @param {string} type - One of WEBHOOK_EVENTS
+ * @param {Object} venue - Venue the event concerns ({ id, name, slug })
+ * @param {Object} data - Event-specific data
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitWebhookEvent(type, venue, data) {
+  try {
+    const subscribers = (await webhooks.find({ active: true }))
+      .filter(webhook => webhook.events.includes('*') || webhook.events.includes(type))
+      .filter(webhook => !webhook.venues || webhook.venues.includes(venue.slug));
+
+    if (subscribers.length === 0) {
+      return 0;
+    }
+
+    const event = buildEvent(type, venue, data);
+    for (const webhook of subscribers) {
+      await enqueueDelivery(webhook, event);
+    }
+
+    return subscribers.length;
+  } catch (error) {
+    console.error(`Error emitting webhook event ${type}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Send an upload.completed event for the files an upload request stored
+ * @param {Object} venue - Venue the files were uploaded for
+ * @param {string} bucketName - Bucket the files were uploaded to
+ * @param {Object[]} uploadResults - Results from uploadFilesToBucket
+ * @param {string} uploadedBy - Name of the actor
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitUploadCompleted(venue, bucketName, uploadResults, uploadedBy) {
+  const stored = uploadResults.filter(upload => upload.success && !upload.skipped);
+
+  if (stored.length === 0) {
+    return 0;
+  }
+
+  return emitWebhookEvent('upload.completed', venue, {
+    bucket: bucketName,
+    uploadedBy,
+    files: stored.map(upload => ({
+      id: upload.id,
+      originalName: upload.originalName,
+      fileName: upload.fileName,
+      path: upload.filePath,
+      size: upload.size,
+      mimeType: upload.mimeType,
+      category: upload.category,
+      url: upload.url,
+      documentId: upload.documentId,
+      version: upload.version
+    }))
+  });
+}
+
+/**
+ * Send a file.deleted, file.restored or file.purged event for a trashed file
+ * @param {string} type - Event type
+ * @param {Object} entry - Trash entry of the file
+ * @param {string|null} actor - Name of the actor, or null when the server purged the file
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+async function emitFileEvent(type, entry, actor) {
+  return emitWebhookEvent(type, { id: entry.venueId, name: entry.venueName, slug: entry.venue }, {
+    bucket: entry.bucket,
+    file: {
+      id: entry.record?.id || null,
+      originalName: entry.originalName,
+      fileName: entry.fileName,
+      path: entry.originalPath,
+      size: entry.size,
+      mimeType: entry.mimeType,
+      url: type === 'file.restored' ? await getFileUrl(entry.bucket, entry.originalPath) : null
+    },
+    trashId: entry.id,
+    actor: actor || 'system'
+  });
+}
+
+/**
+ * Send a test event to one subscription, whatever events it asked for
+ * @param {string} id - Subscription id
+ * @param {string} sentBy - Name of the actor
+ * @returns {Promise<Object|null>} Delivery or null if the subscription does not exist
+ */
+async function pingWebhook(id, sentBy) {
+  const webhook = await webhooks.get(id);
+  if (!webhook) {
+    return null;
+  }
+
+  return enqueueDelivery(webhook, buildEvent(PING_EVENT, null, { webhookId: id, sentBy }));
+}
+
+/**
+ * Send the payload of an earlier delivery again as a new delivery
+ * @param {Object} delivery - Earlier delivery
+ * @returns {Promise<Object|null>} New delivery or null if the subscription no longer exists
+ */
+async function redeliver(delivery) {
+  const webhook = await webhooks.get(delivery.webhookId);
+  if (!webhook) {
+    return null;
+  }
+
+  return enqueueDelivery(webhook, delivery.payload);
+}
+
+/**
+ * List the deliveries of a subscription
+ * @param {string} webhookId - Subscription id
+ * @param {Object} filter - Optional equality filter (e.g. { status })
+ * @returns {Promise<Object[]>} Deliveries
+ */
+async function listDeliveries(webhookId, filter = {}) {
+  return deliveries.find({ ...filter, webhookId });
+}
+
+/**
+ * Get a delivery
+ * @param {string} id - Delivery id
+ * @returns {Promise<Object|null>} Delivery or null
+ */
+async function getDelivery(id) {
+  return deliveries.get(id);
+}
+
+/**
+ * Send pending deliveries that are due, e.g. after a restart lost their timers
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+async function retryPendingDeliveries() {
+  const now = new Date();
+  const due = (await deliveries.find({ status: 'pending' }))
+    .filter(delivery => new Date(delivery.nextAttemptAt) <= now && !inFlight.has(delivery.id));
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery.id);
+  }
+
+  return due.length;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  PING_EVENT,
+  MAX_ATTEMPTS,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  updateWebhook,
+  rotateWebhookSecret,
+  deleteWebhook,
+  replaceWebhookVenue,
+  emitWebhookEvent,
+  emitUploadCompleted,
+  emitFileEvent,
+  pingWebhook,
+  redeliver,
+  listDeliveries,
+  getDelivery,
+  retryPendingDeliveries
+};
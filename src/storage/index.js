@@ -0,0 +1,203 @@
+const { BUCKETS, QUARANTINE_BUCKET, BUCKET_VISIBILITY, SIGNED_URL_TTL } = require('../config/supabase');
+const { SCANNER_DRIVER } = require('../scanners');
+
+/**
+ * Storage adapter
+ *
+ * Every driver implements the same interface (see supabaseDriver.js):
+ *   upload, list, remove, move, download, downloadStream, getPublicUrl, createSignedUrl,
+ *   listBuckets, createBucket, updateBucket
+ * and, like supabase-js, resolves to { data, error } instead of throwing.
+ * download resolves to the whole object as a Buffer and downloadStream to a
+ * readable stream of it, for objects that are only passed on to clients.
+ *
+ * Files are handed out with getFileUrl, which returns signed, expiring URLs
+ * for the buckets configured as private in BUCKET_VISIBILITY.
+ *
+ * The driver is selected with STORAGE_DRIVER ("supabase" or "local"). When it
+ * is not set, Supabase is used if SUPABASE_URL is configured and the local
+ * filesystem otherwise.
+ */
+const DRIVERS = {
+  supabase: () => require('./supabaseDriver'),
+  local: () => require('./localDriver')
+};
+
+const STORAGE_DRIVER = (
+  process.env.STORAGE_DRIVER || (process.env.SUPABASE_URL ? 'supabase' : 'local')
+).toLowerCase();
+
+if (!DRIVERS[STORAGE_DRIVER]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}"`);
+}
+
+const storage = DRIVERS[STORAGE_DRIVER]();
+
+// Page size used when reading whole folders
+const LIST_PAGE_SIZE = 1000;
+
+/**
+ * List every entry in a folder, following the storage pages
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Folder to list
+ * @returns {Promise<Object>} { data, error } like storage.list
+ */
+async function listAllFiles(bucket, prefix) {
+  const files = [];
+
+  for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+    const { data, error } = await storage.list(bucket, prefix, { limit: LIST_PAGE_SIZE, offset });
+
+    if (error) {
+      return { data: null, error };
+    }
+
+    files.push(...data);
+
+    if (data.length < LIST_PAGE_SIZE) {
+      return { data: files, error: null };
+    }
+  }
+}
+
+/**
+ * List the files in a folder and all of its subfolders
+ * @param {string} bucket - Bucket name
+ * @param {string} folder - Folder to walk
+ * @returns {Promise<Object>} { data, error } with each file's `folder` added
+ */
+async function walkFolder(bucket, folder) {
+  const { data: entries, error } = await listAllFiles(bucket, folder);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    if (!entry.name || entry.name.startsWith('.')) {
+      continue;
+    }
+
+    // Folders are listed without metadata
+    if (!entry.metadata) {
+      const { data: nested, error: nestedError } = await walkFolder(bucket, `${folder}/${entry.name}`);
+      if (nestedError) {
+        return { data: null, error: nestedError };
+      }
+      files.push(...nested);
+      continue;
+    }
+
+    files.push({ ...entry, folder });
+  }
+
+  return { data: files, error: null };
+}
+
+/**
+ * Check whether a bucket is configured as private
+ * @param {string} bucket - Bucket name
+ * @returns {boolean} Whether files in the bucket need signed URLs
+ */
+function isPrivateBucket(bucket) {
+  return BUCKET_VISIBILITY[bucket] === 'private';
+}
+
+/**
+ * Get the URL clients fetch a stored object from
+ * Objects in public buckets get their public URL and objects in private
+ * buckets a signed URL that expires after SIGNED_URL_TTL seconds
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<string|null>} URL, or null if no signed URL could be created
+ */
+async function getFileUrl(bucket, filePath) {
+  if (!isPrivateBucket(bucket)) {
+    return storage.getPublicUrl(bucket, filePath);
+  }
+
+  const { data, error } = await storage.createSignedUrl(bucket, filePath, SIGNED_URL_TTL);
+
+  if (error) {
+    console.error(`Error signing URL for ${bucket}/${filePath}:`, error);
+    return null;
+  }
+
+  return data.signedUrl;
+}
+
+// Validate that buckets exist and have the configured visibility
+async function validateBuckets() {
+  try {
+    const { data: buckets, error } = await storage.listBuckets();
+
+    if (error) {
+      console.error('Error listing buckets:', error);
+      return false;
+    }
+
+    const invalidVisibility = Object.entries(BUCKET_VISIBILITY)
+      .filter(([, visibility]) => !['public', 'private'].includes(visibility));
+
+    if (invalidVisibility.length > 0) {
+      for (const [bucket, visibility] of invalidVisibility) {
+        console.error(`Invalid visibility "${visibility}" for bucket '${bucket}' (use public or private)`);
+      }
+      return false;
+    }
+
+    const requiredBuckets = Object.values(BUCKETS);
+
+    // Flagged files are only moved to quarantine when scanning is enabled
+    if (SCANNER_DRIVER !== 'none') {
+      requiredBuckets.push(QUARANTINE_BUCKET);
+    }
+
+    for (const bucket of requiredBuckets) {
+      const existing = buckets.find(candidate => candidate.name === bucket);
+
+      // Buckets are made private (or public) as configured, so public URLs of private files stop working
+      if (existing) {
+        if (existing.public === isPrivateBucket(bucket)) {
+          const { error: updateError } = await storage.updateBucket(bucket, { public: !isPrivateBucket(bucket) });
+          if (updateError) {
+            console.error(`Unable to make bucket '${bucket}' ${BUCKET_VISIBILITY[bucket]}:`, updateError);
+            return false;
+          }
+          console.log(`Bucket '${bucket}' is now ${BUCKET_VISIBILITY[bucket]}`);
+        }
+        continue;
+      }
+
+      // Local buckets are just directories, so create them on first run
+      if (storage.name === 'local') {
+        const { error: createError } = await storage.createBucket(bucket, {
+          public: !isPrivateBucket(bucket)
+        });
+        if (!createError) {
+          continue;
+        }
+      }
+
+      console.error(`Required bucket '${bucket}' not found`);
+      return false;
+    }
+
+    console.log(`All required buckets validated successfully (${storage.name} storage)`);
+    return true;
+  } catch (error) {
+    console.error('Error validating buckets:', error);
+    return false;
+  }
+}
+
+module.exports = {
+  storage,
+  STORAGE_DRIVER,
+  validateBuckets,
+  isPrivateBucket,
+  getFileUrl,
+  listAllFiles,
+  walkFolder
+};
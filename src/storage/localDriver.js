@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const mime = require('mime-types');
+
+/**
+ * Local filesystem storage driver
+ * Buckets are directories under LOCAL_STORAGE_PATH and objects are plain files,
+ * which lets the API run offline for development and in the test suite
+ */
+
+const STORAGE_ROOT = path.resolve(
+  process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../.data/storage')
+);
+
+// Base URL the files are served from (see serveFiles below)
+const PUBLIC_BASE_URL = (
+  process.env.LOCAL_STORAGE_PUBLIC_URL ||
+  `http://localhost:${process.env.PORT || 5000}/storage`
+).replace(/\/+$/, '');
+
+// Secret used to sign expiring URLs
+const SIGNING_SECRET = process.env.LOCAL_STORAGE_SECRET ||
+  process.env.ACCESS_TOKEN ||
+  crypto.randomBytes(32).toString('hex');
+
+/**
+ * Resolve an object path to an absolute path inside the bucket directory
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path inside the bucket
+ * @returns {string} Absolute filesystem path
+ */
+function resolvePath(bucket, filePath = '') {
+  const bucketRoot = path.join(STORAGE_ROOT, bucket);
+  const resolved = path.resolve(bucketRoot, filePath);
+
+  // Reject paths that escape the bucket (e.g. "../other-bucket/file")
+  if (bucketRoot.startsWith(STORAGE_ROOT + path.sep) &&
+      (resolved === bucketRoot || resolved.startsWith(bucketRoot + path.sep))) {
+    return resolved;
+  }
+
+  throw new Error(`Invalid object path: ${filePath}`);
+}
+
+/**
+ * Encode an object path for use in a URL, keeping the slashes
+ * @param {string} filePath - Object path
+ * @returns {string} Encoded path
+ */
+function encodePath(filePath) {
+  return filePath.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Compute the signature for a signed URL
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @param {number} expires - Expiry as a unix timestamp (seconds)
+ * @returns {string} Hex signature
+ */
+function sign(bucket, filePath, expires) {
+  return crypto
+    .createHmac('sha256', SIGNING_SECRET)
+    .update(`${bucket}/${filePath}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Remove folders left empty by a move or delete, up to the bucket directory
+ * Object stores have no folders, so empty ones would otherwise show up in listings
+ * @param {string} bucket - Bucket name
+ * @param {string} dir - Absolute path of the folder that held the object
+ */
+async function pruneEmptyFolders(bucket, dir) {
+  const bucketRoot = resolvePath(bucket);
+
+  while (dir.startsWith(bucketRoot + path.sep)) {
+    try {
+      await fs.promises.rmdir(dir);
+    } catch (error) {
+      return; // Not empty (or already gone)
+    }
+    dir = path.dirname(dir);
+  }
+}
+
+async function upload(bucket, filePath, body, options = {}) {
+  try {
+    const target = resolvePath(bucket, filePath);
+
+    if (!options.upsert && fs.existsSync(target)) {
+      return { data: null, error: new Error('The resource already exists') };
+    }
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, body);
+
+    return { data: { path: filePath }, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function list(bucket, prefix = '', options = {}) {
+  const limit = options.limit || 1000;
+  const offset = options.offset || 0;
+
+  try {
+    const dir = resolvePath(bucket, prefix);
+    let entries;
+
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      // Listing a folder that does not exist returns no entries, as Supabase does
+      if (error.code === 'ENOENT') {
+        return { data: [], error: null };
+      }
+      throw error;
+    }
+
+    const page = entries
+      .filter(entry => !entry.name.startsWith('.'))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .slice(offset, offset + limit);
+
+    const data = [];
+    for (const entry of page) {
+      if (entry.isDirectory()) {
+        data.push({ name: entry.name, id: null, created_at: null, updated_at: null, metadata: null });
+        continue;
+      }
+
+      const stats = await fs.promises.stat(path.join(dir, entry.name));
+      data.push({
+        name: entry.name,
+        id: `${bucket}/${prefix ? `${prefix}/` : ''}${entry.name}`,
+        created_at: stats.birthtime.toISOString(),
+        updated_at: stats.mtime.toISOString(),
+        metadata: {
+          size: stats.size,
+          mimetype: mime.lookup(entry.name) || 'application/octet-stream'
+        }
+      });
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function remove(bucket, paths) {
+  try {
+    const removed = [];
+
+    for (const filePath of paths) {
+      try {
+        const target = resolvePath(bucket, filePath);
+        await fs.promises.unlink(target);
+        await pruneEmptyFolders(bucket, path.dirname(target));
+        removed.push({ name: filePath });
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    return { data: removed, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function move(bucket, fromPath, toPath) {
+  try {
+    const source = resolvePath(bucket, fromPath);
+    const target = resolvePath(bucket, toPath);
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.rename(source, target);
+    await pruneEmptyFolders(bucket, path.dirname(source));
+
+    return { data: { message: 'Successfully moved' }, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function download(bucket, filePath) {
+  try {
+    return { data: await fs.promises.readFile(resolvePath(bucket, filePath)), error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function downloadStream(bucket, filePath) {
+  try {
+    // Open first, so a missing file is an error here rather than on the stream
+    const handle = await fs.promises.open(resolvePath(bucket, filePath));
+    return { data: handle.createReadStream(), error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+function getPublicUrl(bucket, filePath) {
+  return `${PUBLIC_BASE_URL}/${encodeURIComponent(bucket)}/${encodePath(filePath)}`;
+}
+
+async function createSignedUrl(bucket, filePath, expiresIn) {
+  try {
+    resolvePath(bucket, filePath);
+
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = sign(bucket, filePath, expires);
+
+    return {
+      data: { signedUrl: `${getPublicUrl(bucket, filePath)}?expires=${expires}&signature=${signature}` },
+      error: null
+    };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+/**
+ * Check whether a bucket was created as private
+ * Private buckets contain a ".private" marker file and are only served through signed URLs
+ * @param {string} bucket - Bucket name
+ * @returns {boolean} Whether the bucket is private
+ */
+function isPrivateBucket(bucket) {
+  try {
+    return fs.existsSync(path.join(resolvePath(bucket), '.private'));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function listBuckets() {
+  try {
+    await fs.promises.mkdir(STORAGE_ROOT, { recursive: true });
+    const entries = await fs.promises.readdir(STORAGE_ROOT, { withFileTypes: true });
+
+    const data = [];
+    for (const entry of entries.filter(entry => entry.isDirectory())) {
+      const stats = await fs.promises.stat(path.join(STORAGE_ROOT, entry.name));
+      data.push({
+        id: entry.name,
+        name: entry.name,
+        public: !isPrivateBucket(entry.name),
+        created_at: stats.birthtime.toISOString(),
+        updated_at: stats.mtime.toISOString()
+      });
+    }
+
+    return { data, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function createBucket(bucket, options = {}) {
+  try {
+    await fs.promises.mkdir(resolvePath(bucket), { recursive: true });
+
+    if (options.public === false) {
+      await fs.promises.writeFile(path.join(resolvePath(bucket), '.private'), '');
+    }
+
+    return { data: { name: bucket }, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+async function updateBucket(bucket, options = {}) {
+  try {
+    const marker = path.join(resolvePath(bucket), '.private');
+
+    if (options.public === false) {
+      await fs.promises.writeFile(marker, '');
+    } else {
+      await fs.promises.rm(marker, { force: true });
+    }
+
+    return { data: { name: bucket }, error: null };
+  } catch (error) {
+    return { data: null, error };
+  }
+}
+
+/**
+ * Express router that serves stored files at the URLs returned by getPublicUrl
+ * Signed URLs are checked for a valid, unexpired signature and are required
+ * for files in private buckets
+ * @returns {Function} Express router
+ */
+function serveFiles() {
+  const router = express.Router();
+
+  router.get('/:bucket/*', (req, res) => {
+    const { bucket } = req.params;
+    const filePath = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!signature && isPrivateBucket(bucket)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Private bucket',
+        message: 'Files in this bucket are only available through signed URLs'
+      });
+    }
+
+    if (signature) {
+      const expected = sign(bucket, filePath, expires);
+      const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+      if (!valid || Number(expires) < Date.now() / 1000) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid signature',
+          message: 'The signed URL is invalid or has expired'
+        });
+      }
+    }
+
+    let target;
+    try {
+      target = resolvePath(bucket, filePath);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid path',
+        message: error.message
+      });
+    }
+
+    res.sendFile(target, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          error: 'Not found',
+          message: 'The requested file does not exist'
+        });
+      }
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  name: 'local',
+  STORAGE_ROOT,
+  upload,
+  list,
+  remove,
+  move,
+  download,
+  downloadStream,
+  getPublicUrl,
+  createSignedUrl,
+  listBuckets,
+  createBucket,
+  updateBucket,
+  serveFiles
+};
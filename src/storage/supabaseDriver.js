@@ -0,0 +1,186 @@
+const { Readable } = require('stream');
+const { getSupabaseClient } = require('../config/supabase');
+
+/**
+ * Supabase storage driver
+ * Thin wrapper around supabase.storage that implements the storage adapter interface
+ */
+
+/**
+ * Upload a file to a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Path of the object inside the bucket
+ * @param {Buffer} body - File contents
+ * @param {Object} options - { contentType, upsert }
+ * @returns {Promise<Object>} { data, error }
+ */
+async function upload(bucket, filePath, body, options = {}) {
+  return getSupabaseClient().storage
+    .from(bucket)
+    .upload(filePath, body, {
+      contentType: options.contentType,
+      upsert: options.upsert || false,
+      duplex: 'half'
+    });
+}
+
+/**
+ * List objects and folders directly under a prefix
+ * @param {string} bucket - Bucket name
+ * @param {string} prefix - Folder to list ('' for the bucket root)
+ * @param {Object} options - { limit, offset }
+ * @returns {Promise<Object>} { data, error }
+ */
+async function list(bucket, prefix = '', options = {}) {
+  return getSupabaseClient().storage
+    .from(bucket)
+    .list(prefix, {
+      limit: options.limit || 1000,
+      offset: options.offset || 0
+    });
+}
+
+/**
+ * Remove objects from a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string[]} paths - Object paths to remove
+ * @returns {Promise<Object>} { data, error }
+ */
+async function remove(bucket, paths) {
+  return getSupabaseClient().storage
+    .from(bucket)
+    .remove(paths);
+}
+
+/**
+ * Move an object within a bucket
+ * @param {string} bucket - Bucket name
+ * @param {string} fromPath - Current object path
+ * @param {string} toPath - New object path
+ * @returns {Promise<Object>} { data, error }
+ */
+async function move(bucket, fromPath, toPath) {
+  return getSupabaseClient().storage
+    .from(bucket)
+    .move(fromPath, toPath);
+}
+
+/**
+ * Download an object
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<Object>} { data: Buffer, error }
+ */
+async function download(bucket, filePath) {
+  const { data, error } = await getSupabaseClient().storage
+    .from(bucket)
+    .download(filePath);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  return { data: Buffer.from(await data.arrayBuffer()), error: null };
+}
+
+/**
+ * Download an object as a stream, without holding it in memory
+ * The object is fetched through a short-lived signed URL, which works for
+ * public and private buckets alike
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {Promise<Object>} { data: Readable, error }
+ */
+async function downloadStream(bucket, filePath) {
+  const { data, error } = await createSignedUrl(bucket, filePath, 60);
+
+  if (error) {
+    return { data: null, error };
+  }
+
+  try {
+    const response = await fetch(data.signedUrl);
+    if (!response.ok) {
+      await response.body?.cancel();
+      return { data: null, error: new Error(`Download failed with HTTP ${response.status}`) };
+    }
+
+    return { data: Readable.fromWeb(response.body), error: null };
+  } catch (fetchError) {
+    return { data: null, error: fetchError };
+  }
+}
+
+/**
+ * Get the public URL of an object
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @returns {string} Public URL
+ */
+function getPublicUrl(bucket, filePath) {
+  const { data } = getSupabaseClient().storage
+    .from(bucket)
+    .getPublicUrl(filePath);
+
+  return data.publicUrl;
+}
+
+/**
+ * Create a time-limited signed URL for an object
+ * @param {string} bucket - Bucket name
+ * @param {string} filePath - Object path
+ * @param {number} expiresIn - Validity in seconds
+ * @returns {Promise<Object>} { data: { signedUrl }, error }
+ */
+async function createSignedUrl(bucket, filePath, expiresIn) {
+  return getSupabaseClient().storage
+    .from(bucket)
+    .createSignedUrl(filePath, expiresIn);
+}
+
+/**
+ * List all buckets
+ * @returns {Promise<Object>} { data, error }
+ */
+async function listBuckets() {
+  return getSupabaseClient().storage.listBuckets();
+}
+
+/**
+ * Create a bucket
+ * @param {string} bucket - Bucket name
+ * @param {Object} options - { public }
+ * @returns {Promise<Object>} { data, error }
+ */
+async function createBucket(bucket, options = {}) {
+  return getSupabaseClient().storage.createBucket(bucket, {
+    public: options.public !== false
+  });
+}
+
+/**
+ * Change whether a bucket is public
+ * @param {string} bucket - Bucket name
+ * @param {Object} options - { public }
+ * @returns {Promise<Object>} { data, error }
+ */
+async function updateBucket(bucket, options = {}) {
+  return getSupabaseClient().storage.updateBucket(bucket, {
+    public: options.public !== false
+  });
+}
+
+module.exports = {
+  name: 'supabase',
+  upload,
+  list,
+  remove,
+  move,
+  download,
+  downloadStream,
+  getPublicUrl,
+  createSignedUrl,
+  listBuckets,
+  createBucket,
+  updateBucket
+};
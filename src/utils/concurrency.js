@@ -0,0 +1,32 @@
+/**
+ * Bounded concurrency for batches of async work
+ */
+
+/**
+ * Map items through an async function, running at most `limit` calls at once
+ * Results keep the order of the items
+ * @param {Array} items - Items
+ * @param {number} limit - Most calls running at the same time
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.min(Math.max(limit, 1), items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
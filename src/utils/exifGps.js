@@ -0,0 +1,220 @@
+/**
+ * Lossless removal of GPS coordinates from image metadata
+ * The GPS directory of the EXIF block is blanked in place: its entries and the
+ * values they point to are overwritten with zeros, so the image data, the
+ * orientation and every other offset in the file stay exactly as uploaded.
+ * Handles EXIF in JPEG (APP1), PNG (eXIf) and WebP (EXIF) files.
+ */
+
+// EXIF tag of the pointer to the GPS directory
+const GPS_IFD_TAG = 0x8825;
+
+// Size in bytes of each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// Header that precedes the TIFF data in JPEG (and some WebP) EXIF blocks
+const EXIF_HEADER = Buffer.from('Exif\0\0', 'latin1');
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of PNG chunk data
+ * @param {Buffer} data - Chunk type and data
+ * @returns {number} CRC
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = -1;
+  for (const byte of data) {
+    crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Blank the GPS directory of a TIFF (EXIF) block in place
+ * @param {Buffer} buffer - Image data
+ * @param {number} start - Offset of the TIFF header
+ * @param {number} end - End of the EXIF block
+ * @returns {boolean} Whether GPS data was found and blanked
+ */
+function blankTiffGps(buffer, start, end) {
+  if (end - start < 8 || end > buffer.length) {
+    return false;
+  }
+
+  const byteOrder = buffer.toString('latin1', start, start + 2);
+  if (byteOrder !== 'II' && byteOrder !== 'MM') {
+    return false;
+  }
+
+  const little = byteOrder === 'II';
+  const read16 = offset => little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+  const read32 = offset => little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const inBlock = (offset, length) => offset >= start && length >= 0 && offset + length <= end;
+
+  const ifd0 = start + read32(start + 4);
+  if (!inBlock(ifd0, 2)) {
+    return false;
+  }
+
+  for (let index = 0; index < read16(ifd0); index++) {
+    const entry = ifd0 + 2 + index * 12;
+    if (!inBlock(entry, 12)) {
+      return false;
+    }
+    if (read16(entry) !== GPS_IFD_TAG) {
+      continue;
+    }
+
+    const gps = start + read32(entry + 8);
+    if (!inBlock(gps, 2)) {
+      return false;
+    }
+
+    const count = read16(gps);
+    for (let field = 0; field < count; field++) {
+      const gpsEntry = gps + 2 + field * 12;
+      if (!inBlock(gpsEntry, 12)) {
+        break;
+      }
+
+      // Values of more than 4 bytes (e.g. the coordinates) are stored elsewhere in the block
+      const size = (TYPE_SIZES[read16(gpsEntry + 2)] || 0) * read32(gpsEntry + 4);
+      const valueOffset = start + read32(gpsEntry + 8);
+      if (size > 4 && inBlock(valueOffset, size)) {
+        buffer.fill(0, valueOffset, valueOffset + size);
+      }
+    }
+
+    // An empty directory (zero entries, no next directory) is left behind
+    buffer.fill(0, gps, Math.min(gps + 2 + count * 12 + 4, end));
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Blank the GPS data of the EXIF segments of a JPEG
+ * @param {Buffer} buffer - JPEG data, changed in place
+ * @returns {boolean} Whether GPS data was blanked
+ */
+function blankJpegGps(buffer) {
+  let blanked = false;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length && buffer[offset] === 0xFF) {
+    const marker = buffer[offset + 1];
+
+    // The compressed image data follows the start of scan
+    if (marker === 0xDA || marker === 0xD9) {
+      break;
+    }
+    if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7) || marker === 0xFF) {
+      offset += marker === 0xFF ? 1 : 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const data = offset + 4;
+
+    if (marker === 0xE1 && buffer.subarray(data, data + EXIF_HEADER.length).equals(EXIF_HEADER)) {
+      blanked = blankTiffGps(buffer, data + EXIF_HEADER.length, offset + 2 + length) || blanked;
+    }
+
+    offset += 2 + length;
+  }
+
+  return blanked;
+}
+
+/**
+ * Blank the GPS data of the eXIf chunks of a PNG, updating their CRCs
+ * @param {Buffer} buffer - PNG data, changed in place
+ * @returns {boolean} Whether GPS data was blanked
+ */
+function blankPngGps(buffer) {
+  let blanked = false;
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const data = offset + 8;
+
+    if (type === 'eXIf' && data + length + 4 <= buffer.length && blankTiffGps(buffer, data, data + length)) {
+      buffer.writeUInt32BE(crc32(buffer.subarray(offset + 4, data + length)), data + length);
+      blanked = true;
+    }
+    if (type === 'IEND') {
+      break;
+    }
+
+    offset = data + length + 4;
+  }
+
+  return blanked;
+}
+
+/**
+ * Blank the GPS data of the EXIF chunk of a WebP
+ * @param {Buffer} buffer - WebP data, changed in place
+ * @returns {boolean} Whether GPS data was blanked
+ */
+function blankWebpGps(buffer) {
+  let blanked = false;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const length = buffer.readUInt32LE(offset + 4);
+    let data = offset + 8;
+
+    if (type === 'EXIF') {
+      if (buffer.subarray(data, data + EXIF_HEADER.length).equals(EXIF_HEADER)) {
+        data += EXIF_HEADER.length;
+      }
+      blanked = blankTiffGps(buffer, data, offset + 8 + length) || blanked;
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + length + (length % 2);
+  }
+
+  return blanked;
+}
+
+/**
+ * Remove the GPS coordinates from an image without re-encoding it
+ * @param {Buffer} buffer - Image data (not changed)
+ * @returns {Object} { buffer: image without GPS data, blanked: whether any was found }
+ */
+function stripGpsData(buffer) {
+  const copy = Buffer.from(buffer);
+  let blanked = false;
+
+  if (copy[0] === 0xFF && copy[1] === 0xD8) {
+    blanked = blankJpegGps(copy);
+  } else if (copy.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    blanked = blankPngGps(copy);
+  } else if (copy.toString('latin1', 0, 4) === 'RIFF' && copy.toString('latin1', 8, 12) === 'WEBP') {
+    blanked = blankWebpGps(copy);
+  }
+
+  return blanked ? { buffer: copy, blanked } : { buffer, blanked };
+}
+
+module.exports = {
+  stripGpsData
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+
+// Bytes read from each end of a file on disk when sniffing its type; the end
+// holds the ZIP central directory that tells DOCX and ODT files apart
+const SAMPLE_SIZE = 64 * 1024;
+
+// MIME types that describe the same content
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'video/quicktime': 'video/mp4'
+};
+
+/**
+ * Check whether a buffer starts with the given bytes at an offset
+ * @param {Buffer} buffer - Data to inspect
+ * @param {number[]|string} signature - Expected bytes (or latin1 string)
+ * @param {number} offset - Offset of the signature
+ * @returns {boolean} Whether the signature matches
+ */
+function hasSignature(buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : Buffer.from(signature);
+  return buffer.length >= offset + bytes.length &&
+    buffer.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+/**
+ * Check whether a buffer looks like plain text (UTF-8 or UTF-16 with BOM)
+ * @param {Buffer} buffer - Data to inspect
+ * @returns {boolean} Whether the data is text
+ */
+function isText(buffer) {
+  if (hasSignature(buffer, [0xFF, 0xFE]) || hasSignature(buffer, [0xFE, 0xFF])) {
+    return true;
+  }
+
+  if (buffer.includes(0)) {
+    return false;
+  }
+
+  // Allow for multi-byte characters cut off at the edges of a sample
+  const decoded = new TextDecoder('utf-8').decode(buffer);
+  const invalidCharacters = decoded.split('\uFFFD').length - 1;
+  return invalidCharacters <= 2;
+}
+
+/**
+ * Detect the type of a ZIP based document
+ * @param {Buffer} buffer - Data to inspect
+ * @returns {string|null} Detected MIME type
+ */
+function detectZipDocument(buffer) {
+  // ODT stores an uncompressed "mimetype" entry first
+  if (hasSignature(buffer, 'mimetypeapplication/vnd.oasis.opendocument.text', 30)) {
+    return 'application/vnd.oasis.opendocument.text';
+  }
+
+  // Entry names are stored uncompressed in local headers and the central directory
+  if (buffer.includes('word/document.xml', 0, 'latin1')) {
+    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+  }
+
+  return null;
+}
+
+/**
+ * Detect a file's type from its content signature ("magic bytes")
+ * @param {Buffer} buffer - File contents (or a sample of its start and end)
+ * @returns {string|null} Detected MIME type, or null if unrecognized
+ */
+function detectFileType(buffer) {
+  if (hasSignature(buffer, [0xFF, 0xD8, 0xFF])) {
+    return 'image/jpeg';
+  }
+  if (hasSignature(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) {
+    return 'image/png';
+  }
+  if (hasSignature(buffer, 'RIFF') && hasSignature(buffer, 'WEBP', 8)) {
+    return 'image/webp';
+  }
+  if (hasSignature(buffer, 'ftyp', 4)) {
+    return hasSignature(buffer, 'qt  ', 8) ? 'video/quicktime' : 'video/mp4';
+  }
+  if (hasSignature(buffer, '%PDF-')) {
+    return 'application/pdf';
+  }
+  if (hasSignature(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+    return 'application/msword';
+  }
+  if (hasSignature(buffer, [0x50, 0x4B, 0x03, 0x04])) {
+    return detectZipDocument(buffer);
+  }
+  if (buffer.length > 0 && isText(buffer)) {
+    return 'text/plain';
+  }
+
+  return null;
+}
+
+/**
+ * Read the bytes needed to sniff a file's type
+ * @param {Object} file - Multer-style file object (in memory `buffer` or on disk `path`)
+ * @returns {Promise<Buffer>} Whole buffer, or the first and last SAMPLE_SIZE bytes of a file on disk
+ */
+async function readFileSample(file) {
+  if (file.buffer) {
+    return file.buffer;
+  }
+
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { size } = await handle.stat();
+
+    if (size <= SAMPLE_SIZE * 2) {
+      return await handle.readFile();
+    }
+
+    const head = Buffer.alloc(SAMPLE_SIZE);
+    const tail = Buffer.alloc(SAMPLE_SIZE);
+    await handle.read(head, 0, SAMPLE_SIZE, 0);
+    await handle.read(tail, 0, SAMPLE_SIZE, size - SAMPLE_SIZE);
+    return Buffer.concat([head, tail]);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Normalize a MIME type so equivalent types compare equal
+ * @param {string} mimeType - MIME type
+ * @returns {string} Canonical MIME type
+ */
+function normalizeMimeType(mimeType) {
+  return MIME_ALIASES[mimeType] || mimeType;
+}
+
+/**
+ * Verify that a file's content, declared MIME type and extension agree and
+ * that its type is accepted
+ * @param {Object} file - Multer-style file object
+ * @param {string[]} allowedTypes - MIME types accepted for this upload
+ * @returns {Promise<Object|null>} Failure { fileName, declaredType, detectedType, extension, reason } or null
+ */
+async function verifyFileContent(file, allowedTypes) {
+  const detectedType = detectFileType(await readFileSample(file));
+  const extension = path.extname(file.originalname).toLowerCase();
+  const failure = {
+    fileName: file.originalname,
+    declaredType: file.mimetype,
+    detectedType,
+    extension
+  };
+
+  if (!detectedType) {
+    return { ...failure, reason: 'File content does not match any supported file type' };
+  }
+
+  if (normalizeMimeType(file.mimetype) !== normalizeMimeType(detectedType)) {
+    return { ...failure, reason: `Declared type ${file.mimetype} does not match the file content (${detectedType})` };
+  }
+
+  const extensionType = mime.lookup(extension);
+  if (!extensionType || normalizeMimeType(extensionType) !== normalizeMimeType(detectedType)) {
+    return { ...failure, reason: `Extension "${extension}" does not match the file content (${detectedType})` };
+  }
+
+  if (!allowedTypes.map(normalizeMimeType).includes(normalizeMimeType(detectedType))) {
+    return { ...failure, reason: `Files of type ${detectedType} are not accepted here` };
+  }
+
+  return null;
+}
+
+module.exports = {
+  detectFileType,
+  readFileSample,
+  verifyFileContent
+};
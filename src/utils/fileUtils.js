@@ -56,6 +56,28 @@ function generateFolderPath(venueName, category = '') {
   return sanitizedVenue;
 }
 
+/**
+ * Generate the filename of an image variant stored next to its original
+ * @param {string} fileName - Generated filename of the original
+ * @param {string} variantName - Variant name (e.g. thumbnail)
+ * @param {string} extension - Extension of the variant, including the dot
+ * @returns {string} Variant filename (<original-name>@<variant><extension>)
+ */
+function generateVariantFileName(fileName, variantName, extension) {
+  const baseName = path.basename(fileName, path.extname(fileName));
+  return `${baseName}@${variantName}${extension}`;
+}
+
+/**
+ * Parse a variant filename produced by generateVariantFileName
+ * @param {string} fileName - Stored filename
+ * @returns {Object|null} { baseName, variant } or null if the file is not a variant
+ */
+function parseVariantFileName(fileName) {
+  const match = /^(.+)@([a-z0-9_-]+)\.[a-z0-9]+$/i.exec(fileName);
+  return match ? { baseName: match[1], variant: match[2] } : null;
+}
+
 /**
  * Validate file type against allowed types
  * @param {string} mimeType - File MIME type
@@ -79,11 +101,13 @@ function validateFileSize(fileSize, maxSize) {
 /**
  * Get file type category based on MIME type
  * @param {string} mimeType - File MIME type
- * @returns {string} File category (image, document, etc.)
+ * @returns {string} File category (image, video, document, etc.)
  */
 function getFileCategory(mimeType) {
   if (mimeType.startsWith('image/')) {
     return 'image';
+  } else if (mimeType.startsWith('video/')) {
+    return 'video';
   } else if (mimeType === 'application/pdf' || 
              mimeType.includes('document') || 
              mimeType.includes('word')) {
@@ -145,6 +169,8 @@ module.exports = {
   sanitizeVenueName,
   generateFileName,
   generateFolderPath,
+  generateVariantFileName,
+  parseVariantFileName,
   validateFileType,
   validateFileSize,
   getFileCategory,
@@ -0,0 +1,138 @@
+/**
+ * Cursor pagination for listings
+ * Items are sorted by a sort value with a unique key as tie-breaker, and the
+ * cursor encodes the position of the last item returned, so pages stay stable
+ * when files are added or removed between requests. Listings paged by the
+ * database (see the query() method of the database adapter) encode the
+ * position it returns with encodeCursor.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Create an error for an invalid listing query
+ * @param {string} message - Error message
+ * @returns {Error} Error with code INVALID_QUERY
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Encode a position in a sorted listing
+ * @param {Array} position - [sortValue, key] of the last item returned
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Array} [sortValue, key]
+ */
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(position) && position.length === 2) {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw invalidQuery('Invalid cursor');
+}
+
+/**
+ * Parse pagination and sorting parameters from a query string
+ * @param {Object} query - Express req.query
+ * @param {Object} sortOrders - Sort fields mapped to their default order ("asc" or "desc");
+ *                              the first field is the default sort
+ * @returns {Object} { limit, cursor, sort, order }
+ * @throws {Error} INVALID_QUERY when a parameter is invalid
+ */
+function parsePagination(query, sortOrders) {
+  const sortFields = Object.keys(sortOrders);
+  const sort = query.sort || sortFields[0];
+
+  if (!sortFields.includes(sort)) {
+    throw invalidQuery(`sort must be one of: ${sortFields.join(', ')}`);
+  }
+
+  const order = query.order || sortOrders[sort];
+  if (!['asc', 'desc'].includes(order)) {
+    throw invalidQuery('order must be "asc" or "desc"');
+  }
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw invalidQuery(`limit must be a whole number between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    sort,
+    order
+  };
+}
+
+/**
+ * Compare two [sortValue, key] positions
+ * @param {Array} a - First position
+ * @param {Array} b - Second position
+ * @returns {number} Negative, zero or positive
+ */
+function comparePositions(a, b) {
+  for (let i = 0; i < 2; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Sort a listing and return the page after the cursor
+ * @param {Array} items - All matching items
+ * @param {Object} options - { limit, cursor, order } from parsePagination
+ * @param {Function} getPosition - Returns [sortValue, key] for an item; keys must be unique
+ * @returns {Object} { items, nextCursor, total }
+ */
+function paginate(items, options, getPosition) {
+  const { limit, cursor, order } = options;
+  const direction = order === 'desc' ? -1 : 1;
+
+  const positioned = items
+    .map(item => ({ item, position: getPosition(item) }))
+    .sort((a, b) => direction * comparePositions(a.position, b.position));
+
+  const remaining = cursor
+    ? positioned.filter(({ position }) => direction * comparePositions(position, cursor) > 0)
+    : positioned;
+
+  const page = remaining.slice(0, limit);
+  const hasMore = remaining.length > limit;
+
+  return {
+    items: page.map(({ item }) => item),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].position) : null,
+    total: items.length
+  };
+}
+
+module.exports = {
+  parsePagination,
+  paginate,
+  encodeCursor,
+  invalidQuery,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
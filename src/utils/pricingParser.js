@@ -0,0 +1,260 @@
+/**
+ * Price list parser
+ * Reads the plain text of a pricing document line by line and picks out price
+ * lines: the package or item name, amount, currency, whether the price is per
+ * person or flat, and the season it applies to. Lines without a price are
+ * treated as headings, which name the prices below them and set the season.
+ * Every item gets a confidence between 0 and 1 that drops for each value that
+ * had to be guessed.
+ */
+
+// Currency symbols and the ISO codes they stand for
+const CURRENCY_SYMBOLS = { '£': 'GBP', '$': 'USD', '€': 'EUR' };
+
+// ISO codes recognised next to an amount
+const CURRENCY_CODES = ['GBP', 'USD', 'EUR', 'AUD', 'CAD', 'NZD', 'CHF'];
+
+// How a price is charged
+const PRICE_BASES = ['per-person', 'flat'];
+
+// Amounts with or without thousands separators, e.g. 95, 1,250.00
+const NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:\\.\\d{1,2})?';
+const CODES = CURRENCY_CODES.join('|');
+
+// A price with a currency before or after the amount, or a bare amount with
+// pence/cents (bare whole numbers are too often years, counts or phone numbers)
+const PRICE_PATTERN = new RegExp(
+  `(?:([£$€])|\\b(${CODES})\\s?)\\s?(${NUMBER})` +
+  `|(?<![\\d.,])(${NUMBER})\\s?(?:([£$€])|(${CODES})\\b)` +
+  '|(?<![\\d.,])(\\d{1,3}(?:,\\d{3})+\\.\\d{2}|\\d+\\.\\d{2})(?![\\d.,]*\\d)',
+  'gi'
+);
+
+const PER_PERSON_PATTERN = /\bper\s+(?:person|head|guest|adult|child|pax)\b|\/\s*(?:person|head|guest)\b|\b(?:pp|p\/p|pph|each)\b/gi;
+const FLAT_PATTERN = /\b(?:flat(?:\s+rate|\s+fee)?|in\s+total|fixed\s+price|per\s+(?:event|day|night|booking))\b/gi;
+const SEASON_PATTERN = /\b(off[\s-]?peak|peak|high|low|shoulder|mid)\s+season\b|\b(off[\s-]?peak|peak)\b|\b(winter|spring|summer|autumn|fall|christmas|festive|new\s+year)\b/i;
+const YEAR_PATTERN = /\b(20\d{2})(?:\s*[-/]\s*(?:20)?(\d{2}))?\b/;
+
+// Separators between two prices that make them a range, e.g. £80 - £95
+const RANGE_PATTERN = /^\s*(?:-|–|—|to)\s*$/i;
+
+// Longest line still treated as a heading that names the prices below it
+const MAX_HEADING_LENGTH = 80;
+
+// Name used when neither the line nor a heading names a price
+const UNNAMED = 'Unnamed item';
+
+/**
+ * Turn a currency symbol or code into an ISO code
+ * @param {string} value - Symbol or code
+ * @returns {string} ISO code
+ */
+function toCurrency(value) {
+  return CURRENCY_SYMBOLS[value] || value.toUpperCase();
+}
+
+/**
+ * Parse an amount such as 1,250.00
+ * @param {string} value - Amount as written
+ * @returns {number} Amount
+ */
+function toAmount(value) {
+  return Number(value.replace(/,/g, ''));
+}
+
+/**
+ * Find the season and year named in a line, e.g. "peak", "2027-28"
+ * @param {string} line - Line of text
+ * @returns {Object} { season, year } - normalized, null when not named
+ */
+function findSeason(line) {
+  const season = line.match(SEASON_PATTERN);
+  const year = line.match(YEAR_PATTERN);
+
+  return {
+    season: season
+      ? (season[1] || season[2] || season[3])
+        .toLowerCase()
+        .replace(/^off[\s-]?peak$/, 'off-peak')
+        .replace(/^fall$/, 'autumn')
+        .replace(/\s+/g, ' ')
+      : null,
+    year: year ? (year[2] ? `${year[1]}-${year[2]}` : year[1]) : null
+  };
+}
+
+/**
+ * Work out how a price is charged from the text around it
+ * @param {string} text - Text around the price
+ * @returns {string|null} 'per-person', 'flat' or null when the text does not say
+ */
+function findBasis(text) {
+  if (new RegExp(PER_PERSON_PATTERN.source, 'i').test(text)) {
+    return 'per-person';
+  }
+  if (new RegExp(FLAT_PATTERN.source, 'i').test(text)) {
+    return 'flat';
+  }
+  return null;
+}
+
+/**
+ * Clean the text around a price into an item name
+ * @param {string} text - Text before or after the price
+ * @returns {string} Name, or an empty string
+ */
+function cleanName(text) {
+  return text
+    .replace(PER_PERSON_PATTERN, ' ')
+    .replace(FLAT_PATTERN, ' ')
+    .replace(/\b(?:from|only|price|cost)\b\s*:?/gi, ' ')
+    .replace(/\(\s*\)|\[\s*\]/g, ' ')
+    .replace(/\.{2,}|_{2,}/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s\-–—:|•*·,/.+@]+|[\s\-–—:|•*·,/+@(]+$/g, '')
+    .trim();
+}
+
+/**
+ * Find the prices written on a line; two prices joined by a dash or "to"
+ * are one price range
+ * @param {string} line - Line of text
+ * @returns {Object[]} { amount, maxAmount, currency, start, end }
+ */
+function findPrices(line) {
+  const prices = [];
+
+  for (const match of line.matchAll(PRICE_PATTERN)) {
+    const currency = match[1] || match[2] || match[5] || match[6];
+    const price = {
+      amount: toAmount(match[3] || match[4] || match[7]),
+      maxAmount: null,
+      currency: currency ? toCurrency(currency) : null,
+      start: match.index,
+      end: match.index + match[0].length
+    };
+
+    const previous = prices[prices.length - 1];
+    if (previous && previous.maxAmount === null && price.amount > previous.amount &&
+        RANGE_PATTERN.test(line.slice(previous.end, price.start))) {
+      previous.maxAmount = price.amount;
+      previous.currency = previous.currency || price.currency;
+      previous.end = price.end;
+    } else {
+      prices.push(price);
+    }
+  }
+
+  return prices;
+}
+
+/**
+ * Score how sure the parser is of an item
+ * @param {Object} signals - { currency, basis, name, heading, shared } - what was found
+ *                           on the line itself, and whether the line holds more prices
+ * @returns {number} Confidence between 0 and 1
+ */
+function scoreItem({ currency, basis, name, heading, shared }) {
+  let confidence = 1;
+
+  if (!currency) {
+    confidence -= 0.3;
+  }
+  if (!basis) {
+    confidence -= 0.15;
+  }
+  if (!name) {
+    confidence -= heading ? 0.1 : 0.3;
+  }
+  if (shared) {
+    confidence -= 0.1;
+  }
+
+  return Math.round(Math.max(confidence, 0.05) * 100) / 100;
+}
+
+/**
+ * Parse the text of a pricing document into price items
+ * @param {string} text - Extracted document text
+ * @returns {Object} { currency, items, confidence } - the most used currency, items of
+ *                   { name, amount, maxAmount, currency, basis, season, line, confidence }
+ *                   and the average confidence (0 when nothing was found)
+ */
+function parsePricing(text) {
+  const items = [];
+  let heading = null;
+  let season = null;
+  let year = null;
+
+  for (const rawLine of (text || '').split('\n')) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line) {
+      continue;
+    }
+
+    const prices = findPrices(line);
+    const named = findSeason(line);
+
+    if (prices.length === 0) {
+      // Headings name the prices below them; a season or year heading lasts until the next one
+      season = named.season || season;
+      year = named.year || year;
+      if (line.length <= MAX_HEADING_LENGTH) {
+        heading = cleanName(line) || heading;
+      }
+      continue;
+    }
+
+    prices.forEach((price, index) => {
+      const before = line.slice(index > 0 ? prices[index - 1].end : 0, price.start);
+      const after = line.slice(price.end, index < prices.length - 1 ? prices[index + 1].start : line.length);
+      const name = cleanName(before) || (prices.length === 1 ? cleanName(after) : '');
+      // "Adults £60 / Children £30 per person": one basis written for every price
+      const basis = findBasis(after) || findBasis(before) || (prices.length > 1 ? findBasis(line) : null);
+      const itemSeason = named.season || season;
+      const itemYear = named.year || year;
+
+      items.push({
+        name: name || heading || UNNAMED,
+        amount: price.amount,
+        maxAmount: price.maxAmount,
+        currency: price.currency,
+        basis: basis || 'flat',
+        season: [itemSeason, itemYear].filter(Boolean).join(' ') || null,
+        line,
+        confidence: scoreItem({
+          currency: price.currency,
+          basis,
+          name,
+          heading,
+          shared: prices.length > 1
+        })
+      });
+    });
+  }
+
+  // Prices written without a currency are most likely in the one the rest use
+  const counts = {};
+  for (const item of items) {
+    if (item.currency) {
+      counts[item.currency] = (counts[item.currency] || 0) + 1;
+    }
+  }
+  const [currency = null] = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+
+  for (const item of items) {
+    item.currency = item.currency || currency;
+  }
+
+  const confidence = items.length > 0
+    ? Math.round(items.reduce((sum, item) => sum + item.confidence, 0) / items.length * 100) / 100
+    : 0;
+
+  return { currency, items, confidence };
+}
+
+module.exports = {
+  PRICE_BASES,
+  CURRENCY_CODES,
+  parsePricing
+};
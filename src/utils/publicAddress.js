@@ -0,0 +1,116 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Checks that outgoing requests only reach the public internet
+ * Requests to URLs chosen by clients (webhook receivers) must not reach the
+ * server itself or the private network it runs in. Host names are checked
+ * when they are resolved for the connection, so a name that resolved to a
+ * public address when it was checked cannot point elsewhere when connecting.
+ */
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Check whether an IP address is on the public internet
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked as the IPv4 address
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether requests may be sent to it
+ */
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Create the error for a host that is not on the public internet
+ * @param {string} hostname - Host name or address
+ * @param {string} address - Address it resolved to
+ * @returns {Error} Error with code ADDRESS_NOT_ALLOWED
+ */
+function addressNotAllowed(hostname, address) {
+  const error = new Error(hostname === address
+    ? `${address} is not a public address`
+    : `${hostname} resolves to ${address}, which is not a public address`);
+  error.code = 'ADDRESS_NOT_ALLOWED';
+  return error;
+}
+
+/**
+ * Resolve a host name like dns.lookup, failing when any of its addresses is
+ * not public; pass as the `lookup` option of http(s).request
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(addressNotAllowed(hostname, blocked.address));
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a host that is an IP address, which connections use without a lookup
+ * @param {string} hostname - Host of a URL (IPv6 addresses in brackets)
+ * @throws {Error} ADDRESS_NOT_ALLOWED for a literal address that is not public
+ */
+function assertPublicHost(hostname) {
+  const address = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(address) && !isPublicAddress(address)) {
+    throw addressNotAllowed(address, address);
+  }
+  if (address === 'localhost' || address.endsWith('.localhost')) {
+    throw addressNotAllowed(address, '127.0.0.1');
+  }
+}
+
+module.exports = {
+  isPublicAddress,
+  lookupPublicAddress,
+  assertPublicHost
+};
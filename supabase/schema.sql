@@ -0,0 +1,251 @@
+-- Tables used by the Supabase database driver (src/db/supabaseDriver.js).
+-- Every collection is stored as jsonb documents keyed by id.
+--
+-- Only the server reads and writes these tables, with the service role key
+-- (SUPABASE_SERVICE_ROLE_KEY), which bypasses row level security. Every table
+-- has row level security enabled and no policies, so the public anon key and
+-- signed-in users cannot reach them through PostgREST.
+
+-- Atomically merge a patch into a document, returning the updated document
+create or replace function merge_document(collection text, doc_id text, patch jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  result jsonb;
+begin
+  execute format('update %I set data = data || $1 where id = $2 returning data', collection)
+    into result
+    using patch, doc_id;
+  return result;
+end;
+$$;
+
+-- Merge a patch into a document only if the document still contains `expected`,
+-- returning the updated document or null (compare-and-set)
+create or replace function merge_document_if(collection text, doc_id text, expected jsonb, patch jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  result jsonb;
+begin
+  execute format('update %I set data = data || $1 where id = $2 and data @> $3 returning data', collection)
+    into result
+    using patch, doc_id, expected;
+  return result;
+end;
+$$;
+
+-- Read one page of the documents containing `filter`, for the query() method
+-- of the driver. options: { prefix: { field: text }, range: { field: { from, to } },
+-- sort: { field, order, lowercase }, after: [sortValue, id], limit }.
+-- Returns { rows: [{ data, position: [sortValue, id] }], total } where total
+-- counts every matching document, regardless of after and limit.
+create or replace function query_documents(collection text, filter jsonb, options jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  conditions text := format('data @> %L', filter);
+  page_condition text := '';
+  sort_value text := 'to_jsonb(id)';
+  direction text := 'asc';
+  comparison text := '>';
+  limit_clause text := '';
+  field text;
+  bound jsonb;
+  result jsonb;
+begin
+  for field, bound in select key, value from jsonb_each(coalesce(options->'prefix', '{}')) loop
+    conditions := conditions || format(' and starts_with(data->>%L, %L)', field, bound #>> '{}');
+  end loop;
+
+  for field, bound in select key, value from jsonb_each(coalesce(options->'range', '{}')) loop
+    if coalesce(jsonb_typeof(bound->'from'), 'null') <> 'null' then
+      conditions := conditions || format(' and data->%L >= %L::jsonb', field, bound->'from');
+    end if;
+    if coalesce(jsonb_typeof(bound->'to'), 'null') <> 'null' then
+      conditions := conditions || format(' and data->%L <= %L::jsonb', field, bound->'to');
+    end if;
+  end loop;
+
+  if options->'sort' is not null then
+    sort_value := case when (options #>> '{sort,lowercase}')::boolean
+      then format('to_jsonb(lower(data->>%L))', options #>> '{sort,field}')
+      else format('data->%L', options #>> '{sort,field}')
+    end;
+    if options #>> '{sort,order}' = 'desc' then
+      direction := 'desc';
+      comparison := '<';
+    end if;
+  end if;
+
+  if coalesce(jsonb_typeof(options->'after'), 'null') <> 'null' then
+    page_condition := format(' and (%s, id) %s (%L::jsonb, %L)',
+      sort_value, comparison, options->'after'->0, options->'after'->>1);
+  end if;
+
+  if coalesce(jsonb_typeof(options->'limit'), 'null') <> 'null' then
+    limit_clause := format(' limit %s', (options->>'limit')::integer);
+  end if;
+
+  execute format(
+    'select jsonb_build_object(''total'', (select count(*) from %1$I where %2$s), ''rows'', coalesce(('
+      'select jsonb_agg(jsonb_build_object(''data'', data, ''position'', sort_position) order by n) from ('
+      'select data, jsonb_build_array(%3$s, id) as sort_position, row_number() over (order by %3$s %4$s, id %4$s) as n '
+      'from %1$I where %2$s%5$s order by %3$s %4$s, id %4$s%6$s) page), ''[]''::jsonb))',
+    collection, conditions, sort_value, direction, page_condition, limit_clause)
+    into result;
+  return result;
+end;
+$$;
+
+-- Count the documents containing `filter` and total a numeric field, per value of another field
+create or replace function summarize_documents(collection text, filter jsonb, group_field text, sum_field text)
+returns table (value jsonb, count bigint, sum numeric)
+language plpgsql
+as $$
+begin
+  return query execute format(
+    'select data->%L, count(*), coalesce(sum((data->>%L)::numeric), 0) from %I where data @> $1 group by 1',
+    group_field, sum_field, collection)
+    using filter;
+end;
+$$;
+
+-- Read the documents containing `filter` whose full-text column (`search`,
+-- see file_texts below) contains every term, each matched as a phrase
+create or replace function search_documents(collection text, filter jsonb, terms text[])
+returns table (data jsonb)
+language plpgsql
+as $$
+declare
+  matcher tsquery;
+  term text;
+begin
+  foreach term in array terms loop
+    matcher := case when matcher is null
+      then phraseto_tsquery('simple', term)
+      else matcher && phraseto_tsquery('simple', term)
+    end;
+  end loop;
+
+  return query execute format('select data from %I where search @@ $1 and data @> $2', collection)
+    using matcher, filter;
+end;
+$$;
+
+-- Functions are executable by everyone by default; these take any table name
+revoke execute on function merge_document(text, text, jsonb) from public, anon, authenticated;
+revoke execute on function merge_document_if(text, text, jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function query_documents(text, jsonb, jsonb) from public, anon, authenticated;
+revoke execute on function summarize_documents(text, jsonb, text, text) from public, anon, authenticated;
+revoke execute on function search_documents(text, jsonb, text[]) from public, anon, authenticated;
+grant execute on function merge_document(text, text, jsonb) to service_role;
+grant execute on function merge_document_if(text, text, jsonb, jsonb) to service_role;
+grant execute on function query_documents(text, jsonb, jsonb) to service_role;
+grant execute on function summarize_documents(text, jsonb, text, text) to service_role;
+grant execute on function search_documents(text, jsonb, text[]) to service_role;
+
+create table if not exists api_keys (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists api_keys_data_idx on api_keys using gin (data);
+alter table api_keys enable row level security;
+
+create table if not exists upload_links (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists upload_links_data_idx on upload_links using gin (data);
+alter table upload_links enable row level security;
+
+create table if not exists resumable_uploads (
+  id text primary key,
+  data jsonb not null
+);
+alter table resumable_uploads enable row level security;
+
+create table if not exists files (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists files_data_idx on files using gin (data);
+alter table files enable row level security;
+
+create table if not exists venues (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists venues_data_idx on venues using gin (data);
+alter table venues enable row level security;
+
+create table if not exists trash (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists trash_data_idx on trash using gin (data);
+alter table trash enable row level security;
+
+create table if not exists documents (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists documents_data_idx on documents using gin (data);
+alter table documents enable row level security;
+
+create table if not exists file_texts (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists file_texts_data_idx on file_texts using gin (data);
+-- Full-text index of the extracted text, for search_documents()
+alter table file_texts add column if not exists search tsvector
+  generated always as (to_tsvector('simple', coalesce(data->>'text', ''))) stored;
+create index if not exists file_texts_search_idx on file_texts using gin (search);
+alter table file_texts enable row level security;
+
+create table if not exists venue_pricing (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists venue_pricing_data_idx on venue_pricing using gin (data);
+alter table venue_pricing enable row level security;
+
+create table if not exists audit_log (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists audit_log_data_idx on audit_log using gin (data);
+-- Sort order of query_documents() for the newest-first audit listing
+create index if not exists audit_log_timestamp_idx on audit_log ((data->'timestamp'), id);
+alter table audit_log enable row level security;
+
+create table if not exists webhooks (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists webhooks_data_idx on webhooks using gin (data);
+alter table webhooks enable row level security;
+
+create table if not exists webhook_deliveries (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists webhook_deliveries_data_idx on webhook_deliveries using gin (data);
+alter table webhook_deliveries enable row level security;
+
+create table if not exists jobs (
+  id text primary key,
+  data jsonb not null
+);
+create index if not exists jobs_data_idx on jobs using gin (data);
+alter table jobs enable row level security;
+
+create table if not exists migrations (
+  id text primary key,
+  data jsonb not null
+);
+alter table migrations enable row level security;